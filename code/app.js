@@ -9,7 +9,14 @@ const port = process.env.PORT || 3000;
 
 mongoose.set('strictQuery', true);
 
-app.use(cors());
+//Behind a reverse proxy the client ip, used to throttle failed logins, is read from X-Forwarded-For
+if (process.env.TRUST_PROXY)
+	app.set(
+		'trust proxy',
+		/^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY
+	);
+
+app.use(cors({ exposedHeaders: ['X-Access-Token'] }));
 app.use(express.json());
 app.use(cookieParser());
 app.use('/api', router);
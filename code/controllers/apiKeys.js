@@ -0,0 +1,127 @@
+import mongoose from 'mongoose';
+import { randomBytes } from 'crypto';
+import { ApiKey, User } from '../models/User.js';
+import { verifyAuth, verifyMultipleAuth, hashToken, API_KEY_SCOPES } from './utils.js';
+
+const apiKeyData = (apiKey) => ({
+	id: apiKey.id,
+	name: apiKey.name,
+	prefix: apiKey.prefix,
+	scopes: apiKey.scopes,
+	expiresAt: apiKey.expiresAt,
+	lastUsedAt: apiKey.lastUsedAt,
+	createdAt: apiKey.createdAt,
+});
+
+/**
+ * Create a personal API key for the calling user. Scripts authenticate with a personal API key sent as `X-API-Key: <key>`
+ * and can only call the routes allowed by its scopes. API keys cannot be used to manage API keys.
+  - Auth type: User
+  - Request Body Content: An object having attributes `name`, `scopes` (an array of scopes such as `transactions:read`)
+    and an optional `expiresAt` date, the key never expires if it is omitted
+  - Response `data` Content: An object having attributes `id`, `name`, `prefix`, `scopes`, `expiresAt`, `lastUsedAt`, `createdAt`
+    and `key`. The key is only returned here, the database stores its hash
+  - Optional behavior:
+    - error 400 is returned if `name` is missing, `scopes` is empty or contains an unknown scope, or `expiresAt` is not a future date
+    - error 403 is returned if the request is made by an admin impersonating the user
+ */
+export const createApiKey = async (req, res) => {
+	try {
+		const { authorized, cause, impersonatedBy } = await verifyAuth(req, res, { authType: 'User' });
+		if (!authorized) return res.status(401).json({ error: cause });
+		if (impersonatedBy) return res.status(403).json({ error: 'Not allowed while impersonating a user' });
+
+		const { name, scopes, expiresAt } = req.body;
+		if (name === undefined || scopes === undefined)
+			return res.status(400).json({ error: 'Missing parameters' });
+		if (typeof name !== 'string' || name.trim() === '')
+			return res.status(400).json({ error: 'Empty string in parameters' });
+		if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every((s) => API_KEY_SCOPES.includes(s)))
+			return res.status(400).json({ error: 'Invalid scopes' });
+
+		let expiration = null;
+		if (expiresAt !== undefined && expiresAt !== null) {
+			expiration = new Date(expiresAt);
+			if (isNaN(expiration.getTime()) || expiration <= new Date())
+				return res.status(400).json({ error: 'Invalid expiration' });
+		}
+
+		const owner = await User.findOne({ username: req.params.username });
+		if (!owner) return res.status(400).json({ error: 'User not found' });
+
+		const key = 'ezw_' + randomBytes(24).toString('hex');
+		const apiKey = await ApiKey.create({
+			user: owner._id,
+			name: name.trim(),
+			prefix: key.slice(0, 12),
+			keyHash: hashToken(key),
+			scopes: [...new Set(scopes)],
+			expiresAt: expiration,
+		});
+
+		res.status(200).json({
+			data: { ...apiKeyData(apiKey), key: key },
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Return the API keys of a user, without the keys themselves
+  - Auth type: User or Admin
+  - Request Parameters: A string equal to the `username` of the user
+  - Response `data` Content: An array of objects, each one having attributes `id`, `name`, `prefix`, `scopes`, `expiresAt`,
+    `lastUsedAt` and `createdAt`
+  - Optional behavior:
+    - error 400 is returned if the user does not exist
+ */
+export const getApiKeys = async (req, res) => {
+	try {
+		const { authorized, cause } = await verifyMultipleAuth(req, res, { authType: ['User', 'Admin'] });
+		if (!authorized) return res.status(401).json({ error: cause });
+
+		const owner = await User.findOne({ username: req.params.username });
+		if (!owner) return res.status(400).json({ error: 'User not found' });
+
+		const apiKeys = await ApiKey.find({ user: owner._id });
+		res.status(200).json({
+			data: apiKeys.map(apiKeyData),
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Revoke an API key of a user. Requests made with it are rejected immediately.
+  - Auth type: User or Admin
+  - Request Parameters: The `username` of the user and the `id` of the API key
+  - Response `data` Content: A message confirming that the API key has been revoked
+  - Optional behavior:
+    - error 400 is returned if the user does not exist or the id does not identify one of their API keys
+ */
+export const deleteApiKey = async (req, res) => {
+	try {
+		const { authorized, cause } = await verifyMultipleAuth(req, res, { authType: ['User', 'Admin'] });
+		if (!authorized) return res.status(401).json({ error: cause });
+
+		const { id } = req.params;
+		if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: 'API key not found' });
+
+		const owner = await User.findOne({ username: req.params.username });
+		if (!owner) return res.status(400).json({ error: 'User not found' });
+
+		const apiKey = await ApiKey.findOneAndDelete({ _id: id, user: owner._id });
+		if (!apiKey) return res.status(400).json({ error: 'API key not found' });
+
+		res.status(200).json({
+			data: { message: 'API key revoked' },
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
@@ -1,12 +1,129 @@
 import bcrypt from 'bcryptjs';
-import { User } from '../models/User.js';
+import { timingSafeEqual } from 'crypto';
+import { AdminInvitation, Group, Session, User } from '../models/User.js';
 import jwt from 'jsonwebtoken';
-import { verifyAuth, isEmail } from './utils.js';
+import { sendMail } from '../mail/mailer.js';
+import { loginRetryAfter, recordLoginFailure, resetLoginFailures } from '../lockout/lockout.js';
+import {
+	verifyAuth,
+	isEmail,
+	createTokens,
+	setAuthCookies,
+	clearAuthCookies,
+	refreshTokenKey,
+	getTokens,
+	generateToken,
+	hashToken,
+	SESSION_DURATION,
+} from './utils.js';
+import { startSession } from './sessions.js';
+import {
+	generateRecoveryCodes,
+	generateTotpSecret,
+	normalizeRecoveryCode,
+	totpUri,
+	verifyTotp,
+} from './totp.js';
+
+/**
+ * Check a token against the one-time `ADMIN_BOOTSTRAP_TOKEN` of the environment, which is disabled when not set
+ */
+const matchesBootstrapToken = (token) => {
+	const bootstrapToken = process.env.ADMIN_BOOTSTRAP_TOKEN;
+	if (!bootstrapToken) return false;
+	return timingSafeEqual(
+		Buffer.from(hashToken(token), 'hex'),
+		Buffer.from(hashToken(bootstrapToken), 'hex')
+	);
+};
+
+/**
+ * Hash compared when the email of a login does not identify a user, so that the response takes the same time
+ * as a wrong password and does not reveal which emails are registered
+ */
+const DUMMY_PASSWORD_HASH = '$2a$12$vTwiQKxCE.OlBWESuU7g0u8NBtKChjHdGi.K31AAoWkL/C6BbvN8m';
+
+/**
+ * Reply 429 with a `Retry-After` header when the account or the ip of a login attempt must wait
+ * @returns true if the response has been sent
+ */
+const rejectLockedAttempt = async (res, attempt) => {
+	const retryAfter = await loginRetryAfter(attempt);
+	if (!(retryAfter > 0)) return false;
+	res.set('Retry-After', String(Math.ceil(retryAfter / 1000)));
+	res.status(429).json({ error: 'Too many failed login attempts, try again later' });
+	return true;
+};
+
+/**
+ * Check a second factor of a user with two-factor authentication enabled and consume it.
+ * A TOTP `code` is accepted only once, a `recoveryCode` is removed from the ones left; both updates are atomic,
+ * so that concurrent requests cannot use the same code twice.
+ * @returns true if the second factor is valid
+ */
+const consumeSecondFactor = async (user, { code, recoveryCode }) => {
+	if (code !== undefined && code !== null && code !== '') {
+		const step = verifyTotp(user.twoFactorSecret, String(code), user.twoFactorLastUsedStep);
+		if (step === null) return false;
+		return !!(await User.findOneAndUpdate(
+			{
+				_id: user._id,
+				$or: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { $lt: step } }],
+			},
+			{ $set: { twoFactorLastUsedStep: step } }
+		));
+	}
+	if (typeof recoveryCode === 'string' && recoveryCode !== '') {
+		const codeHash = hashToken(normalizeRecoveryCode(recoveryCode));
+		return !!(await User.findOneAndUpdate(
+			{ _id: user._id, twoFactorRecoveryCodes: codeHash },
+			{ $pull: { twoFactorRecoveryCodes: codeHash } }
+		));
+	}
+	return false;
+};
+
+/**
+ * Create the recovery codes shown to the user once
+ * @returns an object with the `codes` to return and the `hashes` to store
+ */
+const newRecoveryCodes = () => {
+	const codes = generateRecoveryCodes();
+	return { codes: codes, hashes: codes.map((c) => hashToken(normalizeRecoveryCode(c))) };
+};
+
+/**
+ * Create a new email verification token, valid for 24 hours
+ * @returns an object with the `token` to send to the user, the `tokenHash` to store and its `expires` date
+ */
+export const newEmailVerification = () => {
+	const token = generateToken();
+	return {
+		token: token,
+		tokenHash: hashToken(token),
+		expires: new Date(Date.now() + 24 * 60 * 60 * 1000),
+	};
+};
+
+/**
+ * Send the link that verifies an email address
+ */
+export const sendVerificationEmail = async (email, token) => {
+	const appUrl = process.env.APP_URL || 'http://localhost:3000';
+	await sendMail({
+		to: email,
+		subject: 'Verify your EzWallet email',
+		text:
+			`Open the following link within 24 hours to verify your email: ${appUrl}/api/verify-email/${token}\n` +
+			'If you did not create an EzWallet account you can ignore this email.',
+	});
+};
 
 /**
  * Register a new user in the system
   - Request Body Content: An object having attributes `username`, `email` and `password`
   - Response `data` Content: A message confirming successful insertion
+  - The account starts unverified and a verification link is sent to its email
   - Optional behavior:
     - error 400 is returned if there is already a user with the same username and/or email
  */
@@ -29,11 +146,16 @@ export const register = async (req, res) => {
 			return res.status(400).json({ error: 'User already registered' });
 
 		const hashedPassword = await bcrypt.hash(password, 12);
+		const verification = newEmailVerification();
 		await User.create({
 			username,
 			email,
 			password: hashedPassword,
+			emailVerified: false,
+			emailVerificationTokenHash: verification.tokenHash,
+			emailVerificationExpires: verification.expires,
 		});
+		await sendVerificationEmail(email, verification.token);
 		res.status(200).json({ data: { message: 'User added succesfully' } });
 	} catch (error) {
 		res.status(500).json({ error: error });
@@ -42,14 +164,16 @@ export const register = async (req, res) => {
 
 /**
  * Register a new user in the system with an Admin role
-  - Request Body Content: An object having attributes `username`, `email` and `password`
+  - Request Body Content: An object having attributes `username`, `email`, `password` and `token`
   - Response `data` Content: A message confirming successful insertion
   - Optional behavior:
     - error 400 is returned if there is already a user with the same username and/or email
+    - error 401 is returned if `token` is missing or not valid: while there are no admins it must be equal to the
+      `ADMIN_BOOTSTRAP_TOKEN` of the environment, afterwards it must be an unused and unexpired invitation created by an admin
  */
 export const registerAdmin = async (req, res) => {
 	try {
-		const { username, email, password } = req.body;
+		const { username, email, password, token } = req.body;
 		if (username === undefined || email === undefined || password === undefined)
 			return res.status(400).json({ error: 'Missing parameters' });
 
@@ -64,12 +188,37 @@ export const registerAdmin = async (req, res) => {
 			(await User.findOne({ username: username }))
 		)
 			return res.status(400).json({ error: 'User already registered' });
+
+		if (token === undefined || token === '')
+			return res.status(401).json({ error: 'Missing invitation token' });
+
+		if (!(await User.findOne({ role: 'Admin' }))) {
+			if (!matchesBootstrapToken(token))
+				return res.status(401).json({ error: 'Invalid bootstrap token' });
+		} else {
+			//The invitation is consumed atomically, so that it can be redeemed only once
+			const invitation = await AdminInvitation.findOneAndUpdate(
+				{
+					tokenHash: hashToken(token),
+					email: { $in: [null, email] },
+					usedAt: null,
+					expiresAt: { $gt: new Date() },
+				},
+				{ $set: { usedAt: new Date(), usedBy: username } },
+				{ new: true }
+			);
+			if (!invitation)
+				return res.status(401).json({ error: 'Invalid or expired invitation' });
+		}
+
 		const hashedPassword = await bcrypt.hash(password, 12);
 		await User.create({
 			username,
 			email,
 			password: hashedPassword,
 			role: 'Admin',
+			//Admins are created from a secret or an invitation, so their email is trusted
+			emailVerified: true,
 		});
 		res.status(200).json({ data: { message: 'Admin added succesfully' } });
 	} catch (error) {
@@ -77,13 +226,60 @@ export const registerAdmin = async (req, res) => {
 	}
 };
 
+/**
+ * Create a single-use invitation that allows registering a new admin with `registerAdmin`
+  - Auth type: Admin
+  - Request Body Content: An optional `email` the invitation is restricted to and an optional `expiresInHours` (24 by default, at most 168)
+  - Response `data` Content: An object having attributes `token`, `email` and `expiresAt`. The token is only returned here, the database stores its hash
+  - Optional behavior:
+    - error 400 is returned if `email` is not correctly formatted or `expiresInHours` is not valid
+ */
+export const createAdminInvitation = async (req, res) => {
+	try {
+		const { authorized, cause, user } = await verifyAuth(req, res, { authType: 'Admin' });
+		if (!authorized) return res.status(401).json({ error: cause });
+
+		const { email, expiresInHours } = req.body;
+		if (email !== undefined && (typeof email !== 'string' || !isEmail(email)))
+			return res.status(400).json({ error: 'Email not correct formatted' });
+
+		const hours = expiresInHours === undefined ? 24 : Number(expiresInHours);
+		if (!(hours > 0) || hours > 7 * 24)
+			return res.status(400).json({ error: 'Invalid expiration' });
+
+		const token = generateToken();
+		const invitation = await AdminInvitation.create({
+			tokenHash: hashToken(token),
+			email: email === undefined ? null : email,
+			createdBy: user.username,
+			expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
+		});
+
+		res.status(200).json({
+			data: {
+				token: token,
+				email: invitation.email,
+				expiresAt: invitation.expiresAt,
+			},
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
 /**
  * Perform login 
   - Request Body Content: An object having attributes `email` and `password`
   - Response `data` Content: An object with the created accessToken and refreshToken
+  - If the user has enabled two-factor authentication no token is created: `data` contains `twoFactorRequired: true`
+    and a `challengeToken`, valid for 5 minutes, to send to `loginTwoFactor` together with a code
   - Optional behavior:
-    - error 400 is returned if the user does not exist
-    - error 400 is returned if the supplied password does not match with the one in the database
+    - error 400 is returned if the user does not exist or the supplied password does not match with the one in the database,
+      with the same message in both cases
+    - error 429 is returned, with a `Retry-After` header, while the account or the ip must wait after too many failed attempts
+    - error 401 is returned if the email of the user has not been verified, unless `UNVERIFIED_LOGIN` is `read-only`:
+      in that case the tokens only allow GET requests until the email is verified
  */
 export const login = async (req, res) => {
 	const { email, password } = req.body;
@@ -94,52 +290,32 @@ export const login = async (req, res) => {
 		return res.status(400).json({ error: 'Empty string in parameters' });
 
 	try {
-		const existingUser = await User.findOne({ email: email });
-		if (!existingUser) return res.status(400).json({ error: 'User need to register' });
+		const attempt = { email: email, ip: req.ip };
+		if (await rejectLockedAttempt(res, attempt)) return;
 
-		const match = await bcrypt.compare(password, existingUser.password);
-		if (!match) return res.status(400).json({ error: 'Wrong credentials' });
-		//CREATE ACCESSTOKEN
-		const accessToken = jwt.sign(
-			{
-				email: existingUser.email,
-				id: existingUser.id,
-				username: existingUser.username,
-				role: existingUser.role,
-			},
-			process.env.ACCESS_KEY,
-			{ expiresIn: '1h' }
-		);
-		//CREATE REFRESH TOKEN
-		const refreshToken = jwt.sign(
-			{
-				email: existingUser.email,
-				id: existingUser.id,
-				username: existingUser.username,
-				role: existingUser.role,
-			},
-			process.env.ACCESS_KEY,
-			{ expiresIn: '7d' }
+		const existingUser = await User.findOne({ email: email });
+		const match = await bcrypt.compare(
+			password,
+			existingUser ? existingUser.password : DUMMY_PASSWORD_HASH
 		);
-		//SAVE REFRESH TOKEN TO DB
-		existingUser.refreshToken = refreshToken;
-		const savedUser = await existingUser.save();
-		res.cookie('accessToken', accessToken, {
-			httpOnly: true,
-			domain: 'localhost',
-			path: '/api',
-			maxAge: 60 * 60 * 1000,
-			sameSite: 'none',
-			secure: true,
-		});
-		res.cookie('refreshToken', refreshToken, {
-			httpOnly: true,
-			domain: 'localhost',
-			path: '/api',
-			maxAge: 7 * 24 * 60 * 60 * 1000,
-			sameSite: 'none',
-			secure: true,
-		});
+		if (!existingUser || !match) {
+			await recordLoginFailure(attempt);
+			return res.status(400).json({ error: 'Invalid email or password' });
+		}
+		await resetLoginFailures({ email: email });
+		if (existingUser.emailVerified === false && process.env.UNVERIFIED_LOGIN !== 'read-only')
+			return res.status(401).json({ error: 'Email not verified' });
+		if (existingUser.twoFactorEnabled) {
+			const challengeToken = jwt.sign(
+				{ id: existingUser.id, email: existingUser.email },
+				process.env.ACCESS_KEY,
+				{ expiresIn: '5m', audience: 'login-2fa' }
+			);
+			return res
+				.status(200)
+				.json({ data: { twoFactorRequired: true, challengeToken: challengeToken } });
+		}
+		const { accessToken, refreshToken } = await startSession(req, res, existingUser);
 		res
 			.status(200)
 			.json({ data: { accessToken: accessToken, refreshToken: refreshToken } });
@@ -149,39 +325,474 @@ export const login = async (req, res) => {
 };
 
 /**
- * Perform logout
+ * Complete the login of a user with two-factor authentication enabled
+  - Request Body Content: An object having attributes `challengeToken`, returned by `login`, and either a TOTP `code`
+    or one of the single-use `recoveryCode`s
+  - Response `data` Content: An object with the created accessToken and refreshToken
+  - Optional behavior:
+    - error 400 is returned if the request body does not contain all the necessary attributes
+    - error 401 is returned if the challenge token is not valid or has expired
+    - error 401 is returned if the code is not valid or has already been used; invalid codes count as failed login attempts
+    - error 429 is returned, with a `Retry-After` header, while the account or the ip must wait after too many failed attempts
+ */
+export const loginTwoFactor = async (req, res) => {
+	const { challengeToken, code, recoveryCode } = req.body;
+	if (!challengeToken || (!code && !recoveryCode))
+		return res.status(400).json({ error: 'Missing parameters' });
+
+	try {
+		let challenge;
+		try {
+			challenge = jwt.verify(challengeToken, process.env.ACCESS_KEY, { audience: 'login-2fa' });
+		} catch (err) {
+			return res.status(401).json({ error: 'Invalid or expired challenge' });
+		}
+
+		const attempt = { email: challenge.email, ip: req.ip };
+		if (await rejectLockedAttempt(res, attempt)) return;
+
+		const user = await User.findOne({ email: challenge.email });
+		if (!user || !user.twoFactorEnabled)
+			return res.status(401).json({ error: 'Invalid or expired challenge' });
+
+		if (!(await consumeSecondFactor(user, { code, recoveryCode }))) {
+			await recordLoginFailure(attempt);
+			return res.status(401).json({ error: 'Invalid code' });
+		}
+		await resetLoginFailures({ email: challenge.email });
+
+		const { accessToken, refreshToken } = await startSession(req, res, user);
+		res
+			.status(200)
+			.json({ data: { accessToken: accessToken, refreshToken: refreshToken } });
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Start the enrollment in two-factor authentication of the calling user
+  - Auth type: Simple
+  - Request Body Content: None
+  - Response `data` Content: An object having attributes `secret` and `otpauthUri`, to add to an authenticator app.
+    Two-factor authentication is enabled only after the first code is sent to `confirmTwoFactor`
+  - Optional behavior:
+    - error 400 is returned if two-factor authentication is already enabled
+    - error 403 is returned if the request is made by an admin impersonating the user
+ */
+export const enrollTwoFactor = async (req, res) => {
+	try {
+		const { authorized, cause, user, impersonatedBy } = await verifyAuth(req, res, { authType: 'Simple' });
+		if (!authorized) return res.status(401).json({ error: cause });
+		if (impersonatedBy) return res.status(403).json({ error: 'Not allowed while impersonating a user' });
+
+		const existingUser = await User.findOne({ email: user.email });
+		if (!existingUser) return res.status(400).json({ error: 'User not found' });
+		if (existingUser.twoFactorEnabled)
+			return res.status(400).json({ error: 'Two-factor authentication already enabled' });
+
+		const secret = generateTotpSecret();
+		existingUser.twoFactorSecret = secret;
+		existingUser.twoFactorLastUsedStep = null;
+		await existingUser.save();
+
+		res.status(200).json({
+			data: { secret: secret, otpauthUri: totpUri(secret, existingUser.email) },
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Enable two-factor authentication with the first code generated from the secret returned by `enrollTwoFactor`
+  - Auth type: Simple
+  - Request Body Content: An object having attribute `code`
+  - Response `data` Content: An object having attribute `recoveryCodes`, the single-use codes that replace a TOTP code
+    when the authenticator is lost. They are only returned here, the database stores their hashes
+  - Optional behavior:
+    - error 400 is returned if the enrollment has not been started or two-factor authentication is already enabled
+    - error 400 is returned if the code is not valid
+    - error 403 is returned if the request is made by an admin impersonating the user
+ */
+export const confirmTwoFactor = async (req, res) => {
+	try {
+		const { authorized, cause, user, impersonatedBy } = await verifyAuth(req, res, { authType: 'Simple' });
+		if (!authorized) return res.status(401).json({ error: cause });
+		if (impersonatedBy) return res.status(403).json({ error: 'Not allowed while impersonating a user' });
+
+		const { code } = req.body;
+		if (code === undefined || code === '')
+			return res.status(400).json({ error: 'Missing parameters' });
+
+		const existingUser = await User.findOne({ email: user.email });
+		if (!existingUser) return res.status(400).json({ error: 'User not found' });
+		if (existingUser.twoFactorEnabled)
+			return res.status(400).json({ error: 'Two-factor authentication already enabled' });
+		if (!existingUser.twoFactorSecret)
+			return res.status(400).json({ error: 'Two-factor enrollment not started' });
+
+		const step = verifyTotp(existingUser.twoFactorSecret, String(code));
+		if (step === null) return res.status(400).json({ error: 'Invalid code' });
+
+		const recoveryCodes = newRecoveryCodes();
+		existingUser.twoFactorEnabled = true;
+		existingUser.twoFactorLastUsedStep = step;
+		existingUser.twoFactorRecoveryCodes = recoveryCodes.hashes;
+		await existingUser.save();
+
+		res.status(200).json({
+			data: { recoveryCodes: recoveryCodes.codes },
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Disable two-factor authentication of the calling user
+  - Auth type: Simple
+  - Request Body Content: An object having either a TOTP `code` or a `recoveryCode`
+  - Response `data` Content: A message confirming that two-factor authentication has been disabled
+  - Optional behavior:
+    - error 400 is returned if two-factor authentication is not enabled
+    - error 400 is returned if the code is not valid
+    - error 403 is returned if the request is made by an admin impersonating the user
+ */
+export const disableTwoFactor = async (req, res) => {
+	try {
+		const { authorized, cause, user, impersonatedBy } = await verifyAuth(req, res, { authType: 'Simple' });
+		if (!authorized) return res.status(401).json({ error: cause });
+		if (impersonatedBy) return res.status(403).json({ error: 'Not allowed while impersonating a user' });
+
+		const { code, recoveryCode } = req.body;
+		if (!code && !recoveryCode) return res.status(400).json({ error: 'Missing parameters' });
+
+		const existingUser = await User.findOne({ email: user.email });
+		if (!existingUser || !existingUser.twoFactorEnabled)
+			return res.status(400).json({ error: 'Two-factor authentication not enabled' });
+
+		if (!(await consumeSecondFactor(existingUser, { code, recoveryCode })))
+			return res.status(400).json({ error: 'Invalid code' });
+
+		await User.updateOne(
+			{ _id: existingUser._id },
+			{
+				$set: {
+					twoFactorEnabled: false,
+					twoFactorSecret: null,
+					twoFactorLastUsedStep: null,
+					twoFactorRecoveryCodes: [],
+				},
+			}
+		);
+
+		res.status(200).json({
+			data: { message: 'Two-factor authentication disabled' },
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Replace the recovery codes of the calling user, invalidating the ones left
+  - Auth type: Simple
+  - Request Body Content: An object having attribute `code`, a valid TOTP code
+  - Response `data` Content: An object having attribute `recoveryCodes` with the new single-use codes
+  - Optional behavior:
+    - error 400 is returned if two-factor authentication is not enabled
+    - error 400 is returned if the code is not valid
+    - error 403 is returned if the request is made by an admin impersonating the user
+ */
+export const regenerateRecoveryCodes = async (req, res) => {
+	try {
+		const { authorized, cause, user, impersonatedBy } = await verifyAuth(req, res, { authType: 'Simple' });
+		if (!authorized) return res.status(401).json({ error: cause });
+		if (impersonatedBy) return res.status(403).json({ error: 'Not allowed while impersonating a user' });
+
+		const { code } = req.body;
+		if (code === undefined || code === '')
+			return res.status(400).json({ error: 'Missing parameters' });
+
+		const existingUser = await User.findOne({ email: user.email });
+		if (!existingUser || !existingUser.twoFactorEnabled)
+			return res.status(400).json({ error: 'Two-factor authentication not enabled' });
+
+		if (!(await consumeSecondFactor(existingUser, { code })))
+			return res.status(400).json({ error: 'Invalid code' });
+
+		const recoveryCodes = newRecoveryCodes();
+		await User.updateOne(
+			{ _id: existingUser._id },
+			{ $set: { twoFactorRecoveryCodes: recoveryCodes.hashes } }
+		);
+
+		res.status(200).json({
+			data: { recoveryCodes: recoveryCodes.codes },
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Perform logout, ending the session of the request. The other sessions of the user are not affected.
   - Auth type: Simple
   - Request Body Content: None
   - Response `data` Content: A message confirming successful logout
   - Optional behavior:
-    - error 400 is returned if the user does not exist
+    - error 400 is returned if the refresh token does not belong to a session
  */
 export const logout = async (req, res) => {
-	const refreshToken = req.cookies.refreshToken;
+	const { refreshToken } = getTokens(req);
 	if (!refreshToken) return res.status(400).json({ error: 'User not logged in'});
 
 	try {
-		const user = await User.findOne({ refreshToken: refreshToken });
-		if (!user) return res.status(400).json({ error: 'User not found' });
-
-		user.refreshToken = null;
-		res.cookie('accessToken', '', {
-			httpOnly: true,
-			path: '/api',
-			maxAge: 0,
-			sameSite: 'none',
-			secure: true,
-		});
-		res.cookie('refreshToken', '', {
-			httpOnly: true,
-			path: '/api',
-			maxAge: 0,
-			sameSite: 'none',
-			secure: true,
-		});
-		await user.save();
+		const session = await Session.findOneAndDelete({ refreshTokenHash: hashToken(refreshToken) });
+		if (!session) return res.status(400).json({ error: 'User not found' });
+
+		clearAuthCookies(res);
 		res.status(200).json({ data: { message: 'User logged out' } });
 	} catch (error) {
 		res.status(500).json({ error: error });
 	}
 };
+
+/**
+ * Issue a new access/refresh token pair in exchange for the current refresh token of a session
+  - Auth type: None (the refresh token in the cookies or in the `X-Refresh-Token` header is the credential)
+  - Request Body Content: None
+  - Response `data` Content: An object with the new accessToken and refreshToken
+  - The session is extended for 7 days from the rotation
+  - Optional behavior:
+    - error 401 is returned if the request does not have a valid refresh token in the cookies or its session has been revoked
+    - error 401 is returned if the refresh token has already been rotated: the token is considered stolen and every session of the user is revoked
+ */
+export const refresh = async (req, res) => {
+	const oldRefreshToken = getTokens(req).refreshToken;
+	if (!oldRefreshToken) return res.status(401).json({ error: 'Unauthorized' });
+
+	try {
+		let decodedRefreshToken;
+		try {
+			decodedRefreshToken = jwt.verify(oldRefreshToken, refreshTokenKey());
+		} catch (err) {
+			if (err.name === 'TokenExpiredError')
+				return res.status(401).json({ error: 'Perform login again' });
+			return res.status(401).json({ error: err.name });
+		}
+
+		const session = decodedRefreshToken.sid
+			? await Session.findOne({ _id: decodedRefreshToken.sid, expiresAt: { $gt: new Date() } })
+			: null;
+		if (!session) return res.status(401).json({ error: 'Session has been revoked' });
+
+		const revokeReusedSession = async () => {
+			//A rotated refresh token is being reused: revoke every session of the user
+			await Session.deleteMany({ user: session.user });
+			clearAuthCookies(res);
+			return res
+				.status(401)
+				.json({ error: 'Refresh token reuse detected, all sessions have been revoked' });
+		};
+
+		const oldHash = hashToken(oldRefreshToken);
+		if (session.refreshTokenHash !== oldHash) return revokeReusedSession();
+
+		const user = await User.findOne({ _id: session.user });
+		if (!user) return res.status(401).json({ error: 'User not found' });
+
+		const { accessToken, refreshToken } = createTokens(user, session.id, session.impersonatedBy);
+		//The rotation only succeeds if no concurrent request has rotated the same token
+		const rotated = await Session.findOneAndUpdate(
+			{ _id: session._id, refreshTokenHash: oldHash },
+			{
+				$set: {
+					refreshTokenHash: hashToken(refreshToken),
+					lastUsedAt: new Date(),
+					//Impersonation sessions are never extended past the time they were started with
+					expiresAt: session.impersonatedBy ? session.expiresAt : new Date(Date.now() + SESSION_DURATION),
+				},
+			}
+		);
+		if (!rotated) return revokeReusedSession();
+
+		setAuthCookies(res, accessToken, refreshToken);
+		res
+			.status(200)
+			.json({ data: { accessToken: accessToken, refreshToken: refreshToken } });
+	} catch (error) {
+		res.status(500).json({ error: error });
+	}
+};
+
+/**
+ * Send a password reset token to the email of a user
+  - Request Body Content: An object having attribute `email`
+  - Response `data` Content: A message confirming that the email has been sent, returned even if the email does not
+    identify a user so that the endpoint cannot be used to find out which emails are registered
+  - The token expires after one hour and only its hash is stored in the database
+  - Optional behavior:
+    - error 400 is returned if the request body does not contain `email` or `email` is not correctly formatted
+ */
+export const forgotPassword = async (req, res) => {
+	try {
+		const { email } = req.body;
+		if (email === undefined || email === '')
+			return res.status(400).json({ error: 'Missing parameters' });
+
+		if (typeof email !== 'string' || !isEmail(email))
+			return res.status(400).json({ error: 'Email not correct formatted' });
+
+		const user = await User.findOne({ email: email });
+		if (user) {
+			const token = generateToken();
+			user.passwordResetTokenHash = hashToken(token);
+			user.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000);
+			await user.save();
+
+			const appUrl = process.env.APP_URL || 'http://localhost:3000';
+			await sendMail({
+				to: user.email,
+				subject: 'EzWallet password reset',
+				text:
+					`Use the following token to reset your EzWallet password within one hour: ${token}\n` +
+					`${appUrl}/reset-password?token=${token}\n` +
+					'If you did not ask for a password reset you can ignore this email.',
+			});
+		}
+
+		res.status(200).json({
+			data: { message: 'If the email is registered, a reset token has been sent' },
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Set a new password using a token sent by `forgotPassword`
+  - Request Body Content: An object having attributes `token` and `password`
+  - Response `data` Content: A message confirming that the password has been changed
+  - The token can be used only once and every session of the user is revoked
+  - Optional behavior:
+    - error 400 is returned if the request body does not contain all the necessary attributes or they are empty strings
+    - error 400 is returned if the token is not valid, has already been used or has expired
+ */
+export const resetPassword = async (req, res) => {
+	try {
+		const { token, password } = req.body;
+		if (token === undefined || password === undefined)
+			return res.status(400).json({ error: 'Missing parameters' });
+
+		if (token === '' || password === '')
+			return res.status(400).json({ error: 'Empty string in parameters' });
+
+		const hashedPassword = await bcrypt.hash(password, 12);
+		//The token is consumed atomically together with the password change, so that it can be used only once
+		const user = await User.findOneAndUpdate(
+			{
+				passwordResetTokenHash: hashToken(token),
+				passwordResetExpires: { $gt: new Date() },
+			},
+			{
+				$set: {
+					password: hashedPassword,
+					passwordResetTokenHash: null,
+					passwordResetExpires: null,
+				},
+			}
+		);
+		if (!user) return res.status(400).json({ error: 'Invalid or expired token' });
+		await Session.deleteMany({ user: user._id });
+
+		res.status(200).json({ data: { message: 'Password updated' } });
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Verify the email of a user with the token sent by `register`, or the new email requested with `updateUser`
+  - Request Parameters: The verification `token`
+  - Response `data` Content: A message confirming that the email has been verified, or changed
+  - A new email replaces the old one, also in the groups of the user, and every session of the user is revoked
+  - Optional behavior:
+    - error 400 is returned if the token is not valid, has already been used or has expired
+    - error 400 is returned if the new email has been registered by another user in the meantime
+ */
+export const verifyEmail = async (req, res) => {
+	try {
+		const user = await User.findOneAndUpdate(
+			{
+				emailVerificationTokenHash: hashToken(req.params.token),
+				emailVerificationExpires: { $gt: new Date() },
+			},
+			{
+				$set: {
+					emailVerified: true,
+					emailVerificationTokenHash: null,
+					emailVerificationExpires: null,
+					pendingEmail: null,
+				},
+			}
+		);
+		if (!user) return res.status(400).json({ error: 'Invalid or expired token' });
+
+		if (user.pendingEmail) {
+			if (await User.findOne({ email: user.pendingEmail }))
+				return res.status(400).json({ error: 'Email already registered' });
+
+			await User.updateOne({ _id: user._id }, { $set: { email: user.pendingEmail } });
+			await Group.updateMany(
+				{ 'members.email': user.email },
+				{ $set: { 'members.$.email': user.pendingEmail } }
+			);
+			//The tokens of the user carry the old email
+			await Session.deleteMany({ user: user._id });
+			return res.status(200).json({ data: { message: 'Email changed' } });
+		}
+
+		res.status(200).json({ data: { message: 'Email verified' } });
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Send a new verification link to a user whose email has not been verified yet
+  - Request Body Content: An object having attribute `email`
+  - Response `data` Content: A message confirming that the email has been sent, returned even if the email does not identify an unverified user
+  - Optional behavior:
+    - error 400 is returned if the request body does not contain `email` or `email` is not correctly formatted
+ */
+export const resendVerificationEmail = async (req, res) => {
+	try {
+		const { email } = req.body;
+		if (email === undefined || email === '')
+			return res.status(400).json({ error: 'Missing parameters' });
+
+		if (typeof email !== 'string' || !isEmail(email))
+			return res.status(400).json({ error: 'Email not correct formatted' });
+
+		const user = await User.findOne({ email: email, emailVerified: false });
+		if (user) {
+			const verification = newEmailVerification();
+			user.emailVerificationTokenHash = verification.tokenHash;
+			user.emailVerificationExpires = verification.expires;
+			await user.save();
+			await sendVerificationEmail(email, verification.token);
+		}
+
+		res.status(200).json({
+			data: { message: 'If the email is waiting for verification, a new link has been sent' },
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
@@ -0,0 +1,318 @@
+import mongoose from 'mongoose';
+import { budgets, categories, transactions } from '../models/model.js';
+import {
+	currencyDigits,
+	DAILY_SUM_STAGE,
+	DEFAULT_CURRENCY,
+	formatAmount,
+	parseAmount,
+	parseCurrency,
+	toMinorUnits,
+} from './currency.js';
+import { routeOwner } from './owners.js';
+
+/**
+ * Periods of a budget: calendar months, weeks starting on Monday, or a single custom period from `start` to `end`
+ */
+export const BUDGET_PERIODS = ['monthly', 'weekly', 'custom'];
+
+/**
+ * Share of the limit of a budget above which it is flagged with the `warning` status
+ */
+export const BUDGET_WARNING_RATIO = 0.8;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+/**
+ * Return the period of a budget that contains a date, in UTC
+ * @returns an object having attributes `start` and `end`, the start of the following period
+ */
+export const periodOf = (budget, date) => {
+	if (budget.period === 'custom') {
+		return { start: startOfDay(new Date(budget.start)), end: new Date(startOfDay(new Date(budget.end)).getTime() + DAY) };
+	}
+	if (budget.period === 'weekly') {
+		const start = startOfDay(date);
+		start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+		return { start, end: new Date(start.getTime() + 7 * DAY) };
+	}
+	return {
+		start: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)),
+		end: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)),
+	};
+};
+
+/**
+ * Check the period of a budget in a request body
+ * @param current the budget that the attributes present in the body change, the default one for a new budget
+ * @returns an object with the resulting `budget`, or an `error` message
+ */
+const periodDetails = ({ period, start, end, rollover }, current) => {
+	const changes = {};
+	if (period !== undefined) {
+		if (!BUDGET_PERIODS.includes(period)) return { error: 'Invalid period' };
+		changes.period = period;
+	}
+	if (start !== undefined) {
+		changes.start = new Date(start);
+		if (!start || isNaN(changes.start.getTime())) return { error: 'Invalid start' };
+	}
+	if (end !== undefined) {
+		changes.end = end === null ? null : new Date(end);
+		if (end === '' || (changes.end && isNaN(changes.end.getTime()))) return { error: 'Invalid end' };
+	}
+	if (rollover !== undefined) {
+		if (typeof rollover !== 'boolean') return { error: 'Invalid rollover' };
+		changes.rollover = rollover;
+	}
+
+	const budget = { ...current, ...changes };
+	if (!budget.period) return { error: 'Missing parameters' };
+	if (budget.period !== 'custom') return { budget: { ...budget, end: null } };
+	if (!budget.end || startOfDay(budget.end) < startOfDay(budget.start)) return { error: 'Invalid end' };
+	if (budget.rollover) return { error: 'Custom budgets cannot roll over' };
+	return { budget };
+};
+
+/**
+ * Shape a budget for a response
+ */
+const budgetData = (b) => ({
+	_id: b._id,
+	username: b.username || null,
+	group: b.group || null,
+	type: b.type,
+	amount: formatAmount(b.amount, b.currency || DEFAULT_CURRENCY),
+	currency: b.currency || DEFAULT_CURRENCY,
+	period: b.period,
+	start: b.start,
+	end: b.end || null,
+	rollover: !!b.rollover,
+});
+
+/**
+ * Compute the expenses of a budget in the period that contains a date. Like `getGroupTotal`, amounts in other currencies
+ * are converted with the exchange rates of the day they were spent.
+ * With rollover, the amount left at the end of every period since `start` is added to the limit of the next one;
+ * an overspent period does not reduce the next one.
+ * @param usernames the users whose expenses count
+ * @returns an object having attributes `periodStart`, `periodEnd`, `rolledOver`, `limit`, `spent`, `remaining` (decimal strings
+ *  in the currency of the budget, `remaining` is negative when the budget is overspent), `percent` and `status`: `ok`,
+ *  `warning` once the expenses reach 80% of the limit, `exceeded` once they reach the limit
+ * @throws an error if an exchange rate is missing
+ */
+export const budgetStatus = async (budget, usernames, date) => {
+	const current = periodOf(budget, date);
+	let first = budget.rollover ? periodOf(budget, new Date(budget.start)) : current;
+	if (first.start > current.start) first = current;
+
+	const sums = await transactions.aggregate([
+		{
+			$match: {
+				type: budget.type,
+				username: { $in: usernames },
+				direction: { $nin: ['income', 'transfer'] },
+				date: { $gte: first.start, $lt: current.end },
+			},
+		},
+		DAILY_SUM_STAGE,
+	]);
+
+	//Expenses are summed by period in minor units of the budget currency
+	const currency = budget.currency || DEFAULT_CURRENCY;
+	const scale = 10 ** currencyDigits(currency);
+	const spent = {};
+	for (const { day, units } of await toMinorUnits(sums, currency)) {
+		const key = periodOf(budget, day).start.getTime();
+		spent[key] = (spent[key] || 0) + units;
+	}
+
+	const amount = Math.round(Number(String(budget.amount)) * scale);
+	let rolledOver = 0;
+	for (let period = first; period.start < current.start; period = periodOf(budget, period.end)) {
+		rolledOver = Math.max(0, amount + rolledOver - (spent[period.start.getTime()] || 0));
+	}
+	const limit = amount + rolledOver;
+	const used = spent[current.start.getTime()] || 0;
+
+	return {
+		periodStart: current.start,
+		periodEnd: current.end,
+		rolledOver: formatAmount(rolledOver / scale, currency),
+		limit: formatAmount(limit / scale, currency),
+		spent: formatAmount(used / scale, currency),
+		remaining: formatAmount((limit - used) / scale, currency),
+		percent: Math.round((used * 100) / limit),
+		status: used >= limit ? 'exceeded' : used >= limit * BUDGET_WARNING_RATIO ? 'warning' : 'ok',
+	};
+};
+
+/**
+ * Create a budget for the expenses of a category, owned by a user (`/users/:username/budgets`) or by a group (`/groups/:name/budgets`)
+  - Auth type: User or Admin for the budgets of a user, Group or Admin for the budgets of a group
+  - Request Body Content: An object having attributes `type`, `amount` (the limit of a period) and `period` (`monthly`, `weekly`
+    or `custom`), and optional `currency` (the base currency of the user or the currency of the group if it is not present),
+    `start` (now if it is not present), `end` (required for custom periods, the last day of the period) and `rollover`
+  - Response `data` Content: An object having attributes `_id`, `username`, `group`, `type`, `amount`, `currency`, `period`,
+    `start`, `end` and `rollover`
+  - Optional behavior:
+    - error 400 is returned if the user, the group or the category does not exist
+    - error 400 is returned if an attribute is not valid, if `end` is before `start`, or if a custom budget rolls over
+ */
+export const createBudget = async (req, res) => {
+	try {
+		const { filter, currency: ownerCurrency, status, error } = await routeOwner(req, res, 'transactions:write');
+		if (error) return res.status(status).json({ error: error });
+
+		const { type, amount, currency } = req.body;
+		if (!type || amount === undefined) return res.status(400).json({ error: 'Missing parameters' });
+		if (currency !== undefined && !parseCurrency(currency)) return res.status(400).json({ error: 'Invalid currency' });
+
+		const { budget, error: periodError } = periodDetails(req.body, { start: new Date(), end: null, rollover: false });
+		if (periodError) return res.status(400).json({ error: periodError });
+
+		const budgetCurrency = currency !== undefined ? parseCurrency(currency) : ownerCurrency;
+		const parsedAmount = parseAmount(amount, budgetCurrency);
+		if (!parsedAmount) return res.status(400).json({ error: 'Invalid amount' });
+
+		const typeLook = await categories.findOne({ type: type });
+		if (!typeLook) return res.status(400).json({ error: 'Category does not exist' });
+
+		const created = await budgets.create({
+			...filter,
+			type,
+			amount: parsedAmount,
+			currency: budgetCurrency,
+			...budget,
+		});
+
+		res.status(200).json({
+			data: budgetData(created),
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Return the budgets of a user or of a group, with the expenses of the current period
+  - Auth type: User or Admin for the budgets of a user, Group or Admin for the budgets of a group
+  - Request Query: Optionally `date`, to return the expenses of the periods that contain it instead of the current ones
+  - Response `data` Content: An array of objects shaped like the response of `createBudget`, each one also having the attributes
+    returned by `budgetStatus`: `periodStart`, `periodEnd`, `rolledOver`, `limit`, `spent`, `remaining`, `percent` and `status`
+  - The expenses of a group budget are those of all the members of the group
+  - Optional behavior:
+    - error 400 is returned if the user or the group does not exist, if `date` is not a date, or if an exchange rate is missing
+ */
+export const getBudgets = async (req, res) => {
+	try {
+		const { filter, usernames, status, error } = await routeOwner(req, res, 'transactions:read');
+		if (error) return res.status(status).json({ error: error });
+
+		const { date } = req.query || {};
+		const day = date === undefined ? new Date() : new Date(date);
+		if (date === '' || isNaN(day.getTime())) return res.status(400).json({ error: 'Invalid date' });
+
+		const owned = await budgets.find(filter);
+		const data = [];
+		try {
+			for (const budget of owned) {
+				data.push({ ...budgetData(budget), ...(await budgetStatus(budget, usernames, day)) });
+			}
+		} catch (error) {
+			return res.status(400).json({ error: error.message });
+		}
+
+		res.status(200).json({
+			data: data,
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Edit a budget of a user or of a group
+  - Auth type: User or Admin for the budgets of a user, Group or Admin for the budgets of a group
+  - Request Parameters: The `username` of the user or the `name` of the group, and the `id` of the budget
+  - Request Body Content: An object having at least one of the attributes `type`, `amount`, `currency`, `period`, `start`, `end`
+    and `rollover`, equal to the new values to assign
+  - Response `data` Content: An object shaped like the response of `createBudget`
+  - Optional behavior:
+    - error 400 is returned if the owner, the budget or the new category does not exist, or if a new attribute is not valid
+ */
+export const updateBudget = async (req, res) => {
+	try {
+		const { filter, status, error } = await routeOwner(req, res, 'transactions:write');
+		if (error) return res.status(status).json({ error: error });
+
+		const { type, amount, currency } = req.body;
+		if (['type', 'amount', 'currency', 'period', 'start', 'end', 'rollover'].every((a) => req.body[a] === undefined))
+			return res.status(400).json({ error: 'Missing parameters' });
+		if (currency !== undefined && !parseCurrency(currency)) return res.status(400).json({ error: 'Invalid currency' });
+
+		const { id } = req.params;
+		if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: 'Budget not found' });
+		const stored = await budgets.findOne({ _id: id, ...filter });
+		if (!stored) return res.status(400).json({ error: 'Budget not found' });
+
+		const { budget, error: periodError } = periodDetails(req.body, {
+			period: stored.period,
+			start: stored.start,
+			end: stored.end,
+			rollover: stored.rollover,
+		});
+		if (periodError) return res.status(400).json({ error: periodError });
+
+		const update = { ...budget };
+		if (type !== undefined) {
+			const typeLook = await categories.findOne({ type: type });
+			if (!typeLook) return res.status(400).json({ error: 'Category does not exist' });
+			update.type = type;
+		}
+		if (amount !== undefined || currency !== undefined) {
+			update.currency = currency !== undefined ? parseCurrency(currency) : stored.currency || DEFAULT_CURRENCY;
+			update.amount = parseAmount(amount !== undefined ? amount : String(stored.amount), update.currency);
+			if (!update.amount) return res.status(400).json({ error: 'Invalid amount' });
+		}
+
+		const data = await budgets.findOneAndUpdate({ _id: stored._id }, { $set: update }, { new: true });
+		res.status(200).json({
+			data: budgetData(data),
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Delete a budget of a user or of a group
+  - Auth type: User or Admin for the budgets of a user, Group or Admin for the budgets of a group
+  - Request Parameters: The `username` of the user or the `name` of the group, and the `id` of the budget
+  - Response `data` Content: A message confirming the deletion
+  - Optional behavior:
+    - error 400 is returned if the owner or the budget does not exist
+ */
+export const deleteBudget = async (req, res) => {
+	try {
+		const { filter, status, error } = await routeOwner(req, res, 'transactions:write');
+		if (error) return res.status(status).json({ error: error });
+
+		const { id } = req.params;
+		if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: 'Budget not found' });
+		const deleted = await budgets.findOneAndDelete({ _id: id, ...filter });
+		if (!deleted) return res.status(400).json({ error: 'Budget not found' });
+
+		res.status(200).json({
+			data: { message: 'Budget deleted' },
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
@@ -1,29 +1,116 @@
 import { response } from 'express';
+import mongoose from 'mongoose';
 import { categories, transactions } from '../models/model.js';
 import { Group, User } from '../models/User.js';
 import {
 	handleDateFilterParams,
 	handleAmountFilterParams,
+	handleTagFilterParams,
+	normalizeTags,
 	verifyAuth,
 	verifyMultipleAuth,
 } from './utils.js';
-import jwt from 'jsonwebtoken';
+import {
+	handlePaginationParams,
+	pageResult,
+	paginationStages,
+	TRANSACTION_SORT_FIELDS,
+} from './pagination.js';
+import {
+	convertAmounts,
+	currencyDigits,
+	dailySumStage,
+	DEFAULT_CURRENCY,
+	formatAmount,
+	handleConvertToParams,
+	parseAmount,
+	parseCurrency,
+	toMinorUnits,
+} from './currency.js';
+
+/**
+ * Directions of a transaction: the money of an `income` comes in, the one of an `expense` goes out, and a `transfer`
+ * moves money between accounts of the same user, so it is neither
+ */
+export const DIRECTIONS = ['income', 'expense', 'transfer'];
+
+/**
+ * Direction of the transactions and categories stored before directions existed
+ */
+export const DEFAULT_DIRECTION = 'expense';
+
+/**
+ * Shape a transaction for a response. Transactions stored before descriptions, notes and tags existed
+ * are returned with empty ones, the ones stored before currencies existed are in euros and the ones stored before
+ * directions existed are expenses. Amounts are returned as decimal strings with the precision of their currency.
+ */
+const transactionData = (v, color) => ({
+	username: v.username,
+	amount: formatAmount(v.amount, v.currency || DEFAULT_CURRENCY),
+	currency: v.currency || DEFAULT_CURRENCY,
+	direction: v.direction || DEFAULT_DIRECTION,
+	type: v.type,
+	date: v.date,
+	description: v.description || '',
+	notes: v.notes || '',
+	tags: v.tags || [],
+	color: color,
+});
+
+/**
+ * Check the optional `currency`, `direction`, `description`, `notes` and `tags` of a transaction in a request body
+ * @returns an object with the normalized attributes that are present, or an `error` message
+ */
+export const transactionDetails = ({ currency, direction, description, notes, tags }) => {
+	const details = {};
+	if (currency !== undefined) {
+		details.currency = parseCurrency(currency);
+		if (!details.currency) return { error: 'Invalid currency' };
+	}
+	if (direction !== undefined) {
+		if (!DIRECTIONS.includes(direction)) return { error: 'Invalid direction' };
+		details.direction = direction;
+	}
+	if (description !== undefined) {
+		if (typeof description !== 'string') return { error: 'Invalid description' };
+		details.description = description.trim();
+	}
+	if (notes !== undefined) {
+		if (typeof notes !== 'string') return { error: 'Invalid notes' };
+		details.notes = notes;
+	}
+	if (tags !== undefined) {
+		if (!Array.isArray(tags) || !tags.every((tag) => typeof tag === 'string'))
+			return { error: 'Invalid tags' };
+		details.tags = normalizeTags(tags);
+	}
+	return { details };
+};
 
 /** OK
  * Create a new category
-  - Request Body Content: An object having attributes `type` and `color`
-  - Response `data` Content: An object having attributes `type` and `color`
+  - Request Body Content: An object having attributes `type` and `color`, and optionally `direction`, the direction of its
+    transactions (`income`, `expense` or `transfer`, `expense` if it is not present)
+  - Response `data` Content: An object having attributes `type`, `color` and `direction`
+  - Optional behavior:
+    - error 400 is returned if `direction` is not valid
  */
 export const createCategory = async (req, res) => {
 	try {
-		let { authorized, cause } = verifyAuth(req, res, { authType: 'Admin' });
+		let { authorized, cause } = await verifyAuth(req, res, {
+			authType: 'Admin',
+			scope: 'categories:write',
+		});
 		if (!authorized) return res.status(401).json({ error: cause });
 
-		const { type, color } = req.body;
+		const { type, color, direction = DEFAULT_DIRECTION } = req.body;
 
 		if (!type || !color) {
 			return res.status(400).json({ error: 'Missing parameters' });
 		}
+		if (!DIRECTIONS.includes(direction)) {
+			return res.status(400).json({ error: 'Invalid direction' });
+		}
 
 		const existingCategory = await categories.findOne({ type: type });
 
@@ -31,12 +118,13 @@ export const createCategory = async (req, res) => {
 			return res.status(400).json({ error: 'Category already exists' });
 		}
 
-		const new_categories = new categories({ type, color });
+		const new_categories = new categories({ type, color, direction });
 		new_categories.save().then((data) => {
 			res.status(200).json({
 				data: {
 					type: data.type,
 					color: data.color,
+					direction: data.direction,
 				},
 				refreshedTokenMessage: res.locals.refreshedTokenMessage,
 			});
@@ -47,8 +135,9 @@ export const createCategory = async (req, res) => {
 };
 
 /** OK
- * Edit a category's type or color
-  - Request Body Content: An object having attributes `type` and `color` equal to the new values to assign to the category
+ * Edit a category's type, color or direction
+  - Request Body Content: An object having attributes `type` and `color`, and optionally `direction`, equal to the new values
+    to assign to the category. The direction of the transactions already in the category does not change
   - Response `data` Content: An object with parameter `message` that confirms successful editing and a parameter `count` that is equal to the count of transactions whose category was changed with the new type
   - Optional behavior:
     - error 401 returned if the specified category does not exist
@@ -56,14 +145,20 @@ export const createCategory = async (req, res) => {
  */
 export const updateCategory = async (req, res) => {
 	try {
-		let { authorized, cause } = verifyAuth(req, res, { authType: 'Admin' });
+		let { authorized, cause } = await verifyAuth(req, res, {
+			authType: 'Admin',
+			scope: 'categories:write',
+		});
 		if (!authorized) return res.status(401).json({ error: cause });
 
-		const { type, color } = req.body;
+		const { type, color, direction } = req.body;
 		const { type: oldType } = req.params;
 		if (!type || !color) {
 			return res.status(400).json({ error: 'Missing parameters' });
 		}
+		if (direction !== undefined && !DIRECTIONS.includes(direction)) {
+			return res.status(400).json({ error: 'Invalid direction' });
+		}
 		let checkParamCategory = await categories.findOne({ type: oldType });
 		if (!checkParamCategory) {
 			return res.status(400).json({ error: 'Category does not exist' });
@@ -78,7 +173,7 @@ export const updateCategory = async (req, res) => {
 		transactions.updateMany({ type: oldType }, { $set: { type } });
 
 		//update category
-		categories.updateOne({ type: oldType }, { $set: { type, color } });
+		categories.updateOne({ type: oldType }, { $set: { type, color, ...(direction && { direction }) } });
 
 		res.status(200).json({
 			data: {
@@ -101,7 +196,10 @@ export const updateCategory = async (req, res) => {
  */
 export const deleteCategory = async (req, res) => {
 	try {
-		let { authorized, cause } = verifyAuth(req, res, { authType: 'Admin' });
+		let { authorized, cause } = await verifyAuth(req, res, {
+			authType: 'Admin',
+			scope: 'categories:write',
+		});
 		if (!authorized) return res.status(401).json({ error: cause });
 
 		const { types } = req.body;
@@ -155,20 +253,23 @@ export const deleteCategory = async (req, res) => {
 /** OK
  * Return all the categories
   - Request Body Content: None
-  - Response `data` Content: An array of objects, each one having attributes `type` and `color`
+  - Response `data` Content: An array of objects, each one having attributes `type`, `color` and `direction`
   - Optional behavior:
     - empty array is returned if there are no categories
  */
 export const getCategories = async (req, res) => {
 	try {
-		const { authorized, cause } = verifyMultipleAuth(req, res, {
+		const { authorized, cause } = await verifyMultipleAuth(req, res, {
 			authType: ['User', 'Admin'],
+			scope: 'categories:read',
 		});
 		if (!authorized) return res.status(401).json({ error: cause });
 
 		let data = await categories.find({});
 
-		let filter = data.map((v) => Object.assign({}, { type: v.type, color: v.color }));
+		let filter = data.map((v) =>
+			Object.assign({}, { type: v.type, color: v.color, direction: v.direction || DEFAULT_DIRECTION })
+		);
 
 		return res.status(200).json({
 			data: filter,
@@ -181,22 +282,25 @@ export const getCategories = async (req, res) => {
 
 /** OK
  * Create a new transaction made by a specific user
-  - Request Body Content: An object having attributes `username`, `type` and `amount`
-  - Response `data` Content: An object having attributes `username`, `type`, `amount` and `date`
+  - Request Body Content: An object having attributes `username`, `type` and `amount` (a positive decimal string or number), and optional
+    `currency` (an ISO-4217 code, the base currency of the user if it is not present), `direction` (`income`, `expense` or
+    `transfer`, the direction of the category if it is not present), `description`, `notes` and `tags` (an array of strings)
+  - Response `data` Content: An object having attributes `username`, `type`, `amount`, `currency`, `direction`, `date`, `description`, `notes` and `tags`
   - Optional behavior:
     - error 401 is returned if the username or the type of category does not exist
+    - error 400 is returned if `amount` is not positive or has more decimals than its currency allows (two for most currencies)
+    - error 400 is returned if `currency` is not a currency code, if `direction` is not valid, if `description` or `notes` are
+      not strings, or if `tags` is not an array of strings
  */
 export const createTransaction = async (req, res) => {
 	try {
-		const { authorized, cause } = verifyMultipleAuth(req, res, {
+		const { authorized, cause, user } = await verifyMultipleAuth(req, res, {
 			authType: ['User', 'Admin'],
+			scope: 'transactions:write',
 		});
 		if (!authorized) return res.status(401).json({ error: cause });
 
-		const cookie = req.cookies;
-		const decodedAccessToken = jwt.verify(cookie.accessToken, process.env.ACCESS_KEY);
-
-		if (decodedAccessToken.username !== req.params.username) {
+		if (user.username !== req.params.username) {
 			return res.status(401).json({ error: 'Unauthorized' });
 		}
 
@@ -211,9 +315,9 @@ export const createTransaction = async (req, res) => {
 			return res.status(400).json({ error: 'Unauthorized' });
 		}
 
-		let parsedAmount = parseFloat(amount);
-		if (!parsedAmount) {
-			return res.status(400).json({ error: 'Invalid amount' });
+		const { details, error } = transactionDetails(req.body);
+		if (error) {
+			return res.status(400).json({ error: error });
 		}
 
 		const typeLook = await categories.findOne({ type: type });
@@ -225,14 +329,32 @@ export const createTransaction = async (req, res) => {
 			return res.status(400).json({ error: 'User does not exist' });
 		}
 
-		const new_transactions = new transactions({ username, amount, type });
+		const currency = details.currency || userLook.baseCurrency || DEFAULT_CURRENCY;
+		const parsedAmount = parseAmount(amount, currency);
+		if (!parsedAmount) {
+			return res.status(400).json({ error: 'Invalid amount' });
+		}
+
+		const new_transactions = new transactions({
+			username,
+			type,
+			direction: typeLook.direction || DEFAULT_DIRECTION,
+			...details,
+			amount: parsedAmount,
+			currency,
+		});
 		new_transactions.save().then((data) =>
 			res.status(200).json({
 				data: {
 					username: data.username,
-					amount: data.amount,
+					amount: formatAmount(data.amount, data.currency),
+					currency: data.currency,
+					direction: data.direction,
 					type: data.type,
 					date: data.date,
+					description: data.description,
+					notes: data.notes,
+					tags: data.tags,
 				},
 				refreshedTokenMessage: res.locals.refreshedTokenMessage,
 			})
@@ -242,48 +364,69 @@ export const createTransaction = async (req, res) => {
 	}
 };
 
+/**
+ * Respond with a page of the transactions matching `match` and the `tags` query parameter, with their category color.
+ * The page is selected by the `limit`, `cursor` and `sort` query parameters before the categories are joined,
+ * so that a request never reads more than one page of transactions.
+ * With the `convertTo` query parameter the amounts are also converted, `convertTo=base` standing for the base currency of `requester`.
+ */
+const listTransactions = async (req, res, match, requester) => {
+	let pagination, convertTo;
+	try {
+		match = { ...match, ...handleTagFilterParams(req) };
+		pagination = handlePaginationParams(req, TRANSACTION_SORT_FIELDS);
+		convertTo = await handleConvertToParams(req, requester);
+	} catch (error) {
+		return res.status(400).json({ error: error.message });
+	}
+	const result = await transactions.aggregate([
+		{ $match: match },
+		...paginationStages(pagination),
+		{
+			$lookup: {
+				from: 'categories',
+				localField: 'type',
+				foreignField: 'type',
+				as: 'joinedData',
+			},
+		},
+		{ $unwind: '$joinedData' },
+	]);
+	const { page, nextCursor } = pageResult(result, pagination);
+	const { data, error } = await convertAmounts(
+		page.map((v) => transactionData(v, v.joinedData.color)),
+		convertTo
+	);
+	if (error) {
+		return res.status(400).json({ error: error });
+	}
+	res.status(200).json({
+		data: data,
+		nextCursor: nextCursor,
+		refreshedTokenMessage: res.locals.refreshedTokenMessage,
+	});
+};
+
 /** OK
  * Return all transactions made by all users
   - Request Body Content: None
-  - Response `data` Content: An array of objects, each one having attributes `username`, `type`, `amount`, `date` and `color`
+  - Response `data` Content: An array of objects, each one having attributes `username`, `type`, `amount`, `currency`, `direction`, `date`, `description`, `notes`, `tags` and `color`
   - Optional behavior:
     - empty array must be returned if there are no transactions
+    - only the transactions having all the tags listed in the `tags` query parameter (e.g. `?tags=work,travel`) are returned, if it is present; error 400 is returned if it lists no tag
+    - the transactions are paginated and sorted according to the `limit`, `cursor` and `sort` query parameters; error 400 is returned if they are not valid
+    - with the `convertTo` query parameter, a currency code or `base` for the base currency of the caller, every transaction also has
+      attributes `convertedAmount` and `convertedCurrency`; error 400 is returned if it is not valid or if an exchange rate is missing
  */
 export const getAllTransactions = async (req, res) => {
 	try {
-		let { authorized, cause } = verifyAuth(req, res, { authType: 'Admin' });
+		let { authorized, cause, user } = await verifyAuth(req, res, {
+			authType: 'Admin',
+			scope: 'transactions:read',
+		});
 		if (!authorized) return res.status(401).json({ error: cause });
 
-		transactions
-			.aggregate([
-				{
-					$lookup: {
-						from: 'categories',
-						localField: 'type',
-						foreignField: 'type',
-						as: 'joinedData',
-					},
-				},
-				{ $unwind: '$joinedData' },
-			])
-			.then((result) => {
-				let data = result.map((v) =>
-					Object.assign(
-						{},
-						{
-							username: v.username,
-							amount: v.amount,
-							type: v.type,
-							date: v.date,
-							color: v.joinedData.color,
-						}
-					)
-				);
-				res.status(200).json({
-					data: data,
-					refreshedTokenMessage: res.locals.refreshedTokenMessage,
-				});
-			});
+		await listTransactions(req, res, {}, user);
 	} catch (error) {
 		res.status(500).json({ error: error.message });
 	}
@@ -292,11 +435,15 @@ export const getAllTransactions = async (req, res) => {
 /** OK (ADMIN) - OK (USER)
  * Return all transactions made by a specific user
   - Request Body Content: None
-  - Response `data` Content: An array of objects, each one having attributes `username`, `type`, `amount`, `date` and `color`
+  - Response `data` Content: An array of objects, each one having attributes `username`, `type`, `amount`, `currency`, `direction`, `date`, `description`, `notes`, `tags` and `color`
   - Optional behavior:
     - error 401 is returned if the user does not exist
     - empty array is returned if there are no transactions made by the user
     - if there are query parameters and the function has been called by a Regular user then the returned transactions must be filtered according to the query parameters
+    - only the transactions having all the tags listed in the `tags` query parameter (e.g. `?tags=work,travel`) are returned, if it is present; error 400 is returned if it lists no tag
+    - the transactions are paginated and sorted according to the `limit`, `cursor` and `sort` query parameters; error 400 is returned if they are not valid
+    - with the `convertTo` query parameter, a currency code or `base` for the base currency of the caller, every transaction also has
+      attributes `convertedAmount` and `convertedCurrency`; error 400 is returned if it is not valid or if an exchange rate is missing
  */
 export const getTransactionsByUser = async (req, res) => {
 	try {
@@ -308,119 +455,36 @@ export const getTransactionsByUser = async (req, res) => {
 		if (!userLook) {
 			return res.status(400).json({ error: 'User does not exist' });
 		}
+		let match, requester;
 		if (req.url.indexOf('/transactions/users/') >= 0) {
 			//Admin
-			let { authorized, cause } = verifyAuth(req, res, { authType: 'Admin' });
+			let { authorized, cause, user } = await verifyAuth(req, res, {
+				authType: 'Admin',
+				scope: 'transactions:read',
+			});
 			if (!authorized) return res.status(401).json({ error: cause });
 
-			transactions
-				.aggregate([
-					{
-						$lookup: {
-							from: 'categories',
-							localField: 'type',
-							foreignField: 'type',
-							as: 'joinedData',
-						},
-					},
-					{
-						$unwind: '$joinedData',
-					},
-					{
-						$match: {
-							username: username,
-						},
-					},
-				])
-				.then((result) => {
-					let data = result.map((v) =>
-						Object.assign(
-							{},
-							{
-								username: v.username,
-								amount: v.amount,
-								type: v.type,
-								date: v.date,
-								color: v.joinedData.color,
-							}
-						)
-					);
-					res.status(200).json({
-						data: data.length === 0 ? [] : data,
-						refreshedTokenMessage: res.locals.refreshedTokenMessage,
-					});
-				});
+			requester = user;
+			match = { username: username };
 		} else {
 			//User
-			let { authorized, cause } = verifyAuth(req, res, { authType: 'User' });
+			let { authorized, cause, user } = await verifyAuth(req, res, {
+				authType: 'User',
+				scope: 'transactions:read',
+			});
 			if (!authorized) return res.status(401).json({ error: cause });
 
+			requester = user;
+			match = { username: username };
 			if (req.query) {
-				const filter = {
-					username,
+				match = {
+					...match,
 					...handleDateFilterParams(req),
 					...handleAmountFilterParams(req),
 				};
-				let filteredTransactions = await transactions.find({
-					username: username,
-					...filter,
-				});
-				const allCategories = await categories.find();
-				let data = filteredTransactions.map((v) =>
-					Object.assign(
-						{},
-						{
-							username: v.username,
-							amount: v.amount,
-							type: v.type,
-							date: v.date,
-							color: allCategories.find((c) => c.type === v.type).color,
-						}
-					)
-				);
-				return res.status(200).json({
-					data: data,
-					refreshedTokenMessage: res.locals.refreshedTokenMessage,
-				});
 			}
-			transactions
-				.aggregate([
-					{
-						$lookup: {
-							from: 'categories',
-							localField: 'type',
-							foreignField: 'type',
-							as: 'joinedData',
-						},
-					},
-					{
-						$unwind: '$joinedData',
-					},
-					{
-						$match: {
-							username: username,
-						},
-					},
-				])
-				.then((result) => {
-					let data = result.map((v) =>
-						Object.assign(
-							{},
-							{
-								username: v.username,
-								amount: v.amount,
-								type: v.type,
-								date: v.date,
-								color: v.joinedData.color,
-							}
-						)
-					);
-					res.status(200).json({
-						data: data.length === 0 ? [] : data,
-						refreshedTokenMessage: res.locals.refreshedTokenMessage,
-					});
-				});
 		}
+		await listTransactions(req, res, match, requester);
 	} catch (error) {
 		res.status(500).json({ error: error.message });
 	}
@@ -429,15 +493,20 @@ export const getTransactionsByUser = async (req, res) => {
 /** OK
  * Return all transactions made by a specific user filtered by a specific category
   - Request Body Content: None
-  - Response `data` Content: An array of objects, each one having attributes `username`, `type`, `amount`, `date` and `color`, filtered so that `type` is the same for all objects
+  - Response `data` Content: An array of objects, each one having attributes `username`, `type`, `amount`, `currency`, `direction`, `date`, `description`, `notes`, `tags` and `color`, filtered so that `type` is the same for all objects
   - Optional behavior:
     - empty array is returned if there are no transactions made by the user with the specified category
     - error 401 is returned if the user or the category does not exist
+    - only the transactions having all the tags listed in the `tags` query parameter (e.g. `?tags=work,travel`) are returned, if it is present; error 400 is returned if it lists no tag
+    - the transactions are paginated and sorted according to the `limit`, `cursor` and `sort` query parameters; error 400 is returned if they are not valid
+    - with the `convertTo` query parameter, a currency code or `base` for the base currency of the caller, every transaction also has
+      attributes `convertedAmount` and `convertedCurrency`; error 400 is returned if it is not valid or if an exchange rate is missing
  */
 export const getTransactionsByUserByCategory = async (req, res) => {
 	try {
-		const { authorized, cause } = verifyMultipleAuth(req, res, {
+		const { authorized, cause, user } = await verifyMultipleAuth(req, res, {
 			authType: ['User', 'Admin'],
+			scope: 'transactions:read',
 		});
 		if (!authorized) return res.status(401).json({ error: cause });
 
@@ -459,44 +528,15 @@ export const getTransactionsByUserByCategory = async (req, res) => {
 			return res.status(400).json({ error: 'User does not exist' });
 		}
 
-		transactions
-			.aggregate([
-				{
-					$lookup: {
-						from: 'categories',
-						localField: 'type',
-						foreignField: 'type',
-						as: 'joinedData',
-					},
-				},
-				{
-					$unwind: '$joinedData',
-				},
-				{
-					$match: {
-						'joinedData.type': type,
-						username: username,
-					},
-				},
-			])
-			.then((result) => {
-				let data = result.map((v) =>
-					Object.assign(
-						{},
-						{
-							username: v.username,
-							amount: v.amount,
-							type: v.type,
-							date: v.date,
-							color: v.joinedData.color,
-						}
-					)
-				);
-				res.status(200).json({
-					data: data.length === 0 ? [] : data,
-					refreshedTokenMessage: res.locals.refreshedTokenMessage,
-				});
-			});
+		await listTransactions(
+			req,
+			res,
+			{
+				type: type,
+				username: username,
+			},
+			user
+		);
 	} catch (error) {
 		res.status(500).json({ error: error.message });
 	}
@@ -505,10 +545,14 @@ export const getTransactionsByUserByCategory = async (req, res) => {
 /** OK
  * Return all transactions made by members of a specific group
   - Request Body Content: None
-  - Response `data` Content: An array of objects, each one having attributes `username`, `type`, `amount`, `date` and `color`
+  - Response `data` Content: An array of objects, each one having attributes `username`, `type`, `amount`, `currency`, `direction`, `date`, `description`, `notes`, `tags` and `color`
   - Optional behavior:
     - error 401 is returned if the group does not exist
     - empty array must be returned if there are no transactions made by the group
+    - only the transactions having all the tags listed in the `tags` query parameter (e.g. `?tags=work,travel`) are returned, if it is present; error 400 is returned if it lists no tag
+    - the transactions are paginated and sorted according to the `limit`, `cursor` and `sort` query parameters; error 400 is returned if they are not valid
+    - with the `convertTo` query parameter, a currency code or `base` for the base currency of the caller, every transaction also has
+      attributes `convertedAmount` and `convertedCurrency`; error 400 is returned if it is not valid or if an exchange rate is missing
  */
 export const getTransactionsByGroup = async (req, res) => {
 	try {
@@ -524,15 +568,22 @@ export const getTransactionsByGroup = async (req, res) => {
 
 		const memberEmails = group.members.map((member) => member.email);
 
+		let requester;
 		if (req.url.indexOf('transactions/groups') >= 0) {
-			let { authorized, cause } = verifyAuth(req, res, { authType: 'Admin' });
+			let { authorized, cause, user } = await verifyAuth(req, res, {
+				authType: 'Admin',
+				scope: 'transactions:read',
+			});
 			if (!authorized) return res.status(401).json({ error: cause });
+			requester = user;
 		} else {
-			const { authorized, cause } = verifyAuth(req, res, {
+			const { authorized, cause, user } = await verifyAuth(req, res, {
 				authType: 'Group',
+				scope: 'transactions:read',
 				emails: memberEmails,
 			});
 			if (!authorized) return res.status(401).json({ error: cause });
+			requester = user;
 		}
 
 		const users = await User.find({
@@ -541,40 +592,14 @@ export const getTransactionsByGroup = async (req, res) => {
 
 		const usernames = users.map((user) => user.username);
 
-		transactions
-			.aggregate([
-				{
-					$lookup: {
-						from: 'categories',
-						localField: 'type',
-						foreignField: 'type',
-						as: 'joinedData',
-					},
-				},
-				{
-					$unwind: '$joinedData',
-				},
-			])
-			.then((result) => {
-				let data = result
-					.filter((item) => usernames.includes(item.username))
-					.map((v) =>
-						Object.assign(
-							{},
-							{
-								username: v.username,
-								amount: v.amount,
-								type: v.type,
-								date: v.date,
-								color: v.joinedData.color,
-							}
-						)
-					);
-				res.status(200).json({
-					data: data,
-					refreshedTokenMessage: res.locals.refreshedTokenMessage,
-				});
-			});
+		await listTransactions(
+			req,
+			res,
+			{
+				username: { $in: usernames },
+			},
+			requester
+		);
 	} catch (error) {
 		res.status(500).json({ error: error.message });
 	}
@@ -583,10 +608,14 @@ export const getTransactionsByGroup = async (req, res) => {
 /** OK
  * Return all transactions made by members of a specific group filtered by a specific category
   - Request Body Content: None
-  - Response `data` Content: An array of objects, each one having attributes `username`, `type`, `amount`, `date` and `color`, filtered so that `type` is the same for all objects.
+  - Response `data` Content: An array of objects, each one having attributes `username`, `type`, `amount`, `currency`, `direction`, `date`, `description`, `notes`, `tags` and `color`, filtered so that `type` is the same for all objects.
   - Optional behavior:
     - error 401 is returned if the group or the category does not exist
     - empty array must be returned if there are no transactions made by the group with the specified category
+    - only the transactions having all the tags listed in the `tags` query parameter (e.g. `?tags=work,travel`) are returned, if it is present; error 400 is returned if it lists no tag
+    - the transactions are paginated and sorted according to the `limit`, `cursor` and `sort` query parameters; error 400 is returned if they are not valid
+    - with the `convertTo` query parameter, a currency code or `base` for the base currency of the caller, every transaction also has
+      attributes `convertedAmount` and `convertedCurrency`; error 400 is returned if it is not valid or if an exchange rate is missing
  */
 export const getTransactionsByGroupByCategory = async (req, res) => {
 	try {
@@ -599,15 +628,22 @@ export const getTransactionsByGroupByCategory = async (req, res) => {
 			return res.status(400).json({ error: 'Group not found.' });
 		}
 		const memberEmails = group.members.map((member) => member.email);
+		let requester;
 		if (req.url.indexOf('transactions/groups') >= 0) {
-			let { authorized, cause } = verifyAuth(req, res, { authType: 'Admin' });
+			let { authorized, cause, user } = await verifyAuth(req, res, {
+				authType: 'Admin',
+				scope: 'transactions:read',
+			});
 			if (!authorized) return res.status(401).json({ error: cause });
+			requester = user;
 		} else {
-			const { authorized, cause } = verifyAuth(req, res, {
+			const { authorized, cause, user } = await verifyAuth(req, res, {
 				authType: 'Group',
+				scope: 'transactions:read',
 				emails: memberEmails,
 			});
 			if (!authorized) return res.status(401).json({ error: cause });
+			requester = user;
 		}
 		const type = req.params.category;
 		if (type === undefined) {
@@ -624,45 +660,246 @@ export const getTransactionsByGroupByCategory = async (req, res) => {
 
 		const usernames = users.map((user) => user.username);
 
-		transactions
-			.aggregate([
-				{
-					$lookup: {
-						from: 'categories',
-						localField: 'type',
-						foreignField: 'type',
-						as: 'joinedData',
-					},
-				},
-				{
-					$unwind: '$joinedData',
-				},
-				{
-					$match: {
-						'joinedData.type': type,
-					},
-				},
-			])
-			.then((result) => {
-				let data = result
-					.filter((item) => usernames.includes(item.username))
-					.map((v) =>
-						Object.assign(
-							{},
-							{
-								username: v.username,
-								amount: v.amount,
-								type: v.type,
-								date: v.date,
-								color: v.joinedData.color,
-							}
-						)
-					);
-				res.status(200).json({
-					data: data,
-					refreshedTokenMessage: res.locals.refreshedTokenMessage,
-				});
+		await listTransactions(
+			req,
+			res,
+			{
+				type: type,
+				username: { $in: usernames },
+			},
+			requester
+		);
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Return the total spent by the members of a specific group, in the currency of the group. The amounts in other
+ * currencies are converted with the exchange rates of the day they were spent.
+  - Request Parameters: A string equal to the `name` of the requested group
+  - Request Query: Optionally the same date and tag filters as `getTransactionsByUser`
+  - Response `data` Content: An object having attributes `currency`, the currency of the group, `income`, `expenses`, `net`
+    (income minus expenses) and `members`, an array of objects having attributes `username`, `income`, `expenses` and `net`, one
+    for every member having transactions. Totals are decimal strings; transfers are neither income nor expenses
+  - Optional behavior:
+    - error 400 is returned if the group does not exist, if a filter is not valid or if an exchange rate is missing
+    - the group route is reserved to the members of the group, the admin route (`/transactions/groups/:name/total`) to admins
+ */
+export const getGroupTotal = async (req, res) => {
+	try {
+		const group = await Group.findOne({ name: req.params.name });
+		if (!group) {
+			return res.status(400).json({ error: 'Group not found.' });
+		}
+		const memberEmails = group.members.map((member) => member.email);
+
+		const { authorized, cause } = await verifyAuth(req, res, {
+			authType: req.url.indexOf('transactions/groups') >= 0 ? 'Admin' : 'Group',
+			scope: 'transactions:read',
+			emails: memberEmails,
+		});
+		if (!authorized) return res.status(401).json({ error: cause });
+
+		let match;
+		try {
+			match = { ...handleDateFilterParams(req), ...handleTagFilterParams(req) };
+		} catch (error) {
+			return res.status(400).json({ error: error.message });
+		}
+		const users = await User.find({ email: { $in: memberEmails } });
+		match.username = { $in: users.map((user) => user.username) };
+		match.direction = { $ne: 'transfer' };
+
+		const sums = await transactions.aggregate([
+			{ $match: match },
+			dailySumStage({ username: '$username', direction: { $ifNull: ['$direction', DEFAULT_DIRECTION] } }),
+		]);
+
+		const currency = group.currency || DEFAULT_CURRENCY;
+		let amounts;
+		try {
+			amounts = await toMinorUnits(sums, currency);
+		} catch (error) {
+			return res.status(400).json({ error: error.message });
+		}
+		//Totals are summed in minor units of the group currency (cents), which are integers
+		const scale = 10 ** currencyDigits(currency);
+		const totals = {};
+		for (const { username, direction, units } of amounts) {
+			const member = (totals[username] = totals[username] || { income: 0, expenses: 0 });
+			if (direction === 'income') member.income += units;
+			else member.expenses += units;
+		}
+		const summary = ({ income, expenses }) => ({
+			income: formatAmount(income / scale, currency),
+			expenses: formatAmount(expenses / scale, currency),
+			net: formatAmount((income - expenses) / scale, currency),
+		});
+		const members = Object.keys(totals)
+			.sort()
+			.map((username) => ({ username: username, ...summary(totals[username]) }));
+		const overall = Object.values(totals).reduce(
+			(sum, member) => ({ income: sum.income + member.income, expenses: sum.expenses + member.expenses }),
+			{ income: 0, expenses: 0 }
+		);
+
+		res.status(200).json({
+			data: { currency: currency, ...summary(overall), members: members },
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Handle the `limit` and `cursor` query parameters of a search. Results are always sorted from the most relevant to the least relevant,
+ * so `sort` is not accepted and the cursor holds the relevance score of the last result of the page.
+ * @throws an error if a pagination parameter is not valid
+ */
+const searchPagination = (req) => {
+	const pagination = handlePaginationParams(req);
+	if (pagination.after && typeof pagination.after.value !== 'number') {
+		throw new Error('Invalid `cursor` parameter');
+	}
+	return { ...pagination, field: 'score', order: -1 };
+};
+
+/**
+ * Build the aggregation pipeline of a full-text search over the transactions matching `match`, ranked by relevance.
+ * The `q` query parameter is the text to search; the date, amount and tag filters of the query are applied as well.
+ * Only the page of results selected by `pagination` is joined with the categories.
+ * @throws an error if a filter in the query parameters is not valid
+ */
+const searchPipeline = (req, match, pagination) => [
+	{
+		$match: {
+			$text: { $search: req.query.q },
+			...match,
+			...handleDateFilterParams(req),
+			...handleAmountFilterParams(req),
+			...handleTagFilterParams(req),
+		},
+	},
+	{ $addFields: { score: { $meta: 'textScore' } } },
+	...paginationStages(pagination),
+	{
+		$lookup: {
+			from: 'categories',
+			localField: 'type',
+			foreignField: 'type',
+			as: 'joinedData',
+		},
+	},
+	{ $unwind: '$joinedData' },
+];
+
+/**
+ * Run a full-text search and respond with a page of its results, or with a 400 error if the query parameters are not valid
+ */
+const respondWithSearch = async (req, res, match, requester) => {
+	const q = req.query && req.query.q;
+	if (typeof q !== 'string' || q.trim() === '') {
+		return res.status(400).json({ error: 'Missing search query' });
+	}
+	let pagination, pipeline, convertTo;
+	try {
+		pagination = searchPagination(req);
+		pipeline = searchPipeline(req, match, pagination);
+		convertTo = await handleConvertToParams(req, requester);
+	} catch (error) {
+		return res.status(400).json({ error: error.message });
+	}
+	const result = await transactions.aggregate(pipeline);
+	const { page, nextCursor } = pageResult(result, pagination);
+	const { data, error } = await convertAmounts(
+		page.map((v) => ({ ...transactionData(v, v.joinedData.color), score: v.score })),
+		convertTo
+	);
+	if (error) {
+		return res.status(400).json({ error: error });
+	}
+	res.status(200).json({
+		data: data,
+		nextCursor: nextCursor,
+		refreshedTokenMessage: res.locals.refreshedTokenMessage,
+	});
+};
+
+/**
+ * Search the transactions of a specific user by text, in their descriptions, tags and notes
+  - Request Parameters: A string equal to the `username` of the involved user
+  - Request Query: `q`, the text to search, and optionally the same date, amount and tag filters as `getTransactionsByUser`
+  - Response `data` Content: An array of objects, each one having attributes `username`, `type`, `amount`, `currency`, `direction`, `date`, `description`,
+    `notes`, `tags`, `color` and `score`, sorted from the most relevant to the least relevant
+  - Optional behavior:
+    - the results are paginated according to the `limit` and `cursor` query parameters; error 400 is returned if they are not valid or if `sort` is present
+    - error 400 is returned if the user does not exist, if `q` is missing or empty, or if a filter is not valid
+    - amounts are converted like in `getTransactionsByUser` with the `convertTo` query parameter
+    - the user route is reserved to the user, the admin route (`/transactions/users/:username/search`) to admins
+ */
+export const searchTransactionsByUser = async (req, res) => {
+	try {
+		const username = req.params.username;
+		const userLook = await User.findOne({ username: username });
+		if (!userLook) {
+			return res.status(400).json({ error: 'User does not exist' });
+		}
+
+		const isAdminRoute = req.url.indexOf('/transactions/users/') >= 0;
+		const { authorized, cause, user } = await verifyAuth(req, res, {
+			authType: isAdminRoute ? 'Admin' : 'User',
+			scope: 'transactions:read',
+		});
+		if (!authorized) return res.status(401).json({ error: cause });
+
+		await respondWithSearch(req, res, { username: username }, user);
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Search the transactions of the members of a specific group by text, in their descriptions, tags and notes
+  - Request Parameters: A string equal to the `name` of the requested group
+  - Request Query: `q`, the text to search, and optionally the same date, amount and tag filters as `getTransactionsByUser`
+  - Response `data` Content: An array of objects, each one having attributes `username`, `type`, `amount`, `currency`, `direction`, `date`, `description`,
+    `notes`, `tags`, `color` and `score`, sorted from the most relevant to the least relevant
+  - Optional behavior:
+    - the results are paginated according to the `limit` and `cursor` query parameters; error 400 is returned if they are not valid or if `sort` is present
+    - error 400 is returned if the group does not exist, if `q` is missing or empty, or if a filter is not valid
+    - amounts are converted like in `getTransactionsByUser` with the `convertTo` query parameter
+    - the group route is reserved to the members of the group, the admin route (`/transactions/groups/:name/search`) to admins
+ */
+export const searchTransactionsByGroup = async (req, res) => {
+	try {
+		const group = await Group.findOne({ name: req.params.name });
+		if (!group) {
+			return res.status(400).json({ error: 'Group not found.' });
+		}
+		const memberEmails = group.members.map((member) => member.email);
+
+		let requester;
+		if (req.url.indexOf('transactions/groups') >= 0) {
+			const { authorized, cause, user } = await verifyAuth(req, res, {
+				authType: 'Admin',
+				scope: 'transactions:read',
+			});
+			if (!authorized) return res.status(401).json({ error: cause });
+			requester = user;
+		} else {
+			const { authorized, cause, user } = await verifyAuth(req, res, {
+				authType: 'Group',
+				scope: 'transactions:read',
+				emails: memberEmails,
 			});
+			if (!authorized) return res.status(401).json({ error: cause });
+			requester = user;
+		}
+
+		const users = await User.find({ email: { $in: memberEmails } });
+		await respondWithSearch(req, res, { username: { $in: users.map((user) => user.username) } }, requester);
 	} catch (error) {
 		res.status(500).json({ error: error.message });
 	}
@@ -677,8 +914,9 @@ export const getTransactionsByGroupByCategory = async (req, res) => {
  */
 export const deleteTransaction = async (req, res) => {
 	try {
-		const { authorized, cause } = verifyMultipleAuth(req, res, {
+		const { authorized, cause } = await verifyMultipleAuth(req, res, {
 			authType: ['User', 'Admin'],
+			scope: 'transactions:write',
 		});
 		if (!authorized) return res.status(401).json({ error: cause });
 
@@ -722,7 +960,10 @@ export const deleteTransaction = async (req, res) => {
  */
 export const deleteTransactions = async (req, res) => {
 	try {
-		let { authorized, cause } = verifyAuth(req, res, { authType: 'Admin' });
+		let { authorized, cause } = await verifyAuth(req, res, {
+			authType: 'Admin',
+			scope: 'transactions:write',
+		});
 		if (!authorized) return res.status(401).json({ error: cause });
 
 		const idList = req.body._ids;
@@ -754,3 +995,137 @@ export const deleteTransactions = async (req, res) => {
 		res.status(400).json({ error: 'Transactions not found' });
 	}
 };
+
+/**
+ * Edit the `amount`, `currency`, `direction`, `type`, `date`, `description`, `notes` or `tags` of a transaction
+  - Request Parameters: The `_id` of the transaction to be edited and, if called by a Regular user, the `username` of its owner
+  - Request Body Content: An object having at least one of the attributes `amount`, `currency`, `direction`, `type`, `date`, `description`,
+    `notes` and `tags` equal to the new values to assign to the transaction. A transaction moved to another category takes the direction
+    of the category, unless `direction` is present
+  - Response `data` Content: An object having attributes `_id`, `username`, `type`, `amount`, `currency`, `direction`, `date`, `description`, `notes`,
+    `tags` and `color`
+  - Optional behavior:
+    - error 400 is returned if the user, the transaction or the new category does not exist
+    - error 400 is returned if the transaction does not belong to the user in the route
+    - error 400 is returned if the new `amount`, `currency`, `direction`, `date`, `description`, `notes` or `tags` are not valid
+    - error 400 is returned if the amount has more decimals than the currency allows, including when only the currency changes
+ */
+export const updateTransaction = async (req, res) => {
+	try {
+		const isAdminRoute = req.url.indexOf('/transactions/') === 0;
+		if (isAdminRoute) {
+			const { authorized, cause } = await verifyAuth(req, res, {
+				authType: 'Admin',
+				scope: 'transactions:write',
+			});
+			if (!authorized) return res.status(401).json({ error: cause });
+		} else {
+			const { authorized, cause } = await verifyMultipleAuth(req, res, {
+				authType: ['User', 'Admin'],
+				scope: 'transactions:write',
+			});
+			if (!authorized) return res.status(401).json({ error: cause });
+		}
+
+		const { id } = req.params;
+		const { amount, currency, direction, type, date, description, notes, tags } = req.body;
+
+		if (
+			!id ||
+			[amount, currency, direction, type, date, description, notes, tags].every((value) => value === undefined)
+		) {
+			return res.status(400).json({ error: 'Missing parameters' });
+		}
+		const { details, error } = transactionDetails(req.body);
+		if (error) {
+			return res.status(400).json({ error: error });
+		}
+
+		const update = { ...details };
+		if (date !== undefined) {
+			const parsedDate = new Date(date);
+			if (date === '' || isNaN(parsedDate.getTime())) {
+				return res.status(400).json({ error: 'Invalid date' });
+			}
+			update.date = parsedDate;
+		}
+		if (type !== undefined) {
+			const typeLook = await categories.findOne({ type: type });
+			if (!typeLook) {
+				return res.status(400).json({ error: 'Category does not exist' });
+			}
+			update.type = type;
+			//A transaction moved to another category takes its direction, unless the request sets one
+			if (!update.direction) update.direction = typeLook.direction || DEFAULT_DIRECTION;
+		}
+
+		let userLook = null;
+		if (!isAdminRoute) {
+			userLook = await User.findOne({ username: req.params.username });
+			if (!userLook) {
+				return res.status(400).json({ error: 'User does not exist' });
+			}
+		}
+
+		const idLook = await transactions.findOne({ _id: id });
+		if (!idLook) {
+			return res.status(400).json({ error: 'Transaction not found.' });
+		}
+
+		if (userLook && userLook.username !== idLook.username) {
+			return res.status(400).json({ error: 'Transaction does not belong to you.' });
+		}
+
+		//The amount must have the precision of the currency, which may change with the same request
+		if (amount !== undefined || update.currency) {
+			update.amount = parseAmount(
+				amount !== undefined ? amount : String(idLook.amount),
+				update.currency || idLook.currency || DEFAULT_CURRENCY
+			);
+			if (!update.amount) {
+				return res.status(400).json({ error: 'Invalid amount' });
+			}
+		}
+
+		const data = await transactions.findOneAndUpdate(
+			{ _id: id },
+			{ $set: update },
+			{ new: true }
+		);
+		const category = await categories.findOne({ type: data.type });
+
+		return res.status(200).json({
+			data: {
+				_id: data._id,
+				...transactionData(data, category ? category.color : undefined),
+			},
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(400).json({ error: 'Transaction not found' });
+	}
+};
+
+/**
+ * Convert the amounts stored as floating-point numbers, before amounts were stored as decimals, to decimals rounded
+ * to the precision of their currency. Transactions already converted are not selected, so the migration can run at every start of the server.
+ * @returns the number of converted transactions
+ */
+export const migrateAmounts = async () => {
+	const legacy = await transactions.find({ amount: { $type: ['double', 'int', 'long'] } });
+	if (legacy.length === 0) return 0;
+
+	await transactions.bulkWrite(
+		legacy.map((t) => ({
+			updateOne: {
+				filter: { _id: t._id },
+				update: {
+					$set: {
+						amount: mongoose.Types.Decimal128.fromString(formatAmount(t.amount, t.currency || DEFAULT_CURRENCY)),
+					},
+				},
+			},
+		}))
+	);
+	return legacy.length;
+};
@@ -0,0 +1,305 @@
+import mongoose from 'mongoose';
+import { exchangeRates } from '../models/model.js';
+import { User } from '../models/User.js';
+import { verifyAuth } from './utils.js';
+
+/**
+ * Currency of the amounts stored before currencies existed, and of the users and groups that did not choose one.
+ * It is also the reference of the rate table: every rate is the number of units of a currency worth one euro.
+ */
+export const DEFAULT_CURRENCY = 'EUR';
+
+/**
+ * Normalize an ISO-4217 currency code
+ * @returns the uppercase code, or null if the value is not made of three letters
+ */
+export const parseCurrency = (value) => {
+	if (typeof value !== 'string') return null;
+	const code = value.trim().toUpperCase();
+	return /^[A-Z]{3}$/.test(code) ? code : null;
+};
+
+//Digits after the decimal point of the currencies whose minor unit is not the hundredth (ISO 4217)
+const MINOR_UNIT_DIGITS = {
+	BHD: 3, BIF: 0, CLP: 0, DJF: 0, GNF: 0, IQD: 3, ISK: 0, JOD: 3, JPY: 0, KMF: 0, KRW: 0, KWD: 3,
+	LYD: 3, OMR: 3, PYG: 0, RWF: 0, TND: 3, UGX: 0, UYI: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+};
+
+/**
+ * Return the number of digits after the decimal point of the amounts of a currency: 2 for most currencies, 0 for the yen
+ */
+export const currencyDigits = (currency) =>
+	MINOR_UNIT_DIGITS[currency] !== undefined ? MINOR_UNIT_DIGITS[currency] : 2;
+
+/**
+ * Read an amount sent as a decimal string (`"12.50"`) or as a number. The amount is read from its decimal representation,
+ * so it is stored exactly as it was sent.
+ * @param currency the currency of the amount, which sets how many decimals it can have
+ * @returns a Decimal128 with the precision of the currency, or null if the value is not a positive decimal number
+ *  or if it has more decimals than the currency allows
+ */
+export const parseAmount = (value, currency = DEFAULT_CURRENCY) => {
+	if (typeof value !== 'string' && typeof value !== 'number') return null;
+	const match = String(value).trim().match(/^\+?(\d*)(?:\.(\d*))?$/);
+	if (!match) return null;
+	const [, integer, fraction = ''] = match;
+	const decimals = fraction.replace(/0+$/, '');
+	const digits = currencyDigits(currency);
+	if (integer + fraction === '' || decimals.length > digits || !/[1-9]/.test(integer + decimals)) return null;
+
+	const units = integer.replace(/^0+(?=\d)/, '') || '0';
+	return mongoose.Types.Decimal128.fromString(`${units}${digits ? `.${decimals.padEnd(digits, '0')}` : ''}`);
+};
+
+/**
+ * Format an amount of a currency as a decimal string with the precision of the currency, e.g. `"12.50"` for euros.
+ * @param amount a Decimal128, a number (amounts stored before they were decimals, or converted ones) or a decimal string
+ */
+export const formatAmount = (amount, currency = DEFAULT_CURRENCY) => {
+	const digits = currencyDigits(currency);
+	const match = String(amount).match(/^(-?\d+)(?:\.(\d+))?$/);
+	if (match && (match[2] || '').length <= digits) {
+		return digits ? `${match[1]}.${(match[2] || '').padEnd(digits, '0')}` : match[1];
+	}
+	return Number(String(amount)).toFixed(digits);
+};
+
+//Rates without a date apply from the day they are loaded
+const today = () => new Date(new Date().toISOString().slice(0, 10));
+
+const parseRate = ({ currency, rate, date }) => {
+	const code = parseCurrency(currency);
+	const value = Number(rate);
+	const day = date === undefined || date === '' ? today() : new Date(date);
+	if (!code || code === DEFAULT_CURRENCY || !(value > 0) || isNaN(day.getTime())) return null;
+	return { currency: code, rate: value, date: day };
+};
+
+/**
+ * Read the rates of a CSV file, whose first line names the columns `currency` and `rate`, and optionally `date`
+ * (`YYYY-MM-DD`). Rates are the units of the currency worth one euro.
+ * @returns an array of objects having attributes `currency`, `rate` and `date`
+ * @throws an error if a column is missing or a line is not valid
+ */
+export const parseRatesCsv = (text) => {
+	const lines = text.split(/\r?\n/).map((line) => line.trim());
+	const header = lines[0].split(',').map((column) => column.trim().replace(/"/g, '').toLowerCase());
+	if (!header.includes('currency') || !header.includes('rate'))
+		throw new Error('Missing `currency` or `rate` column');
+
+	const rates = [];
+	lines.slice(1).forEach((line, index) => {
+		if (line === '') return;
+		const values = line.split(',').map((value) => value.trim().replace(/"/g, ''));
+		const row = Object.fromEntries(header.map((column, i) => [column, values[i]]));
+		const rate = parseRate(row);
+		if (!rate) throw new Error(`Invalid rate on line ${index + 2}`);
+		rates.push(rate);
+	});
+	return rates;
+};
+
+/**
+ * Read the rates of an XML file in the format of the ECB reference rates
+ * (`<Cube time="2023-05-19"><Cube currency="USD" rate="1.0804"/>...</Cube>`), for one day or for their history
+ * @returns an array of objects having attributes `currency`, `rate` and `date`
+ * @throws an error if a rate is not valid
+ */
+export const parseRatesXml = (text) => {
+	const attribute = (tag, name) => {
+		const match = tag.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`));
+		return match ? match[1] : undefined;
+	};
+
+	const rates = [];
+	for (const [, date, content] of text.matchAll(/<Cube\s+time\s*=\s*["']([^"']+)["']\s*>([\s\S]*?)<\/Cube>/g)) {
+		for (const [tag] of content.matchAll(/<Cube\s[^>]*>/g)) {
+			const rate = parseRate({ currency: attribute(tag, 'currency'), rate: attribute(tag, 'rate'), date });
+			if (!rate) throw new Error(`Invalid rate for ${attribute(tag, 'currency')} on ${date}`);
+			rates.push(rate);
+		}
+	}
+	return rates;
+};
+
+/**
+ * Load the stored rates of some currencies
+ * @param currencies the currencies that will be converted, duplicates and the euro are ignored
+ * @returns a function `(amount, from, to, date)` converting an amount between two of the currencies with the rates
+ *  of the date: the most recent rate on or before it, or the oldest one for dates before the first stored rate.
+ *  The function throws an error if there is no rate for one of the currencies
+ */
+export const currencyConverter = async (currencies) => {
+	const needed = [...new Set(currencies)].filter((currency) => currency !== DEFAULT_CURRENCY);
+	const stored = needed.length
+		? await exchangeRates.find({ currency: { $in: needed } }, null, { sort: { date: 1 } })
+		: [];
+	const history = {};
+	for (const { currency, rate, date } of stored) {
+		(history[currency] = history[currency] || []).push({ rate, date: new Date(date) });
+	}
+
+	const rateOf = (currency, date) => {
+		if (currency === DEFAULT_CURRENCY) return 1;
+		const rates = history[currency];
+		if (!rates) throw new Error(`Missing exchange rate for ${currency}`);
+		const time = new Date(date || Date.now()).getTime();
+		let found = rates[0];
+		for (const rate of rates) {
+			if (rate.date.getTime() > time) break;
+			found = rate;
+		}
+		return found.rate;
+	};
+
+	return (amount, from, to, date) => (from === to ? amount : (amount / rateOf(from, date)) * rateOf(to, date));
+};
+
+/**
+ * Return an aggregation stage that sums the amounts of transactions by currency and day, since a day has a single exchange rate.
+ * Its result is converted with `toMinorUnits`.
+ * @param keys the other keys the amounts are grouped by, e.g. `{ username: '$username' }`
+ */
+export const dailySumStage = (keys = {}) => ({
+	$group: {
+		_id: {
+			...keys,
+			currency: { $ifNull: ['$currency', DEFAULT_CURRENCY] },
+			day: { $dateToString: { format: '%Y-%m-%d', date: '$date' } },
+		},
+		amount: { $sum: '$amount' },
+	},
+});
+
+/**
+ * Aggregation stage that sums the amounts of transactions by currency and day only
+ */
+export const DAILY_SUM_STAGE = dailySumStage();
+
+/**
+ * Convert the amounts summed by `dailySumStage` to minor units of a currency (cents for the euro), with the rates of their day.
+ * Minor units are integers, so they can be added without rounding errors.
+ * @returns an array of objects having the keys of the sums, `day` being a Date, and `units`
+ * @throws an error if an exchange rate is missing
+ */
+export const toMinorUnits = async (sums, currency) => {
+	const convert = await currencyConverter([currency, ...sums.map((s) => s._id.currency)]);
+	const scale = 10 ** currencyDigits(currency);
+	return sums.map(({ _id, amount }) => {
+		const day = new Date(_id.day);
+		return { ..._id, day, units: Math.round(convert(Number(String(amount)), _id.currency, currency, day) * scale) };
+	});
+};
+
+/**
+ * Read the `convertTo` query parameter of the endpoints that return transactions
+ * @param requester the authenticated user of the request; `convertTo=base` stands for their base currency
+ * @returns the currency the amounts must be converted to, or null if the parameter is not present
+ * @throws an error if the parameter is neither `base` nor a currency code
+ */
+export const handleConvertToParams = async (req, requester) => {
+	const { convertTo } = req.query || {};
+	if (convertTo === undefined) return null;
+	if (convertTo === 'base') {
+		const user = requester ? await User.findOne({ username: requester.username }) : null;
+		return (user && user.baseCurrency) || DEFAULT_CURRENCY;
+	}
+	const currency = parseCurrency(convertTo);
+	if (!currency) throw new Error('Invalid `convertTo` parameter');
+	return currency;
+};
+
+/**
+ * Add the converted amount to transactions shaped for a response
+ * @param data the transactions, each one having attributes `amount` (a decimal string), `currency` and `date`
+ * @param convertTo the currency to convert to, or null to leave the transactions as they are
+ * @returns an object with the transactions, which have attributes `convertedAmount`, a decimal string with the precision
+ *  of `convertTo`, and `convertedCurrency`,
+ *  or an `error` message if a rate is missing
+ */
+export const convertAmounts = async (data, convertTo) => {
+	if (!convertTo) return { data };
+	const convert = await currencyConverter([convertTo, ...data.map((t) => t.currency)]);
+	try {
+		return {
+			data: data.map((t) => ({
+				...t,
+				convertedAmount: formatAmount(convert(Number(t.amount), t.currency, convertTo, t.date), convertTo),
+				convertedCurrency: convertTo,
+			})),
+		};
+	} catch (error) {
+		return { error: error.message };
+	}
+};
+
+/**
+ * Load exchange rates from a CSV file or from an XML file in the format of the ECB reference rates.
+ * Rates already stored for the same currency and date are replaced.
+  - Auth type: Admin
+  - Request Body Content: The file, sent with `Content-Type: text/csv` or `application/xml`. See `parseRatesCsv` and `parseRatesXml`
+  - Response `data` Content: An object having attributes `loaded`, the number of rates, and `currencies`, the currencies they are for
+  - Optional behavior:
+    - error 400 is returned if the content type is not supported, if the file does not contain any rate or if a rate is not valid
+ */
+export const loadExchangeRates = async (req, res) => {
+	try {
+		const { authorized, cause } = await verifyAuth(req, res, { authType: 'Admin' });
+		if (!authorized) return res.status(401).json({ error: cause });
+
+		const parse = req.is('text/csv') ? parseRatesCsv : req.is(['application/xml', 'text/xml']) ? parseRatesXml : null;
+		if (!parse || typeof req.body !== 'string')
+			return res.status(400).json({ error: 'Send the rates as text/csv or application/xml' });
+
+		let rates;
+		try {
+			rates = parse(req.body);
+		} catch (error) {
+			return res.status(400).json({ error: error.message });
+		}
+		if (rates.length === 0) return res.status(400).json({ error: 'No rates in the file' });
+
+		await exchangeRates.bulkWrite(
+			rates.map(({ currency, rate, date }) => ({
+				updateOne: { filter: { currency, date }, update: { $set: { rate } }, upsert: true },
+			}))
+		);
+
+		res.status(200).json({
+			data: { loaded: rates.length, currencies: [...new Set(rates.map((r) => r.currency))].sort() },
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Return the most recent rate of every currency
+  - Auth type: Simple
+  - Request Body Content: None
+  - Response `data` Content: An object having attributes `base`, the currency the rates refer to, and `rates`, an array of
+    objects having attributes `currency`, `rate` and `date`
+ */
+export const getExchangeRates = async (req, res) => {
+	try {
+		const { authorized, cause } = await verifyAuth(req, res, { authType: 'Simple' });
+		if (!authorized) return res.status(401).json({ error: cause });
+
+		const latest = await exchangeRates.aggregate([
+			{ $sort: { date: -1 } },
+			{ $group: { _id: '$currency', rate: { $first: '$rate' }, date: { $first: '$date' } } },
+			{ $sort: { _id: 1 } },
+		]);
+
+		res.status(200).json({
+			data: {
+				base: DEFAULT_CURRENCY,
+				rates: latest.map((r) => ({ currency: r._id, rate: r.rate, date: r.date })),
+			},
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
@@ -0,0 +1,398 @@
+import mongoose from 'mongoose';
+import { categories, goals, transactions } from '../models/model.js';
+import {
+	currencyDigits,
+	DAILY_SUM_STAGE,
+	DEFAULT_CURRENCY,
+	formatAmount,
+	parseAmount,
+	parseCurrency,
+	toMinorUnits,
+} from './currency.js';
+import { routeOwner } from './owners.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+/**
+ * Count the months left before a date, a started month counting as a whole one. There is always at least one month left.
+ */
+const monthsUntil = (from, to) => {
+	const months =
+		(to.getUTCFullYear() - from.getUTCFullYear()) * 12 +
+		to.getUTCMonth() -
+		from.getUTCMonth() +
+		(to.getUTCDate() > from.getUTCDate() ? 1 : 0);
+	return Math.max(1, months);
+};
+
+/**
+ * Check the attributes of a goal in a request body
+ * @returns an object with the present attributes in `details`, or an `error` message
+ */
+const goalDetails = ({ name, deadline, type }, now) => {
+	const details = {};
+	if (name !== undefined) {
+		if (typeof name !== 'string' || !name.trim()) return { error: 'Invalid name' };
+		details.name = name.trim();
+	}
+	if (deadline !== undefined) {
+		details.deadline = new Date(deadline);
+		if (!deadline || isNaN(details.deadline.getTime())) return { error: 'Invalid deadline' };
+		if (startOfDay(details.deadline) < startOfDay(now)) return { error: 'Deadline is in the past' };
+	}
+	if (type !== undefined) details.type = type || null;
+	return { details };
+};
+
+/**
+ * Shape a goal for a response
+ */
+const goalData = (g) => {
+	const currency = g.currency || DEFAULT_CURRENCY;
+	return {
+		_id: g._id,
+		username: g.username || null,
+		group: g.group || null,
+		name: g.name,
+		amount: formatAmount(g.amount, currency),
+		currency: currency,
+		deadline: g.deadline,
+		type: g.type || null,
+		contributions: (g.contributions || []).map((c) => ({
+			_id: c._id,
+			username: c.username,
+			amount: formatAmount(c.amount, currency),
+			date: c.date,
+			note: c.note || '',
+		})),
+		createdAt: g.createdAt,
+	};
+};
+
+/**
+ * Compute the progress of a goal: the amount saved is the sum of its contributions and, if it is linked to a category, of the
+ * expenses and transfers of that category made by the owners since the creation of the goal, converted with the exchange
+ * rates of their day.
+ * The completion date is projected from the average saving rate since the first amount was saved (or since the creation of the goal).
+ * @param usernames the users whose transactions count
+ * @returns an object having attributes `saved`, `remaining`, `requiredMonthly` (decimal strings in the currency of the goal),
+ *  `percent`, `projectedCompletion` (the day the target was reached for a completed goal, `null` while nothing has been saved)
+ *  and `status`: `completed`, `overdue` once the deadline has passed, `on-track` if the projected completion is not after
+ *  the deadline, `behind` otherwise
+ * @throws an error if an exchange rate is missing
+ */
+export const goalProgress = async (goal, usernames, now) => {
+	const currency = goal.currency || DEFAULT_CURRENCY;
+	const scale = 10 ** currencyDigits(currency);
+	const createdAt = new Date(goal.createdAt);
+
+	const entries = (goal.contributions || []).map((c) => ({
+		day: new Date(c.date),
+		units: Math.round(Number(String(c.amount)) * scale),
+	}));
+	if (goal.type) {
+		const sums = await transactions.aggregate([
+			{
+				$match: {
+					type: goal.type,
+					username: { $in: usernames },
+					direction: { $ne: 'income' },
+					date: { $gte: startOfDay(createdAt) },
+				},
+			},
+			DAILY_SUM_STAGE,
+		]);
+		entries.push(...(await toMinorUnits(sums, currency)));
+	}
+	entries.sort((a, b) => a.day - b.day);
+
+	const target = Math.round(Number(String(goal.amount)) * scale);
+	let saved = 0;
+	let completedAt = null;
+	for (const { day, units } of entries) {
+		saved += units;
+		if (!completedAt && saved >= target) completedAt = day;
+	}
+	const remaining = Math.max(0, target - saved);
+	//The deadline is the last day to save
+	const due = new Date(startOfDay(new Date(goal.deadline)).getTime() + DAY);
+
+	let projectedCompletion = completedAt;
+	if (!completedAt && saved > 0) {
+		const since = entries.length && entries[0].day < createdAt ? entries[0].day : createdAt;
+		const elapsed = Math.max(DAY, now.getTime() - since.getTime());
+		projectedCompletion = startOfDay(new Date(now.getTime() + Math.ceil((remaining * elapsed) / saved)));
+	}
+
+	return {
+		saved: formatAmount(saved / scale, currency),
+		remaining: formatAmount(remaining / scale, currency),
+		percent: Math.round((saved * 100) / target),
+		requiredMonthly: formatAmount(Math.ceil(remaining / monthsUntil(now, due)) / scale, currency),
+		projectedCompletion: projectedCompletion,
+		status: completedAt
+			? 'completed'
+			: now >= due
+				? 'overdue'
+				: projectedCompletion && projectedCompletion < due
+					? 'on-track'
+					: 'behind',
+	};
+};
+
+/**
+ * Create a savings goal, owned by a user (`/users/:username/goals`) or shared by a group (`/groups/:name/goals`)
+  - Auth type: User or Admin for the goals of a user, Group or Admin for the goals of a group
+  - Request Body Content: An object having attributes `name`, `amount` (the target) and `deadline` (the last day to save),
+    and optional `currency` (the base currency of the user or the currency of the group if it is not present) and `type`
+    (a category whose transactions count as contributions)
+  - Response `data` Content: An object having attributes `_id`, `username`, `group`, `name`, `amount`, `currency`, `deadline`,
+    `type`, `contributions` and `createdAt`
+  - Optional behavior:
+    - error 400 is returned if the user, the group or the category does not exist
+    - error 400 is returned if an attribute is not valid or if the deadline is in the past
+ */
+export const createGoal = async (req, res) => {
+	try {
+		const { filter, currency: ownerCurrency, status, error } = await routeOwner(req, res, 'transactions:write');
+		if (error) return res.status(status).json({ error: error });
+
+		const { name, amount, deadline, currency } = req.body;
+		if (name === undefined || amount === undefined || deadline === undefined)
+			return res.status(400).json({ error: 'Missing parameters' });
+		if (currency !== undefined && !parseCurrency(currency)) return res.status(400).json({ error: 'Invalid currency' });
+
+		const { details, error: detailsError } = goalDetails(req.body, new Date());
+		if (detailsError) return res.status(400).json({ error: detailsError });
+
+		const goalCurrency = currency !== undefined ? parseCurrency(currency) : ownerCurrency;
+		const parsedAmount = parseAmount(amount, goalCurrency);
+		if (!parsedAmount) return res.status(400).json({ error: 'Invalid amount' });
+
+		if (details.type) {
+			const typeLook = await categories.findOne({ type: details.type });
+			if (!typeLook) return res.status(400).json({ error: 'Category does not exist' });
+		}
+
+		const created = await goals.create({
+			...filter,
+			...details,
+			amount: parsedAmount,
+			currency: goalCurrency,
+		});
+
+		res.status(200).json({
+			data: goalData(created),
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Return the savings goals of a user or of a group, with their progress
+  - Auth type: User or Admin for the goals of a user, Group or Admin for the goals of a group
+  - Response `data` Content: An array of objects shaped like the response of `createGoal`, each one also having the attributes
+    returned by `goalProgress`: `saved`, `remaining`, `percent`, `requiredMonthly`, `projectedCompletion` and `status`
+  - The transactions of the linked category count for all the members of a group
+  - Optional behavior:
+    - error 400 is returned if the user or the group does not exist, or if an exchange rate is missing
+ */
+export const getGoals = async (req, res) => {
+	try {
+		const { filter, usernames, status, error } = await routeOwner(req, res, 'transactions:read');
+		if (error) return res.status(status).json({ error: error });
+
+		const now = new Date();
+		const owned = await goals.find(filter);
+		const data = [];
+		try {
+			for (const goal of owned) {
+				data.push({ ...goalData(goal), ...(await goalProgress(goal, usernames, now)) });
+			}
+		} catch (error) {
+			return res.status(400).json({ error: error.message });
+		}
+
+		res.status(200).json({
+			data: data,
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Edit a savings goal of a user or of a group
+  - Auth type: User or Admin for the goals of a user, Group or Admin for the goals of a group
+  - Request Parameters: The `username` of the user or the `name` of the group, and the `id` of the goal
+  - Request Body Content: An object having at least one of the attributes `name`, `amount`, `currency`, `deadline` and `type`
+    (`null` unlinks the category), equal to the new values to assign
+  - Response `data` Content: An object shaped like the response of `createGoal`
+  - Optional behavior:
+    - error 400 is returned if the owner, the goal or the new category does not exist, or if a new attribute is not valid
+    - error 400 is returned if the currency changes while the goal has contributions, since they are stored in its currency
+ */
+export const updateGoal = async (req, res) => {
+	try {
+		const { filter, status, error } = await routeOwner(req, res, 'transactions:write');
+		if (error) return res.status(status).json({ error: error });
+
+		const { amount, currency } = req.body;
+		if (['name', 'amount', 'currency', 'deadline', 'type'].every((a) => req.body[a] === undefined))
+			return res.status(400).json({ error: 'Missing parameters' });
+		if (currency !== undefined && !parseCurrency(currency)) return res.status(400).json({ error: 'Invalid currency' });
+
+		const { details, error: detailsError } = goalDetails(req.body, new Date());
+		if (detailsError) return res.status(400).json({ error: detailsError });
+
+		const { id } = req.params;
+		if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: 'Goal not found' });
+		const stored = await goals.findOne({ _id: id, ...filter });
+		if (!stored) return res.status(400).json({ error: 'Goal not found' });
+
+		const update = { ...details };
+		if (details.type) {
+			const typeLook = await categories.findOne({ type: details.type });
+			if (!typeLook) return res.status(400).json({ error: 'Category does not exist' });
+		}
+		if (amount !== undefined || currency !== undefined) {
+			update.currency = currency !== undefined ? parseCurrency(currency) : stored.currency || DEFAULT_CURRENCY;
+			if (update.currency !== (stored.currency || DEFAULT_CURRENCY) && stored.contributions.length)
+				return res.status(400).json({ error: 'Cannot change the currency of a goal with contributions' });
+			update.amount = parseAmount(amount !== undefined ? amount : String(stored.amount), update.currency);
+			if (!update.amount) return res.status(400).json({ error: 'Invalid amount' });
+		}
+
+		const data = await goals.findOneAndUpdate({ _id: stored._id }, { $set: update }, { new: true });
+		res.status(200).json({
+			data: goalData(data),
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Delete a savings goal of a user or of a group, with its contributions
+  - Auth type: User or Admin for the goals of a user, Group or Admin for the goals of a group
+  - Request Parameters: The `username` of the user or the `name` of the group, and the `id` of the goal
+  - Response `data` Content: A message confirming the deletion
+  - Optional behavior:
+    - error 400 is returned if the owner or the goal does not exist
+ */
+export const deleteGoal = async (req, res) => {
+	try {
+		const { filter, status, error } = await routeOwner(req, res, 'transactions:write');
+		if (error) return res.status(status).json({ error: error });
+
+		const { id } = req.params;
+		if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: 'Goal not found' });
+		const deleted = await goals.findOneAndDelete({ _id: id, ...filter });
+		if (!deleted) return res.status(400).json({ error: 'Goal not found' });
+
+		res.status(200).json({
+			data: { message: 'Goal deleted' },
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Log a contribution to a savings goal. The contribution of a group goal is made by the authenticated member.
+  - Auth type: User or Admin for the goals of a user, Group or Admin for the goals of a group
+  - Request Parameters: The `username` of the user or the `name` of the group, and the `id` of the goal
+  - Request Body Content: An object having attribute `amount`, in the currency of the goal, and optional `date` (now if it
+    is not present) and `note`
+  - Response `data` Content: The goal, shaped like the response of `createGoal`
+  - Optional behavior:
+    - error 400 is returned if the owner or the goal does not exist, or if an attribute is not valid
+    - error 400 is returned if `date` is in the future
+ */
+export const addContribution = async (req, res) => {
+	try {
+		const { filter, user, status, error } = await routeOwner(req, res, 'transactions:write');
+		if (error) return res.status(status).json({ error: error });
+
+		const { amount, date, note } = req.body;
+		if (amount === undefined) return res.status(400).json({ error: 'Missing parameters' });
+		const day = date === undefined ? new Date() : new Date(date);
+		if (date === '' || isNaN(day.getTime())) return res.status(400).json({ error: 'Invalid date' });
+		if (day > new Date()) return res.status(400).json({ error: 'Date is in the future' });
+		if (note !== undefined && typeof note !== 'string') return res.status(400).json({ error: 'Invalid note' });
+
+		const { id } = req.params;
+		if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: 'Goal not found' });
+		const goal = await goals.findOne({ _id: id, ...filter });
+		if (!goal) return res.status(400).json({ error: 'Goal not found' });
+
+		const parsedAmount = parseAmount(amount, goal.currency || DEFAULT_CURRENCY);
+		if (!parsedAmount) return res.status(400).json({ error: 'Invalid amount' });
+
+		const data = await goals.findOneAndUpdate(
+			{ _id: goal._id },
+			{
+				$push: {
+					contributions: {
+						username: filter.username || user.username,
+						amount: parsedAmount,
+						date: day,
+						note: note || '',
+					},
+				},
+			},
+			{ new: true }
+		);
+		res.status(200).json({
+			data: goalData(data),
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Remove a contribution from a savings goal. The members of a group can only remove their own contributions.
+  - Auth type: User or Admin for the goals of a user, Group or Admin for the goals of a group
+  - Request Parameters: The `username` of the user or the `name` of the group, the `id` of the goal and the `contributionId`
+  - Response `data` Content: The goal, shaped like the response of `createGoal`
+  - Optional behavior:
+    - error 400 is returned if the owner, the goal or the contribution does not exist
+    - error 401 is returned if a member who is not an admin removes the contribution of another member
+ */
+export const deleteContribution = async (req, res) => {
+	try {
+		const { filter, user, status, error } = await routeOwner(req, res, 'transactions:write');
+		if (error) return res.status(status).json({ error: error });
+
+		const { id, contributionId } = req.params;
+		if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: 'Goal not found' });
+		const goal = await goals.findOne({ _id: id, ...filter });
+		if (!goal) return res.status(400).json({ error: 'Goal not found' });
+
+		const contribution = goal.contributions.find((c) => String(c._id) === contributionId);
+		if (!contribution) return res.status(400).json({ error: 'Contribution not found' });
+		if (filter.group && contribution.username !== user.username && user.role !== 'Admin')
+			return res.status(401).json({ error: 'Contribution made by another member' });
+
+		const data = await goals.findOneAndUpdate(
+			{ _id: goal._id },
+			{ $pull: { contributions: { _id: contribution._id } } },
+			{ new: true }
+		);
+		res.status(200).json({
+			data: goalData(data),
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
@@ -0,0 +1,98 @@
+import { AuditLog, Session, User } from '../models/User.js';
+import { verifyAuth, createTokens, hashToken } from './utils.js';
+
+export const IMPERSONATION_DURATION = 60 * 60 * 1000; //1 hour
+
+const auditLogData = (entry) => ({
+	actor: entry.actor,
+	user: entry.user,
+	action: entry.action,
+	ip: entry.ip,
+	createdAt: entry.createdAt,
+});
+
+/**
+ * Start a session in which the calling admin acts as a user, to see what the user sees without knowing their password.
+ * The tokens belong to the user and carry an `impersonatedBy` claim with the username of the admin; every request made
+ * with them is added to the audit trail. The session cannot be extended by refreshing its tokens and is listed among
+ * the sessions of the user, who can revoke it.
+ * The tokens are only returned in the response body, so that the cookies of the admin are left untouched.
+  - Auth type: Admin
+  - Request Parameters: A string equal to the `username` of the user to impersonate
+  - Request Body Content: None
+  - Response `data` Content: An object having attributes `accessToken`, `refreshToken`, `username`, `impersonatedBy` and
+    `expiresAt`, the time the session ends
+  - Optional behavior:
+    - error 400 is returned if the user does not exist or is an admin
+ */
+export const impersonateUser = async (req, res) => {
+	try {
+		const { authorized, cause, user: admin } = await verifyAuth(req, res, { authType: 'Admin' });
+		if (!authorized) return res.status(401).json({ error: cause });
+
+		const user = await User.findOne({ username: req.params.username });
+		if (!user) return res.status(400).json({ error: 'User not found' });
+		if (user.role === 'Admin') return res.status(400).json({ error: 'Cannot impersonate an admin' });
+
+		const expiresAt = new Date(Date.now() + IMPERSONATION_DURATION);
+		const session = new Session({
+			user: user._id,
+			label: `Impersonation by ${admin.username}`,
+			ip: req.ip || null,
+			userAgent: (req.headers && req.headers['user-agent']) || null,
+			impersonatedBy: admin.username,
+			lastUsedAt: new Date(),
+			expiresAt: expiresAt,
+		});
+		const { accessToken, refreshToken } = createTokens(user, session.id, admin.username);
+		session.refreshTokenHash = hashToken(refreshToken);
+		await session.save();
+
+		await AuditLog.create({
+			actor: admin.username,
+			user: user.username,
+			action: 'impersonation started',
+			ip: req.ip || null,
+		});
+
+		res.status(200).json({
+			data: {
+				accessToken: accessToken,
+				refreshToken: refreshToken,
+				username: user.username,
+				impersonatedBy: admin.username,
+				expiresAt: expiresAt,
+			},
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Return the audit trail of impersonations, most recent entries first
+  - Auth type: Admin
+  - Request Query: Optional `actor` and `user` usernames that restrict the entries to the ones of an admin or of an impersonated user
+  - Response `data` Content: An array of objects, each one having attributes `actor` (the admin), `user` (the impersonated user),
+    `action` (`impersonation started`, or the method and the path of a request), `ip` and `createdAt`
+ */
+export const getAuditLog = async (req, res) => {
+	try {
+		const { authorized, cause } = await verifyAuth(req, res, { authType: 'Admin' });
+		if (!authorized) return res.status(401).json({ error: cause });
+
+		const { actor, user } = req.query || {};
+		const filter = {};
+		if (typeof actor === 'string' && actor !== '') filter.actor = actor;
+		if (typeof user === 'string' && user !== '') filter.user = user;
+
+		const entries = await AuditLog.find(filter).sort({ createdAt: -1 });
+		res.status(200).json({
+			data: entries.map(auditLogData),
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
@@ -0,0 +1,550 @@
+import { createHash } from 'crypto';
+import mongoose from 'mongoose';
+import { categories, transactions } from '../models/model.js';
+import { DEFAULT_DIRECTION } from './controller.js';
+import { formatAmount, parseAmount, parseCurrency } from './currency.js';
+import { routeOwner } from './owners.js';
+
+/**
+ * Separators accepted between the columns of a CSV file
+ */
+export const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Content types of the statements exported by banks: OFX (QFX is the OFX of Quicken) and QIF
+ */
+export const OFX_TYPES = ['application/x-ofx', 'application/ofx', 'application/vnd.intu.qfx', 'application/x-qfx'];
+export const QIF_TYPES = ['application/qif', 'application/x-qif'];
+
+/**
+ * Sections of a QIF file that list the transactions of an account
+ */
+const QIF_ACCOUNT_TYPES = ['bank', 'cash', 'ccard', 'oth a', 'oth l'];
+
+const DATE_TOKENS = {
+	YYYY: '(\\d{4})',
+	YY: '(\\d{2})',
+	MM: '(\\d{2})',
+	M: '(\\d{1,2})',
+	DD: '(\\d{2})',
+	D: '(\\d{1,2})',
+};
+
+/**
+ * Compile a date format made of the tokens `YYYY` or `YY`, `MM` or `M`, `DD` or `D` and separators, like `DD/MM/YYYY`
+ * @returns an object having attributes `regex` and `tokens`, in the order they appear, or `null` if the format does not
+ *  contain exactly one year, one month and one day
+ */
+const datePattern = (format) => {
+	if (typeof format !== 'string') return null;
+	const tokens = [];
+	let source = '';
+	for (const [token] of format.matchAll(/YYYY|YY|MM?|DD?|[\s\S]/g)) {
+		if (DATE_TOKENS[token]) {
+			tokens.push(token);
+			source += DATE_TOKENS[token];
+		} else if (/[YMD]/.test(token)) {
+			return null;
+		} else {
+			source += token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+		}
+	}
+	if (tokens.map((token) => token[0]).sort().join('') !== 'DMY') return null;
+	return { regex: new RegExp(`^${source}$`), tokens };
+};
+
+/**
+ * Read a day written in a date format (see `datePattern`). Two-digit years are in the 2000s.
+ * @returns the day at midnight UTC, or `null` if the value does not follow the format or is not a calendar day
+ */
+export const parseDate = (value, format) => {
+	const pattern = datePattern(format);
+	const match = pattern && String(value).trim().match(pattern.regex);
+	if (!match) return null;
+
+	const parts = {};
+	pattern.tokens.forEach((token, i) => {
+		parts[token[0]] = Number(match[i + 1]) + (token === 'YY' ? 2000 : 0);
+	});
+	const day = new Date(Date.UTC(parts.Y, parts.M - 1, parts.D));
+	return day.getUTCMonth() === parts.M - 1 && day.getUTCDate() === parts.D ? day : null;
+};
+
+//Integer part, optionally in groups of three digits, and decimals of an amount, by decimal separator
+const POINT_DECIMAL = /^(\d{1,3}(?:[,\s']\d{3})+|\d+)(?:\.(\d+))?$/;
+const COMMA_DECIMAL = /^(\d{1,3}(?:[.\s']\d{3})+|\d+)(?:,(\d+))?$/;
+
+/**
+ * Read an amount written with a decimal separator (`.` or `,`); the other one, spaces and apostrophes are read as
+ * thousands separators, and must be followed by exactly three digits
+ * @returns an object having attributes `amount`, a decimal string without sign, and `negative`, or `null` if the value is not a number
+ */
+export const parseDecimal = (value, separator) => {
+	let text = String(value).trim();
+	const negative = text.startsWith('-');
+	if (/^[+-]/.test(text)) text = text.slice(1).trim();
+	const match = text.match(separator === ',' ? COMMA_DECIMAL : POINT_DECIMAL);
+	if (!match) return null;
+	const integer = match[1].replace(/\D/g, '');
+	return { amount: match[2] === undefined ? integer : `${integer}.${match[2]}`, negative };
+};
+
+/**
+ * Split a CSV file into records. Fields can be quoted to contain the delimiter, line breaks or quotes (written `""`).
+ * Empty lines are skipped.
+ * @returns an array of objects having attributes `line`, the line where the record starts, and `values`
+ * @throws an error if a quoted field is not closed
+ */
+export const parseCsv = (text, delimiter = ',') => {
+	const records = [];
+	let values = [];
+	let field = '';
+	let quoted = false;
+	let line = 1;
+	let start = 1;
+	const endRecord = () => {
+		values.push(field);
+		if (values.length > 1 || values[0].trim() !== '') records.push({ line: start, values });
+		values = [];
+		field = '';
+		start = line;
+	};
+
+	const content = text.replace(/^\uFEFF/, '');
+	for (let i = 0; i < content.length; i++) {
+		const char = content[i];
+		if (quoted) {
+			if (char === '"' && content[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				if (char === '\n') line++;
+				field += char;
+			}
+		} else if (char === '"' && field.trim() === '') {
+			quoted = true;
+			field = '';
+		} else if (char === delimiter) {
+			values.push(field);
+			field = '';
+		} else if (char === '\n' || char === '\r') {
+			if (char === '\r' && content[i + 1] === '\n') i++;
+			line++;
+			endRecord();
+		} else {
+			field += char;
+		}
+	}
+	if (quoted) throw new Error(`Unterminated quoted field on line ${start}`);
+	if (field !== '' || values.length) endRecord();
+	return records;
+};
+
+/**
+ * Return a function that gives the line of a position of a text, for positions read in increasing order
+ */
+const lineCounter = (text) => {
+	let index = 0;
+	let line = 1;
+	return (position) => {
+		for (; index < position; index++) if (text[index] === '\n') line++;
+		return line;
+	};
+};
+
+/**
+ * Give the rows of a statement that have no identifier from the bank one built from their day, amount and description,
+ * with their rank among the identical rows of the file: the same statement imported again gets the same identifiers.
+ */
+const fingerprint = (rows, prefix) => {
+	const seen = {};
+	for (const row of rows) {
+		if (row.externalId) continue;
+		const day = row.date instanceof Date ? row.date.toISOString().slice(0, 10) : row.date;
+		const key = [day, row.amount.trim(), row.description].join('|');
+		seen[key] = (seen[key] || 0) + 1;
+		row.externalId = `${prefix}:${createHash('sha256').update(`${key}|${seen[key]}`).digest('hex').slice(0, 32)}`;
+	}
+	return rows;
+};
+
+/**
+ * Read the values of the elements of an OFX aggregate. Both OFX 1 (SGML, where elements are not closed) and OFX 2 (XML)
+ * are read; when an element appears more than once the first value is kept.
+ */
+const ofxFields = (content) => {
+	const entities = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': "'" };
+	const fields = {};
+	for (const [, tag, value] of content.matchAll(/<([A-Z0-9.]+)>([^<\r\n]*)/gi)) {
+		const text = value.trim().replace(/&(amp|lt|gt|quot|apos);/g, (entity) => entities[entity]);
+		if (text !== '' && fields[tag.toUpperCase()] === undefined) fields[tag.toUpperCase()] = text;
+	}
+	return fields;
+};
+
+/**
+ * Read the transactions of the bank and credit card statements of an OFX or QFX file. The payee (`NAME`) is the description,
+ * or the memo when there is no payee, in which case the memo goes to the notes. The identifier of a transaction (`FITID`) is
+ * unique within its account, so it is stored with the account (`ACCTID`). Debits are expenses, credits incomes and `XFER`
+ * transactions transfers.
+ * @returns an array of objects having attributes `line`, `date`, `amount`, `direction`, `category` (always empty),
+ *  `description`, `notes`, `currency` (the `CURDEF` of the statement) and `externalId`
+ * @throws an error if the file does not contain any statement
+ */
+export const parseOfx = (text) => {
+	const statements = [...text.matchAll(/<(?:CC)?STMTRS>([\s\S]*?)<\/(?:CC)?STMTRS>/gi)];
+	if (statements.length === 0) throw new Error('No statement in the file');
+
+	const lineOf = lineCounter(text);
+	const rows = [];
+	for (const statement of statements) {
+		const content = statement[1];
+		const start = statement.index + statement[0].indexOf('>') + 1;
+		const { CURDEF, ACCTID } = ofxFields(content.split(/<BANKTRANLIST>/i)[0]);
+
+		for (const transaction of content.matchAll(/<STMTTRN>([\s\S]*?)<\/STMTTRN>/gi)) {
+			const fields = ofxFields(transaction[1]);
+			const amount = (fields.TRNAMT || '').replace(',', '.');
+			rows.push({
+				line: lineOf(start + transaction.index),
+				date: parseDate((fields.DTPOSTED || '').slice(0, 8), 'YYYYMMDD'),
+				amount: amount,
+				direction:
+					(fields.TRNTYPE || '').toUpperCase() === 'XFER' ? 'transfer' : amount.startsWith('-') ? 'expense' : 'income',
+				category: '',
+				description: fields.NAME || fields.MEMO || '',
+				notes: fields.NAME ? fields.MEMO || '' : '',
+				currency: CURDEF,
+				externalId: fields.FITID && `ofx:${ACCTID || ''}:${fields.FITID}`,
+			});
+		}
+	}
+	return fingerprint(rows, 'ofx');
+};
+
+/**
+ * Read the transactions of the account sections (`!Type:Bank`, `Cash`, `CCard`, `Oth A` and `Oth L`) of a QIF file.
+ * Dates are read with `dateFormat`, or as US dates (`M/D/YYYY`, or `M/D'YY` and `M/D/YY` for two-digit years) if it is not present.
+ * Payees and memos are read like in `parseOfx`; a category (`L`) is read up to its first subcategory, and a category
+ * naming an account in brackets is a transfer. QIF transactions have no identifier, so one is built from their content.
+ * @returns an array of objects having attributes `line`, `date`, `amount`, `direction`, `category`, `description`, `notes`
+ *  and `externalId`
+ */
+export const parseQif = (text, dateFormat) => {
+	const readDate = (value) => {
+		if (dateFormat !== undefined) return parseDate(value, dateFormat);
+		const date = value.replace(/\s/g, '').replace("'", '/');
+		return parseDate(date, 'M/D/YYYY') || parseDate(date, 'M/D/YY');
+	};
+
+	const rows = [];
+	let section = null;
+	let fields = {};
+	let start = null;
+	const endRecord = () => {
+		if (start !== null && QIF_ACCOUNT_TYPES.includes(section)) {
+			const amount = fields.T !== undefined ? fields.T : fields.U || '';
+			const category = fields.L || '';
+			const transfer = /^\[.*\]$/.test(category);
+			rows.push({
+				line: start,
+				date: readDate(fields.D || ''),
+				amount: amount,
+				direction: transfer ? 'transfer' : amount.trim().startsWith('-') ? 'expense' : 'income',
+				category: transfer ? '' : category.split(':')[0].trim(),
+				description: fields.P || fields.M || '',
+				notes: fields.P ? fields.M || '' : '',
+			});
+		}
+		fields = {};
+		start = null;
+	};
+
+	text.split(/\r?\n/).forEach((raw, i) => {
+		const line = raw.trim();
+		if (line === '') return;
+		if (line.startsWith('!')) {
+			endRecord();
+			const match = line.match(/^!Type:(.*)$/i);
+			section = match ? match[1].trim().toLowerCase() : null;
+		} else if (line === '^') {
+			endRecord();
+		} else {
+			if (start === null) start = i + 1;
+			if (fields[line[0]] === undefined) fields[line[0]] = line.slice(1).trim();
+		}
+	});
+	endRecord();
+	return fingerprint(rows, 'qif');
+};
+
+/**
+ * Check the options of an import in the query of a request
+ * @returns an object with the `options`, or an `error` message
+ */
+const importOptions = (query) => {
+	const options = {
+		columns: {
+			date: query.dateColumn || 'date',
+			amount: query.amountColumn || 'amount',
+			category: query.categoryColumn || 'category',
+			description: query.descriptionColumn || 'description',
+		},
+		dateFormat: query.dateFormat === undefined ? 'YYYY-MM-DD' : query.dateFormat,
+		decimal: query.decimal === undefined ? '.' : query.decimal,
+		delimiter: query.delimiter === undefined ? ',' : query.delimiter,
+		dryRun: query.dryRun === 'true',
+	};
+	if (!datePattern(options.dateFormat)) return { error: 'Invalid date format' };
+	if (!['.', ','].includes(options.decimal)) return { error: 'Invalid decimal separator' };
+	if (!CSV_DELIMITERS.includes(options.delimiter)) return { error: 'Invalid delimiter' };
+	if (query.dryRun !== undefined && !['true', 'false'].includes(query.dryRun)) return { error: 'Invalid dryRun' };
+	if (query.currency !== undefined) {
+		options.currency = parseCurrency(query.currency);
+		if (!options.currency) return { error: 'Invalid currency' };
+	}
+	return { options };
+};
+
+/**
+ * Read the rows of a CSV file whose first line names its columns, with the column mapping of the import options.
+ * The description column is optional unless it has been mapped explicitly.
+ * @returns an array of objects having attributes `line`, `date`, `amount`, `category` and `description`, the values
+ *  still being strings
+ * @throws an error if a mapped column is missing
+ */
+const csvRows = (text, { columns, delimiter }, descriptionMapped) => {
+	const [header, ...records] = parseCsv(text, delimiter);
+	if (!header) return [];
+	const names = header.values.map((name) => name.trim().toLowerCase());
+	const index = {};
+	for (const [attribute, name] of Object.entries(columns)) {
+		index[attribute] = names.indexOf(name.trim().toLowerCase());
+		if (index[attribute] === -1 && (attribute !== 'description' || descriptionMapped))
+			throw new Error(`Missing \`${name}\` column`);
+	}
+
+	return records.map(({ line, values }) => ({
+		line,
+		date: (values[index.date] || '').trim(),
+		amount: values[index.amount] || '',
+		category: (values[index.category] || '').trim(),
+		description: index.description === -1 ? '' : (values[index.description] || '').trim(),
+	}));
+};
+
+/**
+ * Choose the category of the rows of a statement: the category of the row if it exists, otherwise the category of the
+ * latest transaction of the user with the same description (the payee), otherwise the default category. Rows left
+ * without category are reported as errors.
+ * @returns an object with an `error` message if the default category does not exist
+ */
+const statementCategories = async (rows, username, defaultCategory) => {
+	const types = [...new Set(rows.map((row) => row.category).filter(Boolean))];
+	if (defaultCategory) types.push(defaultCategory);
+	const known = new Set((await categories.find({ type: { $in: types } })).map((c) => c.type));
+	if (defaultCategory && !known.has(defaultCategory)) return { error: 'Default category does not exist' };
+
+	const unmapped = rows.filter((row) => !known.has(row.category));
+	const payees = [...new Set(unmapped.map((row) => row.description).filter(Boolean))];
+	const learned = new Map();
+	if (payees.length) {
+		const latest = await transactions.aggregate([
+			{ $match: { username: username, description: { $in: payees } } },
+			{ $sort: { date: -1 } },
+			{ $group: { _id: '$description', type: { $first: '$type' } } },
+		]);
+		for (const { _id, type } of latest) learned.set(_id, type);
+	}
+	for (const row of unmapped) row.category = learned.get(row.description) || defaultCategory || '';
+	return {};
+};
+
+/**
+ * Validate the rows of an import and turn the valid ones into transactions of a user. Rows whose amount is negative are
+ * stored with its absolute value, since the direction of a transaction says which way the money goes: it is the one of
+ * the row if present, the one of its category otherwise.
+ * @param rows objects having attributes `line`, `date` (a Date or a string in `dateFormat`), `amount` (a string with
+ *  the `decimal` separator), `category`, `description` and optionally `direction`, `notes`, `currency` (the one of the
+ *  import if it is not present) and `externalId`
+ * @returns an object having attributes `valid`, an array of objects having attributes `line` and `transaction`, and `errors`,
+ *  an array of objects having attributes `line` and `error`, one for every problem of a row
+ */
+const validateRows = async (rows, username, currency, { dateFormat, decimal }) => {
+	const types = [...new Set(rows.map((row) => row.category).filter(Boolean))];
+	const known = new Map((await categories.find({ type: { $in: types } })).map((c) => [c.type, c]));
+
+	const valid = [];
+	const errors = [];
+	for (const row of rows) {
+		const rowErrors = [];
+		const date = row.date instanceof Date ? row.date : parseDate(row.date, dateFormat);
+		if (!date) rowErrors.push('Invalid date');
+		const rowCurrency = row.currency === undefined ? currency : parseCurrency(row.currency);
+		if (!rowCurrency) rowErrors.push('Invalid currency');
+		const decimalAmount = parseDecimal(row.amount, decimal);
+		const amount = rowCurrency && decimalAmount && parseAmount(decimalAmount.amount, rowCurrency);
+		if (rowCurrency && !amount) rowErrors.push('Invalid amount');
+		const category = known.get(row.category);
+		if (!row.category) rowErrors.push('Missing category');
+		else if (!category) rowErrors.push(`Unknown category "${row.category}"`);
+
+		if (rowErrors.length) {
+			errors.push(...rowErrors.map((error) => ({ line: row.line, error })));
+			continue;
+		}
+		valid.push({
+			line: row.line,
+			transaction: {
+				_id: new mongoose.Types.ObjectId(),
+				username,
+				type: category.type,
+				direction: row.direction || category.direction || DEFAULT_DIRECTION,
+				amount,
+				currency: rowCurrency,
+				date,
+				description: row.description,
+				...(row.notes && { notes: row.notes }),
+				...(row.externalId && { externalId: row.externalId }),
+			},
+		});
+	}
+	return { valid, errors };
+};
+
+/**
+ * Set aside the valid rows whose transaction has already been imported, or appears earlier in the file
+ * @returns an object having attributes `fresh`, the rows to import, and `duplicates`, the number of rows set aside
+ */
+const withoutDuplicates = async (valid, username) => {
+	const ids = valid.map(({ transaction }) => transaction.externalId).filter(Boolean);
+	if (ids.length === 0) return { fresh: valid, duplicates: 0 };
+
+	const seen = new Set((await transactions.find({ username: username, externalId: { $in: ids } })).map((t) => t.externalId));
+	const fresh = valid.filter(({ transaction: { externalId } }) => {
+		if (!externalId) return true;
+		if (seen.has(externalId)) return false;
+		seen.add(externalId);
+		return true;
+	});
+	return { fresh, duplicates: valid.length - fresh.length };
+};
+
+//Error code of a standalone MongoDB server asked to start a transaction
+const ILLEGAL_OPERATION = 20;
+
+/**
+ * Insert the transactions of an import atomically, in a MongoDB transaction.
+ * A standalone server (such as the one of docker-compose.yml) has no transactions: there the insert is not atomic.
+ * The transactions already inserted are removed if an insert fails, but other requests can read them in the meantime,
+ * and they are left in the database if the server stops before removing them.
+ * Every row has been validated beforehand, so a failure only comes from the database.
+ */
+const insertAll = async (docs) => {
+	const session = await mongoose.startSession();
+	try {
+		await session.withTransaction(() => transactions.insertMany(docs, { ordered: true, session }));
+	} catch (error) {
+		if (error.code !== ILLEGAL_OPERATION) throw error;
+		try {
+			await transactions.insertMany(docs, { ordered: true });
+		} catch (error) {
+			await transactions.deleteMany({ _id: { $in: docs.map((doc) => doc._id) } });
+			throw error;
+		}
+	} finally {
+		await session.endSession();
+	}
+};
+
+/**
+ * Import the transactions of a user from a CSV file whose first line names its columns, or from a bank statement in the
+ * OFX, QFX or QIF format (see `parseOfx` and `parseQif`)
+  - Auth type: User or Admin
+  - Request Parameters: The `username` of the user
+  - Request Query: Optionally `dateColumn`, `amountColumn`, `categoryColumn` and `descriptionColumn`, the names of the columns
+    of a CSV file (`date`, `amount`, `category` and `description` if they are not present; the description column can be left
+    out of the file), `dateFormat` (`YYYY-MM-DD` for CSV files if it is not present), `decimal` (`.` or `,`), `delimiter`
+    (`,`, `;`, a tab or `|`), `currency` (the base currency of the user if it is not present and the statement does not
+    define one), `defaultCategory` (the category of the statement rows whose payee is not mapped to one) and `dryRun` (`true` or `false`)
+  - Request Body Content: The file, sent with `Content-Type: text/csv`, `application/x-ofx` (or another of `OFX_TYPES`) or
+    `application/qif` (or another of `QIF_TYPES`)
+  - Response `data` Content: With `dryRun=true`, an object having attributes `dryRun`, `rows`, the number of rows of the file,
+    `valid`, the number of valid rows, `duplicates`, the number of valid rows already imported, `errors`, an array of objects
+    having attributes `line` and `error`, and `transactions`, the transactions that the other valid rows would create;
+    otherwise an object having attributes `imported`, the number of transactions created, and `duplicates`
+  - Optional behavior:
+    - error 400 is returned if the user or the default category does not exist, if the content type is not supported,
+      if an option is not valid, if a column is missing or if the file does not contain any row
+    - error 400 is returned with the `errors` of the rows if a row is not valid and `dryRun` is not `true`: nothing is imported
+ */
+export const importTransactions = async (req, res) => {
+	try {
+		const { filter, currency: baseCurrency, status, error } = await routeOwner(req, res, 'transactions:write');
+		if (error) return res.status(status).json({ error: error });
+
+		const format = req.is('text/csv') ? 'csv' : req.is(OFX_TYPES) ? 'ofx' : req.is(QIF_TYPES) ? 'qif' : null;
+		if (!format || typeof req.body !== 'string')
+			return res.status(400).json({ error: 'Send the transactions as text/csv, application/x-ofx or application/qif' });
+		const query = req.query || {};
+		const { options, error: optionsError } = importOptions(query);
+		if (optionsError) return res.status(400).json({ error: optionsError });
+
+		let rows;
+		try {
+			if (format === 'csv') rows = csvRows(req.body, options, query.descriptionColumn !== undefined);
+			else if (format === 'ofx') rows = parseOfx(req.body);
+			else rows = parseQif(req.body, query.dateFormat);
+		} catch (error) {
+			return res.status(400).json({ error: error.message });
+		}
+		if (rows.length === 0) return res.status(400).json({ error: 'No transactions in the file' });
+
+		if (format !== 'csv') {
+			const { error: categoryError } = await statementCategories(rows, filter.username, query.defaultCategory);
+			if (categoryError) return res.status(400).json({ error: categoryError });
+		}
+
+		const currency = options.currency || baseCurrency;
+		//OFX amounts have already been read with a decimal point
+		const { valid, errors } = await validateRows(rows, filter.username, currency, {
+			...options,
+			decimal: format === 'ofx' ? '.' : options.decimal,
+		});
+		const { fresh, duplicates } = await withoutDuplicates(valid, filter.username);
+
+		if (options.dryRun) {
+			return res.status(200).json({
+				data: {
+					dryRun: true,
+					rows: rows.length,
+					valid: valid.length,
+					duplicates: duplicates,
+					errors: errors,
+					transactions: fresh.map(({ line, transaction: t }) => ({
+						line: line,
+						type: t.type,
+						amount: formatAmount(t.amount, t.currency),
+						currency: t.currency,
+						direction: t.direction,
+						date: t.date,
+						description: t.description,
+						externalId: t.externalId || null,
+					})),
+				},
+				refreshedTokenMessage: res.locals.refreshedTokenMessage,
+			});
+		}
+		if (errors.length) return res.status(400).json({ error: 'Invalid rows: nothing was imported', errors: errors });
+
+		await insertAll(fresh.map((row) => row.transaction));
+		res.status(200).json({
+			data: { imported: fresh.length, duplicates: duplicates },
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
@@ -0,0 +1,50 @@
+import { Group, User } from '../models/User.js';
+import { verifyMultipleAuth } from './utils.js';
+import { DEFAULT_CURRENCY } from './currency.js';
+
+/**
+ * Authenticate a request on the resources owned by the user (`/users/:username/...`) or by the group (`/groups/:name/...`)
+ * in the route, such as budgets and savings goals. The resources of a user are reserved to the user (authType = User),
+ * the ones of a group to its members (authType = Group); admins (authType = Admin) can reach both.
+ * @param scope the scope an API key needs to call the route
+ * @returns an object having attributes `filter`, which selects the resources of the owner, `usernames`, the users whose
+ *  transactions count for the owner, `currency`, the base currency of the user or the currency of the group, and `user`,
+ *  the authenticated user; or the `status` and the `error` message of the response
+ */
+export const routeOwner = async (req, res, scope) => {
+	if (req.params.name !== undefined) {
+		const group = await Group.findOne({ name: req.params.name });
+		if (!group) return { status: 400, error: 'Group not found.' };
+		const memberEmails = group.members.map((member) => member.email);
+
+		const { authorized, cause, user } = await verifyMultipleAuth(req, res, {
+			authType: ['Group', 'Admin'],
+			scope: scope,
+			emails: memberEmails,
+		});
+		if (!authorized) return { status: 401, error: cause };
+
+		const users = await User.find({ email: { $in: memberEmails } });
+		return {
+			filter: { group: group.name },
+			usernames: users.map((member) => member.username),
+			currency: group.currency || DEFAULT_CURRENCY,
+			user: user,
+		};
+	}
+
+	const { authorized, cause, user } = await verifyMultipleAuth(req, res, {
+		authType: ['User', 'Admin'],
+		scope: scope,
+	});
+	if (!authorized) return { status: 401, error: cause };
+
+	const owner = await User.findOne({ username: req.params.username });
+	if (!owner) return { status: 400, error: 'User does not exist' };
+	return {
+		filter: { username: owner.username },
+		usernames: [owner.username],
+		currency: owner.baseCurrency || DEFAULT_CURRENCY,
+		user: user,
+	};
+};
@@ -0,0 +1,128 @@
+import mongoose from 'mongoose';
+
+/**
+ * Number of documents returned by a list endpoint when the request does not set `limit`
+ */
+export const DEFAULT_PAGE_SIZE = 50;
+
+/**
+ * Largest `limit` a request can ask for
+ */
+export const MAX_PAGE_SIZE = 100;
+
+/**
+ * Fields transactions can be sorted by, with the `sort` query parameter
+ */
+export const TRANSACTION_SORT_FIELDS = ['date', 'amount'];
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+	try {
+		return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+	} catch (error) {
+		return null;
+	}
+};
+
+//Amounts are decimals, serialized as `{"$numberDecimal": "12.50"}`; amounts stored before they were decimals are numbers
+const decodeAmount = (value) => {
+	try {
+		return mongoose.Types.Decimal128.fromString(String(value && value.$numberDecimal !== undefined ? value.$numberDecimal : value));
+	} catch (error) {
+		throw new Error('Invalid `cursor` parameter');
+	}
+};
+
+/**
+ * Handle the pagination options in the query parameters of a list endpoint.
+ * @param req the request object that can contain the query parameters `limit`, `cursor` and `sort`
+ * @param sortFields the fields the documents can be sorted by. `sort` is a field, or a field preceded by `-` for the
+ *  descending order; without it documents are returned in the order they have been created
+ * @returns an object having attributes `limit`, `sort` (the `sort` parameter, or null), `field` and `order` (1 or -1) of the sort
+ *  and `after`, the position decoded from `cursor` (null for the first page)
+ * @throws an error if `limit` is not an integer between 1 and `MAX_PAGE_SIZE`, if `sort` is not one of the allowed values,
+ *  or if `cursor` was not returned by a request with the same `sort`
+ */
+export const handlePaginationParams = (req, sortFields = []) => {
+	const { limit, cursor, sort } = req.query || {};
+
+	let pageSize = DEFAULT_PAGE_SIZE;
+	if (limit !== undefined) {
+		pageSize = Number(limit);
+		if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+			throw new Error('Invalid `limit` parameter');
+		}
+	}
+
+	let field = '_id';
+	let order = 1;
+	if (sort !== undefined) {
+		const descending = typeof sort === 'string' && sort.startsWith('-');
+		field = descending ? sort.slice(1) : sort;
+		if (!sortFields.includes(field)) {
+			throw new Error('Invalid `sort` parameter');
+		}
+		order = descending ? -1 : 1;
+	}
+
+	let after = null;
+	if (cursor !== undefined) {
+		after = typeof cursor === 'string' ? decodeCursor(cursor) : null;
+		if (!after || after.sort !== (sort || null) || !mongoose.isValidObjectId(after.id)) {
+			throw new Error('Invalid `cursor` parameter');
+		}
+		after.id = new mongoose.Types.ObjectId(after.id);
+		if (field === 'date') after.value = new Date(after.value);
+		if (field === 'amount') after.value = decodeAmount(after.value);
+	}
+
+	return { limit: pageSize, sort: sort || null, field, order, after };
+};
+
+/**
+ * Return the MongoDB filter that selects the documents following the cursor of the pagination, or an empty object for the first page.
+ * Documents having the same value of the sorted field are ordered by `_id`.
+ */
+export const cursorFilter = ({ field, order, after }) => {
+	if (!after) return {};
+	const comparison = order === 1 ? '$gt' : '$lt';
+	if (field === '_id') return { _id: { [comparison]: after.id } };
+	return {
+		$or: [
+			{ [field]: { [comparison]: after.value } },
+			{ [field]: after.value, _id: { [comparison]: after.id } },
+		],
+	};
+};
+
+/**
+ * Return the MongoDB sort of the pagination
+ */
+export const sortSpec = ({ field, order }) => (field === '_id' ? { _id: order } : { [field]: order, _id: order });
+
+/**
+ * Return the aggregation stages that select a page of documents. One document more than the page is selected,
+ * so that `pageResult` knows whether there is a next page.
+ */
+export const paginationStages = (pagination) => [
+	{ $match: cursorFilter(pagination) },
+	{ $sort: sortSpec(pagination) },
+	{ $limit: pagination.limit + 1 },
+];
+
+/**
+ * Split the documents selected for a page from the extra document that tells whether there is a next page
+ * @param docs the documents selected with `paginationStages` (or `cursorFilter`, `sortSpec` and a limit of `limit + 1`)
+ * @returns an object having attributes `page`, the documents to return, and `nextCursor`, the `cursor` of the next page
+ *  or null if this is the last page
+ */
+export const pageResult = (docs, pagination) => {
+	if (docs.length <= pagination.limit) return { page: docs, nextCursor: null };
+
+	const page = docs.slice(0, pagination.limit);
+	const last = page[page.length - 1];
+	const cursor = { sort: pagination.sort, id: String(last._id) };
+	if (pagination.field !== '_id') cursor.value = last[pagination.field];
+	return { page, nextCursor: encodeCursor(cursor) };
+};
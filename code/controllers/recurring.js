@@ -0,0 +1,514 @@
+import mongoose from 'mongoose';
+import { categories, recurringTransactions, transactions } from '../models/model.js';
+import { User } from '../models/User.js';
+import { verifyMultipleAuth } from './utils.js';
+import { DEFAULT_CURRENCY, formatAmount, parseAmount } from './currency.js';
+import { DEFAULT_DIRECTION, transactionDetails } from './controller.js';
+
+/**
+ * Frequencies of a schedule: an occurrence every `interval` days, weeks, months or years
+ */
+export const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+//Occurrences are skipped by day, so that a skip does not depend on the time of the schedule
+const day = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Return the date of an occurrence of a schedule. Monthly and yearly occurrences fall on the day of the month of `start`,
+ * or on the last day of the months that are too short: a schedule starting on January 31 falls on February 28 (or 29).
+ * @param schedule an object having attributes `frequency`, `interval` and `start`
+ * @param index the position of the occurrence in the schedule, 0 for `start`
+ */
+export const occurrenceAt = ({ frequency, interval, start }, index) => {
+	const date = new Date(start);
+	const step = index * interval;
+	if (frequency === 'daily' || frequency === 'weekly') {
+		date.setUTCDate(date.getUTCDate() + step * (frequency === 'weekly' ? 7 : 1));
+		return date;
+	}
+	const dayOfMonth = date.getUTCDate();
+	date.setUTCDate(1);
+	date.setUTCMonth(date.getUTCMonth() + step * (frequency === 'yearly' ? 12 : 1));
+	const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+	date.setUTCDate(Math.min(dayOfMonth, lastDay));
+	return date;
+};
+
+/**
+ * Return the position of the first occurrence of a schedule after a date, 0 if the date is before `start`.
+ * The position is estimated from the time between the two dates, so that it does not depend on the length of the schedule.
+ */
+export const indexAfter = (schedule, date) => {
+	const start = new Date(schedule.start);
+	if (date < start) return 0;
+	const months = (date.getUTCFullYear() - start.getUTCFullYear()) * 12 + date.getUTCMonth() - start.getUTCMonth();
+	const periods = {
+		daily: Math.floor((date - start) / DAY),
+		weekly: Math.floor((date - start) / (7 * DAY)),
+		monthly: months,
+		yearly: Math.floor(months / 12),
+	}[schedule.frequency];
+	let index = Math.max(0, Math.floor(periods / schedule.interval) - 1);
+	while (occurrenceAt(schedule, index) <= date) index++;
+	return index;
+};
+
+//The schedule ends after `count` occurrences, or with the last occurrence on or before the day of `until`
+const inSchedule = (schedule, index) =>
+	(!schedule.count || index < schedule.count) &&
+	(!schedule.until || day(occurrenceAt(schedule, index)) <= day(schedule.until));
+
+/**
+ * Return the date of an occurrence of a schedule, or null if the schedule ends before it
+ */
+export const nextOccurrenceOf = (schedule, index) => (inSchedule(schedule, index) ? occurrenceAt(schedule, index) : null);
+
+/**
+ * Check the schedule of a recurring transaction in a request body
+ * @param current the schedule that the attributes present in the body change, the default schedule for a new recurring transaction
+ * @returns an object with the resulting `schedule` and `changed`, whether the body changes it, or an `error` message
+ */
+const scheduleDetails = ({ frequency, interval, start, until, count }, current) => {
+	const changes = {};
+	if (frequency !== undefined) {
+		if (!FREQUENCIES.includes(frequency)) return { error: 'Invalid frequency' };
+		changes.frequency = frequency;
+	}
+	if (interval !== undefined) {
+		changes.interval = Number(interval);
+		if (!Number.isInteger(changes.interval) || changes.interval < 1)
+			return { error: 'Invalid interval' };
+	}
+	if (start !== undefined) {
+		changes.start = new Date(start);
+		if (!start || isNaN(changes.start.getTime())) return { error: 'Invalid start' };
+	}
+	if (until !== undefined) {
+		changes.until = until === null ? null : new Date(until);
+		if (until === '' || (changes.until && isNaN(changes.until.getTime()))) return { error: 'Invalid until' };
+	}
+	if (count !== undefined) {
+		changes.count = count === null ? null : Number(count);
+		if (changes.count !== null && (!Number.isInteger(changes.count) || changes.count < 1))
+			return { error: 'Invalid count' };
+	}
+
+	const schedule = { ...current, ...changes };
+	if (!schedule.frequency) return { error: 'Missing parameters' };
+	if (schedule.until && schedule.count) return { error: 'Set either until or count' };
+	if (schedule.until && day(schedule.until) < day(schedule.start)) return { error: 'Invalid until' };
+	return { schedule, changed: Object.keys(changes).length > 0 };
+};
+
+/**
+ * Shape a recurring transaction for a response
+ */
+const recurringData = (r) => ({
+	_id: r._id,
+	username: r.username,
+	type: r.type,
+	amount: formatAmount(r.amount, r.currency || DEFAULT_CURRENCY),
+	currency: r.currency || DEFAULT_CURRENCY,
+	direction: r.direction || DEFAULT_DIRECTION,
+	description: r.description || '',
+	notes: r.notes || '',
+	tags: r.tags || [],
+	frequency: r.frequency,
+	interval: r.interval,
+	start: r.start,
+	until: r.until || null,
+	count: r.count || null,
+	skipped: r.skipped || [],
+	paused: !!r.paused,
+	nextOccurrence: r.paused ? null : r.nextOccurrence || null,
+});
+
+/**
+ * Find the recurring transaction identified by the `id` in the route, which must belong to the user in the route
+ * @returns an object with the recurring transaction, or an `error` message
+ */
+const findRecurring = async (req) => {
+	const { username, id } = req.params;
+	if (!mongoose.isValidObjectId(id)) return { error: 'Recurring transaction not found' };
+
+	const owner = await User.findOne({ username: username });
+	if (!owner) return { error: 'User does not exist' };
+
+	const recurring = await recurringTransactions.findOne({ _id: id, username: owner.username });
+	if (!recurring) return { error: 'Recurring transaction not found' };
+	return { recurring };
+};
+
+/**
+ * Create a recurring transaction, whose occurrences are created as transactions of the user when they are due
+  - Auth type: User or Admin
+  - Request Parameters: A string equal to the `username` of the user
+  - Request Body Content: An object having attributes `type`, `amount` and `frequency` (`daily`, `weekly`, `monthly` or `yearly`),
+    the optional attributes of a transaction (`currency`, `direction`, `description`, `notes` and `tags`), and optional `interval`
+    (a positive integer, 1 if it is not present), `start` (the date of the first occurrence, now if it is not present) and
+    either `until` (the last day of the schedule) or `count` (the number of occurrences); the schedule never ends without them
+  - Response `data` Content: An object having attributes `_id`, `username`, `type`, `amount`, `currency`, `direction`, `description`,
+    `notes`, `tags`, `frequency`, `interval`, `start`, `until`, `count`, `skipped`, `paused` and `nextOccurrence`
+  - Occurrences before the current date are created the next time the scheduler runs
+  - Optional behavior:
+    - error 400 is returned if the user or the category does not exist
+    - error 400 is returned if an attribute of the transaction or of the schedule is not valid, or if both `until` and `count` are present
+ */
+export const createRecurring = async (req, res) => {
+	try {
+		const { authorized, cause } = await verifyMultipleAuth(req, res, {
+			authType: ['User', 'Admin'],
+			scope: 'transactions:write',
+		});
+		if (!authorized) return res.status(401).json({ error: cause });
+
+		const { type, amount } = req.body;
+		if (!type || amount === undefined) return res.status(400).json({ error: 'Missing parameters' });
+
+		const { details, error } = transactionDetails(req.body);
+		if (error) return res.status(400).json({ error: error });
+		const { schedule, error: scheduleError } = scheduleDetails(req.body, {
+			interval: 1,
+			start: new Date(),
+			until: null,
+			count: null,
+		});
+		if (scheduleError) return res.status(400).json({ error: scheduleError });
+
+		const typeLook = await categories.findOne({ type: type });
+		if (!typeLook) return res.status(400).json({ error: 'Category does not exist' });
+		const owner = await User.findOne({ username: req.params.username });
+		if (!owner) return res.status(400).json({ error: 'User does not exist' });
+
+		const currency = details.currency || owner.baseCurrency || DEFAULT_CURRENCY;
+		const parsedAmount = parseAmount(amount, currency);
+		if (!parsedAmount) return res.status(400).json({ error: 'Invalid amount' });
+
+		const recurring = await recurringTransactions.create({
+			username: owner.username,
+			type,
+			direction: typeLook.direction || DEFAULT_DIRECTION,
+			...details,
+			amount: parsedAmount,
+			currency,
+			...schedule,
+			nextIndex: 0,
+			nextOccurrence: nextOccurrenceOf(schedule, 0),
+		});
+
+		res.status(200).json({
+			data: recurringData(recurring),
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Return the recurring transactions of a user
+  - Auth type: User or Admin
+  - Request Parameters: A string equal to the `username` of the user
+  - Response `data` Content: An array of objects shaped like the response of `createRecurring`
+  - Optional behavior:
+    - error 400 is returned if the user does not exist
+ */
+export const getRecurring = async (req, res) => {
+	try {
+		const { authorized, cause } = await verifyMultipleAuth(req, res, {
+			authType: ['User', 'Admin'],
+			scope: 'transactions:read',
+		});
+		if (!authorized) return res.status(401).json({ error: cause });
+
+		const owner = await User.findOne({ username: req.params.username });
+		if (!owner) return res.status(400).json({ error: 'User does not exist' });
+
+		const recurring = await recurringTransactions.find({ username: owner.username });
+		res.status(200).json({
+			data: recurring.map(recurringData),
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Edit a recurring transaction. The transactions it has already created do not change.
+  - Auth type: User or Admin
+  - Request Parameters: The `username` of the user and the `id` of the recurring transaction
+  - Request Body Content: An object having at least one of the attributes of `createRecurring`, equal to the new values to assign.
+    A recurring transaction moved to another category takes the direction of the category, unless `direction` is present
+  - Response `data` Content: An object shaped like the response of `createRecurring`
+  - A new schedule continues after the last occurrence of the old one, so that no occurrence is created twice
+  - Optional behavior:
+    - error 400 is returned if the user, the recurring transaction or the new category does not exist
+    - error 400 is returned if a new attribute is not valid, or if the amount has more decimals than the currency allows
+ */
+export const updateRecurring = async (req, res) => {
+	try {
+		const { authorized, cause } = await verifyMultipleAuth(req, res, {
+			authType: ['User', 'Admin'],
+			scope: 'transactions:write',
+		});
+		if (!authorized) return res.status(401).json({ error: cause });
+
+		const { amount, type } = req.body;
+		const attributes = ['amount', 'currency', 'direction', 'type', 'description', 'notes', 'tags'];
+		if ([...attributes, 'frequency', 'interval', 'start', 'until', 'count'].every((a) => req.body[a] === undefined))
+			return res.status(400).json({ error: 'Missing parameters' });
+
+		const { details, error } = transactionDetails(req.body);
+		if (error) return res.status(400).json({ error: error });
+
+		const update = { ...details };
+		if (type !== undefined) {
+			const typeLook = await categories.findOne({ type: type });
+			if (!typeLook) return res.status(400).json({ error: 'Category does not exist' });
+			update.type = type;
+			if (!update.direction) update.direction = typeLook.direction || DEFAULT_DIRECTION;
+		}
+
+		const { recurring, error: lookupError } = await findRecurring(req);
+		if (lookupError) return res.status(400).json({ error: lookupError });
+
+		const current = {
+			frequency: recurring.frequency,
+			interval: recurring.interval,
+			start: recurring.start,
+			until: recurring.until,
+			count: recurring.count,
+		};
+		const { schedule, changed, error: scheduleError } = scheduleDetails(req.body, current);
+		if (scheduleError) return res.status(400).json({ error: scheduleError });
+		if (changed) {
+			//The new schedule starts after the last occurrence processed with the old one
+			const nextIndex =
+				recurring.nextIndex > 0 ? indexAfter(schedule, occurrenceAt(current, recurring.nextIndex - 1)) : 0;
+			Object.assign(update, schedule, { nextIndex, nextOccurrence: nextOccurrenceOf(schedule, nextIndex) });
+		}
+
+		if (amount !== undefined || update.currency) {
+			update.amount = parseAmount(
+				amount !== undefined ? amount : String(recurring.amount),
+				update.currency || recurring.currency || DEFAULT_CURRENCY
+			);
+			if (!update.amount) return res.status(400).json({ error: 'Invalid amount' });
+		}
+
+		const data = await recurringTransactions.findOneAndUpdate({ _id: recurring._id }, { $set: update }, { new: true });
+		res.status(200).json({
+			data: recurringData(data),
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Delete a recurring transaction. The transactions it has already created are kept.
+  - Auth type: User or Admin
+  - Request Parameters: The `username` of the user and the `id` of the recurring transaction
+  - Response `data` Content: A message confirming the deletion
+  - Optional behavior:
+    - error 400 is returned if the user or the recurring transaction does not exist
+ */
+export const deleteRecurring = async (req, res) => {
+	try {
+		const { authorized, cause } = await verifyMultipleAuth(req, res, {
+			authType: ['User', 'Admin'],
+			scope: 'transactions:write',
+		});
+		if (!authorized) return res.status(401).json({ error: cause });
+
+		const { recurring, error } = await findRecurring(req);
+		if (error) return res.status(400).json({ error: error });
+
+		await recurringTransactions.deleteOne({ _id: recurring._id });
+		res.status(200).json({
+			data: { message: 'Recurring transaction deleted' },
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Skip an occurrence of a recurring transaction, or create it again if it was skipped
+ * @param skip whether the handler skips the occurrence or restores it
+ */
+const skipHandler = (skip) => async (req, res) => {
+	try {
+		const { authorized, cause } = await verifyMultipleAuth(req, res, {
+			authType: ['User', 'Admin'],
+			scope: 'transactions:write',
+		});
+		if (!authorized) return res.status(401).json({ error: cause });
+
+		const { date } = req.body;
+		if (date === undefined) return res.status(400).json({ error: 'Missing parameters' });
+		if (!date || isNaN(new Date(date).getTime())) return res.status(400).json({ error: 'Invalid date' });
+
+		const { recurring, error } = await findRecurring(req);
+		if (error) return res.status(400).json({ error: error });
+
+		const occurrence = day(date);
+		const index = indexAfter(recurring, new Date(Date.parse(occurrence) - 1));
+		if (!inSchedule(recurring, index) || day(occurrenceAt(recurring, index)) !== occurrence)
+			return res.status(400).json({ error: 'No occurrence on this date' });
+		if (index < recurring.nextIndex) return res.status(400).json({ error: 'Occurrence already processed' });
+
+		const data = await recurringTransactions.findOneAndUpdate(
+			{ _id: recurring._id },
+			skip ? { $addToSet: { skipped: occurrence } } : { $pull: { skipped: occurrence } },
+			{ new: true }
+		);
+		res.status(200).json({
+			data: recurringData(data),
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Skip an occurrence of a recurring transaction: no transaction is created for it
+  - Auth type: User or Admin
+  - Request Parameters: The `username` of the user and the `id` of the recurring transaction
+  - Request Body Content: An object having attribute `date`, the day of the occurrence
+  - Response `data` Content: An object shaped like the response of `createRecurring`, whose `skipped` lists the day
+  - Optional behavior:
+    - error 400 is returned if the user or the recurring transaction does not exist
+    - error 400 is returned if there is no occurrence on the day, or if its transaction has already been created
+ */
+export const skipOccurrence = skipHandler(true);
+
+/**
+ * Cancel the skip of an occurrence of a recurring transaction, which will create its transaction again
+  - Auth type: User or Admin
+  - Request Parameters: The `username` of the user and the `id` of the recurring transaction
+  - Request Body Content: An object having attribute `date`, the day of the occurrence
+  - Response `data` Content: An object shaped like the response of `createRecurring`
+  - Optional behavior:
+    - error 400 is returned if the user or the recurring transaction does not exist
+    - error 400 is returned if there is no occurrence on the day, or if the occurrence has already been processed
+ */
+export const restoreOccurrence = skipHandler(false);
+
+/**
+ * Pause a recurring transaction: its occurrences are not created until it is resumed
+  - Auth type: User or Admin
+  - Request Parameters: The `username` of the user and the `id` of the recurring transaction
+  - Response `data` Content: An object shaped like the response of `createRecurring`
+  - Optional behavior:
+    - error 400 is returned if the user or the recurring transaction does not exist, or if it is already paused
+ */
+export const pauseRecurring = async (req, res) => {
+	try {
+		const { authorized, cause } = await verifyMultipleAuth(req, res, {
+			authType: ['User', 'Admin'],
+			scope: 'transactions:write',
+		});
+		if (!authorized) return res.status(401).json({ error: cause });
+
+		const { recurring, error } = await findRecurring(req);
+		if (error) return res.status(400).json({ error: error });
+		if (recurring.paused) return res.status(400).json({ error: 'Recurring transaction already paused' });
+
+		const data = await recurringTransactions.findOneAndUpdate(
+			{ _id: recurring._id },
+			{ $set: { paused: true } },
+			{ new: true }
+		);
+		res.status(200).json({
+			data: recurringData(data),
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Resume a paused recurring transaction. The occurrences that fell while it was paused, before the current day, are not created.
+  - Auth type: User or Admin
+  - Request Parameters: The `username` of the user and the `id` of the recurring transaction
+  - Response `data` Content: An object shaped like the response of `createRecurring`
+  - Optional behavior:
+    - error 400 is returned if the user or the recurring transaction does not exist, or if it is not paused
+ */
+export const resumeRecurring = async (req, res) => {
+	try {
+		const { authorized, cause } = await verifyMultipleAuth(req, res, {
+			authType: ['User', 'Admin'],
+			scope: 'transactions:write',
+		});
+		if (!authorized) return res.status(401).json({ error: cause });
+
+		const { recurring, error } = await findRecurring(req);
+		if (error) return res.status(400).json({ error: error });
+		if (!recurring.paused) return res.status(400).json({ error: 'Recurring transaction not paused' });
+
+		const today = new Date(Date.parse(day(new Date())) - 1);
+		const nextIndex = Math.max(recurring.nextIndex, indexAfter(recurring, today));
+		const data = await recurringTransactions.findOneAndUpdate(
+			{ _id: recurring._id },
+			{ $set: { paused: false, nextIndex, nextOccurrence: nextOccurrenceOf(recurring, nextIndex) } },
+			{ new: true }
+		);
+		res.status(200).json({
+			data: recurringData(data),
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Create the transactions of the due occurrences of the recurring transactions that are not paused. Run periodically by the server.
+ * Every transaction records its recurring transaction and occurrence, which are unique together, so an occurrence creates
+ * one transaction even if a run stops before recording its progress and the next run processes it again.
+ * @param now the date up to which occurrences are due
+ * @returns the number of created transactions
+ */
+export const materializeRecurring = async (now = new Date()) => {
+	const due = await recurringTransactions.find({ paused: false, nextOccurrence: { $lte: now } });
+	let created = 0;
+	for (const recurring of due) {
+		const occurrences = [];
+		let index = recurring.nextIndex;
+		for (let date = nextOccurrenceOf(recurring, index); date && date <= now; date = nextOccurrenceOf(recurring, ++index)) {
+			if (!recurring.skipped.includes(day(date))) occurrences.push(date);
+		}
+
+		if (occurrences.length) {
+			const { username, type, amount, currency, direction, description, notes, tags } = recurring;
+			const result = await transactions.bulkWrite(
+				occurrences.map((occurrence) => ({
+					updateOne: {
+						filter: { recurring: recurring._id, occurrence },
+						update: {
+							$setOnInsert: { username, type, amount, currency, direction, description, notes, tags, date: occurrence },
+						},
+						upsert: true,
+					},
+				}))
+			);
+			created += result.upsertedCount;
+		}
+
+		//The progress is only recorded if the recurring transaction has not been changed since it was read
+		await recurringTransactions.updateOne(
+			{ _id: recurring._id, nextIndex: recurring.nextIndex },
+			{ $set: { nextIndex: index, nextOccurrence: nextOccurrenceOf(recurring, index) } }
+		);
+	}
+	return created;
+};
@@ -0,0 +1,176 @@
+import { Role, Session, User } from '../models/User.js';
+import { verifyAuth, PERMISSIONS, BUILT_IN_ROLES } from './utils.js';
+
+const roleData = (role) => ({
+	name: role.name,
+	description: role.description,
+	permissions: role.permissions,
+});
+
+const validPermissions = (permissions) =>
+	Array.isArray(permissions) && permissions.every((p) => PERMISSIONS.includes(p));
+
+/**
+ * Return all the roles that can be assigned to users, besides the built-in `Admin` and `Regular`
+  - Auth type: Admin
+  - Request Body Content: None
+  - Response `data` Content: An array of objects, each one having attributes `name`, `description` and `permissions`
+ */
+export const getRoles = async (req, res) => {
+	try {
+		const { authorized, cause } = await verifyAuth(req, res, { authType: 'Admin' });
+		if (!authorized) return res.status(401).json({ error: cause });
+
+		const roles = await Role.find({});
+		res.status(200).json({
+			data: roles.map(roleData),
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Create a new role
+  - Auth type: Admin
+  - Request Body Content: An object having attributes `name`, `permissions` and an optional `description`
+  - Response `data` Content: An object having attributes `name`, `description` and `permissions`
+  - Optional behavior:
+    - error 400 is returned if a parameter is missing or empty, if the name is already used (built-in roles included)
+      or if `permissions` contains an unknown permission
+ */
+export const createRole = async (req, res) => {
+	try {
+		const { authorized, cause } = await verifyAuth(req, res, { authType: 'Admin' });
+		if (!authorized) return res.status(401).json({ error: cause });
+
+		const { name, description, permissions } = req.body;
+		if (name === undefined || permissions === undefined)
+			return res.status(400).json({ error: 'Missing parameters' });
+		if (typeof name !== 'string' || name.trim() === '')
+			return res.status(400).json({ error: 'Empty string in parameters' });
+		if (!validPermissions(permissions))
+			return res.status(400).json({ error: 'Invalid permissions' });
+		if (description !== undefined && typeof description !== 'string')
+			return res.status(400).json({ error: 'Invalid description' });
+
+		const roleName = name.trim();
+		if (BUILT_IN_ROLES.includes(roleName) || (await Role.findOne({ name: roleName })))
+			return res.status(400).json({ error: 'Role already exists' });
+
+		const role = await Role.create({
+			name: roleName,
+			description: description || '',
+			permissions: [...new Set(permissions)],
+		});
+		res.status(200).json({
+			data: roleData(role),
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Change the permissions or the description of a role. The change applies immediately to every user that has the role.
+  - Auth type: Admin
+  - Request Parameters: A string equal to the `name` of the role
+  - Request Body Content: An object having at least one of the attributes `permissions` and `description`
+  - Response `data` Content: An object having attributes `name`, `description` and `permissions`
+  - Optional behavior:
+    - error 400 is returned if the role does not exist, if no attribute is given or if `permissions` contains an unknown permission
+ */
+export const updateRole = async (req, res) => {
+	try {
+		const { authorized, cause } = await verifyAuth(req, res, { authType: 'Admin' });
+		if (!authorized) return res.status(401).json({ error: cause });
+
+		const { description, permissions } = req.body;
+		if (description === undefined && permissions === undefined)
+			return res.status(400).json({ error: 'Missing parameters' });
+		if (permissions !== undefined && !validPermissions(permissions))
+			return res.status(400).json({ error: 'Invalid permissions' });
+		if (description !== undefined && typeof description !== 'string')
+			return res.status(400).json({ error: 'Invalid description' });
+
+		const update = {};
+		if (permissions !== undefined) update.permissions = [...new Set(permissions)];
+		if (description !== undefined) update.description = description;
+
+		const role = await Role.findOneAndUpdate({ name: req.params.name }, { $set: update }, { new: true });
+		if (!role) return res.status(400).json({ error: 'Role not found' });
+
+		res.status(200).json({
+			data: roleData(role),
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Delete a role that is not assigned to any user
+  - Auth type: Admin
+  - Request Parameters: A string equal to the `name` of the role
+  - Response `data` Content: A message confirming that the role has been deleted
+  - Optional behavior:
+    - error 400 is returned if the role does not exist or is still assigned to some users
+ */
+export const deleteRole = async (req, res) => {
+	try {
+		const { authorized, cause } = await verifyAuth(req, res, { authType: 'Admin' });
+		if (!authorized) return res.status(401).json({ error: cause });
+
+		const { name } = req.params;
+		if (!(await Role.findOne({ name: name }))) return res.status(400).json({ error: 'Role not found' });
+		if ((await User.countDocuments({ role: name })) > 0)
+			return res.status(400).json({ error: 'Role is assigned to users' });
+
+		await Role.deleteOne({ name: name });
+		res.status(200).json({
+			data: { message: 'Role deleted' },
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Assign a role to a user. The sessions of the user are revoked, so that their next login issues tokens with the new role.
+  - Auth type: Admin
+  - Request Parameters: A string equal to the `username` of the user
+  - Request Body Content: An object having attribute `role`, either `Regular` or the name of a stored role
+  - Response `data` Content: An object having attributes `username`, `email` and `role`
+  - Optional behavior:
+    - error 400 is returned if the user or the role do not exist, or if the user is an admin:
+      admins are only created with invitations and cannot be demoted
+ */
+export const updateUserRole = async (req, res) => {
+	try {
+		const { authorized, cause } = await verifyAuth(req, res, { authType: 'Admin' });
+		if (!authorized) return res.status(401).json({ error: cause });
+
+		const { role } = req.body;
+		if (role === undefined) return res.status(400).json({ error: 'Missing parameters' });
+		if (role !== 'Regular' && (typeof role !== 'string' || !(await Role.findOne({ name: role }))))
+			return res.status(400).json({ error: 'Role not found' });
+
+		const user = await User.findOne({ username: req.params.username });
+		if (!user) return res.status(400).json({ error: 'User not found' });
+		if (user.role === 'Admin') return res.status(400).json({ error: 'Cannot change the role of an admin' });
+
+		await User.updateOne({ _id: user._id }, { $set: { role: role } });
+		await Session.deleteMany({ user: user._id });
+
+		res.status(200).json({
+			data: { username: user.username, email: user.email, role: role },
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
@@ -0,0 +1,156 @@
+import mongoose from 'mongoose';
+import { Session, User } from '../models/User.js';
+import {
+	verifyAuth,
+	createTokens,
+	setAuthCookies,
+	clearAuthCookies,
+	hashToken,
+	SESSION_DURATION,
+} from './utils.js';
+
+/**
+ * Start a new session for a user that has just logged in: the session records the device it was started from,
+ * the tokens are created for it and set as cookies
+ * @param req the login request, whose body may contain a `deviceLabel` chosen by the user
+ * @returns an object with the `accessToken` and the `refreshToken` of the session
+ */
+export const startSession = async (req, res, user) => {
+	const { deviceLabel } = req.body;
+	const session = new Session({
+		user: user._id,
+		label: typeof deviceLabel === 'string' && deviceLabel !== '' ? deviceLabel : null,
+		ip: req.ip || null,
+		userAgent: (req.headers && req.headers['user-agent']) || null,
+		lastUsedAt: new Date(),
+		expiresAt: new Date(Date.now() + SESSION_DURATION),
+	});
+	const { accessToken, refreshToken } = createTokens(user, session.id);
+	session.refreshTokenHash = hashToken(refreshToken);
+	await session.save();
+	setAuthCookies(res, accessToken, refreshToken);
+	//Logging in during the grace period cancels a scheduled deletion of the account
+	if (user.deletionScheduledAt)
+		await User.updateOne({ _id: user._id }, { $set: { deletionScheduledAt: null } });
+	return { accessToken, refreshToken };
+};
+
+/**
+ * Issue new tokens for an existing session of a user, whose tokens carry data that has changed (e.g. the username),
+ * and revoke every other session of the user
+ * @param sessionId the session to keep, usually the one of the request. When it is not set every session is revoked
+ * @param impersonatedBy the admin impersonating the user in the kept session, if any, so that the new tokens keep the claim
+ * @returns an object with the new `accessToken` and `refreshToken`, or `null` if no session has been kept
+ */
+export const keepOnlySession = async (res, user, sessionId, impersonatedBy) => {
+	await Session.deleteMany(sessionId ? { user: user._id, _id: { $ne: sessionId } } : { user: user._id });
+	if (!sessionId) return null;
+
+	const { accessToken, refreshToken } = createTokens(user, sessionId, impersonatedBy);
+	const session = await Session.findOneAndUpdate(
+		{ _id: sessionId, user: user._id },
+		{ $set: { refreshTokenHash: hashToken(refreshToken), lastUsedAt: new Date() } }
+	);
+	if (!session) return null;
+	setAuthCookies(res, accessToken, refreshToken);
+	return { accessToken, refreshToken };
+};
+
+/**
+ * Return the sessions of the calling user
+  - Auth type: Simple
+  - Request Body Content: None
+  - Response `data` Content: An array of objects, each one having attributes `id`, `label`, `ip`, `userAgent`, `createdAt`,
+    `lastUsedAt` and `current`, true for the session of the request
+ */
+export const getSessions = async (req, res) => {
+	try {
+		const { authorized, cause, user, sessionId } = await verifyAuth(req, res, { authType: 'Simple' });
+		if (!authorized) return res.status(401).json({ error: cause });
+
+		const owner = await User.findOne({ email: user.email });
+		if (!owner) return res.status(400).json({ error: 'User not found' });
+
+		const sessions = await Session.find({ user: owner._id, expiresAt: { $gt: new Date() } });
+		const data = sessions
+			.sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt))
+			.map((s) => ({
+				id: s.id,
+				label: s.label,
+				ip: s.ip,
+				userAgent: s.userAgent,
+				createdAt: s.createdAt,
+				lastUsedAt: s.lastUsedAt,
+				current: s.id === sessionId,
+			}));
+
+		res.status(200).json({ data: data, refreshedTokenMessage: res.locals.refreshedTokenMessage });
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Revoke one of the sessions of the calling user. Its tokens stop working immediately.
+  - Auth type: Simple
+  - Request Parameters: A string equal to the `id` of the session
+  - Response `data` Content: A message confirming that the session has been revoked
+  - Revoking the session of the request also clears the cookies, like `logout`
+  - Optional behavior:
+    - error 400 is returned if the id does not identify a session of the user
+    - error 403 is returned if the request is made by an admin impersonating the user
+ */
+export const deleteSession = async (req, res) => {
+	try {
+		const { authorized, cause, user, sessionId, impersonatedBy } = await verifyAuth(req, res, { authType: 'Simple' });
+		if (!authorized) return res.status(401).json({ error: cause });
+		if (impersonatedBy) return res.status(403).json({ error: 'Not allowed while impersonating a user' });
+
+		const { id } = req.params;
+		if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: 'Session not found' });
+
+		const owner = await User.findOne({ email: user.email });
+		if (!owner) return res.status(400).json({ error: 'User not found' });
+
+		const session = await Session.findOneAndDelete({ _id: id, user: owner._id });
+		if (!session) return res.status(400).json({ error: 'Session not found' });
+
+		if (id === sessionId) clearAuthCookies(res);
+		res.status(200).json({
+			data: { message: 'Session revoked' },
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Log out everywhere else: revoke every session of the calling user except the one of the request
+  - Auth type: Simple
+  - Request Body Content: None
+  - Response `data` Content: An object having attribute `revokedSessions`, the number of sessions revoked
+  - Optional behavior:
+    - error 403 is returned if the request is made by an admin impersonating the user
+ */
+export const deleteOtherSessions = async (req, res) => {
+	try {
+		const { authorized, cause, user, sessionId, impersonatedBy } = await verifyAuth(req, res, { authType: 'Simple' });
+		if (!authorized) return res.status(401).json({ error: cause });
+		if (impersonatedBy) return res.status(403).json({ error: 'Not allowed while impersonating a user' });
+
+		const owner = await User.findOne({ email: user.email });
+		if (!owner) return res.status(400).json({ error: 'User not found' });
+
+		const filter = { user: owner._id };
+		if (sessionId) filter._id = { $ne: sessionId };
+		const result = await Session.deleteMany(filter);
+
+		res.status(200).json({
+			data: { revokedSessions: result.deletedCount },
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
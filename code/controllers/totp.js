@@ -0,0 +1,111 @@
+import { createHmac, randomBytes } from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Seconds during which a TOTP code is valid, as used by authenticator apps
+ */
+export const TOTP_PERIOD = 30;
+
+/**
+ * Encode a buffer in base32 (RFC 4648, without padding), the format authenticator apps expect for secrets
+ */
+export const base32Encode = (buffer) => {
+	let bits = 0;
+	let value = 0;
+	let output = '';
+	for (const byte of buffer) {
+		value = (value << 8) | byte;
+		bits += 8;
+		while (bits >= 5) {
+			output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+			bits -= 5;
+		}
+	}
+	if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+	return output;
+};
+
+/**
+ * Decode a base32 string, ignoring padding, spaces and letter case
+ */
+export const base32Decode = (string) => {
+	const clean = string.toUpperCase().replace(/[=\s]/g, '');
+	let bits = 0;
+	let value = 0;
+	const bytes = [];
+	for (const char of clean) {
+		const index = BASE32_ALPHABET.indexOf(char);
+		if (index === -1) throw new Error('Invalid base32 character');
+		value = (value << 5) | index;
+		bits += 5;
+		if (bits >= 8) {
+			bytes.push((value >>> (bits - 8)) & 255);
+			bits -= 8;
+		}
+	}
+	return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns the base32 encoding of 20 random bytes
+ */
+export const generateTotpSecret = () => base32Encode(randomBytes(20));
+
+/**
+ * Build the `otpauth://` URI that authenticator apps read, usually from a QR code
+ */
+export const totpUri = (secret, email) => {
+	const issuer = 'EzWallet';
+	return (
+		`otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(email)}` +
+		`?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=6&period=${TOTP_PERIOD}`
+	);
+};
+
+/**
+ * Compute the 6 digits TOTP code of a secret for a time step (RFC 6238 with HMAC-SHA1)
+ */
+export const totpCode = (secret, step) => {
+	const counter = Buffer.alloc(8);
+	counter.writeBigUInt64BE(BigInt(step));
+	const hmac = createHmac('sha1', base32Decode(secret)).update(counter).digest();
+	const offset = hmac[hmac.length - 1] & 15;
+	const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+	return String(binary % 1000000).padStart(6, '0');
+};
+
+/**
+ * Current TOTP time step
+ */
+export const currentTotpStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_PERIOD);
+
+/**
+ * Check a code against a secret, accepting one step of clock drift in both directions
+ * @param lastUsedStep the step of the last accepted code: it and the previous ones are rejected, so that a code cannot be replayed
+ * @returns the step matched by the code, or `null` if the code is not valid
+ */
+export const verifyTotp = (secret, code, lastUsedStep = null, now = Date.now()) => {
+	if (typeof code !== 'string' || !/^\d{6}$/.test(code)) return null;
+	const current = currentTotpStep(now);
+	for (const step of [current - 1, current, current + 1]) {
+		if (lastUsedStep !== null && lastUsedStep !== undefined && step <= lastUsedStep) continue;
+		if (totpCode(secret, step) === code) return step;
+	}
+	return null;
+};
+
+/**
+ * Generate a set of single-use recovery codes, formatted as `xxxxx-xxxxx`
+ */
+export const generateRecoveryCodes = (count = 10) =>
+	Array.from({ length: count }, () => {
+		const code = randomBytes(5).toString('hex');
+		return `${code.slice(0, 5)}-${code.slice(5)}`;
+	});
+
+/**
+ * Normalize a recovery code typed by a user before hashing it: dashes, spaces and letter case are ignored
+ */
+export const normalizeRecoveryCode = (code) => code.toLowerCase().replace(/[-\s]/g, '');
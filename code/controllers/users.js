@@ -1,12 +1,19 @@
-import jwt from 'jsonwebtoken';
-import { Group, User } from '../models/User.js';
-import { transactions } from '../models/model.js';
+import bcrypt from 'bcryptjs';
+import { ApiKey, Group, Session, User } from '../models/User.js';
+import { budgets, goals, recurringTransactions, transactions } from '../models/model.js';
 import {
 	verifyAuth,
 	verifyMultipleAuth,
 	isEmail,
 	checkGroupEmails,
+	clearAuthCookies,
 } from './utils.js';
+import { loginRetryAfter, recordLoginFailure, resetLoginFailures } from '../lockout/lockout.js';
+import { newEmailVerification, sendVerificationEmail } from './auth.js';
+import { keepOnlySession } from './sessions.js';
+import { cursorFilter, handlePaginationParams, pageResult, sortSpec } from './pagination.js';
+import { DEFAULT_CURRENCY, formatAmount, parseCurrency } from './currency.js';
+import { DEFAULT_DIRECTION } from './controller.js';
 
 
 /** OK
@@ -15,13 +22,28 @@ import {
   - Response `data` Content: An array of objects, each one having attributes `username`, `email` and `role`
   - Optional behavior:
     - empty array is returned if there are no users
+    - the users are paginated, in the order they registered, according to the `limit` and `cursor` query parameters;
+      error 400 is returned if they are not valid
  */
 export const getUsers = async (req, res) => {
 	try {
-		const { authorized, cause } = verifyAuth(req, res, { authType: 'Admin' });
+		const { authorized, cause } = await verifyAuth(req, res, {
+			authType: 'Admin',
+			scope: 'users:read',
+		});
 		if (!authorized) return res.status(401).json({ error: cause });
 
-		const users = (await User.find()).map((user) => {
+		let pagination;
+		try {
+			pagination = handlePaginationParams(req);
+		} catch (error) {
+			return res.status(400).json({ error: error.message });
+		}
+		const { page, nextCursor } = pageResult(
+			await User.find(cursorFilter(pagination), null, { sort: sortSpec(pagination), limit: pagination.limit + 1 }),
+			pagination
+		);
+		const users = page.map((user) => {
 			return {
 				username: user.username,
 				email: user.email,
@@ -30,6 +52,7 @@ export const getUsers = async (req, res) => {
 		});
 		res.status(200).json({
 			data: users,
+			nextCursor: nextCursor,
 			refreshedTokenMessage: res.locals.refreshedTokenMessage,
 		});
 	} catch (error) {
@@ -40,14 +63,15 @@ export const getUsers = async (req, res) => {
 /** OK
  * Return information of a specific user
   - Request Body Content: None
-  - Response `data` Content: An object having attributes `username`, `email` and `role`.
+  - Response `data` Content: An object having attributes `username`, `email`, `role` and `baseCurrency`.
   - Optional behavior:
     - error 401 is returned if the user is not found in the system
  */
 export const getUser = async (req, res) => {
 	try {
-		const { authorized, cause } = verifyMultipleAuth(req, res, {
+		const { authorized, cause } = await verifyMultipleAuth(req, res, {
 			authType: ['User', 'Admin'],
+			scope: 'users:read',
 		});
 		if (!authorized) return res.status(401).json({ error: cause });
 
@@ -57,6 +81,7 @@ export const getUser = async (req, res) => {
 			username: user.username,
 			email: user.email,
 			role: user.role,
+			baseCurrency: user.baseCurrency,
 		};
 
 		res.status(200).json({
@@ -68,35 +93,289 @@ export const getUser = async (req, res) => {
 	}
 };
 
+/**
+ * Check the password that a logged in user provides to confirm a sensitive operation.
+ * Wrong passwords count as failed logins of the account, so that they cannot be guessed with a stolen session.
+ * @returns true if the password is correct, otherwise the error response has already been sent
+ */
+const checkPassword = async (res, user, password) => {
+	const retryAfter = await loginRetryAfter({ email: user.email });
+	if (retryAfter > 0) {
+		res.set('Retry-After', String(Math.ceil(retryAfter / 1000)));
+		res.status(429).json({ error: 'Too many failed login attempts, try again later' });
+		return false;
+	}
+	if (!(await bcrypt.compare(password, user.password))) {
+		await recordLoginFailure({ email: user.email });
+		res.status(400).json({ error: 'Wrong password' });
+		return false;
+	}
+	return true;
+};
+
+/**
+ * Days between the request of a user to delete their account and the deletion, read from `ACCOUNT_DELETION_GRACE_DAYS` (14 by default)
+ */
+const deletionGraceDays = () => {
+	const days = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS);
+	return process.env.ACCOUNT_DELETION_GRACE_DAYS !== undefined && days >= 0 ? days : 14;
+};
+
+/**
+ * Delete a user together with everything tied to the account: transactions, budgets, savings goals and contributions to
+ * the group goals of other members, group membership (the group is deleted if the user was its last member), sessions,
+ * API keys and failed login counters
+ * @returns an object with the number of `deletedTransactions` and `deletedFromGroup`, true if the user has been removed from a group
+ */
+export const removeUser = async (user) => {
+	//Transactions are linked to their user by username
+	const deletedTransactions = await transactions.deleteMany({
+		username: user.username,
+	});
+	await recurringTransactions.deleteMany({ username: user.username });
+	await budgets.deleteMany({ username: user.username });
+	await goals.deleteMany({ username: user.username });
+	//Group goals outlive their contributors, so only the contributions of the user are removed from them
+	await goals.updateMany(
+		{ 'contributions.username': user.username },
+		{ $pull: { contributions: { username: user.username } } }
+	);
+
+	const group = await Group.findOne({ 'members.email': user.email });
+
+	let deletedGroup;
+	if (!group) {
+		deletedGroup = { deletedCount: 0, modifiedCount: 0 };
+	} else if (group.members.length == 1) {
+		deletedGroup = await Group.deleteMany({
+			name: group.name,
+		});
+		await budgets.deleteMany({ group: group.name });
+		await goals.deleteMany({ group: group.name });
+	} else {
+		deletedGroup = await Group.updateOne(
+			{ name: group.name },
+			{ $pull: { members: { email: user.email } } }
+		);
+	}
+
+	await Session.deleteMany({ user: user._id });
+	await ApiKey.deleteMany({ user: user._id });
+	await resetLoginFailures({ email: user.email });
+	await User.deleteOne({ _id: user._id });
+
+	return {
+		deletedTransactions: deletedTransactions.deletedCount,
+		deletedFromGroup: deletedGroup.modifiedCount > 0 || deletedGroup.deletedCount > 0,
+	};
+};
+
+/**
+ * Delete the accounts whose grace period has ended. Run periodically by the server.
+ * @returns the number of deleted accounts
+ */
+export const purgeScheduledDeletions = async () => {
+	const users = await User.find({ deletionScheduledAt: { $lte: new Date() } });
+	for (const user of users) await removeUser(user);
+	return users.length;
+};
+
+/**
+ * Update the username, the email and/or the base currency of the calling user
+  - Auth type: User
+  - Request Parameters: A string equal to the `username` of the calling user
+  - Request Body Content: An object having at least one of the attributes `username`, `email` and `baseCurrency`, the ISO-4217
+    code of the currency amounts are converted to with `convertTo=base`
+  - Response `data` Content: An object having attributes `username`, `email`, `pendingEmail` and `baseCurrency`. When the username
+    changes, also the new `accessToken` and `refreshToken`
+  - A new username is applied immediately, also to the transactions and recurring transactions of the user. The tokens of the request are replaced
+    and every other session is revoked, since their tokens carry the old username
+  - A new email is stored as `pendingEmail` and a verification link is sent to it: the email only changes, also in the
+    groups of the user, when the link is opened
+  - Optional behavior:
+    - error 400 is returned if no attribute is present, if they are empty strings, if `email` is not correctly formatted,
+      if `baseCurrency` is not a currency code or if the new username or email are already used by another user
+    - error 403 is returned if the request is made by an admin impersonating the user and changes the username or the email
+ */
+export const updateUser = async (req, res) => {
+	try {
+		const { authorized, cause, sessionId, impersonatedBy } = await verifyAuth(req, res, { authType: 'User' });
+		if (!authorized) return res.status(401).json({ error: cause });
+
+		const { username, email, baseCurrency } = req.body;
+		if (username === undefined && email === undefined && baseCurrency === undefined)
+			return res.status(400).json({ error: 'Missing parameters' });
+		if (impersonatedBy && (username !== undefined || email !== undefined))
+			return res.status(403).json({ error: 'Not allowed while impersonating a user' });
+		if (
+			(username !== undefined && (typeof username !== 'string' || username.trim() === '')) ||
+			(email !== undefined && (typeof email !== 'string' || email === ''))
+		)
+			return res.status(400).json({ error: 'Empty string in parameters' });
+		if (email !== undefined && !isEmail(email))
+			return res.status(400).json({ error: 'Email not correct formatted' });
+		if (baseCurrency !== undefined && !parseCurrency(baseCurrency))
+			return res.status(400).json({ error: 'Invalid currency' });
+
+		let user = await User.findOne({ username: req.params.username });
+		if (!user) return res.status(400).json({ error: 'User not found' });
+
+		const newUsername = username === undefined ? user.username : username.trim();
+		const changeUsername = newUsername !== user.username;
+		const changeEmail = email !== undefined && email !== user.email;
+		if (changeUsername && (await User.findOne({ username: newUsername })))
+			return res.status(400).json({ error: 'Username already taken' });
+		if (changeEmail && (await User.findOne({ email: email })))
+			return res.status(400).json({ error: 'Email already registered' });
+
+		let tokens = null;
+		if (changeUsername) {
+			const oldUsername = user.username;
+			user = await User.findOneAndUpdate(
+				{ _id: user._id },
+				{ $set: { username: newUsername } },
+				{ new: true }
+			);
+			//Transactions are linked to their user by username
+			await transactions.updateMany({ username: oldUsername }, { $set: { username: newUsername } });
+			await recurringTransactions.updateMany({ username: oldUsername }, { $set: { username: newUsername } });
+			await budgets.updateMany({ username: oldUsername }, { $set: { username: newUsername } });
+			await goals.updateMany({ username: oldUsername }, { $set: { username: newUsername } });
+			await goals.updateMany(
+				{ 'contributions.username': oldUsername },
+				{ $set: { 'contributions.$[contribution].username': newUsername } },
+				{ arrayFilters: [{ 'contribution.username': oldUsername }] }
+			);
+			tokens = await keepOnlySession(res, user, sessionId, impersonatedBy);
+		}
+		if (changeEmail) {
+			const verification = newEmailVerification();
+			user = await User.findOneAndUpdate(
+				{ _id: user._id },
+				{
+					$set: {
+						pendingEmail: email,
+						emailVerificationTokenHash: verification.tokenHash,
+						emailVerificationExpires: verification.expires,
+					},
+				},
+				{ new: true }
+			);
+			await sendVerificationEmail(email, verification.token);
+		}
+		if (baseCurrency !== undefined) {
+			user = await User.findOneAndUpdate(
+				{ _id: user._id },
+				{ $set: { baseCurrency: parseCurrency(baseCurrency) } },
+				{ new: true }
+			);
+		}
+
+		res.status(200).json({
+			data: {
+				username: user.username,
+				email: user.email,
+				pendingEmail: user.pendingEmail,
+				baseCurrency: user.baseCurrency,
+				...tokens,
+			},
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Change the password of the calling user, who must provide the current one
+  - Auth type: User
+  - Request Parameters: A string equal to the `username` of the calling user
+  - Request Body Content: An object having attributes `currentPassword` and `newPassword`
+  - Response `data` Content: A message confirming that the password has been changed, with the new `accessToken` and `refreshToken`
+  - Every other session of the user is revoked
+  - Optional behavior:
+    - error 400 is returned if the request body does not contain all the necessary attributes or they are empty strings
+    - error 400 is returned if `currentPassword` is wrong. Wrong passwords count as failed logins of the account
+    - error 429 is returned, with a `Retry-After` header, while the account must wait after too many failed attempts
+    - error 403 is returned if the request is made by an admin impersonating the user
+ */
+export const changePassword = async (req, res) => {
+	try {
+		const { authorized, cause, sessionId, impersonatedBy } = await verifyAuth(req, res, { authType: 'User' });
+		if (!authorized) return res.status(401).json({ error: cause });
+		if (impersonatedBy) return res.status(403).json({ error: 'Not allowed while impersonating a user' });
+
+		const { currentPassword, newPassword } = req.body;
+		if (currentPassword === undefined || newPassword === undefined)
+			return res.status(400).json({ error: 'Missing parameters' });
+		if (currentPassword === '' || newPassword === '')
+			return res.status(400).json({ error: 'Empty string in parameters' });
+
+		const user = await User.findOne({ username: req.params.username });
+		if (!user) return res.status(400).json({ error: 'User not found' });
+
+		if (!(await checkPassword(res, user, currentPassword))) return;
+
+		const hashedPassword = await bcrypt.hash(newPassword, 12);
+		await User.updateOne(
+			{ _id: user._id },
+			{
+				$set: {
+					password: hashedPassword,
+					passwordResetTokenHash: null,
+					passwordResetExpires: null,
+				},
+			}
+		);
+		await resetLoginFailures({ email: user.email });
+		const tokens = await keepOnlySession(res, user, sessionId, impersonatedBy);
+
+		res.status(200).json({
+			data: { message: 'Password updated', ...tokens },
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
 /** OKOK
  * Create a new group
-  - Request Body Content: An object having a string attribute for the `name` of the group and an array that lists all the `memberEmails`
+  - Request Body Content: An object having a string attribute for the `name` of the group and an array that lists all the `memberEmails`,
+    and optionally the ISO-4217 `currency` of the group, used for its totals (the euro if it is not present)
   - Response `data` Content: An object having an attribute `group` (this object must have a string attribute for the `name`
-    of the created group and an array for the `members` of the group), an array that lists the `alreadyInGroup` members
+    of the created group, an array for the `members` of the group and its `currency`), an array that lists the `alreadyInGroup` members
     (members whose email is already present in a group) and an array that lists the `membersNotFound` (members whose email
     +does not appear in the system)
   - Optional behavior:
     - error 401 is returned if there is already an existing group with the same name
     - error 401 is returned if all the `memberEmails` either do not exist or are already in a group
+    - error 400 is returned if `currency` is not a currency code
  */
 export const createGroup = async (req, res) => {
 	try {
-		let { name, memberEmails } = req.body;
+		let { name, memberEmails, currency } = req.body;
 		if (name === undefined || memberEmails === undefined)
 			return res.status(400).json({ error: 'Missing parameters'});
 		
-		const { authorized, cause } = verifyAuth(req, res, { authType: 'Simple' });
+		const { authorized, cause, user } = await verifyAuth(req, res, {
+			authType: 'Simple',
+			scope: 'groups:write',
+		});
 		if (!authorized) return res.status(401).json({ error: cause });
 		
 		if(name === '')
 			return res.status(400).json({ error: 'Group name cannot be empty' });	
+
+		if (currency !== undefined && !parseCurrency(currency))
+			return res.status(400).json({ error: 'Invalid currency' });
 		
 		if (await Group.findOne({ name: name }))
 			return res
 				.status(400)
 				.json({ error: 'A group with the same name already exists' });
 		
-		const userEmail = jwt.verify(req.cookies.refreshToken, process.env.ACCESS_KEY).email;
+		const userEmail = user.email;
 
 		if (memberEmails.every((email) => email !== userEmail))
 			memberEmails = [...memberEmails, userEmail];
@@ -118,7 +397,7 @@ export const createGroup = async (req, res) => {
 			})
 		);
 
-		const new_group = new Group({ name, members });
+		const new_group = new Group({ name, members, ...(currency !== undefined && { currency: parseCurrency(currency) }) });
 
 		new_group
 			.save()
@@ -128,6 +407,7 @@ export const createGroup = async (req, res) => {
 						group: {
 							name: group.name,
 							members: group.members.map((m) => ({ email: m.email })),
+							currency: group.currency,
 						},
 						alreadyInGroup,
 						membersNotFound,
@@ -143,24 +423,41 @@ export const createGroup = async (req, res) => {
 /** OKOK
  * Return all the groups
   - Request Body Content: None
-  - Response `data` Content: An array of objects, each one having a string attribute for the `name` of the group
-    and an array for the `members` of the group
+  - Response `data` Content: An array of objects, each one having a string attribute for the `name` of the group,
+    an array for the `members` of the group and its `currency`
   - Optional behavior:
     - empty array is returned if there are no groups
+    - the groups are paginated, in the order they were created, according to the `limit` and `cursor` query parameters;
+      error 400 is returned if they are not valid
  */
 export const getGroups = async (req, res) => {
 	try {
-		const { authorized, cause } = verifyAuth(req, res, { authType: 'Admin' });
+		const { authorized, cause } = await verifyAuth(req, res, {
+			authType: 'Admin',
+			scope: 'groups:read',
+		});
 		if (!authorized) return res.status(401).json({ error: cause });
 
-		const groups = (await Group.find()).map((group) => {
+		let pagination;
+		try {
+			pagination = handlePaginationParams(req);
+		} catch (error) {
+			return res.status(400).json({ error: error.message });
+		}
+		const { page, nextCursor } = pageResult(
+			await Group.find(cursorFilter(pagination), null, { sort: sortSpec(pagination), limit: pagination.limit + 1 }),
+			pagination
+		);
+		const groups = page.map((group) => {
 			return {
 				name: group.name,
 				members: group.members.map((m) => ({ email: m.email })),
+				currency: group.currency,
 			};
 		});
 		res.status(200).json({
 			data: groups,
+			nextCursor: nextCursor,
 			refreshedTokenMessage: res.locals.refreshedTokenMessage,
 		});
 	} catch (error) {
@@ -171,8 +468,8 @@ export const getGroups = async (req, res) => {
 /** OKOK
  * Return information of a specific group
   - Request Body Content: None
-  - Response `data` Content: An object having a string attribute for the `name` of the group and an array for the 
-    `members` of the group
+  - Response `data` Content: An object having a string attribute for the `name` of the group, an array for the 
+    `members` of the group and its `currency`
   - Optional behavior:
     - error 401 is returned if the group does not exist
  */
@@ -181,7 +478,7 @@ export const getGroup = async (req, res) => {
 		const group = await Group.findOne({ name: req.params.name });
 			if (!group) return res.status(400).json({ error: 'Group not found' });
 		
-		const { authorized, cause } = verifyMultipleAuth(req, res, {authType: ['Group', 'Admin'], emails: group.members.map((m) => m.email)});
+		const { authorized, cause } = await verifyMultipleAuth(req, res, {authType: ['Group', 'Admin'], emails: group.members.map((m) => m.email), scope: 'groups:read'});
 		if (!authorized) 
 			return res.status(401).json({ error: cause });
 
@@ -189,6 +486,7 @@ export const getGroup = async (req, res) => {
 			name: group.name,
 			members: group.members.map((m) => ({ email: m.email })),
 			members: group.members.map((m) => ({ email: m.email })),
+			currency: group.currency,
 		};
 		res.status(200).json({
 			data: responseGroup,
@@ -199,6 +497,48 @@ export const getGroup = async (req, res) => {
 	}
 };
 
+/**
+ * Change the currency of a group, in which the totals of the group are computed
+  - Auth type: Group or Admin
+  - Request Parameters: A string equal to the `name` of the group
+  - Request Body Content: An object having attribute `currency`, an ISO-4217 code
+  - Response `data` Content: An object having attributes `name`, `members` and `currency`
+  - Optional behavior:
+    - error 400 is returned if the group does not exist or if `currency` is not a currency code
+ */
+export const updateGroupCurrency = async (req, res) => {
+	try {
+		const group = await Group.findOne({ name: req.params.name });
+		if (!group) return res.status(400).json({ error: 'Group not found' });
+
+		const { authorized, cause } = await verifyMultipleAuth(req, res, {
+			authType: ['Group', 'Admin'],
+			emails: group.members.map((m) => m.email),
+			scope: 'groups:write',
+		});
+		if (!authorized) return res.status(401).json({ error: cause });
+
+		const currency = parseCurrency(req.body.currency);
+		if (!currency) return res.status(400).json({ error: 'Invalid currency' });
+
+		const updated = await Group.findOneAndUpdate(
+			{ _id: group._id },
+			{ $set: { currency: currency } },
+			{ new: true }
+		);
+		res.status(200).json({
+			data: {
+				name: updated.name,
+				members: updated.members.map((m) => ({ email: m.email })),
+				currency: updated.currency,
+			},
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
 /** OKOK
  * Add new members to a group
   - Request Body Content: An array of strings containing the emails of the members to add to the group
@@ -224,10 +564,13 @@ export const addToGroup = async (req, res) => {
 			return res.status(400).json({ error: 'Group not found' });
 
 		if (req.path.split('/').slice(-1)[0] === 'add') {
-			const { authorized, cause } = verifyAuth(req, res, { authType: 'Group', emails: group.members.map((m) => m.email) });
+			const { authorized, cause } = await verifyAuth(req, res, { authType: 'Group', emails: group.members.map((m) => m.email), scope: 'groups:write' });
 			if (!authorized) return res.status(401).json({ error: cause });
 		} else if (req.path.split('/').slice(-1)[0] === 'insert') {
-			const { authorized, cause } = verifyAuth(req, res, { authType: 'Admin' });
+			const { authorized, cause } = await verifyAuth(req, res, {
+				authType: 'Admin',
+				scope: 'groups:write',
+			});
 			if (!authorized) return res.status(401).json({ error: cause });
 		} else {
 			return res.status(400).json({ error: 'Path not correct' });
@@ -292,10 +635,13 @@ export const removeFromGroup = async (req, res) => {
 			return res.status(400).json({ error: 'Group not found' });
 
 		if (req.path.split('/').slice(-1)[0] === 'remove') {
-			const { authorized, cause } = verifyAuth(req, res, { authType: 'Group', emails: group.members.map((m) => m.email) });
+			const { authorized, cause } = await verifyAuth(req, res, { authType: 'Group', emails: group.members.map((m) => m.email), scope: 'groups:write' });
 			if (!authorized) return res.status(401).json({ error: cause });
 		} else if (req.path.split('/').slice(-1)[0] === 'pull') {
-			const { authorized, cause } = verifyAuth(req, res, { authType: 'Admin' });
+			const { authorized, cause } = await verifyAuth(req, res, {
+				authType: 'Admin',
+				scope: 'groups:write',
+			});
 			if (!authorized) return res.status(401).json({ error: cause });
 		} else {
 			return res.status(400).json({ error: 'Path not correct' });
@@ -347,7 +693,10 @@ export const removeFromGroup = async (req, res) => {
  */
 export const deleteUser = async (req, res) => {
 	try {
-		const { authorized, cause } = verifyAuth(req, res, { authType: 'Admin' });
+		const { authorized, cause } = await verifyAuth(req, res, {
+			authType: 'Admin',
+			scope: 'users:write',
+		});
 		if (!authorized) return res.status(401).json({ error: cause });
 
 		const email = req.body.email;
@@ -365,36 +714,214 @@ export const deleteUser = async (req, res) => {
 			return res.status(400).json({ error: 'Cannot delete an admin' });
 		}
 
-		const deletedTransactions = await transactions.deleteMany({
-			email: email,
+		const response = {
+			data: await removeUser(user),
+			refreshedTokenMessage: res.locals.refreshedTokenMessage
+		};
+		res.status(200).json(response);
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Schedule the deletion of the account of the calling user. Every session and API key of the user is revoked at once,
+ * while the rest of the data is deleted with `removeUser` when the grace period ends. Logging in before then cancels the deletion.
+  - Auth type: User
+  - Request Parameters: A string equal to the `username` of the calling user
+  - Request Body Content: An object having attribute `password`, to confirm the request
+  - Response `data` Content: An object having attributes `message` and `deletionScheduledAt`
+  - Optional behavior:
+    - error 400 is returned if `password` is missing, empty or wrong, or if the user is an admin
+    - error 429 is returned, with a `Retry-After` header, while the account must wait after too many failed attempts
+ */
+export const deleteAccount = async (req, res) => {
+	try {
+		const { authorized, cause } = await verifyAuth(req, res, { authType: 'User' });
+		if (!authorized) return res.status(401).json({ error: cause });
+
+		const { password } = req.body;
+		if (password === undefined) return res.status(400).json({ error: 'Missing parameters' });
+		if (password === '') return res.status(400).json({ error: 'Empty string in parameters' });
+
+		const user = await User.findOne({ username: req.params.username });
+		if (!user) return res.status(400).json({ error: 'User not found' });
+		if (user.role === 'Admin') return res.status(400).json({ error: 'Cannot delete an admin' });
+
+		if (!(await checkPassword(res, user, password))) return;
+
+		const deletionScheduledAt = new Date(Date.now() + deletionGraceDays() * 24 * 60 * 60 * 1000);
+		await User.updateOne({ _id: user._id }, { $set: { deletionScheduledAt: deletionScheduledAt } });
+		await Session.deleteMany({ user: user._id });
+		await ApiKey.deleteMany({ user: user._id });
+		clearAuthCookies(res);
+
+		res.status(200).json({
+			data: { message: 'Account scheduled for deletion', deletionScheduledAt: deletionScheduledAt },
 		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
 
-		const group = await Group.findOne({ 'members.email': email });
+/**
+ * Export everything tied to the account of the calling user, as a JSON file to download
+  - Auth type: User
+  - Request Parameters: A string equal to the `username` of the calling user
+  - Response `data` Content: An object having attributes `exportedAt`, `profile`, `transactions`, `recurring`, `budgets`, `goals`,
+    `group` (null if the user is not in a group), `sessions` and `apiKeys`. `goals` has the goals of the user and the group goals
+    the user contributed to, with the contributions of the user only. Secrets such as the password and the token hashes are not exported
+  - Optional behavior:
+    - error 400 is returned if the user does not exist
+    - error 403 is returned if the request is made by an admin impersonating the user
+ */
+export const exportUserData = async (req, res) => {
+	try {
+		const { authorized, cause, impersonatedBy } = await verifyAuth(req, res, { authType: 'User' });
+		if (!authorized) return res.status(401).json({ error: cause });
+		if (impersonatedBy) return res.status(403).json({ error: 'Not allowed while impersonating a user' });
 
-		let deletedGroup;
-		if(!group){
-			deletedGroup = { deletedCount: 0, modifiedCount: 0 };
-		} else if (group.members.length == 1) {
-			deletedGroup = await Group.deleteMany({
-				name: group.name,
-			});
-		} else {
-			deletedGroup = await Group.updateOne(
-				{ name: group.name },
-				{ $pull: { members: { email: email } } }
-			);
-		}
+		const user = await User.findOne({ username: req.params.username });
+		if (!user) return res.status(400).json({ error: 'User not found' });
 
-		await User.deleteMany({ email: email });
+		const userTransactions = await transactions.find({ username: user.username });
+		const recurring = await recurringTransactions.find({ username: user.username });
+		const userBudgets = await budgets.find({ username: user.username });
+		const userGoals = await goals.find({
+			$or: [{ username: user.username }, { 'contributions.username': user.username }],
+		});
+		const group = await Group.findOne({ 'members.email': user.email });
+		const sessions = await Session.find({ user: user._id });
+		const apiKeys = await ApiKey.find({ user: user._id });
 
-		const response = {
+		res.set('Content-Disposition', 'attachment; filename="ezwallet-export.json"');
+		res.status(200).json({
 			data: {
-				deletedTransactions: deletedTransactions.deletedCount,
-				deletedFromGroup: deletedGroup.modifiedCount > 0 || deletedGroup.deletedCount > 0			
+				exportedAt: new Date(),
+				profile: {
+					username: user.username,
+					email: user.email,
+					pendingEmail: user.pendingEmail,
+					role: user.role,
+					baseCurrency: user.baseCurrency,
+					emailVerified: user.emailVerified,
+					twoFactorEnabled: user.twoFactorEnabled,
+					createdAt: user.createdAt,
+					updatedAt: user.updatedAt,
+				},
+				transactions: userTransactions.map((t) => ({
+					username: t.username,
+					type: t.type,
+					amount: formatAmount(t.amount, t.currency || DEFAULT_CURRENCY),
+					currency: t.currency || DEFAULT_CURRENCY,
+					direction: t.direction || DEFAULT_DIRECTION,
+					date: t.date,
+					description: t.description,
+					notes: t.notes,
+					tags: t.tags,
+				})),
+				recurring: recurring.map((r) => ({
+					type: r.type,
+					amount: formatAmount(r.amount, r.currency || DEFAULT_CURRENCY),
+					currency: r.currency || DEFAULT_CURRENCY,
+					direction: r.direction || DEFAULT_DIRECTION,
+					description: r.description,
+					notes: r.notes,
+					tags: r.tags,
+					frequency: r.frequency,
+					interval: r.interval,
+					start: r.start,
+					until: r.until,
+					count: r.count,
+					skipped: r.skipped,
+					paused: r.paused,
+				})),
+				budgets: userBudgets.map((b) => ({
+					type: b.type,
+					amount: formatAmount(b.amount, b.currency || DEFAULT_CURRENCY),
+					currency: b.currency || DEFAULT_CURRENCY,
+					period: b.period,
+					start: b.start,
+					end: b.end,
+					rollover: b.rollover,
+					createdAt: b.createdAt,
+				})),
+				goals: userGoals.map((g) => ({
+					name: g.name,
+					group: g.group,
+					amount: formatAmount(g.amount, g.currency || DEFAULT_CURRENCY),
+					currency: g.currency || DEFAULT_CURRENCY,
+					deadline: g.deadline,
+					type: g.type,
+					contributions: g.contributions
+						.filter((c) => c.username === user.username)
+						.map((c) => ({
+							amount: formatAmount(c.amount, g.currency || DEFAULT_CURRENCY),
+							date: c.date,
+							note: c.note,
+						})),
+					createdAt: g.createdAt,
+				})),
+				group: group
+					? {
+							name: group.name,
+							members: group.members.map((m) => ({ email: m.email })),
+							currency: group.currency,
+					  }
+					: null,
+				sessions: sessions.map((s) => ({
+					label: s.label,
+					ip: s.ip,
+					userAgent: s.userAgent,
+					createdAt: s.createdAt,
+					lastUsedAt: s.lastUsedAt,
+					expiresAt: s.expiresAt,
+				})),
+				apiKeys: apiKeys.map((k) => ({
+					name: k.name,
+					prefix: k.prefix,
+					scopes: k.scopes,
+					expiresAt: k.expiresAt,
+					lastUsedAt: k.lastUsedAt,
+					createdAt: k.createdAt,
+				})),
 			},
-			refreshedTokenMessage: res.locals.refreshedTokenMessage
-		};
-		res.status(200).json(response);
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
+	} catch (error) {
+		res.status(500).json({ error: error.message });
+	}
+};
+
+/**
+ * Unlock a user locked out after too many failed login attempts
+  - Auth type: Admin
+  - Request Parameters: A string equal to the `username` of the user to unlock
+  - Request Body Content: An optional `ip` whose failed attempts are cleared as well
+  - Response `data` Content: A message confirming that the user has been unlocked
+  - Optional behavior:
+    - error 400 is returned if the user does not exist
+ */
+export const unlockUser = async (req, res) => {
+	try {
+		const { authorized, cause } = await verifyAuth(req, res, {
+			authType: 'Admin',
+			scope: 'users:write',
+		});
+		if (!authorized) return res.status(401).json({ error: cause });
+
+		const user = await User.findOne({ username: req.params.username });
+		if (!user) return res.status(400).json({ error: 'User not found' });
+
+		const { ip } = req.body;
+		if (ip !== undefined && (typeof ip !== 'string' || ip === ''))
+			return res.status(400).json({ error: 'Invalid ip' });
+
+		await resetLoginFailures({ email: user.email, ip: ip });
+		res.status(200).json({
+			data: { message: 'User unlocked' },
+			refreshedTokenMessage: res.locals.refreshedTokenMessage,
+		});
 	} catch (error) {
 		res.status(500).json({ error: error.message });
 	}
@@ -409,7 +936,10 @@ export const deleteUser = async (req, res) => {
  */
 export const deleteGroup = async (req, res) => {
 	try {
-		const { authorized, cause } = verifyAuth(req, res, { authType: 'Admin' });
+		const { authorized, cause } = await verifyAuth(req, res, {
+			authType: 'Admin',
+			scope: 'groups:write',
+		});
 		if (!authorized) return res.status(401).json({ error: cause });
 
 		let { name } = req.body;
@@ -425,6 +955,8 @@ export const deleteGroup = async (req, res) => {
 
 		if (deletedGroup.deletedCount === 0)
 			return res.status(400).json({ error: 'Group not found' });
+		await budgets.deleteMany({ group: req.body.name });
+		await goals.deleteMany({ group: req.body.name });
 
 		res.status(200).json({ data: {
 				message: 'Group deleted'
@@ -1,5 +1,147 @@
 import jwt from 'jsonwebtoken';
-import { Group, User } from '../models/User.js';
+import mongoose from 'mongoose';
+import { createHash, randomBytes, randomUUID } from 'crypto';
+import { ApiKey, AuditLog, Group, Role, Session, User } from '../models/User.js';
+
+/**
+ * Key used to sign and verify refresh tokens. Falls back to `ACCESS_KEY` when `REFRESH_KEY` is not configured.
+ */
+export const refreshTokenKey = () =>
+	process.env.REFRESH_KEY || process.env.ACCESS_KEY;
+
+/**
+ * Generate a random single-use token, to be sent to the user and stored only as its hash
+ */
+export const generateToken = () => randomBytes(32).toString('hex');
+
+/**
+ * Hash a single-use token so that it can be stored and looked up without keeping the token itself
+ */
+export const hashToken = (token) =>
+	createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Lifetime of a session, renewed every time its refresh token is rotated
+ */
+export const SESSION_DURATION = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Create a new access/refresh token pair for a user
+ * @param user an object having attributes `email`, `id`, `username`, `role` and `emailVerified`
+ * @param sessionId the id of the session the tokens belong to, stored in the `sid` claim
+ * @param impersonatedBy the username of the admin impersonating the user, stored in the `impersonatedBy` claim
+ * @returns an object with the created `accessToken` and `refreshToken`.
+ *  Every refresh token carries a unique `jti`, so that two tokens issued for the same user are always different
+ */
+export const createTokens = (user, sessionId, impersonatedBy) => {
+	const payload = {
+		email: user.email,
+		id: user.id,
+		username: user.username,
+		role: user.role,
+		sid: sessionId,
+	};
+	if (impersonatedBy) payload.impersonatedBy = impersonatedBy;
+	//Users that have not verified their email can only read until they do
+	if (user.emailVerified === false) payload.readOnly = true;
+	const accessToken = jwt.sign(payload, process.env.ACCESS_KEY, {
+		expiresIn: '1h',
+	});
+	const refreshToken = jwt.sign(payload, refreshTokenKey(), {
+		expiresIn: SESSION_DURATION / 1000,
+		jwtid: randomUUID(),
+	});
+	return { accessToken, refreshToken };
+};
+
+/**
+ * Options of the authentication cookies. They are read from the environment so that each deployment can set them:
+ *  `COOKIE_DOMAIN` (omitted when not set), `COOKIE_PATH` (defaults to `/api`), `COOKIE_SAME_SITE` (defaults to `none`)
+ *  and `COOKIE_SECURE` (defaults to `true`, disabled only by `false`)
+ * @param maxAge the lifetime of the cookie in milliseconds
+ */
+export const cookieOptions = (maxAge) => {
+	const options = {
+		httpOnly: true,
+		path: process.env.COOKIE_PATH || '/api',
+		maxAge: maxAge,
+		sameSite: process.env.COOKIE_SAME_SITE || 'none',
+		secure: process.env.COOKIE_SECURE !== 'false',
+	};
+	if (process.env.COOKIE_DOMAIN) options.domain = process.env.COOKIE_DOMAIN;
+	return options;
+};
+
+/**
+ * Set the `accessToken` and `refreshToken` cookies on the response
+ */
+export const setAuthCookies = (res, accessToken, refreshToken) => {
+	res.cookie('accessToken', accessToken, cookieOptions(60 * 60 * 1000));
+	res.cookie('refreshToken', refreshToken, cookieOptions(SESSION_DURATION));
+};
+
+/**
+ * Expire the `accessToken` and `refreshToken` cookies on the response
+ */
+export const clearAuthCookies = (res) => {
+	res.cookie('accessToken', '', cookieOptions(0));
+	res.cookie('refreshToken', '', cookieOptions(0));
+};
+
+/**
+ * Scopes that can be granted to an API key. Every route that accepts API keys requires one of them.
+ */
+export const API_KEY_SCOPES = [
+	'categories:read',
+	'categories:write',
+	'transactions:read',
+	'transactions:write',
+	'groups:read',
+	'groups:write',
+	'users:read',
+	'users:write',
+];
+
+/**
+ * Permissions that roles can grant. They have the same names as the scopes of API keys,
+ * but apply to the data of every user instead of only to the data of the owner.
+ */
+export const PERMISSIONS = API_KEY_SCOPES;
+
+/**
+ * Roles that are not stored in the `roles` collection: `Admin` has every permission and `Regular` has none
+ */
+export const BUILT_IN_ROLES = ['Admin', 'Regular'];
+
+/**
+ * Read the tokens sent with a request.
+ * Clients that cannot handle cookies send `Authorization: Bearer <accessToken>` and `X-Refresh-Token: <refreshToken>` headers instead,
+ * which take precedence over the cookies when present.
+ * @param req the request object that contains cookie and header information
+ * @returns an object with the `accessToken` and `refreshToken` of the request, a boolean `bearer` that is true if they were read from the headers
+ *  and the `apiKey` of the request, if any
+ */
+export const getTokens = (req) => {
+	const headers = req.headers || {};
+	const cookies = req.cookies || {};
+	const authorization = headers.authorization;
+	const apiKey = headers['x-api-key'];
+
+	if (authorization && authorization.startsWith('Bearer ')) {
+		return {
+			accessToken: authorization.slice('Bearer '.length).trim(),
+			refreshToken: headers['x-refresh-token'] || cookies.refreshToken,
+			bearer: true,
+			apiKey,
+		};
+	}
+	return {
+		accessToken: cookies.accessToken,
+		refreshToken: cookies.refreshToken || headers['x-refresh-token'],
+		bearer: false,
+		apiKey,
+	};
+};
 
 /**
  * Handle possible date filtering options in the query parameters for getTransactionsByUser when called by a Regular user.
@@ -82,12 +224,210 @@ export const handleDateFilterParams = (req) => {
 	return filter;
 };
 
+/**
+ * Record that a session is in use. The update is skipped when the session has been used in the last minute,
+ * so that a burst of requests does not write on every call.
+ */
+const touchSession = async (session) => {
+	if (Date.now() - new Date(session.lastUsedAt).getTime() > 60 * 1000)
+		await Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date() } });
+};
+
+const tokenUser = (decodedToken) => ({
+	id: decodedToken.id,
+	username: decodedToken.username,
+	email: decodedToken.email,
+	role: decodedToken.role,
+});
+
+/**
+ * Add a request made while an admin impersonates a user to the audit trail
+ */
+const auditImpersonatedRequest = async (req, decodedToken) => {
+	await AuditLog.create({
+		actor: decodedToken.impersonatedBy,
+		user: decodedToken.username,
+		action: `${req.method} ${req.originalUrl || req.url}`,
+		ip: req.ip || null,
+	});
+};
+
+/**
+ * Check whether a role grants a permission. Built-in roles are not stored: `Admin` is checked by the caller and `Regular` grants nothing.
+ */
+const roleGrants = async (role, permission) => {
+	if (!permission || BUILT_IN_ROLES.includes(role)) return false;
+	const found = await Role.findOne({ name: role });
+	return !!found && found.permissions.includes(permission);
+};
+
+/**
+ * Check the criteria of `info.authType` against the authenticated user. A custom role passes the `Admin` criteria if the route
+ * declares a permission: `checkCustomRole` then reads whether the role grants it.
+ * @returns `null` if they are satisfied, the failed result of `verifyAuth` otherwise
+ */
+const checkAuthType = (req, info, user) => {
+	if (info.authType === 'User') {
+		if (!req.params && !info.username) {
+			return {
+				authorized: false,
+				cause: 'Cannot deceted the user',
+			};
+		} else if (
+			(req.params &&
+				req.params.username &&
+				req.params.username !== user.username) ||
+			(info.username && info.username !== user.username)
+		) {
+			return {
+				authorized: false,
+				cause: 'Requested user different from the logged one',
+			};
+		}
+	} else if (info.authType === 'Admin') {
+		if (user.role !== 'Admin' && (!req.permission || BUILT_IN_ROLES.includes(user.role))) {
+			return { authorized: false, cause: 'Not admin' };
+		}
+	} else if (info.authType === 'Group') {
+		if (!info.emails || !info.emails.includes(user.email)) {
+			return { authorized: false, cause: 'User not in group' };
+		}
+	}
+	return null;
+};
+
+/**
+ * Check that the custom role of a user treated as an admin grants the permission declared by the route
+ * @returns `null` if it does or if the criteria do not concern the role, the failed result of `verifyAuth` otherwise
+ */
+const checkCustomRole = async (req, info, user) => {
+	if (info.authType !== 'Admin' || user.role === 'Admin') return null;
+	return (await roleGrants(user.role, req.permission)) ? null : { authorized: false, cause: 'Not admin' };
+};
+
+//Errors raised while reading the database fail the authentication, like invalid tokens do
+const failOnError = (promise) => promise.catch((err) => ({ authorized: false, cause: err.name }));
+
+/**
+ * Authenticate a request made with a personal API key. The key acts on behalf of its owner,
+ * but only on routes that declare a `scope` and only if the key has been granted it.
+ */
+const verifyApiKey = async (req, key, info) => {
+	const apiKey = await ApiKey.findOne({ keyHash: hashToken(key) });
+	if (!apiKey || (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date())) {
+		return { authorized: false, cause: 'Invalid or expired API key' };
+	}
+	if (!info.scope) {
+		return { authorized: false, cause: 'API keys are not allowed on this route' };
+	}
+	if (!apiKey.scopes.includes(info.scope)) {
+		return { authorized: false, cause: `API key is missing the ${info.scope} scope` };
+	}
+
+	const owner = await User.findOne({ _id: apiKey.user });
+	if (!owner) return { authorized: false, cause: 'Invalid or expired API key' };
+	if (owner.emailVerified === false && req.method && req.method !== 'GET') {
+		return { authorized: false, cause: 'Email not verified: read-only access' };
+	}
+
+	const user = {
+		id: owner.id,
+		username: owner.username,
+		email: owner.email,
+		role: owner.role,
+	};
+	const failure = checkAuthType(req, info, user) || (await checkCustomRole(req, info, user));
+	if (failure) return failure;
+
+	if (!apiKey.lastUsedAt || Date.now() - new Date(apiKey.lastUsedAt).getTime() > 60 * 1000)
+		await ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } });
+
+	return { authorized: true, cause: 'Authorized', user, apiKeyId: apiKey.id };
+};
+
+/**
+ * Complete the authentication of a valid access token with the checks that read the database: the session of the token must not
+ * have been revoked, a custom role must grant the permission of the route, and requests made during an impersonation are audited
+ */
+const verifyAccessSession = async (req, info, decodedAccessToken) => {
+	//Tokens issued by login belong to a session, which may have been revoked before they expire
+	if (decodedAccessToken.sid) {
+		const session = await Session.findOne({
+			_id: decodedAccessToken.sid,
+			expiresAt: { $gt: new Date() },
+		});
+		if (!session) return { authorized: false, cause: 'Session has been revoked' };
+		await touchSession(session);
+	}
+
+	const failure = await checkCustomRole(req, info, decodedAccessToken);
+	if (failure) return failure;
+
+	if (decodedAccessToken.impersonatedBy) await auditImpersonatedRequest(req, decodedAccessToken);
+	return {
+		authorized: true,
+		cause: 'Authorized',
+		user: tokenUser(decodedAccessToken),
+		sessionId: decodedAccessToken.sid,
+		impersonatedBy: decodedAccessToken.impersonatedBy,
+	};
+};
+
+/**
+ * Sign a new access token from a valid refresh token, which must be the one currently stored for its session
+ */
+const refreshAccessToken = async (req, res, tokens, refreshToken) => {
+	//Only the refresh token currently stored for a session can be used: rotated tokens and revoked sessions are rejected
+	const session = await Session.findOne({
+		refreshTokenHash: hashToken(tokens.refreshToken),
+		expiresAt: { $gt: new Date() },
+	});
+	if (!session) {
+		//A refresh token that has already been rotated may have been stolen: revoke every session of the user, like refresh does
+		const rotatedSession =
+			refreshToken.sid && (await Session.findOne({ _id: refreshToken.sid, expiresAt: { $gt: new Date() } }));
+		if (rotatedSession) {
+			await Session.deleteMany({ user: rotatedSession.user });
+			clearAuthCookies(res);
+			return { authorized: false, cause: 'Refresh token reuse detected, all sessions have been revoked' };
+		}
+		return { authorized: false, cause: 'Refresh token has been revoked' };
+	}
+	const newAccessToken = jwt.sign(
+		{
+			username: refreshToken.username,
+			email: refreshToken.email,
+			id: refreshToken.id,
+			role: refreshToken.role,
+			sid: refreshToken.sid,
+			...(refreshToken.readOnly && { readOnly: true }),
+			...(refreshToken.impersonatedBy && { impersonatedBy: refreshToken.impersonatedBy }),
+		},
+		process.env.ACCESS_KEY,
+		{ expiresIn: '1h' }
+	);
+	res.cookie('accessToken', newAccessToken, cookieOptions(60 * 60 * 1000));
+	if (tokens.bearer) res.set('X-Access-Token', newAccessToken);
+	res.locals.refreshedTokenMessage =
+		'Access token has been refreshed. Remember to copy the new one in the headers of subsequent calls';
+	await touchSession(session);
+	if (refreshToken.impersonatedBy) await auditImpersonatedRequest(req, refreshToken);
+	return {
+		authorized: true,
+		cause: 'Authorized',
+		user: tokenUser(refreshToken),
+		sessionId: session.id,
+		impersonatedBy: refreshToken.impersonatedBy,
+	};
+};
+
 /**
  * Handle possible authentication modes depending on `authType`
- * @param req the request object that contains cookie information
+ * @param req the request object that contains the tokens, either as cookies or as `Authorization: Bearer` and `X-Refresh-Token` headers
  * @param res the result object of the request
- * @param info an object that specifies the `authType` and that contains additional information, depending on the value of `authType`
- *      Example: {authType: "Simple"}
+ * @param info an object that specifies the `authType` and that contains additional information, depending on the value of `authType`.
+ *      Routes that accept API keys also specify the `scope` a key needs to call them
+ *      Example: {authType: "Simple", scope: "transactions:read"}
  *      Additional criteria:
  *          - authType === "User":
  *              - either the accessToken or the refreshToken have a `username` different from the requested one => error 401
@@ -95,6 +435,7 @@ export const handleDateFilterParams = (req) => {
  *              - both the accessToken and the refreshToken have a `username` equal to the requested one => success
  *              - the accessToken is expired and the refreshToken has a `username` equal to the requested one => success
  *          - authType === "Admin":
+ *              - users whose role grants the permission declared by the route with `requirePermission` are treated as admins
  *              - either the accessToken or the refreshToken have a `role` which is not Admin => error 401
  *              - the accessToken is expired and the refreshToken has a `role` which is not Admin => error 401
  *              - both the accessToken and the refreshToken have a `role` which is equal to Admin => success
@@ -104,26 +445,38 @@ export const handleDateFilterParams = (req) => {
  *              - the accessToken is expired and the refreshToken has a `email` which is not in the requested group => error 401
  *              - both the accessToken and the refreshToken have a `email` which is in the requested group => success
  *              - the accessToken is expired and the refreshToken has a `email` which is in the requested group => success
- * @returns true if the user satisfies all the conditions of the specified `authType` and false if at least one condition is not satisfied
- *  Refreshes the accessToken if it has expired and the refreshToken is still valid
+ * @returns an object whose `authorized` attribute is true if the user satisfies all the conditions of the specified `authType` and false if at least one condition is not satisfied.
+ *  The object is returned directly when the tokens alone decide, and through a promise when the database has to be read
+ *  (sessions, API keys, custom roles and impersonations): callers await the result in both cases.
+ *  When authorized, the result also contains the `user` (`id`, `username`, `email` and `role`) the tokens belong to and the `sessionId`.
+ *  Tokens issued to an admin impersonating a user belong to the user, so they satisfy the criteria of the user; the result contains
+ *  the `impersonatedBy` admin and the request is added to the audit trail.
+ *  Tokens of a session that has been revoked are rejected.
+ *  Requests sending an `X-API-Key` header are authenticated by the key alone, which must be valid and have been granted `info.scope`:
+ *  the result then contains the `apiKeyId` instead of the `sessionId`.
+ *  Refreshes the accessToken if it has expired and the refreshToken is still valid and is the one currently stored for its session
  */
 
 export const verifyAuth = (req, res, info) => {
-	const cookie = req.cookies;
+	const tokens = getTokens(req);
 
-	if (!cookie.accessToken || !cookie.refreshToken) {
+	if (tokens.apiKey) {
+		return failOnError(verifyApiKey(req, tokens.apiKey, info));
+	}
+
+	if (!tokens.accessToken || !tokens.refreshToken) {
 		return { authorized: false, cause: 'Unauthorized' };
 	}
 
 	try {
 		const decodedAccessToken = jwt.verify(
-			cookie.accessToken,
+			tokens.accessToken,
 			process.env.ACCESS_KEY
 		);
 
 		const decodedRefreshToken = jwt.verify(
-			cookie.refreshToken,
-			process.env.ACCESS_KEY
+			tokens.refreshToken,
+			refreshTokenKey()
 		);
 
 		if (
@@ -143,66 +496,39 @@ export const verifyAuth = (req, res, info) => {
 		if (
 			decodedAccessToken.username !== decodedRefreshToken.username ||
 			decodedAccessToken.email !== decodedRefreshToken.email ||
-			decodedAccessToken.role !== decodedRefreshToken.role
+			decodedAccessToken.role !== decodedRefreshToken.role ||
+			decodedAccessToken.sid !== decodedRefreshToken.sid ||
+			decodedAccessToken.impersonatedBy !== decodedRefreshToken.impersonatedBy
 		) {
 			return { authorized: false, cause: 'Mismatched users' };
 		}
 
-		if (info.authType === 'User') {
-			if (!req.params && !info.username) {
-				return {
-					authorized: false,
-					cause: 'Cannot deceted the user',
-				};
-			} else if (
-				(req.params &&
-					req.params.username &&
-					req.params.username !== decodedAccessToken.username) ||
-				(info.username && info.username !== decodedAccessToken.username)
-			) {
-				return {
-					authorized: false,
-					cause: 'Requested user different from the logged one',
-				};
-			}
-		} else if (info.authType === 'Admin') {
-			if (decodedAccessToken.role !== 'Admin') {
-				return { authorized: false, cause: 'Not admin' };
-			}
-		} else if (info.authType === 'Group') {
-			if (!info.emails || !info.emails.includes(decodedAccessToken.email)) {
-				return { authorized: false, cause: 'User not in group' };
-			}
+		if (decodedAccessToken.readOnly && req.method && req.method !== 'GET') {
+			return { authorized: false, cause: 'Email not verified: read-only access' };
 		}
 
-		return { authorized: true, cause: 'Authorized' };
+		const failure = checkAuthType(req, info, decodedAccessToken);
+		if (failure) return failure;
+
+		if (
+			decodedAccessToken.sid ||
+			decodedAccessToken.impersonatedBy ||
+			(info.authType === 'Admin' && decodedAccessToken.role !== 'Admin')
+		) {
+			return failOnError(verifyAccessSession(req, info, decodedAccessToken));
+		}
+		return { authorized: true, cause: 'Authorized', user: tokenUser(decodedAccessToken) };
 	} catch (err) {
 		if (err.name === 'TokenExpiredError' || err.message === 'jwt expired') {
 			try {
 				const refreshToken = jwt.verify(
-					cookie.refreshToken,
-					process.env.ACCESS_KEY
-				);
-				const newAccessToken = jwt.sign(
-					{
-						username: refreshToken.username,
-						email: refreshToken.email,
-						id: refreshToken.id,
-						role: refreshToken.role,
-					},
-					process.env.ACCESS_KEY,
-					{ expiresIn: '1h' }
+					tokens.refreshToken,
+					refreshTokenKey()
 				);
-				res.cookie('accessToken', newAccessToken, {
-					httpOnly: true,
-					path: '/api',
-					maxAge: 60 * 60 * 1000,
-					sameSite: 'none',
-					secure: true,
-				});
-				res.locals.refreshedTokenMessage =
-					'Access token has been refreshed. Remember to copy the new one in the headers of subsequent calls';
-				return { authorized: true, cause: 'Authorized' };
+				if (refreshToken.readOnly && req.method && req.method !== 'GET') {
+					return { authorized: false, cause: 'Email not verified: read-only access' };
+				}
+				return failOnError(refreshAccessToken(req, res, tokens, refreshToken));
 			} catch (err) {
 				if (err.name === 'TokenExpiredError') {
 					return { authorized: false, cause: 'Perform login again' };
@@ -220,36 +546,67 @@ export const verifyAuth = (req, res, info) => {
  * @param req the request object that can contain query parameters
  * @returns an object that can be used for filtering MongoDB queries according to the `amount` parameter.
  *  The returned object must handle all possible combination of amount filtering parameters, including the case where none are present.
- *  Example: {amount: {$gte: 100}} returns all transactions whose `amount` parameter is greater or equal than 100
- * @throws an error if the value of any of the two query parameters is not a numerical value
+ *  The bounds read from the query string are decimals, like the stored amounts, so that `min=9.99` selects an amount of exactly 9.99;
+ *  bounds that are already numbers are kept as they are.
+ *  Example: {amount: {$gte: Decimal128("100")}} returns all transactions whose `amount` parameter is greater or equal than 100
+ * @throws an error if the value of any of the two query parameters is not a decimal number
  */
 export const handleAmountFilterParams = (req) => {
 	const { min, max } = req.query;
 	let filter = {};
 
-	if (min && isNaN(min)) {
-		throw new Error('Invalid `min` parameter');
-	}
-
-	if (max && isNaN(max)) {
-		throw new Error('Invalid `max` parameter');
-	}
+	const parseBound = (value, name) => {
+		if (typeof value === 'number' && Number.isFinite(value)) return value;
+		const text = String(value).trim();
+		if (!/^[+-]?(\d+\.?\d*|\.\d+)$/.test(text)) {
+			throw new Error(`Invalid \`${name}\` parameter`);
+		}
+		return mongoose.Types.Decimal128.fromString(text.replace(/^\+/, ''));
+	};
 
 	if (min) {
-		filter.amount = { $gte: parseInt(min) };
+		filter.amount = { $gte: parseBound(min, 'min') };
 	}
 
 	if (max) {
 		if (filter.amount) {
-			filter.amount.$lte = parseInt(max);
+			filter.amount.$lte = parseBound(max, 'max');
 		} else {
-			filter.amount = { $lte: parseInt(max) };
+			filter.amount = { $lte: parseBound(max, 'max') };
 		}
 	}
 
 	return filter;
 };
 
+/**
+ * Normalize the tags of a transaction: tags are trimmed and lowercased, empty and repeated tags are dropped
+ * @param tags an array of strings
+ * @returns the normalized array of tags
+ */
+export const normalizeTags = (tags) => [
+	...new Set(tags.map((tag) => tag.trim().toLowerCase()).filter((tag) => tag !== '')),
+];
+
+/**
+ * Handle the tag filtering option in the query parameters of the routes that list transactions.
+ * @param req the request object that can contain query parameters
+ * @returns an object that can be used for filtering MongoDB queries according to the `tags` parameter, a comma separated list of tags.
+ *  Only the transactions having all the listed tags are returned; when the parameter is not present the object is empty.
+ *  Example: `?tags=work,travel` => {tags: {$all: ['work', 'travel']}}
+ * @throws an error if the `tags` parameter does not contain any tag
+ */
+export const handleTagFilterParams = (req) => {
+	const { tags } = req.query || {};
+	if (tags === undefined) return {};
+
+	const list = normalizeTags([].concat(tags).join(',').split(','));
+	if (list.length === 0) {
+		throw new Error('Invalid `tags` parameter');
+	}
+	return { tags: { $all: list } };
+};
+
 // This function takes an array and a predicate function as arguments and returns a new array containing
 // only the elements of the original array for which the predicate function returns a truthy value.
 
@@ -263,27 +620,24 @@ export const asyncFilter = async (arr, predicate) => {
 	return arr.filter((_v, index) => results[index]);
 };
 
-export const verifyMultipleAuth = (req, res, info) => {
+export const verifyMultipleAuth = async (req, res, info) => {
 	let message = null;
 
-	return {
-		authorized: info.authType.some((type) => {
-			const { authorized, cause } = verifyAuth(req, res, {
-				...info,
-				authType: type,
-			});
+	for (const type of info.authType) {
+		const { authorized, cause, user } = await verifyAuth(req, res, {
+			...info,
+			authType: type,
+		});
 
-			if (authorized) return true;
-			if (message === null) {
-				message = cause;
-			} else {
-				if (!message.includes(cause)) message += ' or ' + cause;
-			}
+		if (authorized) return { authorized: true, cause: 'Authorized', user };
+		if (message === null) {
+			message = cause;
+		} else {
+			if (!message.includes(cause)) message += ' or ' + cause;
+		}
+	}
 
-			return false;
-		}),
-		cause: message,
-	};
+	return { authorized: false, cause: message };
 };
 
 export const isEmail = (email) => {
@@ -298,8 +652,9 @@ export const checkGroupEmails = async (memberEmails, groupName) => {
 	let membersNotFound = [];
 	let notInGroup = [];
 
+	//Users that have not verified their email are treated as not found, so that nobody can be added to a group with a fake address
 	memberEmails = await asyncFilter(memberEmails, async (e) => {
-		const result = await User.findOne({ email: e });
+		const result = await User.findOne({ email: e, emailVerified: { $ne: false } });
 		if (!result) membersNotFound.push(e);
 		return result;
 	});
@@ -0,0 +1,151 @@
+import { LoginAttempt } from '../models/User.js';
+
+/**
+ * Limits applied to the failed login attempts.
+ * After `freeAttempts` failures every attempt must wait `baseDelayMs`, doubled at each further failure;
+ * after `lockAfter` failures the key is locked for `lockDurationMs`. Failures are forgotten `windowMs` after the last one.
+ */
+export const lockoutPolicy = {
+	account: { freeAttempts: 5, lockAfter: 10 },
+	ip: { freeAttempts: 20, lockAfter: 100 },
+	baseDelayMs: 1000,
+	lockDurationMs: 15 * 60 * 1000,
+	windowMs: 15 * 60 * 1000,
+};
+
+/**
+ * Store that keeps the counters in memory. Counters are lost on restart and are not shared between instances.
+ */
+export const memoryStore = {
+	records: new Map(),
+	get: async (key) => {
+		const record = memoryStore.records.get(key);
+		if (!record) return null;
+		if (record.expiresAt <= new Date()) {
+			memoryStore.records.delete(key);
+			return null;
+		}
+		return { ...record };
+	},
+	increment: async (key, expiresAt) => {
+		const record = (await memoryStore.get(key)) || { failures: 0, lockedUntil: null };
+		record.failures += 1;
+		record.expiresAt = expiresAt;
+		memoryStore.records.set(key, record);
+		return { ...record };
+	},
+	lock: async (key, lockedUntil, expiresAt) => {
+		const record = memoryStore.records.get(key);
+		if (record) memoryStore.records.set(key, { ...record, lockedUntil, expiresAt });
+	},
+	reset: async (key) => {
+		memoryStore.records.delete(key);
+	},
+};
+
+/**
+ * Store that keeps the counters in the `loginattempts` collection, shared by every instance of the server.
+ * Expired documents are removed by a TTL index.
+ */
+export const mongoStore = {
+	get: async (key) => LoginAttempt.findOne({ key: key, expiresAt: { $gt: new Date() } }),
+	increment: async (key, expiresAt) => {
+		//Expired documents may still be there until the TTL monitor runs: they must not be counted
+		await LoginAttempt.deleteOne({ key: key, expiresAt: { $lte: new Date() } });
+		return LoginAttempt.findOneAndUpdate(
+			{ key: key },
+			{ $inc: { failures: 1 }, $set: { expiresAt: expiresAt } },
+			{ upsert: true, new: true }
+		);
+	},
+	lock: async (key, lockedUntil, expiresAt) => {
+		await LoginAttempt.updateOne(
+			{ key: key },
+			{ $set: { lockedUntil: lockedUntil, expiresAt: expiresAt } }
+		);
+	},
+	reset: async (key) => {
+		await LoginAttempt.deleteOne({ key: key });
+	},
+};
+
+let customStore = null;
+
+/**
+ * Replace the store of the failed attempt counters.
+ * Any object with async `get(key)`, `increment(key, expiresAt)`, `lock(key, lockedUntil, expiresAt)` and `reset(key)`
+ * functions can be plugged in, e.g. a wrapper around Redis.
+ * Passing `null` restores the store selected by the `LOCKOUT_STORE` environment variable.
+ */
+export const setLockoutStore = (store) => {
+	customStore = store;
+};
+
+const getLockoutStore = () => {
+	if (customStore) return customStore;
+	return process.env.LOCKOUT_STORE === 'mongo' ? mongoStore : memoryStore;
+};
+
+/**
+ * Keys of the counters involved in a login attempt, with the limits that apply to each one
+ */
+const counterKeys = ({ email, ip }) => {
+	const keys = [];
+	if (email) keys.push({ key: `account:${email.toLowerCase()}`, limits: lockoutPolicy.account });
+	if (ip) keys.push({ key: `ip:${ip}`, limits: lockoutPolicy.ip });
+	return keys;
+};
+
+/**
+ * Milliseconds to wait before the next attempt after a number of consecutive failures
+ */
+export const lockoutDelay = (failures, limits) => {
+	if (failures >= limits.lockAfter) return lockoutPolicy.lockDurationMs;
+	if (failures < limits.freeAttempts) return 0;
+	return Math.min(
+		lockoutPolicy.baseDelayMs * 2 ** (failures - limits.freeAttempts),
+		lockoutPolicy.lockDurationMs
+	);
+};
+
+/**
+ * Check whether a login attempt is allowed
+ * @param attempt an object with the `email` and the `ip` of the attempt
+ * @returns the milliseconds to wait before the next attempt, 0 if the attempt is allowed
+ */
+export const loginRetryAfter = async (attempt) => {
+	const store = getLockoutStore();
+	let wait = 0;
+	for (const { key } of counterKeys(attempt)) {
+		const record = await store.get(key);
+		if (record && record.lockedUntil)
+			wait = Math.max(wait, new Date(record.lockedUntil).getTime() - Date.now());
+	}
+	return wait;
+};
+
+/**
+ * Count a failed login attempt for the account and the ip, delaying or locking the next attempts if needed
+ */
+export const recordLoginFailure = async (attempt) => {
+	const store = getLockoutStore();
+	for (const { key, limits } of counterKeys(attempt)) {
+		const now = Date.now();
+		const record = await store.increment(key, new Date(now + lockoutPolicy.windowMs));
+		const delay = lockoutDelay(record.failures, limits);
+		if (delay > 0)
+			await store.lock(
+				key,
+				new Date(now + delay),
+				new Date(now + Math.max(delay, lockoutPolicy.windowMs))
+			);
+	}
+};
+
+/**
+ * Clear the failed attempts of an account and/or an ip, after a successful login or when an admin unlocks them
+ */
+export const resetLoginFailures = async (attempt) => {
+	const store = getLockoutStore();
+	for (const { key } of counterKeys(attempt)) await store.reset(key);
+};
@@ -0,0 +1,50 @@
+import { appendFile } from 'fs/promises';
+
+/**
+ * Transport that keeps the sent emails in memory, so that tests can read them from `sent`
+ */
+export const memoryTransport = {
+	sent: [],
+	send: async (mail) => {
+		memoryTransport.sent.push(mail);
+	},
+};
+
+/**
+ * Transport that appends every sent email as a JSON line to the file in `MAIL_FILE` (`mail.log` by default)
+ */
+export const fileTransport = {
+	send: async (mail) => {
+		await appendFile(process.env.MAIL_FILE || 'mail.log', JSON.stringify(mail) + '\n');
+	},
+};
+
+let customTransport = null;
+
+/**
+ * Replace the transport used by `sendMail`.
+ * Any object with an async `send(mail)` function can be plugged in, e.g. a wrapper around an SMTP client.
+ * Passing `null` restores the transport selected by the `MAIL_TRANSPORT` environment variable.
+ */
+export const setMailTransport = (transport) => {
+	customTransport = transport;
+};
+
+const getMailTransport = () => {
+	if (customTransport) return customTransport;
+	return process.env.MAIL_TRANSPORT === 'memory' ? memoryTransport : fileTransport;
+};
+
+/**
+ * Send an email through the current transport
+ * @param mail an object having attributes `to`, `subject` and `text`
+ */
+export const sendMail = async ({ to, subject, text }) => {
+	await getMailTransport().send({
+		from: process.env.MAIL_FROM || 'no-reply@ezwallet.com',
+		to,
+		subject,
+		text,
+		date: new Date(),
+	});
+};
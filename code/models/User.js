@@ -17,13 +17,58 @@ export const UserSchema = new mongoose.Schema(
 			type: String,
 			required: true,
 		},
-		refreshToken: {
-			type: String,
-		},
 		role: {
 			type: String,
 			default: 'Regular',
 		},
+		baseCurrency: {
+			type: String,
+			default: 'EUR',
+		},
+		emailVerified: {
+			type: Boolean,
+		},
+		emailVerificationTokenHash: {
+			type: String,
+			default: null,
+		},
+		emailVerificationExpires: {
+			type: Date,
+			default: null,
+		},
+		pendingEmail: {
+			type: String,
+			default: null,
+		},
+		deletionScheduledAt: {
+			type: Date,
+			default: null,
+			index: true,
+		},
+		passwordResetTokenHash: {
+			type: String,
+			default: null,
+		},
+		passwordResetExpires: {
+			type: Date,
+			default: null,
+		},
+		twoFactorEnabled: {
+			type: Boolean,
+			default: false,
+		},
+		twoFactorSecret: {
+			type: String,
+			default: null,
+		},
+		twoFactorLastUsedStep: {
+			type: Number,
+			default: null,
+		},
+		twoFactorRecoveryCodes: {
+			type: [String],
+			default: [],
+		},
 	},
 	{
 		timestamps: true,
@@ -49,8 +94,202 @@ export const GroupSchema = new mongoose.Schema({
 			},
 		},
 	],
+	currency: {
+		type: String,
+		default: 'EUR',
+	},
 });
 
+export const AdminInvitationSchema = new mongoose.Schema(
+	{
+		tokenHash: {
+			type: String,
+			required: true,
+			unique: true,
+		},
+		email: {
+			type: String,
+			default: null,
+		},
+		createdBy: {
+			type: String,
+			required: true,
+		},
+		expiresAt: {
+			type: Date,
+			required: true,
+		},
+		usedAt: {
+			type: Date,
+			default: null,
+		},
+		usedBy: {
+			type: String,
+			default: null,
+		},
+	},
+	{
+		timestamps: true,
+	}
+);
+
+export const LoginAttemptSchema = new mongoose.Schema({
+	key: {
+		type: String,
+		required: true,
+		unique: true,
+	},
+	failures: {
+		type: Number,
+		default: 0,
+	},
+	lockedUntil: {
+		type: Date,
+		default: null,
+	},
+	expiresAt: {
+		type: Date,
+		required: true,
+		expires: 0,
+	},
+});
+
+export const SessionSchema = new mongoose.Schema(
+	{
+		user: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+			index: true,
+		},
+		label: {
+			type: String,
+			default: null,
+		},
+		ip: {
+			type: String,
+			default: null,
+		},
+		userAgent: {
+			type: String,
+			default: null,
+		},
+		impersonatedBy: {
+			type: String,
+			default: null,
+		},
+		refreshTokenHash: {
+			type: String,
+			required: true,
+			index: true,
+		},
+		lastUsedAt: {
+			type: Date,
+			default: Date.now,
+		},
+		expiresAt: {
+			type: Date,
+			required: true,
+			expires: 0,
+		},
+	},
+	{
+		timestamps: true,
+	}
+);
+
+export const ApiKeySchema = new mongoose.Schema(
+	{
+		user: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+			index: true,
+		},
+		name: {
+			type: String,
+			required: true,
+		},
+		prefix: {
+			type: String,
+			required: true,
+		},
+		keyHash: {
+			type: String,
+			required: true,
+			unique: true,
+		},
+		scopes: {
+			type: [String],
+			default: [],
+		},
+		expiresAt: {
+			type: Date,
+			default: null,
+		},
+		lastUsedAt: {
+			type: Date,
+			default: null,
+		},
+	},
+	{
+		timestamps: true,
+	}
+);
+
+export const RoleSchema = new mongoose.Schema(
+	{
+		name: {
+			type: String,
+			required: true,
+			unique: true,
+		},
+		description: {
+			type: String,
+			default: '',
+		},
+		permissions: {
+			type: [String],
+			default: [],
+		},
+	},
+	{
+		timestamps: true,
+	}
+);
+
+export const AuditLogSchema = new mongoose.Schema(
+	{
+		actor: {
+			type: String,
+			required: true,
+			index: true,
+		},
+		user: {
+			type: String,
+			required: true,
+			index: true,
+		},
+		action: {
+			type: String,
+			required: true,
+		},
+		ip: {
+			type: String,
+			default: null,
+		},
+	},
+	{
+		timestamps: true,
+	}
+);
+
 const Group = mongoose.model('Group', GroupSchema);
 const User = mongoose.model('User', UserSchema);
-export { Group, User };
+const AdminInvitation = mongoose.model('AdminInvitation', AdminInvitationSchema);
+const LoginAttempt = mongoose.model('LoginAttempt', LoginAttemptSchema);
+const Session = mongoose.model('Session', SessionSchema);
+const ApiKey = mongoose.model('ApiKey', ApiKeySchema);
+const Role = mongoose.model('Role', RoleSchema);
+const AuditLog = mongoose.model('AuditLog', AuditLogSchema);
+export { AdminInvitation, ApiKey, AuditLog, Group, LoginAttempt, Role, Session, User };
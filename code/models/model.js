@@ -12,6 +12,12 @@ const categories_model = new Schema({
 		required: true,
 		default: '#fcbe44',
 	},
+	//Direction given to the transactions of the category that do not set one
+	direction: {
+		type: String,
+		enum: ['income', 'expense', 'transfer'],
+		default: 'expense',
+	},
 });
 
 const transaction_model = new Schema({
@@ -25,18 +31,279 @@ const transaction_model = new Schema({
 		default: 'investment',
 		required: true,
 	},
+	//Amounts are exact decimals with the precision of their currency, e.g. 12.50 for euros
 	amount: {
-		type: Number,
+		type: Schema.Types.Decimal128,
 		default: 0,
 		required: true,
 	},
+	currency: {
+		type: String,
+		default: 'EUR',
+	},
+	//Amounts are always positive, the direction tells whether the money came in or went out
+	direction: {
+		type: String,
+		enum: ['income', 'expense', 'transfer'],
+		default: 'expense',
+	},
 	date: {
 		type: Date,
 		default: Date.now,
 	},
+	description: {
+		type: String,
+		default: '',
+	},
+	notes: {
+		type: String,
+		default: '',
+	},
+	tags: {
+		type: [String],
+		default: [],
+		index: true,
+	},
+	//Transactions created by a recurring transaction, with the date of the occurrence they were created for
+	recurring: {
+		type: Schema.Types.ObjectId,
+	},
+	occurrence: {
+		type: Date,
+	},
+	//Identifier of an imported transaction in the statement of its bank
+	externalId: {
+		type: String,
+	},
 });
 
+//An occurrence of a recurring transaction is created at most once, even if the scheduler runs again after a failure
+transaction_model.index(
+	{ recurring: 1, occurrence: 1 },
+	{ unique: true, partialFilterExpression: { recurring: { $exists: true } } }
+);
+
+//A transaction of a bank statement is imported once, even if overlapping statements are imported
+transaction_model.index(
+	{ username: 1, externalId: 1 },
+	{ unique: true, partialFilterExpression: { externalId: { $exists: true } } }
+);
+
+//Full-text search over transactions matches descriptions first, then tags and notes
+transaction_model.index(
+	{ description: 'text', tags: 'text', notes: 'text' },
+	{ name: 'transaction_text', weights: { description: 3, tags: 2, notes: 1 } }
+);
+
+//Rates are the units of a currency worth one euro on a date, like the ECB reference rates
+const exchange_rate_model = new Schema({
+	currency: {
+		type: String,
+		required: true,
+	},
+	rate: {
+		type: Number,
+		required: true,
+	},
+	date: {
+		type: Date,
+		required: true,
+	},
+});
+
+exchange_rate_model.index({ currency: 1, date: 1 }, { unique: true });
+
+//Template of the transactions created on every occurrence of a schedule, like the RRULE of a calendar event
+const recurring_transaction_model = new Schema({
+	username: {
+		type: String,
+		required: true,
+	},
+	type: {
+		type: String,
+		required: true,
+	},
+	amount: {
+		type: Schema.Types.Decimal128,
+		required: true,
+	},
+	currency: {
+		type: String,
+		default: 'EUR',
+	},
+	direction: {
+		type: String,
+		enum: ['income', 'expense', 'transfer'],
+		default: 'expense',
+	},
+	description: {
+		type: String,
+		default: '',
+	},
+	notes: {
+		type: String,
+		default: '',
+	},
+	tags: {
+		type: [String],
+		default: [],
+	},
+	frequency: {
+		type: String,
+		enum: ['daily', 'weekly', 'monthly', 'yearly'],
+		required: true,
+	},
+	interval: {
+		type: Number,
+		default: 1,
+	},
+	start: {
+		type: Date,
+		required: true,
+	},
+	//The schedule ends on `until` or after `count` occurrences, or never if both are null
+	until: {
+		type: Date,
+		default: null,
+	},
+	count: {
+		type: Number,
+		default: null,
+	},
+	//Days (`YYYY-MM-DD`) of the occurrences that must not create a transaction
+	skipped: {
+		type: [String],
+		default: [],
+	},
+	paused: {
+		type: Boolean,
+		default: false,
+	},
+	//Position in the schedule of the next occurrence to create, and its date (null once the schedule has ended)
+	nextIndex: {
+		type: Number,
+		default: 0,
+	},
+	nextOccurrence: {
+		type: Date,
+		default: null,
+		index: true,
+	},
+	createdAt: {
+		type: Date,
+		default: Date.now,
+	},
+});
+
+//Limit of the expenses of a category in every period, for a user or for the members of a group
+const budget_model = new Schema({
+	//Exactly one of the owners is set
+	username: {
+		type: String,
+		default: null,
+	},
+	group: {
+		type: String,
+		default: null,
+	},
+	type: {
+		type: String,
+		required: true,
+	},
+	amount: {
+		type: Schema.Types.Decimal128,
+		required: true,
+	},
+	currency: {
+		type: String,
+		default: 'EUR',
+	},
+	//Monthly and weekly periods follow the calendar (weeks start on Monday), a custom period goes from `start` to `end`
+	period: {
+		type: String,
+		enum: ['monthly', 'weekly', 'custom'],
+		required: true,
+	},
+	start: {
+		type: Date,
+		required: true,
+	},
+	end: {
+		type: Date,
+		default: null,
+	},
+	//The amount left at the end of a period is added to the next one
+	rollover: {
+		type: Boolean,
+		default: false,
+	},
+	createdAt: {
+		type: Date,
+		default: Date.now,
+	},
+});
+
+budget_model.index({ username: 1 });
+budget_model.index({ group: 1 });
+
+//Amount to save before a deadline, for a user or for the members of a group
+const goal_model = new Schema({
+	//Exactly one of the owners is set
+	username: {
+		type: String,
+		default: null,
+	},
+	group: {
+		type: String,
+		default: null,
+	},
+	name: {
+		type: String,
+		required: true,
+	},
+	amount: {
+		type: Schema.Types.Decimal128,
+		required: true,
+	},
+	currency: {
+		type: String,
+		default: 'EUR',
+	},
+	deadline: {
+		type: Date,
+		required: true,
+	},
+	//Transactions of the linked category made since the creation of the goal count as contributions
+	type: {
+		type: String,
+		default: null,
+	},
+	//Amounts set aside for the goal, in its currency
+	contributions: [
+		{
+			username: String,
+			amount: Schema.Types.Decimal128,
+			date: Date,
+			note: {
+				type: String,
+				default: '',
+			},
+		},
+	],
+	createdAt: {
+		type: Date,
+		default: Date.now,
+	},
+});
+
+goal_model.index({ username: 1 });
+goal_model.index({ group: 1 });
+
 const categories = mongoose.model('categories', categories_model);
 const transactions = mongoose.model('transactions', transaction_model);
+const exchangeRates = mongoose.model('exchangeRates', exchange_rate_model);
+const recurringTransactions = mongoose.model('recurringTransactions', recurring_transaction_model);
+const budgets = mongoose.model('budgets', budget_model);
+const goals = mongoose.model('goals', goal_model);
 
-export { categories, transactions };
+export { budgets, categories, exchangeRates, goals, recurringTransactions, transactions };
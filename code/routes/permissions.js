@@ -0,0 +1,10 @@
+/**
+ * Declare the permission needed to call a route as an admin. The permission is checked by `verifyAuth`:
+ * users whose role grants it satisfy the `Admin` criteria on that route.
+ * @param permission one of the `PERMISSIONS` in `controllers/utils.js`
+ * @returns a middleware that records the permission in `req.permission`
+ */
+export const requirePermission = (permission) => (req, res, next) => {
+	req.permission = permission;
+	next();
+};
@@ -1,5 +1,21 @@
-import { Router } from 'express';
-import { login, logout, register, registerAdmin } from '../controllers/auth.js';
+import { Router, text } from 'express';
+import {
+	confirmTwoFactor,
+	createAdminInvitation,
+	disableTwoFactor,
+	enrollTwoFactor,
+	forgotPassword,
+	login,
+	loginTwoFactor,
+	logout,
+	regenerateRecoveryCodes,
+	refresh,
+	register,
+	registerAdmin,
+	resetPassword,
+	resendVerificationEmail,
+	verifyEmail,
+} from '../controllers/auth.js';
 import {
 	createCategory,
 	createTransaction,
@@ -13,6 +29,10 @@ import {
 	getTransactionsByGroup,
 	getTransactionsByGroupByCategory,
 	updateCategory,
+	updateTransaction,
+	searchTransactionsByUser,
+	searchTransactionsByGroup,
+	getGroupTotal,
 } from '../controllers/controller.js';
 import {
 	getUsers,
@@ -24,7 +44,45 @@ import {
 	deleteUser,
 	addToGroup,
 	removeFromGroup,
+	unlockUser,
+	updateUser,
+	changePassword,
+	deleteAccount,
+	exportUserData,
+	updateGroupCurrency,
 } from '../controllers/users.js';
+import { deleteOtherSessions, deleteSession, getSessions } from '../controllers/sessions.js';
+import { createApiKey, deleteApiKey, getApiKeys } from '../controllers/apiKeys.js';
+import {
+	createRole,
+	deleteRole,
+	getRoles,
+	updateRole,
+	updateUserRole,
+} from '../controllers/roles.js';
+import { getAuditLog, impersonateUser } from '../controllers/impersonation.js';
+import { getExchangeRates, loadExchangeRates } from '../controllers/currency.js';
+import {
+	createRecurring,
+	deleteRecurring,
+	getRecurring,
+	pauseRecurring,
+	restoreOccurrence,
+	resumeRecurring,
+	skipOccurrence,
+	updateRecurring,
+} from '../controllers/recurring.js';
+import { createBudget, deleteBudget, getBudgets, updateBudget } from '../controllers/budgets.js';
+import {
+	addContribution,
+	createGoal,
+	deleteContribution,
+	deleteGoal,
+	getGoals,
+	updateGoal,
+} from '../controllers/goals.js';
+import { importTransactions, OFX_TYPES, QIF_TYPES } from '../controllers/imports.js';
+import { requirePermission } from './permissions.js';
 
 const router = Router();
 
@@ -34,53 +92,162 @@ const router = Router();
 router.post('/register', register);
 router.post('/admin', registerAdmin);
 router.post('/login', login);
+router.post('/login/2fa', loginTwoFactor);
+router.post('/refresh', refresh);
+router.post('/password/forgot', forgotPassword);
+router.post('/password/reset', resetPassword);
+router.get('/verify-email/:token', verifyEmail);
+router.post('/verify-email/resend', resendVerificationEmail);
 
 /**
  * Routes for authenticated users
  */
 router.get('/categories', getCategories);
-router.get('/users/:username', getUser);
+router.get('/users/:username', requirePermission('users:read'), getUser);
+router.patch('/users/:username', updateUser);
+router.put('/users/:username/password', changePassword);
+router.delete('/users/:username', deleteAccount);
+router.get('/users/:username/export', exportUserData);
 router.post('/users/:username/transactions', createTransaction);
+router.post(
+	'/users/:username/transactions/import',
+	text({ type: ['text/csv', ...OFX_TYPES, ...QIF_TYPES], limit: '10mb' }),
+	importTransactions
+);
 router.get('/users/:username/transactions', getTransactionsByUser);
-router.delete('/users/:username/transactions', deleteTransaction);
+router.get('/users/:username/transactions/search', searchTransactionsByUser);
+router.delete(
+	'/users/:username/transactions',
+	requirePermission('transactions:write'),
+	deleteTransaction
+);
+router.patch(
+	'/users/:username/transactions/:id',
+	requirePermission('transactions:write'),
+	updateTransaction
+);
 router.get(
 	'/users/:username/transactions/category/:category',
+	requirePermission('transactions:read'),
 	getTransactionsByUserByCategory
 );
+router.post('/users/:username/recurring', createRecurring);
+router.get('/users/:username/recurring', getRecurring);
+router.patch('/users/:username/recurring/:id', updateRecurring);
+router.delete('/users/:username/recurring/:id', deleteRecurring);
+router.post('/users/:username/recurring/:id/skip', skipOccurrence);
+router.delete('/users/:username/recurring/:id/skip', restoreOccurrence);
+router.post('/users/:username/recurring/:id/pause', pauseRecurring);
+router.post('/users/:username/recurring/:id/resume', resumeRecurring);
+router.post('/users/:username/budgets', createBudget);
+router.get('/users/:username/budgets', getBudgets);
+router.patch('/users/:username/budgets/:id', updateBudget);
+router.delete('/users/:username/budgets/:id', deleteBudget);
+router.post('/users/:username/goals', createGoal);
+router.get('/users/:username/goals', getGoals);
+router.patch('/users/:username/goals/:id', updateGoal);
+router.delete('/users/:username/goals/:id', deleteGoal);
+router.post('/users/:username/goals/:id/contributions', addContribution);
+router.delete('/users/:username/goals/:id/contributions/:contributionId', deleteContribution);
 router.post('/groups', createGroup);
-router.get('/groups/:name', getGroup);
+router.get('/groups/:name', requirePermission('groups:read'), getGroup);
 router.get('/groups/:name/transactions', getTransactionsByGroup);
+router.get('/groups/:name/transactions/search', searchTransactionsByGroup);
+router.get('/groups/:name/transactions/total', getGroupTotal);
 router.get(
 	'/groups/:name/transactions/category/:category',
 	getTransactionsByGroupByCategory
 );
 router.patch('/groups/:name/add', addToGroup);
 router.patch('/groups/:name/remove', removeFromGroup);
+router.patch('/groups/:name/currency', requirePermission('groups:write'), updateGroupCurrency);
+router.post('/groups/:name/budgets', createBudget);
+router.get('/groups/:name/budgets', getBudgets);
+router.patch('/groups/:name/budgets/:id', updateBudget);
+router.delete('/groups/:name/budgets/:id', deleteBudget);
+router.post('/groups/:name/goals', createGoal);
+router.get('/groups/:name/goals', getGoals);
+router.patch('/groups/:name/goals/:id', updateGoal);
+router.delete('/groups/:name/goals/:id', deleteGoal);
+router.post('/groups/:name/goals/:id/contributions', addContribution);
+router.delete('/groups/:name/goals/:id/contributions/:contributionId', deleteContribution);
+router.post('/2fa/enroll', enrollTwoFactor);
+router.post('/2fa/confirm', confirmTwoFactor);
+router.post('/2fa/disable', disableTwoFactor);
+router.post('/2fa/recovery-codes', regenerateRecoveryCodes);
+router.get('/sessions', getSessions);
+router.delete('/sessions', deleteOtherSessions);
+router.delete('/sessions/:id', deleteSession);
+router.get('/rates', getExchangeRates);
+router.post('/users/:username/api-keys', createApiKey);
+router.get('/users/:username/api-keys', getApiKeys);
+router.delete('/users/:username/api-keys/:id', deleteApiKey);
 
 /**
  * Admin-exclusive routes. The functions called are the same and must have different behaviors depending on the route.
+ * Users whose role grants the permission declared by a route can call it too.
  */
-router.post('/categories', createCategory);
-router.patch('/categories/:type', updateCategory);
-router.delete('/categories', deleteCategory);
-router.get('/transactions', getAllTransactions);
-router.delete('/transactions', deleteTransactions);
-router.get('/transactions/users/:username', getTransactionsByUser);
+router.post('/admin/invitations', createAdminInvitation);
+router.post('/categories', requirePermission('categories:write'), createCategory);
+router.patch('/categories/:type', requirePermission('categories:write'), updateCategory);
+router.delete('/categories', requirePermission('categories:write'), deleteCategory);
+router.get('/transactions', requirePermission('transactions:read'), getAllTransactions);
+router.delete('/transactions', requirePermission('transactions:write'), deleteTransactions);
+router.patch('/transactions/:id', requirePermission('transactions:write'), updateTransaction);
+router.get(
+	'/transactions/users/:username',
+	requirePermission('transactions:read'),
+	getTransactionsByUser
+);
+router.get(
+	'/transactions/users/:username/search',
+	requirePermission('transactions:read'),
+	searchTransactionsByUser
+);
 router.get(
 	'/transactions/users/:username/category/:category',
+	requirePermission('transactions:read'),
 	getTransactionsByUserByCategory
 );
-router.get('/transactions/groups/:name', getTransactionsByGroup);
+router.get(
+	'/transactions/groups/:name',
+	requirePermission('transactions:read'),
+	getTransactionsByGroup
+);
+router.get(
+	'/transactions/groups/:name/search',
+	requirePermission('transactions:read'),
+	searchTransactionsByGroup
+);
 router.get(
 	'/transactions/groups/:name/category/:category',
+	requirePermission('transactions:read'),
 	getTransactionsByGroupByCategory
 );
-router.get('/users', getUsers);
-router.delete('/users', deleteUser);
-router.get('/groups', getGroups);
-router.delete('/groups', deleteGroup);
-router.patch('/groups/:name/insert', addToGroup);
-router.patch('/groups/:name/pull', removeFromGroup);
+router.get(
+	'/transactions/groups/:name/total',
+	requirePermission('transactions:read'),
+	getGroupTotal
+);
+router.get('/users', requirePermission('users:read'), getUsers);
+router.delete('/users', requirePermission('users:write'), deleteUser);
+router.delete('/users/:username/lockout', requirePermission('users:write'), unlockUser);
+router.patch('/users/:username/role', updateUserRole);
+router.post('/users/:username/impersonate', impersonateUser);
+router.get('/audit', getAuditLog);
+router.get('/groups', requirePermission('groups:read'), getGroups);
+router.delete('/groups', requirePermission('groups:write'), deleteGroup);
+router.patch('/groups/:name/insert', requirePermission('groups:write'), addToGroup);
+router.patch('/groups/:name/pull', requirePermission('groups:write'), removeFromGroup);
+router.get('/roles', getRoles);
+router.post('/roles', createRole);
+router.patch('/roles/:name', updateRole);
+router.delete('/roles/:name', deleteRole);
+router.post(
+	'/rates',
+	text({ type: ['text/csv', 'application/xml', 'text/xml'], limit: '10mb' }),
+	loadExchangeRates
+);
 
 /**
  * Logout
@@ -1,6 +1,9 @@
 import { app, port } from './app.js';
 import mongoose from 'mongoose';
 import dotenv from 'dotenv';
+import { migrateAmounts } from './controllers/controller.js';
+import { purgeScheduledDeletions } from './controllers/users.js';
+import { materializeRecurring } from './controllers/recurring.js';
 
 dotenv.config();
 const startServer = async () => {
@@ -10,9 +13,23 @@ const startServer = async () => {
       useUnifiedTopology: true,
     });
 
+    //Amounts stored as floating-point numbers are converted to decimals before the first request
+    const migrated = await migrateAmounts();
+    if (migrated) console.log(`${migrated} transaction amounts converted to decimals`);
+
     app.listen(port, () => {
       console.log(`app listening on port ${port}!`);
     });
+
+    //Accounts whose deletion grace period has ended are deleted every hour
+    const purge = () => purgeScheduledDeletions().catch((error) => console.log(error));
+    purge();
+    setInterval(purge, 60 * 60 * 1000);
+
+    //Due occurrences of recurring transactions are created every hour, and those missed while the server was down at start
+    const materialize = () => materializeRecurring().catch((error) => console.log(error));
+    materialize();
+    setInterval(materialize, 60 * 60 * 1000);
   } catch (error) {
     console.log(error);
   }
@@ -0,0 +1,211 @@
+import { ApiKey, User } from '../models/User.js';
+import { createApiKey, deleteApiKey, getApiKeys } from '../controllers/apiKeys.js';
+import { hashToken, verifyAuth, verifyMultipleAuth } from '../controllers/utils';
+
+jest.mock('../models/User.js');
+jest.mock('../controllers/utils', () => ({
+	...jest.createMockFromModule('../controllers/utils'),
+	API_KEY_SCOPES: jest.requireActual('../controllers/utils').API_KEY_SCOPES,
+}));
+
+const caller = { id: 'user1', username: 'enrico', email: 'enrico@gmail.com', role: 'Regular' };
+const apiKeyId = '64a7f0c2e4b0a1b2c3d4e5f6';
+const storedKey = {
+	id: apiKeyId,
+	name: 'Import script',
+	prefix: 'ezw_0123abcd',
+	scopes: ['transactions:read'],
+	expiresAt: null,
+	lastUsedAt: null,
+	createdAt: new Date('2023-06-01'),
+};
+
+let mockRes;
+
+beforeEach(() => {
+	jest.clearAllMocks();
+	mockRes = {
+		status: jest.fn(() => mockRes),
+		json: jest.fn(),
+		locals: {
+			refreshedTokenMessage: 'refreshed token',
+		},
+	};
+	verifyAuth.mockResolvedValue({ authorized: true, cause: 'Authorized', user: caller });
+	verifyMultipleAuth.mockResolvedValue({ authorized: true, cause: 'Authorized', user: caller });
+	User.findOne.mockResolvedValue({ _id: 'user1', username: 'enrico' });
+});
+
+describe('createApiKey', () => {
+	const request = (body) => ({ params: { username: 'enrico' }, body });
+
+	test('should store the hash of a new key and return the key once', async () => {
+		hashToken.mockImplementation((token) => `hash:${token}`);
+		ApiKey.create.mockImplementation(async (apiKey) => ({ ...apiKey, id: apiKeyId, createdAt: new Date() }));
+
+		await createApiKey(
+			request({ name: ' Import script ', scopes: ['transactions:read', 'transactions:write', 'transactions:read'] }),
+			mockRes
+		);
+
+		expect(verifyAuth).toHaveBeenCalledWith(expect.anything(), mockRes, { authType: 'User' });
+		const stored = ApiKey.create.mock.calls[0][0];
+		const { data } = mockRes.json.mock.calls[0][0];
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(data.key).toMatch(/^ezw_[0-9a-f]{48}$/);
+		expect(stored).toEqual({
+			user: 'user1',
+			name: 'Import script',
+			prefix: data.key.slice(0, 12),
+			keyHash: `hash:${data.key}`,
+			scopes: ['transactions:read', 'transactions:write'],
+			expiresAt: null,
+		});
+		expect(data).toEqual(
+			expect.objectContaining({ id: apiKeyId, name: 'Import script', prefix: data.key.slice(0, 12) })
+		);
+		expect(data).not.toHaveProperty('keyHash');
+	});
+
+	test('should store the requested expiration', async () => {
+		const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
+		ApiKey.create.mockImplementation(async (apiKey) => ({ ...apiKey, id: apiKeyId }));
+
+		await createApiKey(
+			request({ name: 'Import script', scopes: ['groups:read'], expiresAt: expiresAt.toISOString() }),
+			mockRes
+		);
+
+		expect(ApiKey.create.mock.calls[0][0].expiresAt).toEqual(expiresAt);
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+	});
+
+	test('should return 401 if the caller is not the requested user', async () => {
+		verifyAuth.mockResolvedValue({
+			authorized: false,
+			cause: 'Requested user different from the logged one',
+		});
+
+		await createApiKey(request({ name: 'Import script', scopes: ['groups:read'] }), mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+		expect(ApiKey.create).not.toHaveBeenCalled();
+	});
+
+	test('should return 403 if an admin is impersonating the user', async () => {
+		verifyAuth.mockResolvedValue({ authorized: true, cause: 'Authorized', user: caller, impersonatedBy: 'admin' });
+
+		await createApiKey(request({ name: 'Import script', scopes: ['groups:read'] }), mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(403);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Not allowed while impersonating a user' });
+		expect(ApiKey.create).not.toHaveBeenCalled();
+	});
+
+	test('should return 400 if a parameter is missing', async () => {
+		await createApiKey(request({ name: 'Import script' }), mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Missing parameters' });
+	});
+
+	test('should return 400 if the name is empty', async () => {
+		await createApiKey(request({ name: '  ', scopes: ['groups:read'] }), mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Empty string in parameters' });
+	});
+
+	test.each([[[]], [['groups:delete']], ['groups:read']])(
+		'should return 400 if the scopes are %p',
+		async (scopes) => {
+			await createApiKey(request({ name: 'Import script', scopes }), mockRes);
+
+			expect(mockRes.status).toHaveBeenCalledWith(400);
+			expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid scopes' });
+		}
+	);
+
+	test.each(['not a date', '2020-01-01'])('should return 400 if the expiration is %p', async (expiresAt) => {
+		await createApiKey(request({ name: 'Import script', scopes: ['groups:read'], expiresAt }), mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid expiration' });
+	});
+
+	test('should return 500 if there is a database error', async () => {
+		ApiKey.create.mockRejectedValue(new Error('Database error'));
+
+		await createApiKey(request({ name: 'Import script', scopes: ['groups:read'] }), mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(500);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Database error' });
+	});
+});
+
+describe('getApiKeys', () => {
+	test('should return the keys of the user without their hashes', async () => {
+		ApiKey.find.mockResolvedValue([{ ...storedKey, keyHash: 'hash', user: 'user1' }]);
+
+		await getApiKeys({ params: { username: 'enrico' } }, mockRes);
+
+		expect(verifyMultipleAuth).toHaveBeenCalledWith(expect.anything(), mockRes, {
+			authType: ['User', 'Admin'],
+		});
+		expect(ApiKey.find).toHaveBeenCalledWith({ user: 'user1' });
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: [storedKey],
+			refreshedTokenMessage: 'refreshed token',
+		});
+	});
+
+	test('should return 400 if the user does not exist', async () => {
+		User.findOne.mockResolvedValue(null);
+
+		await getApiKeys({ params: { username: 'nobody' } }, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'User not found' });
+	});
+
+	test('should return 401 if not authorized', async () => {
+		verifyMultipleAuth.mockResolvedValue({ authorized: false, cause: 'Not admin' });
+
+		await getApiKeys({ params: { username: 'enrico' } }, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+		expect(ApiKey.find).not.toHaveBeenCalled();
+	});
+});
+
+describe('deleteApiKey', () => {
+	test('should revoke a key of the user', async () => {
+		ApiKey.findOneAndDelete.mockResolvedValue(storedKey);
+
+		await deleteApiKey({ params: { username: 'enrico', id: apiKeyId } }, mockRes);
+
+		expect(ApiKey.findOneAndDelete).toHaveBeenCalledWith({ _id: apiKeyId, user: 'user1' });
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: { message: 'API key revoked' },
+			refreshedTokenMessage: 'refreshed token',
+		});
+	});
+
+	test('should return 400 if the key does not belong to the user', async () => {
+		ApiKey.findOneAndDelete.mockResolvedValue(null);
+
+		await deleteApiKey({ params: { username: 'enrico', id: apiKeyId } }, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'API key not found' });
+	});
+
+	test('should return 400 if the id is not valid', async () => {
+		await deleteApiKey({ params: { username: 'enrico', id: 'not-an-id' } }, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(ApiKey.findOneAndDelete).not.toHaveBeenCalled();
+	});
+});
@@ -1,14 +1,19 @@
 import request from 'supertest';
 import { app } from '../app';
-import { User } from '../models/User.js';
+import { AdminInvitation, Session, User } from '../models/User.js';
 import jwt from 'jsonwebtoken';
 const bcrypt = require('bcryptjs');
 import mongoose, { Model } from 'mongoose';
 import dotenv from 'dotenv';
+import { memoryTransport, setMailTransport } from '../mail/mailer.js';
+import { currentTotpStep, totpCode } from '../controllers/totp.js';
+import { lockoutPolicy, memoryStore } from '../lockout/lockout.js';
+import { hashToken } from '../controllers/utils.js';
 
 dotenv.config();
 
 beforeAll(async () => {
+	setMailTransport(memoryTransport);
 	const dbName = 'testingDatabaseAuth';
 	const url = `${process.env.MONGO_URI}/${dbName}`;
 
@@ -21,6 +26,7 @@ beforeAll(async () => {
 afterAll(async () => {
 	await mongoose.connection.db.dropDatabase();
 	await mongoose.connection.close();
+	setMailTransport(null);
 });
 
 describe('register', () => {
@@ -159,14 +165,28 @@ describe('register', () => {
 });
 
 describe('registerAdmin', () => {
+	beforeAll(() => {
+		process.env.ADMIN_BOOTSTRAP_TOKEN = 'bootstraptoken';
+	});
+
+	afterAll(() => {
+		delete process.env.ADMIN_BOOTSTRAP_TOKEN;
+	});
+
 	afterEach(async () => {
 		await User.deleteMany();
+		await AdminInvitation.deleteMany();
 	});
 
 	test('Nominal case: a confirmation message must be returned', (done) => {
 		request(app)
 			.post('/api/admin')
-			.send({ username: 'admin', email: 'admin@gmail.com', password: 'admin' })
+			.send({
+				username: 'admin',
+				email: 'admin@gmail.com',
+				password: 'admin',
+				token: 'bootstraptoken',
+			})
 			.then((response) => {
 				expect(response.status).toBe(200);
 				expect(response.body).toStrictEqual({
@@ -261,6 +281,86 @@ describe('registerAdmin', () => {
 			});
 	});
 
+	test('Missing token: a 401 error message must be returned', (done) => {
+		request(app)
+			.post('/api/admin')
+			.send({ username: 'admin', email: 'admin@gmail.com', password: 'admin' })
+			.then((response) => {
+				expect(response.status).toBe(401);
+				expect(response.body).toStrictEqual({ error: 'Missing invitation token' });
+				done();
+			});
+	});
+
+	test('Bootstrap token after the first admin: a 401 error message must be returned', async () => {
+		await User.create({
+			username: 'admin',
+			email: 'admin@gmail.com',
+			password: 'admin',
+			role: 'Admin',
+		});
+		const response = await request(app).post('/api/admin').send({
+			username: 'admin2',
+			email: 'admin2@gmail.com',
+			password: 'admin',
+			token: 'bootstraptoken',
+		});
+		expect(response.status).toBe(401);
+	});
+
+	test('Invitation: it can be redeemed only once', async () => {
+		await User.create({
+			username: 'admin',
+			email: 'admin@gmail.com',
+			password: 'admin',
+			role: 'Admin',
+		});
+		const adminToken = jwt.sign(
+			{ email: 'admin@gmail.com', username: 'admin', role: 'Admin' },
+			process.env.ACCESS_KEY,
+			{ expiresIn: '1h' }
+		);
+		const invitation = await request(app)
+			.post('/api/admin/invitations')
+			.set('Cookie', `accessToken=${adminToken}; refreshToken=${adminToken}`)
+			.send({ expiresInHours: 1 });
+		expect(invitation.status).toBe(200);
+		const token = invitation.body.data.token;
+
+		const first = await request(app).post('/api/admin').send({
+			username: 'admin2',
+			email: 'admin2@gmail.com',
+			password: 'admin',
+			token,
+		});
+		expect(first.status).toBe(200);
+		expect((await User.findOne({ username: 'admin2' })).role).toBe('Admin');
+
+		const second = await request(app).post('/api/admin').send({
+			username: 'admin3',
+			email: 'admin3@gmail.com',
+			password: 'admin',
+			token,
+		});
+		expect(second.status).toBe(401);
+		expect(second.body).toStrictEqual({ error: 'Invalid or expired invitation' });
+	});
+
+	test('Invitation: a 401 error message must be returned if called by a non admin', (done) => {
+		const testerToken = jwt.sign(
+			{ email: 'tester@gmail.com', username: 'tester', role: 'Regular' },
+			process.env.ACCESS_KEY,
+			{ expiresIn: '1h' }
+		);
+		request(app)
+			.post('/api/admin/invitations')
+			.set('Cookie', `accessToken=${testerToken}; refreshToken=${testerToken}`)
+			.then((response) => {
+				expect(response.status).toBe(401);
+				done();
+			});
+	});
+
 	test('User already register : a 400 error message must be returned in case of invalid email', (done) => {
 		User.create({
 			username: 'admin',
@@ -292,7 +392,6 @@ describe('login', () => {
 			username: 'admin',
 			email: 'admin@gmail.com',
 			password: adminpassword,
-			refreshToken: ' refreshtokentest',
 		});
 	});
 
@@ -369,7 +468,7 @@ describe('login', () => {
 			.send({ email: 'admin@gmail.com', password: '123456hello' })
 			.then((response) => {
 				expect(response.status).toBe(400);
-				expect(response.body).toStrictEqual({ error: 'Wrong credentials' });
+				expect(response.body).toStrictEqual({ error: 'Invalid email or password' });
 				done();
 			});
 	});
@@ -380,7 +479,7 @@ describe('login', () => {
 			.send({ email: 'enrico@gmail.com', password: '12345hello' })
 			.then((response) => {
 				expect(response.status).toBe(400);
-				expect(response.body).toStrictEqual({ error: 'User need to register' });
+				expect(response.body).toStrictEqual({ error: 'Invalid email or password' });
 				done();
 			});
 	});
@@ -393,11 +492,15 @@ describe('login', () => {
 describe('logout', () => {
 	beforeAll(async () => {
 		let adminpassword = await bcrypt.hash('12345hello', 12);
-		await User.create({
+		const admin = await User.create({
 			username: 'admin',
 			email: 'admin@gmail.com',
 			password: adminpassword,
-			refreshToken: 'refreshtokentest',
+		});
+		await Session.create({
+			user: admin._id,
+			refreshTokenHash: hashToken('refreshtokentest'),
+			expiresAt: new Date(Date.now() + 60 * 60 * 1000),
 		});
 	});
 
@@ -435,3 +538,458 @@ describe('logout', () => {
 			});
 	});
 });
+
+describe('refresh', () => {
+	beforeEach(async () => {
+		await Session.deleteMany();
+	});
+
+	afterEach(async () => {
+		await User.deleteMany();
+		await Session.deleteMany();
+	});
+
+	test('Nominal case: a new token pair is returned and the old refresh token is invalidated', async () => {
+		const password = await bcrypt.hash('12345hello', 12);
+		await User.create({ username: 'admin', email: 'admin@gmail.com', password });
+		const login = await request(app)
+			.post('/api/login')
+			.send({ email: 'admin@gmail.com', password: '12345hello' });
+		const oldRefreshToken = login.body.data.refreshToken;
+
+		const response = await request(app)
+			.post('/api/refresh')
+			.set('Cookie', `refreshToken=${oldRefreshToken}`);
+		expect(response.status).toBe(200);
+		expect(response.body.data).toHaveProperty('accessToken');
+		expect(response.body.data.refreshToken).not.toBe(oldRefreshToken);
+
+		const sessions = await Session.find();
+		expect(sessions).toHaveLength(1);
+		expect(sessions[0].refreshTokenHash).toBe(hashToken(response.body.data.refreshToken));
+	});
+
+	test('Reused refresh token: a 401 error is returned and every session of the user is revoked', async () => {
+		const password = await bcrypt.hash('12345hello', 12);
+		await User.create({ username: 'admin', email: 'admin@gmail.com', password });
+		const login = await request(app)
+			.post('/api/login')
+			.send({ email: 'admin@gmail.com', password: '12345hello' });
+		const otherDevice = await request(app)
+			.post('/api/login')
+			.send({ email: 'admin@gmail.com', password: '12345hello' });
+		const { accessToken, refreshToken } = otherDevice.body.data;
+		const listed = await request(app)
+			.get('/api/sessions')
+			.set('Cookie', [`accessToken=${accessToken}`, `refreshToken=${refreshToken}`]);
+		expect(listed.body.data).toHaveLength(2);
+
+		const oldRefreshToken = login.body.data.refreshToken;
+		await request(app).post('/api/refresh').set('Cookie', `refreshToken=${oldRefreshToken}`);
+
+		const response = await request(app)
+			.post('/api/refresh')
+			.set('Cookie', `refreshToken=${oldRefreshToken}`);
+		expect(response.status).toBe(401);
+		expect(response.body).toStrictEqual({
+			error: 'Refresh token reuse detected, all sessions have been revoked',
+		});
+		expect(await Session.countDocuments()).toBe(0);
+
+		const afterReuse = await request(app)
+			.get('/api/sessions')
+			.set('Cookie', [`accessToken=${accessToken}`, `refreshToken=${refreshToken}`]);
+		expect(afterReuse.status).toBe(401);
+		expect(afterReuse.body).toStrictEqual({ error: 'Session has been revoked' });
+	});
+
+	test('Missing cookie: a 401 error message must be returned', (done) => {
+		request(app)
+			.post('/api/refresh')
+			.then((response) => {
+				expect(response.status).toBe(401);
+				expect(response.body).toStrictEqual({ error: 'Unauthorized' });
+				done();
+			});
+	});
+});
+
+describe('password reset', () => {
+	beforeEach(async () => {
+		memoryTransport.sent.length = 0;
+		const password = await bcrypt.hash('oldpassword', 12);
+		await User.create({
+			username: 'enrico',
+			email: 'enrico@gmail.com',
+			password,
+		});
+		await request(app)
+			.post('/api/login')
+			.send({ email: 'enrico@gmail.com', password: 'oldpassword' });
+	});
+
+	afterEach(async () => {
+		await User.deleteMany();
+		await Session.deleteMany();
+	});
+
+	test('Nominal case: the emailed token resets the password once and ends the sessions', async () => {
+		const forgot = await request(app)
+			.post('/api/password/forgot')
+			.send({ email: 'enrico@gmail.com' });
+		expect(forgot.status).toBe(200);
+		expect(memoryTransport.sent).toHaveLength(1);
+		const token = memoryTransport.sent[0].text.match(/token=([0-9a-f]+)/)[1];
+
+		const reset = await request(app)
+			.post('/api/password/reset')
+			.send({ token, password: 'newpassword' });
+		expect(reset.status).toBe(200);
+
+		const user = await User.findOne({ email: 'enrico@gmail.com' });
+		expect(await Session.countDocuments({ user: user._id })).toBe(0);
+		expect(await bcrypt.compare('newpassword', user.password)).toBe(true);
+
+		const reused = await request(app)
+			.post('/api/password/reset')
+			.send({ token, password: 'anotherpassword' });
+		expect(reused.status).toBe(400);
+		expect(reused.body).toStrictEqual({ error: 'Invalid or expired token' });
+	});
+
+	test('Unknown email: a 200 response is returned and no email is sent', async () => {
+		const response = await request(app)
+			.post('/api/password/forgot')
+			.send({ email: 'nobody@gmail.com' });
+		expect(response.status).toBe(200);
+		expect(memoryTransport.sent).toHaveLength(0);
+	});
+
+	test('Expired token: a 400 error message must be returned', async () => {
+		await request(app).post('/api/password/forgot').send({ email: 'enrico@gmail.com' });
+		const token = memoryTransport.sent[0].text.match(/token=([0-9a-f]+)/)[1];
+		await User.updateOne(
+			{ email: 'enrico@gmail.com' },
+			{ $set: { passwordResetExpires: new Date(Date.now() - 1000) } }
+		);
+
+		const response = await request(app)
+			.post('/api/password/reset')
+			.send({ token, password: 'newpassword' });
+		expect(response.status).toBe(400);
+	});
+});
+
+describe('email verification', () => {
+	beforeEach(() => {
+		memoryTransport.sent.length = 0;
+	});
+
+	afterEach(async () => {
+		await User.deleteMany();
+		delete process.env.UNVERIFIED_LOGIN;
+	});
+
+	const registerAndGetToken = async () => {
+		await request(app)
+			.post('/api/register')
+			.send({ username: 'enrico', email: 'enrico@gmail.com', password: 'enrico' });
+		return memoryTransport.sent[0].text.match(/verify-email\/([0-9a-f]+)/)[1];
+	};
+
+	test('Unverified account: login is refused until the emailed link is opened', async () => {
+		const token = await registerAndGetToken();
+
+		const refused = await request(app)
+			.post('/api/login')
+			.send({ email: 'enrico@gmail.com', password: 'enrico' });
+		expect(refused.status).toBe(401);
+		expect(refused.body).toStrictEqual({ error: 'Email not verified' });
+
+		const verified = await request(app).get(`/api/verify-email/${token}`);
+		expect(verified.status).toBe(200);
+
+		const accepted = await request(app)
+			.post('/api/login')
+			.send({ email: 'enrico@gmail.com', password: 'enrico' });
+		expect(accepted.status).toBe(200);
+	});
+
+	test('Read-only mode: unverified accounts can only perform GET requests', async () => {
+		process.env.UNVERIFIED_LOGIN = 'read-only';
+		await registerAndGetToken();
+
+		const login = await request(app)
+			.post('/api/login')
+			.send({ email: 'enrico@gmail.com', password: 'enrico' });
+		expect(login.status).toBe(200);
+		const { accessToken, refreshToken } = login.body.data;
+
+		const read = await request(app)
+			.get('/api/users/enrico')
+			.set('Cookie', `accessToken=${accessToken}; refreshToken=${refreshToken}`);
+		expect(read.status).toBe(200);
+
+		const write = await request(app)
+			.post('/api/groups')
+			.set('Cookie', `accessToken=${accessToken}; refreshToken=${refreshToken}`)
+			.send({ name: 'family', memberEmails: [] });
+		expect(write.status).toBe(401);
+	});
+
+	test('Invalid token: a 400 error message must be returned', (done) => {
+		request(app)
+			.get('/api/verify-email/invalidtoken')
+			.then((response) => {
+				expect(response.status).toBe(400);
+				expect(response.body).toStrictEqual({ error: 'Invalid or expired token' });
+				done();
+			});
+	});
+});
+
+describe('two-factor authentication', () => {
+	let cookies;
+
+	beforeEach(async () => {
+		await User.create({
+			username: 'enrico',
+			email: 'enrico@gmail.com',
+			password: await bcrypt.hash('enrico', 12),
+		});
+		const login = await request(app)
+			.post('/api/login')
+			.send({ email: 'enrico@gmail.com', password: 'enrico' });
+		const { accessToken, refreshToken } = login.body.data;
+		cookies = `accessToken=${accessToken}; refreshToken=${refreshToken}`;
+	});
+
+	afterEach(async () => {
+		await User.deleteMany();
+	});
+
+	const enableTwoFactor = async () => {
+		const enroll = await request(app).post('/api/2fa/enroll').set('Cookie', cookies);
+		const { secret } = enroll.body.data;
+		const confirm = await request(app)
+			.post('/api/2fa/confirm')
+			.set('Cookie', cookies)
+			.send({ code: totpCode(secret, currentTotpStep()) });
+		return { secret, recoveryCodes: confirm.body.data.recoveryCodes };
+	};
+
+	test('Nominal case: login requires a TOTP code once two-factor authentication is enabled', async () => {
+		const { secret, recoveryCodes } = await enableTwoFactor();
+		expect(recoveryCodes).toHaveLength(10);
+
+		const login = await request(app)
+			.post('/api/login')
+			.send({ email: 'enrico@gmail.com', password: 'enrico' });
+		expect(login.status).toBe(200);
+		expect(login.body.data.twoFactorRequired).toBe(true);
+		expect(login.body.data.accessToken).toBeUndefined();
+		expect(login.headers['set-cookie']).toBeUndefined();
+
+		//The code of the current step has been used to confirm the enrollment, the next one is still accepted
+		const code = totpCode(secret, currentTotpStep() + 1);
+		const second = await request(app)
+			.post('/api/login/2fa')
+			.send({ challengeToken: login.body.data.challengeToken, code: code });
+		expect(second.status).toBe(200);
+		expect(second.body.data).toHaveProperty('accessToken');
+		expect(second.body.data).toHaveProperty('refreshToken');
+
+		const replay = await request(app)
+			.post('/api/login/2fa')
+			.send({ challengeToken: login.body.data.challengeToken, code: code });
+		expect(replay.status).toBe(401);
+		expect(replay.body).toStrictEqual({ error: 'Invalid code' });
+	});
+
+	test('Recovery codes can be used only once', async () => {
+		const { recoveryCodes } = await enableTwoFactor();
+		const login = await request(app)
+			.post('/api/login')
+			.send({ email: 'enrico@gmail.com', password: 'enrico' });
+
+		const first = await request(app)
+			.post('/api/login/2fa')
+			.send({ challengeToken: login.body.data.challengeToken, recoveryCode: recoveryCodes[0] });
+		expect(first.status).toBe(200);
+
+		const second = await request(app)
+			.post('/api/login/2fa')
+			.send({ challengeToken: login.body.data.challengeToken, recoveryCode: recoveryCodes[0] });
+		expect(second.status).toBe(401);
+
+		const user = await User.findOne({ email: 'enrico@gmail.com' });
+		expect(user.twoFactorRecoveryCodes).toHaveLength(9);
+	});
+
+	test('The challenge token is not accepted as an access token', async () => {
+		await enableTwoFactor();
+		const login = await request(app)
+			.post('/api/login')
+			.send({ email: 'enrico@gmail.com', password: 'enrico' });
+		const challengeToken = login.body.data.challengeToken;
+
+		const response = await request(app)
+			.get('/api/users/enrico')
+			.set('Cookie', `accessToken=${challengeToken}; refreshToken=${challengeToken}`);
+		expect(response.status).toBe(401);
+	});
+
+	test('Disabling two-factor authentication restores the password-only login', async () => {
+		const { recoveryCodes } = await enableTwoFactor();
+
+		const disable = await request(app)
+			.post('/api/2fa/disable')
+			.set('Cookie', cookies)
+			.send({ recoveryCode: recoveryCodes[1] });
+		expect(disable.status).toBe(200);
+
+		const login = await request(app)
+			.post('/api/login')
+			.send({ email: 'enrico@gmail.com', password: 'enrico' });
+		expect(login.status).toBe(200);
+		expect(login.body.data).toHaveProperty('accessToken');
+	});
+});
+
+describe('login lockout', () => {
+	beforeEach(async () => {
+		await User.create({
+			username: 'enrico',
+			email: 'enrico@gmail.com',
+			password: await bcrypt.hash('enrico', 12),
+		});
+	});
+
+	afterEach(async () => {
+		await User.deleteMany();
+		memoryStore.records.clear();
+	});
+
+	test('Repeated failures: the account must wait, even with the right password', async () => {
+		for (let i = 0; i < lockoutPolicy.account.freeAttempts; i++) {
+			const failure = await request(app)
+				.post('/api/login')
+				.send({ email: 'enrico@gmail.com', password: 'wrong' });
+			expect(failure.status).toBe(400);
+		}
+
+		const response = await request(app)
+			.post('/api/login')
+			.send({ email: 'enrico@gmail.com', password: 'enrico' });
+		expect(response.status).toBe(429);
+		expect(response.headers['retry-after']).toBeDefined();
+		expect(response.body).toStrictEqual({ error: 'Too many failed login attempts, try again later' });
+	});
+
+	test('Unknown email and wrong password: the same response is returned', async () => {
+		const unknown = await request(app)
+			.post('/api/login')
+			.send({ email: 'nobody@gmail.com', password: 'enrico' });
+		const wrong = await request(app)
+			.post('/api/login')
+			.send({ email: 'enrico@gmail.com', password: 'wrong' });
+
+		expect(unknown.status).toBe(wrong.status);
+		expect(unknown.body).toStrictEqual(wrong.body);
+	});
+});
+
+describe('sessions', () => {
+	beforeEach(async () => {
+		await User.create({
+			username: 'enrico',
+			email: 'enrico@gmail.com',
+			password: await bcrypt.hash('enrico', 12),
+		});
+	});
+
+	afterEach(async () => {
+		await User.deleteMany();
+		await Session.deleteMany();
+	});
+
+	const loginFrom = async (deviceLabel, userAgent) => {
+		const response = await request(app)
+			.post('/api/login')
+			.set('User-Agent', userAgent)
+			.send({ email: 'enrico@gmail.com', password: 'enrico', deviceLabel });
+		const { accessToken, refreshToken } = response.body.data;
+		return `accessToken=${accessToken}; refreshToken=${refreshToken}`;
+	};
+
+	test('Logging in on a second device keeps the first session active', async () => {
+		const laptop = await loginFrom('Laptop', 'Firefox');
+		const phone = await loginFrom('Phone', 'Safari');
+
+		const response = await request(app).get('/api/sessions').set('Cookie', laptop);
+		expect(response.status).toBe(200);
+		expect(response.body.data).toHaveLength(2);
+		const current = response.body.data.find((s) => s.current);
+		expect(current).toEqual(expect.objectContaining({ label: 'Laptop', userAgent: 'Firefox' }));
+
+		const fromPhone = await request(app).get('/api/users/enrico').set('Cookie', phone);
+		expect(fromPhone.status).toBe(200);
+	});
+
+	test('Logging out ends only the session of the request', async () => {
+		const laptop = await loginFrom('Laptop', 'Firefox');
+		const phone = await loginFrom('Phone', 'Safari');
+
+		await request(app).get('/api/logout').set('Cookie', phone);
+
+		expect((await request(app).get('/api/users/enrico').set('Cookie', laptop)).status).toBe(200);
+		expect((await request(app).get('/api/users/enrico').set('Cookie', phone)).status).toBe(401);
+	});
+
+	test('A revoked session cannot be used anymore', async () => {
+		const laptop = await loginFrom('Laptop', 'Firefox');
+		const phone = await loginFrom('Phone', 'Safari');
+		const sessions = await request(app).get('/api/sessions').set('Cookie', laptop);
+		const phoneSession = sessions.body.data.find((s) => !s.current);
+
+		const revoke = await request(app).delete(`/api/sessions/${phoneSession.id}`).set('Cookie', laptop);
+		expect(revoke.status).toBe(200);
+
+		const fromPhone = await request(app).get('/api/users/enrico').set('Cookie', phone);
+		expect(fromPhone.status).toBe(401);
+		expect(fromPhone.body).toStrictEqual({ error: 'Session has been revoked' });
+	});
+
+	test('Log out everywhere else keeps only the current session', async () => {
+		const laptop = await loginFrom('Laptop', 'Firefox');
+		await loginFrom('Phone', 'Safari');
+		await loginFrom('Tablet', 'Chrome');
+
+		const response = await request(app).delete('/api/sessions').set('Cookie', laptop);
+		expect(response.status).toBe(200);
+		expect(response.body.data).toStrictEqual({ revokedSessions: 2 });
+
+		const sessions = await request(app).get('/api/sessions').set('Cookie', laptop);
+		expect(sessions.body.data).toHaveLength(1);
+		expect(sessions.body.data[0].current).toBe(true);
+	});
+
+	test('Sessions of other users cannot be revoked', async () => {
+		const laptop = await loginFrom('Laptop', 'Firefox');
+		await User.create({
+			username: 'mario',
+			email: 'mario@gmail.com',
+			password: await bcrypt.hash('mario', 12),
+		});
+		const mario = await request(app)
+			.post('/api/login')
+			.send({ email: 'mario@gmail.com', password: 'mario' });
+		const marioCookies = `accessToken=${mario.body.data.accessToken}; refreshToken=${mario.body.data.refreshToken}`;
+		const marioSession = (await request(app).get('/api/sessions').set('Cookie', marioCookies)).body
+			.data[0];
+
+		const response = await request(app).delete(`/api/sessions/${marioSession.id}`).set('Cookie', laptop);
+		expect(response.status).toBe(400);
+		expect(response.body).toStrictEqual({ error: 'Session not found' });
+	});
+});
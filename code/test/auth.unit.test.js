@@ -1,13 +1,35 @@
 import request from 'supertest';
 import { app } from '../app';
-import { User } from '../models/User.js';
+import { AdminInvitation, Group, Session, User } from '../models/User.js';
 import jwt from 'jsonwebtoken';
+import { sendMail } from '../mail/mailer.js';
+import { loginRetryAfter, recordLoginFailure, resetLoginFailures } from '../lockout/lockout.js';
 const bcrypt = require('bcryptjs');
 
-import { register, registerAdmin, login, logout } from '../controllers/auth';
+import {
+	register,
+	registerAdmin,
+	createAdminInvitation,
+	login,
+	logout,
+	refresh,
+	forgotPassword,
+	resetPassword,
+	verifyEmail,
+	resendVerificationEmail,
+	loginTwoFactor,
+	enrollTwoFactor,
+	confirmTwoFactor,
+	disableTwoFactor,
+	regenerateRecoveryCodes,
+} from '../controllers/auth';
+import { currentTotpStep, generateTotpSecret, totpCode } from '../controllers/totp';
+import { hashToken } from '../controllers/utils';
 
 jest.mock('bcryptjs');
 jest.mock('../models/User.js');
+jest.mock('../mail/mailer.js');
+jest.mock('../lockout/lockout.js');
 
 const accessToken = 'accesstokentest';
 const refreshToken = 'refreshtokentest';
@@ -37,6 +59,18 @@ describe('register', () => {
 		jest.spyOn(User, 'create').mockImplementation(() => {});
 
 		await register(mockReq, mockRes);
+		expect(User.create).toHaveBeenCalledWith(
+			expect.objectContaining({
+				emailVerified: false,
+				emailVerificationTokenHash: expect.any(String),
+			})
+		);
+		expect(sendMail).toHaveBeenCalledWith(
+			expect.objectContaining({
+				to: 'enrico@gmail.com',
+				text: expect.stringContaining('/api/verify-email/'),
+			})
+		);
 		expect(mockRes.status).toHaveBeenCalledWith(200);
 		expect(mockRes.json).toHaveBeenCalledWith({
 			data: { message: 'User added succesfully' },
@@ -295,6 +329,14 @@ describe('register', () => {
 
 //////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
 describe('registerAdmin', () => {
+	beforeEach(() => {
+		process.env.ADMIN_BOOTSTRAP_TOKEN = 'bootstraptoken';
+	});
+
+	afterAll(() => {
+		delete process.env.ADMIN_BOOTSTRAP_TOKEN;
+	});
+
 	test('nominal case', async () => {
 		const mockReq = {
 			params: {},
@@ -303,6 +345,78 @@ describe('registerAdmin', () => {
 				username: 'admin',
 				email: 'admin@gmail.com',
 				password: 'admin',
+				token: 'bootstraptoken',
+			},
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+		};
+
+		jest.spyOn(User, 'findOne').mockImplementation(() => false);
+		await registerAdmin(mockReq, mockRes);
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: { message: 'Admin added succesfully' },
+		});
+	});
+
+	test('Missing token', async () => {
+		const mockReq = {
+			params: {},
+			cookies: {},
+			body: {
+				username: 'admin',
+				email: 'admin@gmail.com',
+				password: 'admin',
+			},
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+		};
+
+		jest.spyOn(User, 'findOne').mockImplementation(() => false);
+		await registerAdmin(mockReq, mockRes);
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Missing invitation token' });
+	});
+
+	test('Wrong bootstrap token', async () => {
+		const mockReq = {
+			params: {},
+			cookies: {},
+			body: {
+				username: 'admin',
+				email: 'admin@gmail.com',
+				password: 'admin',
+				token: 'wrongtoken',
+			},
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+		};
+
+		jest.spyOn(User, 'findOne').mockImplementation(() => false);
+		await registerAdmin(mockReq, mockRes);
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid bootstrap token' });
+	});
+
+	test('Bootstrap token not configured', async () => {
+		delete process.env.ADMIN_BOOTSTRAP_TOKEN;
+		const mockReq = {
+			params: {},
+			cookies: {},
+			body: {
+				username: 'admin',
+				email: 'admin@gmail.com',
+				password: 'admin',
+				token: 'bootstraptoken',
 			},
 		};
 
@@ -313,6 +427,71 @@ describe('registerAdmin', () => {
 
 		jest.spyOn(User, 'findOne').mockImplementation(() => false);
 		await registerAdmin(mockReq, mockRes);
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid bootstrap token' });
+	});
+
+	test('Bootstrap token is refused once an admin exists', async () => {
+		const mockReq = {
+			params: {},
+			cookies: {},
+			body: {
+				username: 'admin2',
+				email: 'admin2@gmail.com',
+				password: 'admin',
+				token: 'bootstraptoken',
+			},
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+		};
+
+		jest
+			.spyOn(User, 'findOne')
+			.mockImplementationOnce(() => null)
+			.mockImplementationOnce(() => null)
+			.mockImplementationOnce(() => ({ role: 'Admin' }));
+		AdminInvitation.findOneAndUpdate.mockResolvedValueOnce(null);
+		await registerAdmin(mockReq, mockRes);
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid or expired invitation' });
+	});
+
+	test('Valid invitation', async () => {
+		const mockReq = {
+			params: {},
+			cookies: {},
+			body: {
+				username: 'admin2',
+				email: 'admin2@gmail.com',
+				password: 'admin',
+				token: 'invitationtoken',
+			},
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+		};
+
+		jest
+			.spyOn(User, 'findOne')
+			.mockImplementationOnce(() => null)
+			.mockImplementationOnce(() => null)
+			.mockImplementationOnce(() => ({ role: 'Admin' }));
+		AdminInvitation.findOneAndUpdate.mockResolvedValueOnce({ usedBy: 'admin2' });
+		await registerAdmin(mockReq, mockRes);
+		expect(AdminInvitation.findOneAndUpdate).toHaveBeenCalledWith(
+			expect.objectContaining({
+				tokenHash: expect.not.stringMatching('invitationtoken'),
+				usedAt: null,
+			}),
+			expect.any(Object),
+			expect.any(Object)
+		);
+		expect(User.create).toHaveBeenCalledWith(expect.objectContaining({ role: 'Admin' }));
 		expect(mockRes.status).toHaveBeenCalledWith(200);
 		expect(mockRes.json).toHaveBeenCalledWith({
 			data: { message: 'Admin added succesfully' },
@@ -691,10 +870,16 @@ describe('Login', () => {
 		};
 
 		jest.spyOn(User, 'findOne').mockImplementation(() => false);
+		jest.spyOn(bcrypt, 'compare').mockImplementation(() => Promise.resolve(false));
+		bcrypt.compare.mockClear();
+		recordLoginFailure.mockClear();
 
 		await login(mockReq, mockRes);
+		//The password is compared anyway, so that the response time does not reveal that the user does not exist
+		expect(bcrypt.compare).toHaveBeenCalledWith('admin', expect.any(String));
+		expect(recordLoginFailure).toHaveBeenCalledWith({ email: 'admim@gmail.com', ip: undefined });
 		expect(mockRes.status).toHaveBeenCalledWith(400);
-		expect(mockRes.json).toHaveBeenCalledWith({ error: 'User need to register' });
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid email or password' });
 	});
 
 	test('Password wrong', async () => {
@@ -722,9 +907,172 @@ describe('Login', () => {
 			return Promise.resolve(false);
 		});
 
+		recordLoginFailure.mockClear();
+
 		await login(mockReq, mockRes);
+		expect(recordLoginFailure).toHaveBeenCalledWith({ email: 'admin@gmail.com', ip: undefined });
 		expect(mockRes.status).toHaveBeenCalledWith(400);
-		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Wrong credentials' });
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid email or password' });
+	});
+
+	test('Too many failed attempts', async () => {
+		const mockReq = {
+			params: {},
+			cookies: {},
+			ip: '10.0.0.1',
+			body: {
+				email: 'admin@gmail.com',
+				password: 'admin',
+			},
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+			cookie: jest.fn(),
+			set: jest.fn(),
+		};
+
+		loginRetryAfter.mockResolvedValueOnce(4500);
+		User.findOne.mockClear();
+
+		await login(mockReq, mockRes);
+		expect(loginRetryAfter).toHaveBeenCalledWith({ email: 'admin@gmail.com', ip: '10.0.0.1' });
+		expect(User.findOne).not.toHaveBeenCalled();
+		expect(mockRes.set).toHaveBeenCalledWith('Retry-After', '5');
+		expect(mockRes.status).toHaveBeenCalledWith(429);
+		expect(mockRes.json).toHaveBeenCalledWith({
+			error: 'Too many failed login attempts, try again later',
+		});
+	});
+
+	test('Successful login clears the failed attempts of the account', async () => {
+		const mockReq = {
+			params: {},
+			cookies: {},
+			ip: '10.0.0.1',
+			body: {
+				email: 'admin@gmail.com',
+				password: 'admin',
+			},
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+			cookie: jest.fn(),
+		};
+
+		jest.spyOn(User, 'findOne').mockImplementation(() => ({
+			password: 'adminhash',
+			save: jest.fn(),
+		}));
+		jest.spyOn(bcrypt, 'compare').mockImplementation(() => Promise.resolve(true));
+		resetLoginFailures.mockClear();
+
+		await login(mockReq, mockRes);
+		expect(resetLoginFailures).toHaveBeenCalledWith({ email: 'admin@gmail.com' });
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+	});
+
+	test('Unverified email', async () => {
+		const mockReq = {
+			params: {},
+			cookies: {},
+			body: {
+				email: 'admin@gmail.com',
+				password: 'admin',
+			},
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+			cookie: jest.fn(),
+		};
+
+		jest.spyOn(User, 'findOne').mockImplementation(() => ({
+			password: 'adminhash',
+			emailVerified: false,
+			save: jest.fn(),
+		}));
+		jest.spyOn(bcrypt, 'compare').mockImplementation(() => Promise.resolve(true));
+
+		await login(mockReq, mockRes);
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Email not verified' });
+	});
+
+	test('Two-factor authentication enabled: a challenge is returned instead of the tokens', async () => {
+		const mockReq = {
+			params: {},
+			cookies: {},
+			body: {
+				email: 'admin@gmail.com',
+				password: 'admin',
+			},
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+			cookie: jest.fn(),
+		};
+
+		const mockUser = {
+			id: '1',
+			email: 'admin@gmail.com',
+			password: 'adminhash',
+			twoFactorEnabled: true,
+			save: jest.fn(),
+		};
+		jest.spyOn(User, 'findOne').mockImplementation(() => mockUser);
+		jest.spyOn(bcrypt, 'compare').mockImplementation(() => Promise.resolve(true));
+
+		await login(mockReq, mockRes);
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		const { data } = mockRes.json.mock.calls[0][0];
+		expect(data.twoFactorRequired).toBe(true);
+		expect(jwt.verify(data.challengeToken, process.env.ACCESS_KEY, { audience: 'login-2fa' }))
+			.toEqual(expect.objectContaining({ email: 'admin@gmail.com' }));
+		expect(mockRes.cookie).not.toHaveBeenCalled();
+		expect(mockUser.save).not.toHaveBeenCalled();
+	});
+
+	test('Unverified email with read-only access enabled', async () => {
+		process.env.UNVERIFIED_LOGIN = 'read-only';
+		const mockReq = {
+			params: {},
+			cookies: {},
+			body: {
+				email: 'admin@gmail.com',
+				password: 'admin',
+			},
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+			cookie: jest.fn(),
+		};
+
+		jest.spyOn(User, 'findOne').mockImplementation(() => ({
+			password: 'adminhash',
+			emailVerified: false,
+			save: jest.fn(),
+		}));
+		jest.spyOn(bcrypt, 'compare').mockImplementation(() => Promise.resolve(true));
+		const sign = jest.spyOn(jwt, 'sign');
+
+		await login(mockReq, mockRes);
+		expect(sign).toHaveBeenCalledWith(
+			expect.objectContaining({ readOnly: true }),
+			expect.anything(),
+			expect.anything()
+		);
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		sign.mockRestore();
+		delete process.env.UNVERIFIED_LOGIN;
 	});
 
 	test('Database error', async () => {
@@ -753,7 +1101,7 @@ describe('Login', () => {
 });
 
 describe('logout', () => {
-	test('Nominal case', async () => {
+	test('Nominal case: only the session of the request is ended', async () => {
 		const mockReq = {
 			params: {},
 			cookies: {
@@ -768,13 +1116,13 @@ describe('logout', () => {
 			cookie: jest.fn(),
 		};
 
-		//User.findOne.mockResolvedValue(refreshToken);
-		jest.spyOn(User, 'findOne').mockImplementation(() => ({
-			refreshToken: 'refreshtokentest',
-			save: jest.fn(),
-		}));
+		Session.findOneAndDelete.mockResolvedValueOnce({ _id: 'session1' });
 
 		await logout(mockReq, mockRes);
+		expect(Session.findOneAndDelete).toHaveBeenCalledWith({
+			refreshTokenHash: hashToken('refreshtokentest'),
+		});
+		expect(mockRes.cookie).toHaveBeenCalledWith('refreshToken', '', expect.any(Object));
 		expect(mockRes.status).toHaveBeenCalledWith(200);
 		expect(mockRes.json).toHaveBeenCalledWith({
 			data: { message: 'User logged out' },
@@ -816,7 +1164,7 @@ describe('logout', () => {
 			cookie: jest.fn(),
 		};
 
-		User.findOne.mockResolvedValue(null);
+		Session.findOneAndDelete.mockResolvedValueOnce(null);
 
 		await logout(mockReq, mockRes);
 		expect(mockRes.status).toHaveBeenCalledWith(400);
@@ -838,10 +1186,1094 @@ describe('logout', () => {
 			cookie: jest.fn(),
 		};
 
-		User.findOne.mockImplementation(() => {
-			throw new Error('error');
-		});
+		Session.findOneAndDelete.mockRejectedValueOnce(new Error('error'));
 		await logout(mockReq, mockRes);
 		expect(mockRes.status).toHaveBeenCalledWith(500);
 	});
 });
+
+describe('refresh', () => {
+	const mockSession = () => ({
+		_id: 'session1',
+		id: 'session1',
+		user: 'user1',
+		refreshTokenHash: hashToken('refreshtokentest'),
+	});
+
+	test('Nominal case: the refresh token is rotated', async () => {
+		const mockReq = {
+			params: {},
+			cookies: {
+				refreshToken: 'refreshtokentest',
+			},
+			body: {},
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+			cookie: jest.fn(),
+		};
+
+		const session = mockSession();
+		jest
+			.spyOn(jwt, 'verify')
+			.mockImplementationOnce(() => ({ email: 'admin@gmail.com', sid: 'session1' }));
+		Session.findOne.mockResolvedValueOnce(session);
+		jest.spyOn(User, 'findOne').mockImplementation(() => ({ email: 'admin@gmail.com' }));
+		Session.findOneAndUpdate.mockResolvedValueOnce(session);
+		jest
+			.spyOn(jwt, 'sign')
+			.mockImplementationOnce(() => 'newaccesstoken')
+			.mockImplementationOnce(() => 'newrefreshtoken');
+
+		await refresh(mockReq, mockRes);
+		expect(Session.findOne).toHaveBeenCalledWith({
+			_id: 'session1',
+			expiresAt: { $gt: expect.any(Date) },
+		});
+		expect(User.findOne).toHaveBeenCalledWith({ _id: 'user1' });
+		expect(Session.findOneAndUpdate).toHaveBeenCalledWith(
+			{ _id: 'session1', refreshTokenHash: hashToken('refreshtokentest') },
+			{
+				$set: {
+					refreshTokenHash: hashToken('newrefreshtoken'),
+					lastUsedAt: expect.any(Date),
+					expiresAt: expect.any(Date),
+				},
+			}
+		);
+		expect(mockRes.cookie).toHaveBeenCalledWith(
+			'refreshToken',
+			'newrefreshtoken',
+			expect.any(Object)
+		);
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: {
+				accessToken: 'newaccesstoken',
+				refreshToken: 'newrefreshtoken',
+			},
+		});
+	});
+
+	test('should keep the end and the admin of an impersonation session', async () => {
+		const mockReq = { params: {}, cookies: { refreshToken: 'refreshtokentest' }, body: {} };
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+			cookie: jest.fn(),
+		};
+
+		const expiresAt = new Date(Date.now() + 30 * 60 * 1000);
+		const session = { ...mockSession(), impersonatedBy: 'admin', expiresAt: expiresAt };
+		jest
+			.spyOn(jwt, 'verify')
+			.mockImplementationOnce(() => ({ email: 'mario@gmail.com', sid: 'session1', impersonatedBy: 'admin' }));
+		Session.findOne.mockResolvedValueOnce(session);
+		jest.spyOn(User, 'findOne').mockImplementation(() => ({ email: 'mario@gmail.com' }));
+		Session.findOneAndUpdate.mockResolvedValueOnce(session);
+		const sign = jest.spyOn(jwt, 'sign').mockImplementation(() => 'newtoken');
+
+		await refresh(mockReq, mockRes);
+
+		expect(sign).toHaveBeenCalledWith(
+			expect.objectContaining({ impersonatedBy: 'admin' }),
+			expect.anything(),
+			expect.anything()
+		);
+		expect(Session.findOneAndUpdate).toHaveBeenLastCalledWith(expect.anything(), {
+			$set: expect.objectContaining({ expiresAt: expiresAt }),
+		});
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		sign.mockRestore();
+	});
+
+	test('Missing refresh token', async () => {
+		const mockReq = {
+			params: {},
+			cookies: {},
+			body: {},
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+			cookie: jest.fn(),
+		};
+
+		await refresh(mockReq, mockRes);
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Unauthorized' });
+	});
+
+	test('Expired refresh token', async () => {
+		const mockReq = {
+			params: {},
+			cookies: {
+				refreshToken: 'refreshtokentest',
+			},
+			body: {},
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+			cookie: jest.fn(),
+		};
+
+		jest.spyOn(jwt, 'verify').mockImplementationOnce(() => {
+			const error = new Error('jwt expired');
+			error.name = 'TokenExpiredError';
+			throw error;
+		});
+
+		await refresh(mockReq, mockRes);
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Perform login again' });
+	});
+
+	test('Reused refresh token: every session of the user is revoked', async () => {
+		const mockReq = {
+			params: {},
+			cookies: {
+				refreshToken: 'oldrefreshtoken',
+			},
+			body: {},
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+			cookie: jest.fn(),
+		};
+
+		jest
+			.spyOn(jwt, 'verify')
+			.mockImplementationOnce(() => ({ email: 'admin@gmail.com', sid: 'session1' }));
+		Session.findOne.mockResolvedValueOnce(mockSession());
+		Session.deleteMany.mockClear();
+
+		await refresh(mockReq, mockRes);
+		expect(Session.deleteMany).toHaveBeenCalledWith({ user: 'user1' });
+		expect(mockRes.cookie).toHaveBeenCalledWith('refreshToken', '', expect.any(Object));
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+		expect(mockRes.json).toHaveBeenCalledWith({
+			error: 'Refresh token reuse detected, all sessions have been revoked',
+		});
+	});
+
+	test('Concurrent rotation of the same token: every session of the user is revoked', async () => {
+		const mockReq = {
+			params: {},
+			cookies: {
+				refreshToken: 'refreshtokentest',
+			},
+			body: {},
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+			cookie: jest.fn(),
+		};
+
+		jest
+			.spyOn(jwt, 'verify')
+			.mockImplementationOnce(() => ({ email: 'admin@gmail.com', sid: 'session1' }));
+		Session.findOne.mockResolvedValueOnce(mockSession());
+		jest.spyOn(User, 'findOne').mockImplementation(() => ({ email: 'admin@gmail.com' }));
+		Session.findOneAndUpdate.mockResolvedValueOnce(null);
+		Session.deleteMany.mockClear();
+
+		await refresh(mockReq, mockRes);
+		expect(Session.deleteMany).toHaveBeenCalledWith({ user: 'user1' });
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+	});
+
+	test('Revoked session', async () => {
+		const mockReq = {
+			params: {},
+			cookies: {
+				refreshToken: 'refreshtokentest',
+			},
+			body: {},
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+			cookie: jest.fn(),
+		};
+
+		jest
+			.spyOn(jwt, 'verify')
+			.mockImplementationOnce(() => ({ email: 'admin@gmail.com', sid: 'session1' }));
+		Session.findOne.mockResolvedValueOnce(null);
+
+		await refresh(mockReq, mockRes);
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Session has been revoked' });
+	});
+
+	test('Token issued before sessions existed', async () => {
+		const mockReq = {
+			params: {},
+			cookies: {
+				refreshToken: 'refreshtokentest',
+			},
+			body: {},
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+			cookie: jest.fn(),
+		};
+
+		jest.spyOn(jwt, 'verify').mockImplementationOnce(() => ({ email: 'admin@gmail.com' }));
+		Session.findOne.mockClear();
+
+		await refresh(mockReq, mockRes);
+		expect(Session.findOne).not.toHaveBeenCalled();
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Session has been revoked' });
+	});
+
+	test('User not found', async () => {
+		const mockReq = {
+			params: {},
+			cookies: {
+				refreshToken: 'refreshtokentest',
+			},
+			body: {},
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+			cookie: jest.fn(),
+		};
+
+		jest
+			.spyOn(jwt, 'verify')
+			.mockImplementationOnce(() => ({ email: 'admin@gmail.com', sid: 'session1' }));
+		Session.findOne.mockResolvedValueOnce(mockSession());
+		User.findOne.mockResolvedValue(null);
+
+		await refresh(mockReq, mockRes);
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'User not found' });
+	});
+
+	test('Database error', async () => {
+		const mockReq = {
+			params: {},
+			cookies: {
+				refreshToken: 'refreshtokentest',
+			},
+			body: {},
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+			cookie: jest.fn(),
+		};
+
+		jest
+			.spyOn(jwt, 'verify')
+			.mockImplementationOnce(() => ({ email: 'admin@gmail.com', sid: 'session1' }));
+		Session.findOne.mockRejectedValueOnce(new Error('error'));
+
+		await refresh(mockReq, mockRes);
+		expect(mockRes.status).toHaveBeenCalledWith(500);
+	});
+});
+
+describe('createAdminInvitation', () => {
+	const admin = {
+		id: '1',
+		username: 'admin',
+		email: 'admin@gmail.com',
+		role: 'Admin',
+	};
+
+	test('Nominal case', async () => {
+		const mockReq = {
+			params: {},
+			cookies: { accessToken: accessToken, refreshToken: refreshToken },
+			body: { email: 'newadmin@gmail.com' },
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+			locals: {},
+		};
+
+		jest.spyOn(jwt, 'verify').mockImplementation(() => admin);
+		AdminInvitation.create.mockImplementationOnce(async (invitation) => invitation);
+
+		await createAdminInvitation(mockReq, mockRes);
+		expect(AdminInvitation.create).toHaveBeenCalledWith(
+			expect.objectContaining({
+				email: 'newadmin@gmail.com',
+				createdBy: 'admin',
+				tokenHash: expect.any(String),
+				expiresAt: expect.any(Date),
+			})
+		);
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		const { data } = mockRes.json.mock.calls[0][0];
+		expect(data.token).toEqual(expect.any(String));
+		expect(data.token).not.toBe(AdminInvitation.create.mock.calls[0][0].tokenHash);
+		expect(data.email).toBe('newadmin@gmail.com');
+		jwt.verify.mockRestore();
+	});
+
+	test('Not an admin', async () => {
+		const mockReq = {
+			params: {},
+			cookies: { accessToken: accessToken, refreshToken: refreshToken },
+			body: {},
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+			locals: {},
+		};
+
+		jest.spyOn(jwt, 'verify').mockImplementation(() => ({ ...admin, role: 'Regular' }));
+
+		await createAdminInvitation(mockReq, mockRes);
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Not admin' });
+		jwt.verify.mockRestore();
+	});
+
+	test('Invalid expiration', async () => {
+		const mockReq = {
+			params: {},
+			cookies: { accessToken: accessToken, refreshToken: refreshToken },
+			body: { expiresInHours: 1000 },
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+			locals: {},
+		};
+
+		jest.spyOn(jwt, 'verify').mockImplementation(() => admin);
+
+		await createAdminInvitation(mockReq, mockRes);
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid expiration' });
+		jwt.verify.mockRestore();
+	});
+
+	test('Wrong email', async () => {
+		const mockReq = {
+			params: {},
+			cookies: { accessToken: accessToken, refreshToken: refreshToken },
+			body: { email: 'newadmin.gmail.com' },
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+			locals: {},
+		};
+
+		jest.spyOn(jwt, 'verify').mockImplementation(() => admin);
+
+		await createAdminInvitation(mockReq, mockRes);
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Email not correct formatted' });
+		jwt.verify.mockRestore();
+	});
+});
+
+describe('forgotPassword', () => {
+	test('Nominal case: a reset token is stored hashed and sent by email', async () => {
+		const mockReq = {
+			params: {},
+			cookies: {},
+			body: { email: 'admin@gmail.com' },
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+		};
+
+		const mockUser = { email: 'admin@gmail.com', save: jest.fn() };
+		jest.spyOn(User, 'findOne').mockImplementation(() => mockUser);
+
+		await forgotPassword(mockReq, mockRes);
+		expect(mockUser.save).toHaveBeenCalled();
+		expect(mockUser.passwordResetExpires.getTime()).toBeGreaterThan(Date.now());
+		expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'admin@gmail.com' }));
+		const { text } = sendMail.mock.calls[0][0];
+		expect(text).not.toContain(mockUser.passwordResetTokenHash);
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+	});
+
+	test('Unknown email: the same response is returned and no email is sent', async () => {
+		const mockReq = {
+			params: {},
+			cookies: {},
+			body: { email: 'nobody@gmail.com' },
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+		};
+
+		sendMail.mockClear();
+		jest.spyOn(User, 'findOne').mockImplementation(() => null);
+
+		await forgotPassword(mockReq, mockRes);
+		expect(sendMail).not.toHaveBeenCalled();
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: { message: 'If the email is registered, a reset token has been sent' },
+		});
+	});
+
+	test('Missing email', async () => {
+		const mockReq = {
+			params: {},
+			cookies: {},
+			body: {},
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+		};
+
+		await forgotPassword(mockReq, mockRes);
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Missing parameters' });
+	});
+
+	test('Wrong email', async () => {
+		const mockReq = {
+			params: {},
+			cookies: {},
+			body: { email: 'admin.gmail.com' },
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+		};
+
+		await forgotPassword(mockReq, mockRes);
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Email not correct formatted' });
+	});
+});
+
+describe('resetPassword', () => {
+	test('Nominal case: the password is changed and the sessions are ended', async () => {
+		const mockReq = {
+			params: {},
+			cookies: {},
+			body: { token: 'resettoken', password: 'newpassword' },
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+		};
+
+		jest.spyOn(bcrypt, 'hash').mockImplementation(() => Promise.resolve('newhash'));
+		User.findOneAndUpdate.mockResolvedValueOnce({ _id: 'user1', email: 'admin@gmail.com' });
+		Session.deleteMany.mockClear();
+
+		await resetPassword(mockReq, mockRes);
+		expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+			expect.objectContaining({
+				passwordResetTokenHash: expect.not.stringMatching('resettoken'),
+			}),
+			{
+				$set: {
+					password: 'newhash',
+					passwordResetTokenHash: null,
+					passwordResetExpires: null,
+				},
+			}
+		);
+		expect(Session.deleteMany).toHaveBeenCalledWith({ user: 'user1' });
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({ data: { message: 'Password updated' } });
+	});
+
+	test('Invalid or expired token', async () => {
+		const mockReq = {
+			params: {},
+			cookies: {},
+			body: { token: 'resettoken', password: 'newpassword' },
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+		};
+
+		User.findOneAndUpdate.mockResolvedValueOnce(null);
+
+		await resetPassword(mockReq, mockRes);
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid or expired token' });
+	});
+
+	test('Missing parameters', async () => {
+		const mockReq = {
+			params: {},
+			cookies: {},
+			body: { token: 'resettoken' },
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+		};
+
+		await resetPassword(mockReq, mockRes);
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Missing parameters' });
+	});
+
+	test('Empty password', async () => {
+		const mockReq = {
+			params: {},
+			cookies: {},
+			body: { token: 'resettoken', password: '' },
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+		};
+
+		await resetPassword(mockReq, mockRes);
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Empty string in parameters' });
+	});
+});
+
+describe('verifyEmail', () => {
+	test('Nominal case', async () => {
+		const mockReq = {
+			params: { token: 'verificationtoken' },
+			cookies: {},
+			body: {},
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+		};
+
+		User.findOneAndUpdate.mockResolvedValueOnce({ email: 'enrico@gmail.com' });
+
+		await verifyEmail(mockReq, mockRes);
+		expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+			expect.objectContaining({
+				emailVerificationTokenHash: expect.not.stringMatching('verificationtoken'),
+			}),
+			{
+				$set: {
+					emailVerified: true,
+					emailVerificationTokenHash: null,
+					emailVerificationExpires: null,
+					pendingEmail: null,
+				},
+			}
+		);
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({ data: { message: 'Email verified' } });
+	});
+
+	test('Pending email change: the new email replaces the old one', async () => {
+		const mockReq = { params: { token: 'verificationtoken' }, cookies: {}, body: {} };
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+		};
+		User.findOneAndUpdate.mockResolvedValueOnce({
+			_id: 'user1',
+			email: 'enrico@gmail.com',
+			pendingEmail: 'enrico@work.com',
+		});
+		User.findOne.mockResolvedValueOnce(null);
+		User.updateOne.mockClear();
+		Group.updateMany.mockClear();
+		Session.deleteMany.mockClear();
+
+		await verifyEmail(mockReq, mockRes);
+
+		expect(User.updateOne).toHaveBeenCalledWith({ _id: 'user1' }, { $set: { email: 'enrico@work.com' } });
+		expect(Group.updateMany).toHaveBeenCalledWith(
+			{ 'members.email': 'enrico@gmail.com' },
+			{ $set: { 'members.$.email': 'enrico@work.com' } }
+		);
+		expect(Session.deleteMany).toHaveBeenCalledWith({ user: 'user1' });
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({ data: { message: 'Email changed' } });
+	});
+
+	test('Pending email change: the new email has been registered in the meantime', async () => {
+		const mockReq = { params: { token: 'verificationtoken' }, cookies: {}, body: {} };
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+		};
+		User.findOneAndUpdate.mockResolvedValueOnce({
+			_id: 'user1',
+			email: 'enrico@gmail.com',
+			pendingEmail: 'enrico@work.com',
+		});
+		User.findOne.mockResolvedValueOnce({ email: 'enrico@work.com' });
+		User.updateOne.mockClear();
+
+		await verifyEmail(mockReq, mockRes);
+
+		expect(User.updateOne).not.toHaveBeenCalled();
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Email already registered' });
+	});
+
+	test('Invalid or expired token', async () => {
+		const mockReq = {
+			params: { token: 'verificationtoken' },
+			cookies: {},
+			body: {},
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+		};
+
+		User.findOneAndUpdate.mockResolvedValueOnce(null);
+
+		await verifyEmail(mockReq, mockRes);
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid or expired token' });
+	});
+});
+
+describe('resendVerificationEmail', () => {
+	test('Nominal case: a new link is sent to unverified users', async () => {
+		const mockReq = {
+			params: {},
+			cookies: {},
+			body: { email: 'enrico@gmail.com' },
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+		};
+
+		const mockUser = { email: 'enrico@gmail.com', emailVerified: false, save: jest.fn() };
+		sendMail.mockClear();
+		jest.spyOn(User, 'findOne').mockImplementation(() => mockUser);
+
+		await resendVerificationEmail(mockReq, mockRes);
+		expect(User.findOne).toHaveBeenCalledWith({ email: 'enrico@gmail.com', emailVerified: false });
+		expect(mockUser.save).toHaveBeenCalled();
+		expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'enrico@gmail.com' }));
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+	});
+
+	test('Verified or unknown email: nothing is sent', async () => {
+		const mockReq = {
+			params: {},
+			cookies: {},
+			body: { email: 'enrico@gmail.com' },
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+		};
+
+		sendMail.mockClear();
+		jest.spyOn(User, 'findOne').mockImplementation(() => null);
+
+		await resendVerificationEmail(mockReq, mockRes);
+		expect(sendMail).not.toHaveBeenCalled();
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+	});
+
+	test('Missing email', async () => {
+		const mockReq = {
+			params: {},
+			cookies: {},
+			body: {},
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+		};
+
+		await resendVerificationEmail(mockReq, mockRes);
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Missing parameters' });
+	});
+});
+
+describe('loginTwoFactor', () => {
+	const secret = generateTotpSecret();
+	const challengeToken = () =>
+		jwt.sign({ id: '1', email: 'enrico@gmail.com' }, process.env.ACCESS_KEY, {
+			expiresIn: '5m',
+			audience: 'login-2fa',
+		});
+	const mockUser = () => ({
+		_id: '1',
+		id: '1',
+		username: 'enrico',
+		email: 'enrico@gmail.com',
+		role: 'Regular',
+		twoFactorEnabled: true,
+		twoFactorSecret: secret,
+		twoFactorLastUsedStep: null,
+		save: jest.fn(),
+	});
+
+	test('Nominal case with a TOTP code', async () => {
+		const mockReq = {
+			params: {},
+			cookies: {},
+			body: { challengeToken: challengeToken(), code: totpCode(secret, currentTotpStep()) },
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+			cookie: jest.fn(),
+		};
+
+		const user = mockUser();
+		jest.spyOn(User, 'findOne').mockImplementation(() => user);
+		User.findOneAndUpdate.mockResolvedValueOnce(user);
+
+		await loginTwoFactor(mockReq, mockRes);
+		expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+			expect.objectContaining({ _id: '1' }),
+			{ $set: { twoFactorLastUsedStep: expect.any(Number) } }
+		);
+		expect(Session.prototype.save).toHaveBeenCalled();
+		expect(mockRes.cookie).toHaveBeenCalledTimes(2);
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: { accessToken: expect.any(String), refreshToken: expect.any(String) },
+		});
+	});
+
+	test('Nominal case with a recovery code', async () => {
+		const mockReq = {
+			params: {},
+			cookies: {},
+			body: { challengeToken: challengeToken(), recoveryCode: 'AB12C-34DEF' },
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+			cookie: jest.fn(),
+		};
+
+		const user = mockUser();
+		jest.spyOn(User, 'findOne').mockImplementation(() => user);
+		User.findOneAndUpdate.mockResolvedValueOnce(user);
+
+		await loginTwoFactor(mockReq, mockRes);
+		const codeHash = hashToken('ab12c34def');
+		expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+			{ _id: '1', twoFactorRecoveryCodes: codeHash },
+			{ $pull: { twoFactorRecoveryCodes: codeHash } }
+		);
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+	});
+
+	test('Code already used or recovery code not found', async () => {
+		const mockReq = {
+			params: {},
+			cookies: {},
+			body: { challengeToken: challengeToken(), recoveryCode: 'ab12c-34def' },
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+			cookie: jest.fn(),
+		};
+
+		jest.spyOn(User, 'findOne').mockImplementation(() => mockUser());
+		User.findOneAndUpdate.mockResolvedValueOnce(null);
+
+		await loginTwoFactor(mockReq, mockRes);
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid code' });
+		expect(mockRes.cookie).not.toHaveBeenCalled();
+	});
+
+	test('Wrong TOTP code', async () => {
+		const step = currentTotpStep();
+		const wrongCode = ['000000', '111111'].find(
+			(c) => ![step - 1, step, step + 1].some((s) => totpCode(secret, s) === c)
+		);
+		const mockReq = {
+			params: {},
+			cookies: {},
+			body: { challengeToken: challengeToken(), code: wrongCode },
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+			cookie: jest.fn(),
+		};
+
+		jest.spyOn(User, 'findOne').mockImplementation(() => mockUser());
+		User.findOneAndUpdate.mockClear();
+		recordLoginFailure.mockClear();
+
+		await loginTwoFactor(mockReq, mockRes);
+		expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+		expect(recordLoginFailure).toHaveBeenCalledWith({ email: 'enrico@gmail.com', ip: undefined });
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid code' });
+	});
+
+	test('Access token used as challenge', async () => {
+		const mockReq = {
+			params: {},
+			cookies: {},
+			body: {
+				challengeToken: jwt.sign({ email: 'enrico@gmail.com' }, process.env.ACCESS_KEY),
+				code: '123456',
+			},
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+		};
+
+		await loginTwoFactor(mockReq, mockRes);
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid or expired challenge' });
+	});
+
+	test('Missing code', async () => {
+		const mockReq = {
+			params: {},
+			cookies: {},
+			body: { challengeToken: challengeToken() },
+		};
+
+		const mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+		};
+
+		await loginTwoFactor(mockReq, mockRes);
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Missing parameters' });
+	});
+});
+
+describe('two-factor enrollment', () => {
+	const caller = {
+		id: '1',
+		username: 'enrico',
+		email: 'enrico@gmail.com',
+		role: 'Regular',
+	};
+
+	const authenticatedReq = (body) => ({
+		params: {},
+		cookies: { accessToken: accessToken, refreshToken: refreshToken },
+		body: body,
+	});
+
+	const mockResponse = () => ({
+		status: jest.fn().mockReturnThis(),
+		json: jest.fn(),
+		locals: {},
+	});
+
+	beforeEach(() => {
+		jest.spyOn(jwt, 'verify').mockImplementation(() => caller);
+	});
+
+	afterEach(() => {
+		jwt.verify.mockRestore();
+	});
+
+	test('enrollTwoFactor: a new secret and its otpauth URI are returned', async () => {
+		const mockRes = mockResponse();
+		const user = { email: 'enrico@gmail.com', twoFactorEnabled: false, save: jest.fn() };
+		jest.spyOn(User, 'findOne').mockImplementation(() => user);
+
+		await enrollTwoFactor(authenticatedReq({}), mockRes);
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		const { data } = mockRes.json.mock.calls[0][0];
+		expect(data.secret).toBe(user.twoFactorSecret);
+		expect(data.otpauthUri).toContain(`secret=${data.secret}`);
+		expect(user.twoFactorEnabled).toBe(false);
+		expect(user.save).toHaveBeenCalled();
+	});
+
+	test('enrollTwoFactor: already enabled', async () => {
+		const mockRes = mockResponse();
+		jest.spyOn(User, 'findOne').mockImplementation(() => ({ twoFactorEnabled: true }));
+
+		await enrollTwoFactor(authenticatedReq({}), mockRes);
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Two-factor authentication already enabled' });
+	});
+
+	test('enrollTwoFactor: not authenticated', async () => {
+		jwt.verify.mockImplementation(() => {
+			throw { name: 'JsonWebTokenError' };
+		});
+		const mockRes = mockResponse();
+
+		await enrollTwoFactor(authenticatedReq({}), mockRes);
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+	});
+
+	test('confirmTwoFactor: two-factor authentication is enabled and recovery codes are returned', async () => {
+		const secret = generateTotpSecret();
+		const mockRes = mockResponse();
+		const user = { twoFactorEnabled: false, twoFactorSecret: secret, save: jest.fn() };
+		jest.spyOn(User, 'findOne').mockImplementation(() => user);
+
+		await confirmTwoFactor(authenticatedReq({ code: totpCode(secret, currentTotpStep()) }), mockRes);
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		const { recoveryCodes } = mockRes.json.mock.calls[0][0].data;
+		expect(recoveryCodes).toHaveLength(10);
+		expect(user.twoFactorEnabled).toBe(true);
+		expect(user.twoFactorLastUsedStep).toEqual(expect.any(Number));
+		expect(user.twoFactorRecoveryCodes).toEqual(
+			recoveryCodes.map((c) => hashToken(c.replace('-', '')))
+		);
+		expect(user.save).toHaveBeenCalled();
+	});
+
+	test('confirmTwoFactor: wrong code', async () => {
+		const secret = generateTotpSecret();
+		const step = currentTotpStep();
+		const wrongCode = ['000000', '111111'].find(
+			(c) => ![step - 1, step, step + 1].some((s) => totpCode(secret, s) === c)
+		);
+		const mockRes = mockResponse();
+		const user = { twoFactorEnabled: false, twoFactorSecret: secret, save: jest.fn() };
+		jest.spyOn(User, 'findOne').mockImplementation(() => user);
+
+		await confirmTwoFactor(authenticatedReq({ code: wrongCode }), mockRes);
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid code' });
+		expect(user.twoFactorEnabled).toBe(false);
+	});
+
+	test('confirmTwoFactor: enrollment not started', async () => {
+		const mockRes = mockResponse();
+		jest.spyOn(User, 'findOne').mockImplementation(() => ({
+			twoFactorEnabled: false,
+			twoFactorSecret: null,
+		}));
+
+		await confirmTwoFactor(authenticatedReq({ code: '123456' }), mockRes);
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Two-factor enrollment not started' });
+	});
+
+	test('disableTwoFactor: a recovery code disables two-factor authentication', async () => {
+		const mockRes = mockResponse();
+		const user = { _id: '1', twoFactorEnabled: true, twoFactorSecret: generateTotpSecret() };
+		jest.spyOn(User, 'findOne').mockImplementation(() => user);
+		User.findOneAndUpdate.mockResolvedValueOnce(user);
+		User.updateOne.mockClear();
+
+		await disableTwoFactor(authenticatedReq({ recoveryCode: 'ab12c-34def' }), mockRes);
+		expect(User.updateOne).toHaveBeenCalledWith(
+			{ _id: '1' },
+			{
+				$set: {
+					twoFactorEnabled: false,
+					twoFactorSecret: null,
+					twoFactorLastUsedStep: null,
+					twoFactorRecoveryCodes: [],
+				},
+			}
+		);
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+	});
+
+	test('disableTwoFactor: not enabled', async () => {
+		const mockRes = mockResponse();
+		jest.spyOn(User, 'findOne').mockImplementation(() => ({ twoFactorEnabled: false }));
+
+		await disableTwoFactor(authenticatedReq({ code: '123456' }), mockRes);
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Two-factor authentication not enabled' });
+	});
+
+	test('regenerateRecoveryCodes: new codes replace the old ones', async () => {
+		const secret = generateTotpSecret();
+		const mockRes = mockResponse();
+		const user = { _id: '1', twoFactorEnabled: true, twoFactorSecret: secret, twoFactorLastUsedStep: null };
+		jest.spyOn(User, 'findOne').mockImplementation(() => user);
+		User.findOneAndUpdate.mockResolvedValueOnce(user);
+		User.updateOne.mockClear();
+
+		await regenerateRecoveryCodes(
+			authenticatedReq({ code: totpCode(secret, currentTotpStep()) }),
+			mockRes
+		);
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		const { recoveryCodes } = mockRes.json.mock.calls[0][0].data;
+		expect(User.updateOne).toHaveBeenCalledWith(
+			{ _id: '1' },
+			{ $set: { twoFactorRecoveryCodes: recoveryCodes.map((c) => hashToken(c.replace('-', ''))) } }
+		);
+	});
+
+	test('regenerateRecoveryCodes: missing code', async () => {
+		const mockRes = mockResponse();
+
+		await regenerateRecoveryCodes(authenticatedReq({}), mockRes);
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Missing parameters' });
+	});
+
+	test.each([
+		['enrollTwoFactor', enrollTwoFactor],
+		['confirmTwoFactor', confirmTwoFactor],
+		['disableTwoFactor', disableTwoFactor],
+		['regenerateRecoveryCodes', regenerateRecoveryCodes],
+	])('%s: an admin impersonating the user is rejected', async (name, handler) => {
+		jwt.verify.mockImplementation(() => ({ ...caller, impersonatedBy: 'admin' }));
+		const mockRes = mockResponse();
+		User.findOne.mockClear();
+
+		await handler(authenticatedReq({ code: '123456' }), mockRes);
+		expect(mockRes.status).toHaveBeenCalledWith(403);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Not allowed while impersonating a user' });
+		expect(User.findOne).not.toHaveBeenCalled();
+	});
+});
@@ -0,0 +1,423 @@
+import mongoose from 'mongoose';
+import { budgets, categories, exchangeRates, transactions } from '../models/model.js';
+import { Group, User } from '../models/User.js';
+import {
+	budgetStatus,
+	createBudget,
+	deleteBudget,
+	getBudgets,
+	periodOf,
+	updateBudget,
+} from '../controllers/budgets.js';
+import { verifyMultipleAuth } from '../controllers/utils';
+
+jest.mock('../models/model.js');
+jest.mock('../models/User.js');
+jest.mock('../controllers/utils');
+
+const decimal = (value) => mongoose.Types.Decimal128.fromString(value);
+const budgetId = '64a7f0c2e4b0a1b2c3d4e5f6';
+
+const groceries = {
+	_id: budgetId,
+	username: 'mario',
+	group: null,
+	type: 'food',
+	amount: decimal('300.00'),
+	currency: 'EUR',
+	period: 'monthly',
+	start: new Date('2023-03-10'),
+	end: null,
+	rollover: false,
+};
+
+//Expenses grouped by currency and day, as returned by the aggregation of `budgetStatus`
+const daily = (...days) => days.map(([day, amount, currency = 'EUR']) => ({ _id: { currency, day }, amount: decimal(amount) }));
+
+let mockRes;
+
+beforeEach(() => {
+	jest.resetAllMocks();
+	mockRes = {
+		status: jest.fn(() => mockRes),
+		json: jest.fn(),
+		locals: {
+			refreshedTokenMessage: 'refreshed token',
+		},
+	};
+	verifyMultipleAuth.mockResolvedValue({ authorized: true, cause: 'Authorized', user: { username: 'mario' } });
+	User.findOne.mockResolvedValue({ username: 'mario', baseCurrency: 'EUR' });
+});
+
+describe('periodOf', () => {
+	test('should return the calendar month of a date', () => {
+		expect(periodOf(groceries, new Date('2023-02-14T18:00:00Z'))).toEqual({
+			start: new Date('2023-02-01'),
+			end: new Date('2023-03-01'),
+		});
+	});
+
+	test('should return the week of a date, starting on Monday', () => {
+		expect(periodOf({ period: 'weekly' }, new Date('2023-06-04T10:00:00Z'))).toEqual({
+			start: new Date('2023-05-29'),
+			end: new Date('2023-06-05'),
+		});
+	});
+
+	test('should return the days of a custom budget, whatever the date', () => {
+		const holiday = { period: 'custom', start: new Date('2023-08-01T12:00:00Z'), end: new Date('2023-08-15') };
+
+		expect(periodOf(holiday, new Date('2024-01-01'))).toEqual({
+			start: new Date('2023-08-01'),
+			end: new Date('2023-08-16'),
+		});
+	});
+});
+
+describe('budgetStatus', () => {
+	test('should compare the expenses of the period with the limit', async () => {
+		transactions.aggregate.mockResolvedValueOnce(daily(['2023-05-02', '100.00'], ['2023-05-20', '50.50']));
+
+		const status = await budgetStatus(groceries, ['mario'], new Date('2023-05-25'));
+
+		expect(transactions.aggregate.mock.calls[0][0][0]).toEqual({
+			$match: {
+				type: 'food',
+				username: { $in: ['mario'] },
+				direction: { $nin: ['income', 'transfer'] },
+				date: { $gte: new Date('2023-05-01'), $lt: new Date('2023-06-01') },
+			},
+		});
+		expect(status).toEqual({
+			periodStart: new Date('2023-05-01'),
+			periodEnd: new Date('2023-06-01'),
+			rolledOver: '0.00',
+			limit: '300.00',
+			spent: '150.50',
+			remaining: '149.50',
+			percent: 50,
+			status: 'ok',
+		});
+	});
+
+	test.each([
+		['239.99', 'ok', '60.01'],
+		['240.00', 'warning', '60.00'],
+		['299.99', 'warning', '0.01'],
+		['300.00', 'exceeded', '0.00'],
+		['300.01', 'exceeded', '-0.01'],
+	])('should flag %s spent of 300', async (spent, flag, remaining) => {
+		transactions.aggregate.mockResolvedValueOnce(daily(['2023-05-02', spent]));
+
+		const status = await budgetStatus(groceries, ['mario'], new Date('2023-05-25'));
+
+		expect(status.status).toBe(flag);
+		expect(status.remaining).toBe(remaining);
+	});
+
+	test('should roll the unused amounts over from the start of the budget', async () => {
+		//March: 50 left. April: 350 available, 400 spent, nothing left. May: 300 available
+		transactions.aggregate.mockResolvedValueOnce(
+			daily(['2023-03-15', '250.00'], ['2023-04-03', '400.00'], ['2023-05-02', '120.00'])
+		);
+
+		const status = await budgetStatus({ ...groceries, rollover: true }, ['mario'], new Date('2023-05-25'));
+
+		expect(transactions.aggregate.mock.calls[0][0][0].$match.date).toEqual({
+			$gte: new Date('2023-03-01'),
+			$lt: new Date('2023-06-01'),
+		});
+		expect(status).toEqual(expect.objectContaining({ rolledOver: '0.00', limit: '300.00', spent: '120.00' }));
+	});
+
+	test('should add the amounts left in every previous period', async () => {
+		transactions.aggregate.mockResolvedValueOnce(daily(['2023-03-15', '250.00'], ['2023-04-03', '200.00']));
+
+		const status = await budgetStatus({ ...groceries, rollover: true }, ['mario'], new Date('2023-05-25'));
+
+		expect(status).toEqual(
+			expect.objectContaining({ rolledOver: '150.00', limit: '450.00', spent: '0.00', remaining: '450.00', percent: 0 })
+		);
+	});
+
+	test('should convert the expenses in other currencies', async () => {
+		transactions.aggregate.mockResolvedValueOnce(daily(['2023-05-02', '100.00'], ['2023-05-03', '110.00', 'USD']));
+		exchangeRates.find.mockResolvedValueOnce([{ currency: 'USD', rate: 1.1, date: new Date('2023-01-01') }]);
+
+		const status = await budgetStatus(groceries, ['mario'], new Date('2023-05-25'));
+
+		expect(status.spent).toBe('200.00');
+	});
+
+	test('should throw if an exchange rate is missing', async () => {
+		transactions.aggregate.mockResolvedValueOnce(daily(['2023-05-03', '110.00', 'USD']));
+		exchangeRates.find.mockResolvedValueOnce([]);
+
+		await expect(budgetStatus(groceries, ['mario'], new Date('2023-05-25'))).rejects.toThrow(
+			'Missing exchange rate for USD'
+		);
+	});
+});
+
+describe('createBudget', () => {
+	const request = (body) => ({ params: { username: 'mario' }, body });
+
+	test('should create a budget of the user in their base currency', async () => {
+		User.findOne.mockResolvedValue({ username: 'mario', baseCurrency: 'USD' });
+		categories.findOne.mockResolvedValue({ type: 'food' });
+		budgets.create.mockImplementation(async (budget) => ({ ...budget, _id: budgetId }));
+
+		await createBudget(request({ type: 'food', amount: '300', period: 'monthly', start: '2023-03-10', rollover: true }), mockRes);
+
+		expect(verifyMultipleAuth).toHaveBeenCalledWith(expect.anything(), mockRes, {
+			authType: ['User', 'Admin'],
+			scope: 'transactions:write',
+		});
+		expect(budgets.create).toHaveBeenCalledWith({
+			username: 'mario',
+			type: 'food',
+			amount: decimal('300.00'),
+			currency: 'USD',
+			period: 'monthly',
+			start: new Date('2023-03-10'),
+			end: null,
+			rollover: true,
+		});
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: {
+				_id: budgetId,
+				username: 'mario',
+				group: null,
+				type: 'food',
+				amount: '300.00',
+				currency: 'USD',
+				period: 'monthly',
+				start: new Date('2023-03-10'),
+				end: null,
+				rollover: true,
+			},
+			refreshedTokenMessage: 'refreshed token',
+		});
+	});
+
+	test('should create a budget of a group in the currency of the group', async () => {
+		Group.findOne.mockResolvedValue({ name: 'family', currency: 'GBP', members: [{ email: 'mario@example.com' }] });
+		User.find.mockResolvedValue([{ username: 'mario' }]);
+		categories.findOne.mockResolvedValue({ type: 'food' });
+		budgets.create.mockImplementation(async (budget) => budget);
+
+		await createBudget(
+			{ params: { name: 'family' }, body: { type: 'food', amount: '500', period: 'custom', start: '2023-12-01', end: '2023-12-31' } },
+			mockRes
+		);
+
+		expect(verifyMultipleAuth).toHaveBeenCalledWith(expect.anything(), mockRes, {
+			authType: ['Group', 'Admin'],
+			scope: 'transactions:write',
+			emails: ['mario@example.com'],
+		});
+		expect(budgets.create).toHaveBeenCalledWith(
+			expect.objectContaining({ group: 'family', currency: 'GBP', period: 'custom', end: new Date('2023-12-31') })
+		);
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+	});
+
+	test.each([
+		[{ type: 'food', period: 'monthly' }, 'Missing parameters'],
+		[{ type: 'food', amount: '300' }, 'Missing parameters'],
+		[{ type: 'food', amount: '300', period: 'yearly' }, 'Invalid period'],
+		[{ type: 'food', amount: '-300', period: 'monthly' }, 'Invalid amount'],
+		[{ type: 'food', amount: '300', currency: 'euro', period: 'monthly' }, 'Invalid currency'],
+		[{ type: 'food', amount: '300', period: 'monthly', start: 'soon' }, 'Invalid start'],
+		[{ type: 'food', amount: '300', period: 'monthly', rollover: 'yes' }, 'Invalid rollover'],
+		[{ type: 'food', amount: '300', period: 'custom' }, 'Invalid end'],
+		[{ type: 'food', amount: '300', period: 'custom', start: '2023-05-02', end: '2023-05-01' }, 'Invalid end'],
+		[{ type: 'food', amount: '300', period: 'custom', end: '2099-01-01', rollover: true }, 'Custom budgets cannot roll over'],
+	])('should return 400 for the body %o', async (body, error) => {
+		await createBudget(request(body), mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: error });
+		expect(budgets.create).not.toHaveBeenCalled();
+	});
+
+	test('should return 400 if the category does not exist', async () => {
+		categories.findOne.mockResolvedValue(null);
+
+		await createBudget(request({ type: 'food', amount: '300', period: 'monthly' }), mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Category does not exist' });
+	});
+
+	test('should return 400 if the group does not exist', async () => {
+		Group.findOne.mockResolvedValue(null);
+
+		await createBudget({ params: { name: 'family' }, body: {} }, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Group not found.' });
+	});
+
+	test('should return 401 if the caller is not a member of the group', async () => {
+		Group.findOne.mockResolvedValue({ name: 'family', members: [{ email: 'luigi@example.com' }] });
+		verifyMultipleAuth.mockResolvedValue({ authorized: false, cause: 'User not in group or Not admin' });
+
+		await createBudget({ params: { name: 'family' }, body: {} }, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'User not in group or Not admin' });
+	});
+});
+
+describe('getBudgets', () => {
+	test('should return the budgets with the expenses of the current period', async () => {
+		budgets.find.mockResolvedValue([groceries]);
+		transactions.aggregate.mockResolvedValue(daily(['2023-05-02', '270.00']));
+
+		await getBudgets({ params: { username: 'mario' }, query: { date: '2023-05-25' } }, mockRes);
+
+		expect(verifyMultipleAuth).toHaveBeenCalledWith(expect.anything(), mockRes, {
+			authType: ['User', 'Admin'],
+			scope: 'transactions:read',
+		});
+		expect(budgets.find).toHaveBeenCalledWith({ username: 'mario' });
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: [
+				expect.objectContaining({
+					_id: budgetId,
+					amount: '300.00',
+					periodStart: new Date('2023-05-01'),
+					limit: '300.00',
+					spent: '270.00',
+					remaining: '30.00',
+					percent: 90,
+					status: 'warning',
+				}),
+			],
+			refreshedTokenMessage: 'refreshed token',
+		});
+	});
+
+	test('should count the expenses of every member of a group', async () => {
+		Group.findOne.mockResolvedValue({ name: 'family', members: [{ email: 'a@example.com' }, { email: 'b@example.com' }] });
+		User.find.mockResolvedValue([{ username: 'mario' }, { username: 'luigi' }]);
+		budgets.find.mockResolvedValue([{ ...groceries, username: null, group: 'family' }]);
+		transactions.aggregate.mockResolvedValue([]);
+
+		await getBudgets({ params: { name: 'family' }, query: {} }, mockRes);
+
+		expect(budgets.find).toHaveBeenCalledWith({ group: 'family' });
+		expect(transactions.aggregate.mock.calls[0][0][0].$match.username).toEqual({ $in: ['mario', 'luigi'] });
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+	});
+
+	test('should return 400 if the date is not valid', async () => {
+		await getBudgets({ params: { username: 'mario' }, query: { date: 'yesterday' } }, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid date' });
+	});
+
+	test('should return 400 if an exchange rate is missing', async () => {
+		//The models share their automocked methods, so the queries are mocked in the order they are made
+		budgets.find.mockResolvedValueOnce([groceries]);
+		transactions.aggregate.mockResolvedValue(daily(['2023-05-03', '110.00', 'USD']));
+		exchangeRates.find.mockResolvedValueOnce([]);
+
+		await getBudgets({ params: { username: 'mario' }, query: {} }, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Missing exchange rate for USD' });
+	});
+});
+
+describe('updateBudget', () => {
+	const request = (body) => ({ params: { username: 'mario', id: budgetId }, body });
+
+	test('should change the limit of a budget', async () => {
+		budgets.findOne.mockResolvedValueOnce(groceries);
+		budgets.findOneAndUpdate.mockResolvedValue({ ...groceries, amount: decimal('350.00') });
+
+		await updateBudget(request({ amount: '350' }), mockRes);
+
+		expect(budgets.findOne).toHaveBeenCalledWith({ _id: budgetId, username: 'mario' });
+		expect(budgets.findOneAndUpdate).toHaveBeenCalledWith(
+			{ _id: budgetId },
+			{
+				$set: {
+					period: 'monthly',
+					start: groceries.start,
+					end: null,
+					rollover: false,
+					currency: 'EUR',
+					amount: decimal('350.00'),
+				},
+			},
+			{ new: true }
+		);
+		expect(mockRes.json.mock.calls[0][0].data.amount).toBe('350.00');
+	});
+
+	test('should change a monthly budget into a custom one', async () => {
+		budgets.findOne.mockResolvedValueOnce(groceries);
+		budgets.findOneAndUpdate.mockResolvedValue(groceries);
+
+		await updateBudget(request({ period: 'custom', start: '2023-08-01', end: '2023-08-15' }), mockRes);
+
+		expect(budgets.findOneAndUpdate.mock.calls[0][1].$set).toEqual({
+			period: 'custom',
+			start: new Date('2023-08-01'),
+			end: new Date('2023-08-15'),
+			rollover: false,
+		});
+	});
+
+	test.each([
+		[{}, 'Missing parameters'],
+		[{ period: 'custom' }, 'Invalid end'],
+		[{ amount: '10.001' }, 'Invalid amount'],
+	])('should return 400 for the body %o', async (body, error) => {
+		budgets.findOne.mockResolvedValueOnce(groceries);
+
+		await updateBudget(request(body), mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: error });
+		expect(budgets.findOneAndUpdate).not.toHaveBeenCalled();
+	});
+
+	test('should return 400 if the budget belongs to another owner', async () => {
+		budgets.findOne.mockResolvedValueOnce(null);
+
+		await updateBudget(request({ amount: '350' }), mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Budget not found' });
+	});
+});
+
+describe('deleteBudget', () => {
+	test('should delete a budget of the owner', async () => {
+		budgets.findOneAndDelete.mockResolvedValue(groceries);
+
+		await deleteBudget({ params: { username: 'mario', id: budgetId } }, mockRes);
+
+		expect(budgets.findOneAndDelete).toHaveBeenCalledWith({ _id: budgetId, username: 'mario' });
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: { message: 'Budget deleted' },
+			refreshedTokenMessage: 'refreshed token',
+		});
+	});
+
+	test('should return 400 if the budget does not exist', async () => {
+		budgets.findOneAndDelete.mockResolvedValue(null);
+
+		await deleteBudget({ params: { username: 'mario', id: budgetId } }, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Budget not found' });
+	});
+});
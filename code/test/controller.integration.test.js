@@ -1,7 +1,8 @@
 import request from 'supertest';
 import { app } from '../app';
-import { categories, transactions } from '../models/model';
+import { categories, exchangeRates, transactions } from '../models/model';
 import { User, Group } from '../models/User.js';
+import { migrateAmounts } from '../controllers/controller';
 import mongoose, { Model } from 'mongoose';
 import dotenv from 'dotenv';
 import jwt from 'jsonwebtoken';
@@ -518,6 +519,20 @@ describe('getCategories', () => {
 		});
 	});
 
+	test('Nominal case: tokens sent as Authorization and X-Refresh-Token headers', (done) => {
+		categories.create({ type: 'test', color: 'red' }).then(() => {
+			request(app)
+				.get('/api/categories')
+				.set('Authorization', `Bearer ${testerAccessTokenValid}`)
+				.set('X-Refresh-Token', testerAccessTokenValid)
+				.then((response) => {
+					expect(response.status).toBe(200);
+					expect(response.body.data[0]).toHaveProperty('type', 'test');
+					done();
+				});
+		});
+	});
+
 	test('Should return 401 if not authorized', (done) => {
 		request(app)
 			.get('/api/categories')
@@ -609,6 +624,443 @@ describe('createTransaction', () => {
 	});
 });
 
+describe('transaction descriptions, notes and tags', () => {
+	const testerCookie = `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`;
+
+	beforeEach(async () => {
+		await User.create({ username: 'tester', email: 'tester@test.com', password: 'tester' });
+		await categories.create({ type: 'food', color: 'red' });
+	});
+
+	test('Nominal case: the details are stored and the listing is filtered by tags', async () => {
+		const created = await request(app)
+			.post('/api/users/tester/transactions')
+			.set('Cookie', testerCookie)
+			.send({
+				username: 'tester',
+				amount: 12.5,
+				type: 'food',
+				description: 'Team lunch',
+				notes: 'Paid by card',
+				tags: ['Work', 'travel'],
+			});
+		await transactions.create({ username: 'tester', amount: 8, type: 'food', tags: ['home'] });
+
+		const all = await request(app).get('/api/users/tester/transactions').set('Cookie', testerCookie);
+		const tagged = await request(app)
+			.get('/api/users/tester/transactions?tags=work,travel')
+			.set('Cookie', testerCookie);
+		const byCategory = await request(app)
+			.get('/api/users/tester/transactions/category/food?tags=home')
+			.set('Cookie', testerCookie);
+
+		expect(created.status).toBe(200);
+		expect(created.body.data).toEqual(
+			expect.objectContaining({ description: 'Team lunch', notes: 'Paid by card', tags: ['work', 'travel'] })
+		);
+		expect(all.body.data).toHaveLength(2);
+		expect(tagged.body.data).toHaveLength(1);
+		expect(tagged.body.data[0]).toEqual(expect.objectContaining({ description: 'Team lunch', color: 'red' }));
+		expect(byCategory.body.data).toHaveLength(1);
+		expect(byCategory.body.data[0].tags).toStrictEqual(['home']);
+	});
+
+	test('Invalid tags: a 400 error message must be returned', async () => {
+		const response = await request(app)
+			.post('/api/users/tester/transactions')
+			.set('Cookie', testerCookie)
+			.send({ username: 'tester', amount: 12.5, type: 'food', tags: 'work' });
+
+		expect(response.status).toBe(400);
+		expect(response.body).toStrictEqual({ error: 'Invalid tags' });
+	});
+});
+
+describe('searchTransactions', () => {
+	const testerCookie = `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`;
+	const adminCookie = `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`;
+
+	beforeEach(async () => {
+		//The text index must be built before searching
+		await transactions.init();
+		await User.create({ username: 'tester', email: 'tester@test.com', password: 'tester' });
+		await categories.create({ type: 'food', color: 'red' });
+		await transactions.create(
+			{ username: 'tester', amount: 30, type: 'food', description: 'Pizza with the team', tags: ['work'] },
+			{ username: 'tester', amount: 12, type: 'food', description: 'Groceries', notes: 'pizza dough' },
+			{ username: 'tester', amount: 8, type: 'food', description: 'Coffee' }
+		);
+	});
+
+	test('Nominal case: results are ranked by relevance', async () => {
+		const response = await request(app)
+			.get('/api/users/tester/transactions/search?q=pizza')
+			.set('Cookie', testerCookie);
+
+		expect(response.status).toBe(200);
+		expect(response.body.data.map((t) => t.description)).toStrictEqual(['Pizza with the team', 'Groceries']);
+		expect(response.body.nextCursor).toBeNull();
+	});
+
+	test('Results are paginated with the cursor of the next page', async () => {
+		const first = await request(app)
+			.get('/api/users/tester/transactions/search?q=pizza&limit=1')
+			.set('Cookie', testerCookie);
+		const second = await request(app)
+			.get(`/api/users/tester/transactions/search?q=pizza&limit=1&cursor=${first.body.nextCursor}`)
+			.set('Cookie', testerCookie);
+
+		expect(first.body.data.map((t) => t.description)).toStrictEqual(['Pizza with the team']);
+		expect(second.body.data.map((t) => t.description)).toStrictEqual(['Groceries']);
+		expect(second.body.nextCursor).toBeNull();
+	});
+
+	test('The search is combined with the amount filter', async () => {
+		const response = await request(app)
+			.get('/api/users/tester/transactions/search?q=pizza&max=20')
+			.set('Cookie', testerCookie);
+
+		expect(response.body.data).toHaveLength(1);
+		expect(response.body.data[0].description).toBe('Groceries');
+	});
+
+	test('Group members and admins search the transactions of the group', async () => {
+		await Group.create({ name: 'family', members: [{ email: 'tester@test.com' }] });
+
+		const member = await request(app)
+			.get('/api/groups/family/transactions/search?q=coffee')
+			.set('Cookie', testerCookie);
+		const admin = await request(app)
+			.get('/api/transactions/groups/family/search?q=coffee')
+			.set('Cookie', adminCookie);
+
+		expect(member.body.data).toHaveLength(1);
+		expect(admin.body.data).toHaveLength(1);
+	});
+
+	test('Other users and the admin route: a 401 error message must be returned', async () => {
+		const otherUser = await request(app)
+			.get('/api/users/tester/transactions/search?q=pizza')
+			.set('Cookie', adminCookie);
+		const adminRoute = await request(app)
+			.get('/api/transactions/users/tester/search?q=pizza')
+			.set('Cookie', testerCookie);
+
+		expect(otherUser.status).toBe(401);
+		expect(adminRoute.status).toBe(401);
+	});
+
+	test('Missing query: a 400 error message must be returned', async () => {
+		const response = await request(app)
+			.get('/api/users/tester/transactions/search')
+			.set('Cookie', testerCookie);
+
+		expect(response.status).toBe(400);
+		expect(response.body).toStrictEqual({ error: 'Missing search query' });
+	});
+});
+
+describe('transaction pagination', () => {
+	const testerCookie = `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`;
+	const adminCookie = `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`;
+
+	beforeEach(async () => {
+		await User.create({ username: 'tester', email: 'tester@test.com', password: 'tester' });
+		await categories.create({ type: 'food', color: 'red' });
+		await transactions.create(
+			{ username: 'tester', amount: 30, type: 'food', date: new Date('2023-05-03') },
+			{ username: 'tester', amount: 10, type: 'food', date: new Date('2023-05-01') },
+			{ username: 'tester', amount: 30, type: 'food', date: new Date('2023-05-02') },
+			{ username: 'tester', amount: 20, type: 'food', date: new Date('2023-05-04') }
+		);
+	});
+
+	test('Nominal case: following the cursors returns every transaction once, in the requested order', async () => {
+		const amounts = [];
+		let cursor = null;
+		do {
+			const response = await request(app)
+				.get('/api/users/tester/transactions')
+				.query({ limit: 3, sort: '-amount', ...(cursor && { cursor }) })
+				.set('Cookie', testerCookie);
+			expect(response.status).toBe(200);
+			amounts.push(...response.body.data.map((t) => t.amount));
+			cursor = response.body.nextCursor;
+		} while (cursor);
+
+		expect(amounts).toStrictEqual(['30.00', '30.00', '20.00', '10.00']);
+	});
+
+	test('The admin route is paginated in the same way', async () => {
+		const response = await request(app)
+			.get('/api/transactions?limit=2&sort=date')
+			.set('Cookie', adminCookie);
+
+		expect(response.status).toBe(200);
+		expect(response.body.data.map((t) => t.amount)).toStrictEqual(['10.00', '30.00']);
+		expect(response.body.nextCursor).toEqual(expect.any(String));
+	});
+
+	test('Cursor of another sort: a 400 error message must be returned', async () => {
+		const first = await request(app)
+			.get('/api/transactions?limit=1&sort=date')
+			.set('Cookie', adminCookie);
+		const response = await request(app)
+			.get('/api/transactions')
+			.query({ sort: 'amount', cursor: first.body.nextCursor })
+			.set('Cookie', adminCookie);
+
+		expect(response.status).toBe(400);
+		expect(response.body.error).toBe('Invalid `cursor` parameter');
+	});
+
+	test('Limit over the maximum: a 400 error message must be returned', async () => {
+		const response = await request(app)
+			.get('/api/users/tester/transactions?limit=1000')
+			.set('Cookie', testerCookie);
+
+		expect(response.status).toBe(400);
+	});
+});
+
+describe('currencies', () => {
+	const testerCookie = `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`;
+	const adminCookie = `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`;
+
+	beforeEach(async () => {
+		await exchangeRates.deleteMany({});
+		await User.create({ username: 'tester', email: 'tester@test.com', password: 'tester', baseCurrency: 'GBP' });
+		await categories.create({ type: 'food', color: 'red' });
+	});
+
+	test('Nominal case: rates loaded from a CSV file convert the amounts', async () => {
+		const load = await request(app)
+			.post('/api/rates')
+			.set('Cookie', adminCookie)
+			.set('Content-Type', 'text/csv')
+			.send('date,currency,rate\n2023-05-01,USD,1.25\n2023-05-01,GBP,0.8');
+		await transactions.create(
+			{ username: 'tester', amount: 10, type: 'food', date: new Date('2023-05-10') },
+			{ username: 'tester', amount: 5, currency: 'USD', type: 'food', date: new Date('2023-05-10') }
+		);
+
+		const response = await request(app)
+			.get('/api/users/tester/transactions?convertTo=base')
+			.set('Cookie', testerCookie);
+
+		expect(load.status).toBe(200);
+		expect(load.body.data).toStrictEqual({ loaded: 2, currencies: ['GBP', 'USD'] });
+		expect(response.status).toBe(200);
+		expect(response.body.data.map((t) => [t.currency, t.convertedAmount, t.convertedCurrency])).toStrictEqual([
+			['EUR', '8.00', 'GBP'],
+			['USD', '3.20', 'GBP'],
+		]);
+	});
+
+	test('Rates can be loaded from an ECB XML file', async () => {
+		await request(app)
+			.post('/api/rates')
+			.set('Cookie', adminCookie)
+			.set('Content-Type', 'application/xml')
+			.send('<Cube><Cube time="2023-05-19"><Cube currency="USD" rate="1.0804"/></Cube></Cube>');
+
+		const response = await request(app).get('/api/rates').set('Cookie', testerCookie);
+
+		expect(response.status).toBe(200);
+		expect(response.body.data.base).toBe('EUR');
+		expect(response.body.data.rates).toStrictEqual([
+			{ currency: 'USD', rate: 1.0804, date: '2023-05-19T00:00:00.000Z' },
+		]);
+	});
+
+	test('New transactions are in the base currency of the user', async () => {
+		const response = await request(app)
+			.post('/api/users/tester/transactions')
+			.set('Cookie', testerCookie)
+			.send({ username: 'tester', amount: 10, type: 'food' });
+
+		expect(response.status).toBe(200);
+		expect(response.body.data.currency).toBe('GBP');
+	});
+
+	test('Group totals are in the currency of the group', async () => {
+		await exchangeRates.create({ currency: 'USD', rate: 1.25, date: new Date('2023-01-01') });
+		await Group.create({ name: 'family', members: [{ email: 'tester@test.com' }], currency: 'USD' });
+		await transactions.create(
+			{ username: 'tester', amount: 10, type: 'food', date: new Date('2023-05-10') },
+			{ username: 'tester', amount: 2.5, currency: 'USD', type: 'food', date: new Date('2023-05-10') }
+		);
+
+		const member = await request(app).get('/api/groups/family/transactions/total').set('Cookie', testerCookie);
+		const admin = await request(app).get('/api/transactions/groups/family/total').set('Cookie', adminCookie);
+
+		expect(member.status).toBe(200);
+		expect(member.body.data).toStrictEqual({
+			currency: 'USD',
+			income: '0.00',
+			expenses: '15.00',
+			net: '-15.00',
+			members: [{ username: 'tester', income: '0.00', expenses: '15.00', net: '-15.00' }],
+		});
+		expect(admin.body.data.expenses).toBe('15.00');
+	});
+
+	test('Missing rate: a 400 error message must be returned', async () => {
+		await transactions.create({ username: 'tester', amount: 10, type: 'food' });
+
+		const response = await request(app)
+			.get('/api/users/tester/transactions?convertTo=JPY')
+			.set('Cookie', testerCookie);
+
+		expect(response.status).toBe(400);
+		expect(response.body.error).toBe('Missing exchange rate for JPY');
+	});
+
+	test('Loading rates as a regular user: a 401 error message must be returned', async () => {
+		const response = await request(app)
+			.post('/api/rates')
+			.set('Cookie', testerCookie)
+			.set('Content-Type', 'text/csv')
+			.send('currency,rate\nUSD,1.1');
+
+		expect(response.status).toBe(401);
+	});
+});
+
+describe('transaction directions', () => {
+	const testerCookie = `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`;
+	const adminCookie = `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`;
+
+	beforeEach(async () => {
+		await User.create({ username: 'tester', email: 'tester@test.com', password: 'tester' });
+		await categories.create({ type: 'food', color: 'red' });
+	});
+
+	test('Nominal case: transactions take the direction of their category', async () => {
+		const category = await request(app)
+			.post('/api/categories')
+			.set('Cookie', adminCookie)
+			.send({ type: 'salary', color: 'green', direction: 'income' });
+		const income = await request(app)
+			.post('/api/users/tester/transactions')
+			.set('Cookie', testerCookie)
+			.send({ username: 'tester', amount: '2500', type: 'salary' });
+		const expense = await request(app)
+			.post('/api/users/tester/transactions')
+			.set('Cookie', testerCookie)
+			.send({ username: 'tester', amount: '40', type: 'food' });
+		const list = await request(app).get('/api/categories').set('Cookie', testerCookie);
+
+		expect(category.body.data).toStrictEqual({ type: 'salary', color: 'green', direction: 'income' });
+		expect(income.body.data.direction).toBe('income');
+		expect(expense.body.data.direction).toBe('expense');
+		expect(list.body.data).toContainEqual({ type: 'food', color: 'red', direction: 'expense' });
+	});
+
+	test('Group totals report income, expenses and net without transfers', async () => {
+		await Group.create({ name: 'family', members: [{ email: 'tester@test.com' }] });
+		await transactions.create(
+			{ username: 'tester', amount: '2500', type: 'food', direction: 'income' },
+			{ username: 'tester', amount: '40.50', type: 'food', direction: 'expense' },
+			{ username: 'tester', amount: '1000', type: 'food', direction: 'transfer' }
+		);
+
+		const response = await request(app).get('/api/groups/family/transactions/total').set('Cookie', testerCookie);
+
+		expect(response.status).toBe(200);
+		expect(response.body.data).toStrictEqual({
+			currency: 'EUR',
+			income: '2500.00',
+			expenses: '40.50',
+			net: '2459.50',
+			members: [{ username: 'tester', income: '2500.00', expenses: '40.50', net: '2459.50' }],
+		});
+	});
+
+	test('Negative amount: a 400 error message must be returned', async () => {
+		const response = await request(app)
+			.post('/api/users/tester/transactions')
+			.set('Cookie', testerCookie)
+			.send({ username: 'tester', amount: '-40', type: 'food' });
+
+		expect(response.status).toBe(400);
+		expect(response.body.error).toBe('Invalid amount');
+	});
+
+	test('Invalid direction: a 400 error message must be returned', async () => {
+		const response = await request(app)
+			.post('/api/users/tester/transactions')
+			.set('Cookie', testerCookie)
+			.send({ username: 'tester', amount: '40', type: 'food', direction: 'refund' });
+
+		expect(response.status).toBe(400);
+		expect(response.body.error).toBe('Invalid direction');
+	});
+});
+
+describe('decimal amounts', () => {
+	const testerCookie = `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`;
+
+	beforeEach(async () => {
+		await User.create({ username: 'tester', email: 'tester@test.com', password: 'tester' });
+		await categories.create({ type: 'food', color: 'red' });
+	});
+
+	test('Nominal case: amounts are stored exactly and returned with the precision of their currency', async () => {
+		for (const amount of ['0.10', 0.2, '1500']) {
+			await request(app)
+				.post('/api/users/tester/transactions')
+				.set('Cookie', testerCookie)
+				.send({ username: 'tester', amount: amount, type: 'food', currency: amount === '1500' ? 'JPY' : 'EUR' });
+		}
+
+		const response = await request(app).get('/api/users/tester/transactions').set('Cookie', testerCookie);
+		const stored = await transactions.aggregate([
+			{ $match: { currency: 'EUR' } },
+			{ $group: { _id: null, sum: { $sum: '$amount' } } },
+		]);
+
+		expect(response.body.data.map((t) => t.amount)).toStrictEqual(['0.10', '0.20', '1500']);
+		expect(String(stored[0].sum)).toBe('0.30');
+	});
+
+	test('The amount filters keep their decimals', async () => {
+		await transactions.create(
+			{ username: 'tester', amount: '9.99', type: 'food' },
+			{ username: 'tester', amount: '9.98', type: 'food' }
+		);
+
+		const response = await request(app).get('/api/users/tester/transactions?min=9.99').set('Cookie', testerCookie);
+
+		expect(response.body.data.map((t) => t.amount)).toStrictEqual(['9.99']);
+	});
+
+	test('Too many decimals: a 400 error message must be returned', async () => {
+		const response = await request(app)
+			.post('/api/users/tester/transactions')
+			.set('Cookie', testerCookie)
+			.send({ username: 'tester', amount: '12.345', type: 'food' });
+
+		expect(response.status).toBe(400);
+		expect(response.body.error).toBe('Invalid amount');
+	});
+
+	test('The amounts stored as floating-point numbers are migrated to decimals', async () => {
+		await transactions.collection.insertMany([
+			{ username: 'tester', amount: 0.1 + 0.2, type: 'food', date: new Date('2023-05-01') },
+			{ username: 'tester', amount: 1500, currency: 'JPY', type: 'food', date: new Date('2023-05-02') },
+		]);
+
+		const migrated = await migrateAmounts();
+		const again = await migrateAmounts();
+		const response = await request(app).get('/api/users/tester/transactions').set('Cookie', testerCookie);
+
+		expect(migrated).toBe(2);
+		expect(again).toBe(0);
+		expect(response.body.data.map((t) => t.amount)).toStrictEqual(['0.30', '1500']);
+	});
+});
+
 describe('getAllTransactions', () => {
 	test('should return 401 if not authorized', (done) => {
 		request(app)
@@ -1418,3 +1870,124 @@ describe('deleteTransactions', () => {
 			});
 	});
 });
+
+describe('updateTransaction', () => {
+	test('should return 401 if not authorized', (done) => {
+		request(app)
+			.patch('/api/users/tester/transactions/123456789012')
+			.set(
+				'Cookie',
+				`accessToken=${testerAccessTokenEmpty}; refreshToken=${testerAccessTokenEmpty}`
+			)
+			.send({ amount: 10 })
+			.then((response) => {
+				expect(response.status).toBe(401);
+				done();
+			});
+	});
+
+	test('should return 400 if the new category does not exist', (done) => {
+		User.create({
+			username: 'tester',
+			email: 'tester@test.com',
+			password: 'tester',
+		}).then(() => {
+			transactions
+				.create({ username: 'tester', amount: 100, type: 'food' })
+				.then((transaction) => {
+					request(app)
+						.patch(`/api/users/tester/transactions/${transaction._id}`)
+						.set(
+							'Cookie',
+							`accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`
+						)
+						.send({ type: 'unknown' })
+						.then((response) => {
+							expect(response.status).toBe(400);
+							expect(response.body).toHaveProperty('error', 'Category does not exist');
+							done();
+						});
+				});
+		});
+	});
+
+	test('should return 400 if the transaction belongs to another user', (done) => {
+		User.create(
+			{ username: 'tester', email: 'tester@test.com', password: 'tester' },
+			{ username: 'other', email: 'other@test.com', password: 'other' }
+		).then(() => {
+			transactions
+				.create({ username: 'other', amount: 100, type: 'food' })
+				.then((transaction) => {
+					request(app)
+						.patch(`/api/users/tester/transactions/${transaction._id}`)
+						.set(
+							'Cookie',
+							`accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`
+						)
+						.send({ amount: 10 })
+						.then((response) => {
+							expect(response.status).toBe(400);
+							expect(response.body).toHaveProperty(
+								'error',
+								'Transaction does not belong to you.'
+							);
+							done();
+						});
+				});
+		});
+	});
+
+	test('should update the transaction and return it with its color', (done) => {
+		categories.create({ type: 'food', color: 'red' }, { type: 'car', color: 'blue' }).then(() => {
+			User.create({
+				username: 'tester',
+				email: 'tester@test.com',
+				password: 'tester',
+			}).then(() => {
+				transactions
+					.create({ username: 'tester', amount: 100, type: 'food' })
+					.then((transaction) => {
+						request(app)
+							.patch(`/api/users/tester/transactions/${transaction._id}`)
+							.set(
+								'Cookie',
+								`accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`
+							)
+							.send({ amount: 42, type: 'car', date: '2023-05-10' })
+							.then((response) => {
+								expect(response.status).toBe(200);
+								expect(response.body.data).toMatchObject({
+									username: 'tester',
+									amount: '42.00',
+									type: 'car',
+									color: 'blue',
+								});
+								done();
+							});
+					});
+			});
+		});
+	});
+
+	test('should let an admin update any transaction', (done) => {
+		categories.create({ type: 'food', color: 'red' }).then(() => {
+			transactions
+				.create({ username: 'tester', amount: 100, type: 'food' })
+				.then((transaction) => {
+					request(app)
+						.patch(`/api/transactions/${transaction._id}`)
+						.set(
+							'Cookie',
+							`accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`
+						)
+						.send({ amount: 7 })
+						.then((response) => {
+							expect(response.status).toBe(200);
+							expect(response.body.data).toHaveProperty('amount', '7.00');
+							done();
+						});
+				});
+		});
+	});
+});
@@ -1,9 +1,17 @@
 import request from 'supertest';
+import mongoose from 'mongoose';
 import { app } from '../app';
-import { categories, transactions } from '../models/model';
+import { categories, exchangeRates, transactions } from '../models/model';
 import { User, Group } from '../models/User';
-import { verifyAuth, verifyMultipleAuth } from '../controllers/utils';
-import jwt from 'jsonwebtoken';
+import {
+	verifyAuth,
+	verifyMultipleAuth,
+	getTokens,
+	handleAmountFilterParams,
+	handleDateFilterParams,
+	handleTagFilterParams,
+	normalizeTags,
+} from '../controllers/utils';
 import {
 	createCategory,
 	updateCategory,
@@ -17,12 +25,18 @@ import {
 	getTransactionsByGroupByCategory,
 	deleteTransaction,
 	deleteTransactions,
+	updateTransaction,
+	searchTransactionsByUser,
+	searchTransactionsByGroup,
+	getGroupTotal,
+	migrateAmounts,
 } from '../controllers/controller';
 
 jest.mock('../models/model');
 jest.mock('../controllers/utils');
 jest.mock('../models/User');
-jest.mock('jsonwebtoken');
+
+const decimal = (value) => mongoose.Types.Decimal128.fromString(value);
 
 let mockReq;
 let mockRes;
@@ -40,6 +54,7 @@ beforeEach(() => {
 		},
 	};
 	jest.clearAllMocks();
+	getTokens.mockImplementation((req) => req.cookies);
 });
 
 //OK
@@ -74,6 +89,35 @@ describe('createCategory', () => {
 		);
 	});
 
+	test('should store the direction of the category, an expense by default', async () => {
+		verifyAuth.mockImplementation(() => ({ authorized: true, cause: 'Authorized' }));
+		categories.findOne.mockResolvedValue(null);
+		categories.prototype.save.mockResolvedValue({ type: 'salary', color: 'green', direction: 'income' });
+
+		mockReq.body = { type: 'salary', color: 'green', direction: 'income' };
+		await createCategory(mockReq, mockRes);
+		mockReq.body = { type: 'food', color: 'red' };
+		await createCategory(mockReq, mockRes);
+
+		expect(categories).toHaveBeenNthCalledWith(1, { type: 'salary', color: 'green', direction: 'income' });
+		expect(categories).toHaveBeenNthCalledWith(2, { type: 'food', color: 'red', direction: 'expense' });
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: { type: 'salary', color: 'green', direction: 'income' },
+			refreshedTokenMessage: 'refreshed token',
+		});
+	});
+
+	test('should return 400 if the direction is not valid', async () => {
+		verifyAuth.mockImplementation(() => ({ authorized: true, cause: 'Authorized' }));
+		mockReq.body = { type: 'refunds', color: 'green', direction: 'refund' };
+
+		await createCategory(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid direction' });
+		expect(categories).not.toHaveBeenCalled();
+	});
+
 	test('should return 401 if not authorized', async () => {
 		verifyAuth.mockImplementation(() => ({
 			authorized: false,
@@ -248,6 +292,33 @@ describe('createCategory', () => {
 
 //OK
 describe('updateCategory', () => {
+	test('should change the direction of the category with its type and color', async () => {
+		verifyAuth.mockImplementation(() => ({ authorized: true, cause: 'Authorized' }));
+		mockReq.params = { type: 'gifts' };
+		mockReq.body = { type: 'presents', color: 'pink', direction: 'income' };
+		categories.findOne.mockResolvedValueOnce({ type: 'gifts', color: 'red' }).mockResolvedValueOnce(null);
+		transactions.find.mockResolvedValueOnce([]);
+
+		await updateCategory(mockReq, mockRes);
+
+		expect(categories.updateOne).toHaveBeenCalledWith(
+			{ type: 'gifts' },
+			{ $set: { type: 'presents', color: 'pink', direction: 'income' } }
+		);
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+	});
+
+	test('should return 400 if the direction is not valid', async () => {
+		verifyAuth.mockImplementation(() => ({ authorized: true, cause: 'Authorized' }));
+		mockReq.params = { type: 'gifts' };
+		mockReq.body = { type: 'presents', color: 'pink', direction: 'in' };
+
+		await updateCategory(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid direction' });
+	});
+
 	test('should return 401 if not authorized', async () => {
 		verifyAuth.mockImplementation(() => ({
 			authorized: false,
@@ -615,6 +686,24 @@ describe('getCategories', () => {
 		});
 	});
 
+	test('should return the direction of the categories, an expense for the ones stored before directions', async () => {
+		verifyMultipleAuth.mockImplementation(() => ({ authorized: true, cause: 'Authorized' }));
+		categories.find.mockImplementation(() => [
+			{ type: 'salary', color: 'green', direction: 'income' },
+			{ type: 'food', color: 'red' },
+		]);
+
+		await getCategories(mockReq, mockRes);
+
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: [
+				{ type: 'salary', color: 'green', direction: 'income' },
+				{ type: 'food', color: 'red', direction: 'expense' },
+			],
+			refreshedTokenMessage: 'refreshed token',
+		});
+	});
+
 	test('should return empty list if there are no categories', async () => {
 		verifyMultipleAuth.mockImplementation(() => ({
 			authorized: true,
@@ -682,6 +771,31 @@ describe('createTransaction', () => {
 		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Not authorized' });
 	});
 
+	test('should return 401 if the route username is not the one of the caller', async () => {
+		mockReq.params = {
+			username: 'otheruser',
+		};
+		mockReq.body = {
+			username: 'otheruser',
+			amount: 100,
+			type: 'investment',
+		};
+		verifyMultipleAuth.mockImplementation(() => ({
+			authorized: true,
+			cause: 'Authorized',
+			user: { username: 'username' },
+		}));
+
+		await createTransaction(mockReq, mockRes);
+
+		expect(verifyMultipleAuth).toHaveBeenCalledWith(mockReq, mockRes, {
+			authType: ['User', 'Admin'],
+			scope: 'transactions:write',
+		});
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Unauthorized' });
+	});
+
 	test('should return 400 if category does not exist', async () => {
 		mockReq.params = {
 			username: 'username',
@@ -692,16 +806,11 @@ describe('createTransaction', () => {
 			amount: 100,
 			type: 'investment',
 		};
-		jwt.verify.mockImplementationOnce(() => {
-			return {
-				username: 'username',
-				email: 'email@example.com',
-			};
-		});
 
 		verifyMultipleAuth.mockImplementation(() => ({
 			authorized: true,
 			cause: 'Authorized',
+			user: { username: 'username' },
 		}));
 
 		categories.findOne.mockResolvedValueOnce(null);
@@ -723,13 +832,10 @@ describe('createTransaction', () => {
 		mockReq.params = {
 			username: 'username',
 		};
-		jwt.verify.mockImplementation(() => ({
-			_id: '5f9d5c6b2c3b3e1d7c9b4b1a',
-			username: 'username',
-		}));
 		verifyMultipleAuth.mockImplementation(() => ({
 			authorized: true,
 			cause: 'Authorized',
+			user: { username: 'username' },
 		}));
 
 		const mockCategory = {
@@ -757,13 +863,10 @@ describe('createTransaction', () => {
 		mockReq.params = {
 			username: 'username',
 		};
-		jwt.verify.mockImplementation(() => ({
-			_id: '5f9d5c6b2c3b3e1d7c9b4b1a',
-			username: 'username',
-		}));
 		verifyMultipleAuth.mockImplementation(() => ({
 			authorized: true,
 			cause: 'Authorized',
+			user: { username: 'username' },
 		}));
 
 		const mockCategory = {
@@ -804,13 +907,10 @@ describe('createTransaction', () => {
 		mockReq.params = {
 			username: 'username',
 		};
-		jwt.verify.mockImplementation(() => ({
-			_id: '5f9d5c6b2c3b3e1d7c9b4b1a',
-			username: 'username',
-		}));
 		verifyMultipleAuth.mockImplementation(() => ({
 			authorized: true,
 			cause: 'Authorized',
+			user: { username: 'username' },
 		}));
 
 		const mockCategory = {
@@ -847,13 +947,192 @@ describe('createTransaction', () => {
 		expect(mockRes.json).toHaveBeenCalledWith({
 			data: {
 				username: 'testuser',
-				amount: 100,
+				amount: '100.00',
 				type: 'testtype',
 				date: mockTransaction.date,
 			},
 			refreshedTokenMessage: 'refreshed token',
 		});
 	});
+
+	test('should store the description, the notes and the normalized tags', async () => {
+		mockReq.params = { username: 'username' };
+		mockReq.body = {
+			username: 'username',
+			amount: 12.5,
+			type: 'food',
+			description: ' Lunch with the team ',
+			notes: 'Paid by card',
+			tags: ['Work', ' travel', 'work'],
+		};
+		verifyMultipleAuth.mockImplementation(() => ({
+			authorized: true,
+			cause: 'Authorized',
+			user: { username: 'username' },
+		}));
+		normalizeTags.mockImplementation(jest.requireActual('../controllers/utils').normalizeTags);
+		categories.findOne.mockResolvedValueOnce({ type: 'food', color: 'red' });
+		User.findOne.mockResolvedValueOnce({ username: 'username' });
+		const date = new Date();
+		transactions.prototype.save.mockResolvedValueOnce({
+			username: 'username',
+			amount: 12.5,
+			currency: 'EUR',
+			direction: 'expense',
+			type: 'food',
+			date: date,
+			description: 'Lunch with the team',
+			notes: 'Paid by card',
+			tags: ['work', 'travel'],
+		});
+
+		await createTransaction(mockReq, mockRes);
+
+		expect(transactions).toHaveBeenCalledWith({
+			username: 'username',
+			amount: decimal('12.50'),
+			type: 'food',
+			currency: 'EUR',
+			direction: 'expense',
+			description: 'Lunch with the team',
+			notes: 'Paid by card',
+			tags: ['work', 'travel'],
+		});
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: {
+				username: 'username',
+				amount: '12.50',
+				currency: 'EUR',
+				direction: 'expense',
+				type: 'food',
+				date: date,
+				description: 'Lunch with the team',
+				notes: 'Paid by card',
+				tags: ['work', 'travel'],
+			},
+			refreshedTokenMessage: 'refreshed token',
+		});
+	});
+
+	test.each([
+		[{ description: 12 }, 'Invalid description'],
+		[{ notes: ['note'] }, 'Invalid notes'],
+		[{ tags: 'work' }, 'Invalid tags'],
+		[{ tags: ['work', 3] }, 'Invalid tags'],
+		[{ currency: 'dollars' }, 'Invalid currency'],
+		[{ direction: 'refund' }, 'Invalid direction'],
+	])('should return 400 for the details %p', async (details, error) => {
+		mockReq.params = { username: 'username' };
+		mockReq.body = { username: 'username', amount: 100, type: 'food', ...details };
+		verifyMultipleAuth.mockImplementation(() => ({
+			authorized: true,
+			cause: 'Authorized',
+			user: { username: 'username' },
+		}));
+
+		await createTransaction(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: error });
+	});
+
+	test('should store the transaction in the base currency of the user, unless another one is given', async () => {
+		mockReq.params = { username: 'username' };
+		verifyMultipleAuth.mockImplementation(() => ({
+			authorized: true,
+			cause: 'Authorized',
+			user: { username: 'username' },
+		}));
+		categories.findOne.mockResolvedValue({ type: 'food', color: 'red' });
+		User.findOne.mockResolvedValue({ username: 'username', baseCurrency: 'GBP' });
+		transactions.prototype.save.mockResolvedValue({});
+
+		mockReq.body = { username: 'username', amount: 10, type: 'food' };
+		await createTransaction(mockReq, mockRes);
+		mockReq.body = { username: 'username', amount: 10, type: 'food', currency: 'usd' };
+		await createTransaction(mockReq, mockRes);
+
+		expect(transactions).toHaveBeenNthCalledWith(1, {
+			username: 'username',
+			amount: decimal('10.00'),
+			type: 'food',
+			currency: 'GBP',
+			direction: 'expense',
+		});
+		expect(transactions).toHaveBeenNthCalledWith(2, {
+			username: 'username',
+			amount: decimal('10.00'),
+			type: 'food',
+			currency: 'USD',
+			direction: 'expense',
+		});
+	});
+
+	test('should give the transaction the direction of its category, unless another one is given', async () => {
+		mockReq.params = { username: 'username' };
+		verifyMultipleAuth.mockImplementation(() => ({
+			authorized: true,
+			cause: 'Authorized',
+			user: { username: 'username' },
+		}));
+		categories.findOne.mockResolvedValue({ type: 'salary', color: 'green', direction: 'income' });
+		User.findOne.mockResolvedValue({ username: 'username' });
+		transactions.prototype.save.mockResolvedValue({});
+
+		mockReq.body = { username: 'username', amount: '2500', type: 'salary' };
+		await createTransaction(mockReq, mockRes);
+		mockReq.body = { username: 'username', amount: '500', type: 'salary', direction: 'transfer' };
+		await createTransaction(mockReq, mockRes);
+
+		expect(transactions).toHaveBeenNthCalledWith(1, expect.objectContaining({ direction: 'income' }));
+		expect(transactions).toHaveBeenNthCalledWith(2, expect.objectContaining({ direction: 'transfer' }));
+	});
+
+	test('should store the exact decimal amount sent as a string', async () => {
+		mockReq.params = { username: 'username' };
+		mockReq.body = { username: 'username', amount: '0.30', type: 'food' };
+		verifyMultipleAuth.mockImplementation(() => ({
+			authorized: true,
+			cause: 'Authorized',
+			user: { username: 'username' },
+		}));
+		categories.findOne.mockResolvedValueOnce({ type: 'food', color: 'red' });
+		User.findOne.mockResolvedValueOnce({ username: 'username' });
+		transactions.prototype.save.mockResolvedValueOnce({ username: 'username', amount: decimal('0.30'), currency: 'EUR' });
+
+		await createTransaction(mockReq, mockRes);
+
+		expect(transactions).toHaveBeenCalledWith(expect.objectContaining({ amount: decimal('0.30'), currency: 'EUR' }));
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: expect.objectContaining({ amount: '0.30' }),
+			refreshedTokenMessage: 'refreshed token',
+		});
+	});
+
+	test.each([
+		['abc', 'EUR'],
+		['0.00', 'EUR'],
+		['-5', 'EUR'],
+		['12.345', 'EUR'],
+		['1000.5', 'JPY'],
+	])('should return 400 for the amount %p in %s', async (amount, currency) => {
+		mockReq.params = { username: 'username' };
+		mockReq.body = { username: 'username', amount: amount, type: 'food', currency: currency };
+		verifyMultipleAuth.mockImplementation(() => ({
+			authorized: true,
+			cause: 'Authorized',
+			user: { username: 'username' },
+		}));
+		categories.findOne.mockResolvedValueOnce({ type: 'food', color: 'red' });
+		User.findOne.mockResolvedValueOnce({ username: 'username' });
+
+		await createTransaction(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid amount' });
+		expect(transactions).not.toHaveBeenCalled();
+	});
 });
 
 //OK
@@ -905,6 +1184,7 @@ describe('getAllTransactions', () => {
 		expect(mockRes.status).toHaveBeenCalledWith(200);
 		expect(mockRes.json).toHaveBeenCalledWith({
 			data: [],
+			nextCursor: null,
 			refreshedTokenMessage: 'refreshed token',
 		});
 	});
@@ -946,7 +1226,7 @@ describe('getAllTransactions', () => {
 				data: expect.arrayContaining([
 					expect.objectContaining({
 						username: expect.any(String),
-						amount: expect.any(Number),
+						amount: expect.any(String),
 						type: expect.any(String),
 						date: expect.any(String),
 						color: expect.any(String),
@@ -956,6 +1236,96 @@ describe('getAllTransactions', () => {
 			})
 		);
 	});
+	test('should return a page of transactions sorted by the requested field and the cursor of the next one', async () => {
+		verifyAuth.mockImplementation(() => ({
+			authorized: true,
+			cause: 'Authorized',
+		}));
+		mockReq.query = { limit: '2', sort: '-amount' };
+		transactions.aggregate.mockResolvedValue([
+			{ _id: '64a000000000000000000003', username: 'test', amount: decimal('300'), type: 'income', joinedData: { color: 'green' } },
+			{ _id: '64a000000000000000000002', username: 'test', amount: decimal('200'), type: 'income', joinedData: { color: 'green' } },
+			{ _id: '64a000000000000000000001', username: 'test', amount: decimal('100'), type: 'income', joinedData: { color: 'green' } },
+		]);
+
+		await getAllTransactions(mockReq, mockRes);
+
+		expect(transactions.aggregate).toHaveBeenCalledWith(
+			expect.arrayContaining([{ $sort: { amount: -1, _id: -1 } }, { $limit: 3 }])
+		);
+		const { data, nextCursor } = mockRes.json.mock.calls[0][0];
+		expect(data.map((t) => t.amount)).toEqual(['300.00', '200.00']);
+		expect(JSON.parse(Buffer.from(nextCursor, 'base64url').toString())).toEqual({
+			sort: '-amount',
+			id: '64a000000000000000000002',
+			value: { $numberDecimal: '200' },
+		});
+	});
+
+	test('should add the amounts converted to the requested currency', async () => {
+		verifyAuth.mockImplementation(() => ({
+			authorized: true,
+			cause: 'Authorized',
+			user: { username: 'admin' },
+		}));
+		mockReq.query = { convertTo: 'base' };
+		User.findOne.mockResolvedValueOnce({ username: 'admin', baseCurrency: 'USD' });
+		exchangeRates.find.mockResolvedValueOnce([{ currency: 'USD', rate: 1.25, date: new Date('2023-01-01') }]);
+		transactions.aggregate.mockResolvedValue([
+			{ username: 'test', amount: 10, type: 'income', date: new Date('2023-05-01'), joinedData: { color: 'green' } },
+			{
+				username: 'test',
+				amount: 5,
+				currency: 'USD',
+				type: 'income',
+				date: new Date('2023-05-01'),
+				joinedData: { color: 'green' },
+			},
+		]);
+
+		await getAllTransactions(mockReq, mockRes);
+
+		expect(User.findOne).toHaveBeenCalledWith({ username: 'admin' });
+		const { data } = mockRes.json.mock.calls[0][0];
+		expect(data.map((t) => [t.amount, t.currency, t.convertedAmount, t.convertedCurrency])).toEqual([
+			['10.00', 'EUR', '12.50', 'USD'],
+			['5.00', 'USD', '5.00', 'USD'],
+		]);
+	});
+
+	test('should return 400 if an exchange rate is missing', async () => {
+		verifyAuth.mockImplementation(() => ({
+			authorized: true,
+			cause: 'Authorized',
+		}));
+		mockReq.query = { convertTo: 'CHF' };
+		exchangeRates.find.mockResolvedValueOnce([]);
+		transactions.aggregate.mockResolvedValue([
+			{ username: 'test', amount: 10, type: 'income', date: new Date(), joinedData: { color: 'green' } },
+		]);
+
+		await getAllTransactions(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Missing exchange rate for CHF' });
+	});
+
+	test.each([{ limit: '0' }, { sort: 'username' }, { cursor: 'not a cursor' }, { convertTo: 'x' }])(
+		'should return 400 if the pagination or conversion parameters are not valid (%o)',
+		async (query) => {
+			verifyAuth.mockImplementation(() => ({
+				authorized: true,
+				cause: 'Authorized',
+			}));
+			mockReq.query = query;
+
+			await getAllTransactions(mockReq, mockRes);
+
+			expect(mockRes.status).toHaveBeenCalledWith(400);
+			expect(mockRes.json).toHaveBeenCalledWith({ error: expect.stringMatching(/^Invalid `\w+` parameter$/) });
+			expect(transactions.aggregate).not.toHaveBeenCalled();
+		}
+	);
 });
 
 //OK
@@ -1031,6 +1401,10 @@ describe('getTransactionsByUser', () => {
 			await getTransactionsByUser(mockReq, mockRes);
 
 			expect(transactions.aggregate).toHaveBeenCalledWith([
+				{ $match: { username: 'test' } },
+				{ $match: {} },
+				{ $sort: { _id: 1 } },
+				{ $limit: 51 },
 				{
 					$lookup: {
 						from: 'categories',
@@ -1042,28 +1416,98 @@ describe('getTransactionsByUser', () => {
 				{
 					$unwind: '$joinedData',
 				},
-				{
-					$match: {
+			]);
+
+			expect(mockRes.status).toHaveBeenCalledWith(200);
+			expect(mockRes.json).toHaveBeenCalledWith({
+				data: [
+					{
 						username: 'test',
+						amount: '100.00',
+						currency: 'EUR',
+						direction: 'expense',
+						type: 'income',
+						date: expect.any(Date),
+						description: '',
+						notes: '',
+						tags: [],
+						color: 'green',
 					},
+				],
+				nextCursor: null,
+				refreshedTokenMessage: mockRes.locals.refreshedTokenMessage,
+			});
+		});
+
+		test('should only return the transactions having the requested tags', async () => {
+			verifyAuth.mockImplementation(() => ({
+				authorized: true,
+				cause: 'Authorized',
+			}));
+			mockReq.params.username = 'test';
+			mockReq.query = { tags: 'work,travel' };
+			User.findOne.mockResolvedValue({ username: 'test' });
+			handleTagFilterParams.mockReturnValueOnce({ tags: { $all: ['work', 'travel'] } });
+			transactions.aggregate.mockResolvedValue([
+				{
+					username: 'test',
+					amount: 100,
+					type: 'income',
+					date: new Date(),
+					description: 'Hotel',
+					notes: '',
+					tags: ['work', 'travel'],
+					joinedData: { color: 'green' },
 				},
 			]);
 
-			expect(mockRes.status).toHaveBeenCalledWith(200);
+			await getTransactionsByUser(mockReq, mockRes);
+
+			expect(handleTagFilterParams).toHaveBeenCalledWith(mockReq);
+			expect(transactions.aggregate).toHaveBeenCalledWith(
+				expect.arrayContaining([
+					{ $match: { username: 'test', tags: { $all: ['work', 'travel'] } } },
+				])
+			);
 			expect(mockRes.json).toHaveBeenCalledWith({
 				data: [
 					{
 						username: 'test',
-						amount: 100,
+						amount: '100.00',
+						currency: 'EUR',
+						direction: 'expense',
 						type: 'income',
 						date: expect.any(Date),
+						description: 'Hotel',
+						notes: '',
+						tags: ['work', 'travel'],
 						color: 'green',
 					},
 				],
+				nextCursor: null,
 				refreshedTokenMessage: mockRes.locals.refreshedTokenMessage,
 			});
 		});
 
+		test('should return 400 if the tags parameter is not valid', async () => {
+			verifyAuth.mockImplementation(() => ({
+				authorized: true,
+				cause: 'Authorized',
+			}));
+			mockReq.params.username = 'test';
+			mockReq.query = { tags: ',' };
+			User.findOne.mockResolvedValue({ username: 'test' });
+			handleTagFilterParams.mockImplementationOnce(() => {
+				throw new Error('Invalid `tags` parameter');
+			});
+
+			await getTransactionsByUser(mockReq, mockRes);
+
+			expect(transactions.aggregate).not.toHaveBeenCalled();
+			expect(mockRes.status).toHaveBeenCalledWith(400);
+			expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid `tags` parameter' });
+		});
+
 		test('should return empty list if user has no transactions', async () => {
 			verifyAuth.mockImplementation(() => ({
 				authorized: true,
@@ -1078,6 +1522,7 @@ describe('getTransactionsByUser', () => {
 			expect(mockRes.status).toHaveBeenCalledWith(200);
 			expect(mockRes.json).toHaveBeenCalledWith({
 				data: [],
+				nextCursor: null,
 				refreshedTokenMessage: mockRes.locals.refreshedTokenMessage,
 			});
 		});
@@ -1134,24 +1579,40 @@ describe('getTransactionsByUser', () => {
 				max: 500,
 			};
 
-			transactions.find.mockResolvedValue([
+			handleDateFilterParams.mockReturnValueOnce({
+				date: { $gte: new Date('2022-01-01T00:00:00.000Z'), $lte: new Date('2022-01-31T23:59:59.999Z') },
+			});
+			handleAmountFilterParams.mockReturnValueOnce({ amount: { $gte: 100, $lte: 500 } });
+			transactions.aggregate.mockResolvedValue([
 				{
 					username: 'test',
 					amount: 100,
 					type: 'income',
 					date: new Date(),
+					joinedData: { color: 'green' },
 				},
 			]);
 
-			categories.find.mockResolvedValue([{ type: 'income', color: 'green' }]);
-
 			await getTransactionsByUser(mockReq, mockRes);
 
-			expect(categories.find).toHaveBeenCalled();
-
+			expect(transactions.aggregate).toHaveBeenCalledWith(
+				expect.arrayContaining([
+					{
+						$match: {
+							username: 'test',
+							date: {
+								$gte: new Date('2022-01-01T00:00:00.000Z'),
+								$lte: new Date('2022-01-31T23:59:59.999Z'),
+							},
+							amount: { $gte: 100, $lte: 500 },
+						},
+					},
+				])
+			);
 			expect(mockRes.status).toHaveBeenCalledWith(200);
 			expect(mockRes.json).toHaveBeenCalledWith({
 				data: expect.any(Array),
+				nextCursor: null,
 				refreshedTokenMessage: mockRes.locals.refreshedTokenMessage,
 			});
 		});
@@ -1171,6 +1632,10 @@ describe('getTransactionsByUser', () => {
 			await getTransactionsByUser(mockReq, mockRes);
 
 			expect(transactions.aggregate).toHaveBeenCalledWith([
+				{ $match: { username: 'test' } },
+				{ $match: {} },
+				{ $sort: { _id: 1 } },
+				{ $limit: 51 },
 				{
 					$lookup: {
 						from: 'categories',
@@ -1182,11 +1647,6 @@ describe('getTransactionsByUser', () => {
 				{
 					$unwind: '$joinedData',
 				},
-				{
-					$match: {
-						username: 'test',
-					},
-				},
 			]);
 
 			expect(mockRes.status).toHaveBeenCalledWith(200);
@@ -1194,12 +1654,18 @@ describe('getTransactionsByUser', () => {
 				data: [
 					{
 						username: 'test',
-						amount: 100,
+						amount: '100.00',
+						currency: 'EUR',
+						direction: 'expense',
 						type: 'income',
 						date: expect.any(Date),
+						description: '',
+						notes: '',
+						tags: [],
 						color: 'green',
 					},
 				],
+				nextCursor: null,
 				refreshedTokenMessage: mockRes.locals.refreshedTokenMessage,
 			});
 		});
@@ -1236,6 +1702,7 @@ describe('getTransactionsByUser', () => {
 			expect(mockRes.status).toHaveBeenCalledWith(200);
 			expect(mockRes.json).toHaveBeenCalledWith({
 				data: [],
+				nextCursor: null,
 				refreshedTokenMessage: mockRes.locals.refreshedTokenMessage,
 			});
 		});
@@ -1332,6 +1799,10 @@ describe('getTransactionsByUserByCategory', () => {
 		await getTransactionsByUserByCategory(mockReq, mockRes);
 
 		expect(transactions.aggregate).toHaveBeenCalledWith([
+			{ $match: { type: 'income', username: 'test' } },
+			{ $match: {} },
+			{ $sort: { _id: 1 } },
+			{ $limit: 51 },
 			{
 				$lookup: {
 					from: 'categories',
@@ -1343,12 +1814,6 @@ describe('getTransactionsByUserByCategory', () => {
 			{
 				$unwind: '$joinedData',
 			},
-			{
-				$match: {
-					'joinedData.type': 'income',
-					username: 'test',
-				},
-			},
 		]);
 
 		expect(mockRes.status).toHaveBeenCalledWith(200);
@@ -1356,12 +1821,18 @@ describe('getTransactionsByUserByCategory', () => {
 			data: [
 				{
 					username: 'test',
-					amount: 100,
+					amount: '100.00',
+					currency: 'EUR',
+					direction: 'expense',
 					type: 'income',
 					date: expect.any(Date),
+					description: '',
+					notes: '',
+					tags: [],
 					color: 'green',
 				},
 			],
+			nextCursor: null,
 			refreshedTokenMessage: mockRes.locals.refreshedTokenMessage,
 		});
 	});
@@ -1398,6 +1869,7 @@ describe('getTransactionsByUserByCategory', () => {
 		expect(mockRes.status).toHaveBeenCalledWith(200);
 		expect(mockRes.json).toHaveBeenCalledWith({
 			data: [],
+			nextCursor: null,
 			refreshedTokenMessage: mockRes.locals.refreshedTokenMessage,
 		});
 	});
@@ -1928,3 +2400,649 @@ describe('deleteTransactions', () => {
 		});
 	});
 });
+
+describe('updateTransaction', () => {
+	beforeEach(() => {
+		mockReq.url = '/users/test/transactions/test';
+		mockReq.params = { username: 'test', id: 'test' };
+		verifyAuth.mockImplementation(() => ({
+			authorized: true,
+			cause: 'Authorized',
+		}));
+		verifyMultipleAuth.mockImplementation(() => ({
+			authorized: true,
+			cause: 'Authorized',
+		}));
+	});
+
+	test('should return 401 if user is not authorized', async () => {
+		verifyMultipleAuth.mockImplementation(() => ({
+			authorized: false,
+			cause: 'Not authorized',
+		}));
+
+		await updateTransaction(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Not authorized' });
+	});
+
+	test('should return 401 if the admin route is called by a non admin', async () => {
+		mockReq.url = '/transactions/test';
+		mockReq.params = { id: 'test' };
+		verifyAuth.mockImplementation(() => ({
+			authorized: false,
+			cause: 'Not admin',
+		}));
+
+		await updateTransaction(mockReq, mockRes);
+
+		expect(verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, {
+			authType: 'Admin',
+			scope: 'transactions:write',
+		});
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Not admin' });
+	});
+
+	test('should return 400 if no attribute to update is provided', async () => {
+		await updateTransaction(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Missing parameters' });
+	});
+
+	test('should return 400 if amount is invalid', async () => {
+		mockReq.body = { amount: 'abc' };
+		User.findOne.mockResolvedValueOnce({ username: 'test' });
+		transactions.findOne.mockResolvedValueOnce({ _id: 'test', username: 'test', amount: decimal('10.00') });
+
+		await updateTransaction(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid amount' });
+	});
+
+	test('should return 400 if date is invalid', async () => {
+		mockReq.body = { date: 'not-a-date' };
+
+		await updateTransaction(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid date' });
+	});
+
+	test('should return 400 if category does not exist', async () => {
+		mockReq.body = { type: 'unknown' };
+		categories.findOne.mockResolvedValue(null);
+
+		await updateTransaction(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Category does not exist' });
+	});
+
+	test('should return 400 if user does not exist', async () => {
+		mockReq.body = { amount: 10 };
+		User.findOne.mockResolvedValue(null);
+
+		await updateTransaction(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'User does not exist' });
+	});
+
+	test('should return 400 if transaction does not exist', async () => {
+		mockReq.body = { amount: 10 };
+		User.findOne.mockResolvedValue({ username: 'test' });
+		transactions.findOne.mockResolvedValue(null);
+
+		await updateTransaction(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Transaction not found.' });
+	});
+
+	test('should return 400 if transaction belongs to another user', async () => {
+		mockReq.body = { amount: 10 };
+		User.findOne.mockResolvedValue({ username: 'test' });
+		transactions.findOne.mockResolvedValue({ _id: 'test', username: 'other' });
+
+		await updateTransaction(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({
+			error: 'Transaction does not belong to you.',
+		});
+	});
+
+	test('should update transaction and return it with its color', async () => {
+		const date = new Date('2023-05-10');
+		mockReq.body = { amount: '12.5', type: 'food', date: '2023-05-10' };
+		// categories and transactions share the same mocked model statics
+		categories.findOne
+			.mockResolvedValueOnce({ type: 'food', color: 'red' })
+			.mockResolvedValueOnce({ _id: 'test', username: 'test' })
+			.mockResolvedValueOnce({ type: 'food', color: 'red' });
+		User.findOne.mockResolvedValue({ username: 'test' });
+		transactions.findOneAndUpdate.mockResolvedValue({
+			_id: 'test',
+			username: 'test',
+			amount: 12.5,
+			type: 'food',
+			date,
+		});
+
+		await updateTransaction(mockReq, mockRes);
+
+		expect(transactions.findOneAndUpdate).toHaveBeenCalledWith(
+			{ _id: 'test' },
+			{ $set: { amount: decimal('12.50'), type: 'food', direction: 'expense', date } },
+			{ new: true }
+		);
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: {
+				_id: 'test',
+				username: 'test',
+				amount: '12.50',
+				currency: 'EUR',
+				direction: 'expense',
+				type: 'food',
+				date,
+				description: '',
+				notes: '',
+				tags: [],
+				color: 'red',
+			},
+			refreshedTokenMessage: mockRes.locals.refreshedTokenMessage,
+		});
+	});
+
+	test('should update the description, the notes and the tags alone', async () => {
+		mockReq.body = { description: 'Groceries', notes: '', tags: ['Home'] };
+		normalizeTags.mockImplementation(jest.requireActual('../controllers/utils').normalizeTags);
+		User.findOne.mockResolvedValue({ username: 'test' });
+		transactions.findOne
+			.mockResolvedValueOnce({ _id: 'test', username: 'test' })
+			.mockResolvedValueOnce({ type: 'food', color: 'red' });
+		transactions.findOneAndUpdate.mockResolvedValue({
+			_id: 'test',
+			username: 'test',
+			amount: 10,
+			type: 'food',
+			description: 'Groceries',
+			notes: '',
+			tags: ['home'],
+		});
+
+		await updateTransaction(mockReq, mockRes);
+
+		expect(transactions.findOneAndUpdate).toHaveBeenCalledWith(
+			{ _id: 'test' },
+			{ $set: { description: 'Groceries', notes: '', tags: ['home'] } },
+			{ new: true }
+		);
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+	});
+
+	test('should keep the direction given with a new category', async () => {
+		mockReq.body = { type: 'salary', direction: 'transfer' };
+		categories.findOne
+			.mockResolvedValueOnce({ type: 'salary', color: 'green', direction: 'income' })
+			.mockResolvedValueOnce({ _id: 'test', username: 'test' })
+			.mockResolvedValueOnce({ type: 'salary', color: 'green' });
+		User.findOne.mockResolvedValue({ username: 'test' });
+		transactions.findOneAndUpdate.mockResolvedValue({ _id: 'test', username: 'test', amount: decimal('10.00') });
+
+		await updateTransaction(mockReq, mockRes);
+
+		expect(transactions.findOneAndUpdate).toHaveBeenCalledWith(
+			{ _id: 'test' },
+			{ $set: { type: 'salary', direction: 'transfer' } },
+			{ new: true }
+		);
+	});
+
+	test('should return 400 if the direction is not valid', async () => {
+		mockReq.body = { direction: 'out' };
+
+		await updateTransaction(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid direction' });
+	});
+
+	test('should check the amount against the precision of the new currency', async () => {
+		mockReq.body = { currency: 'JPY' };
+		User.findOne.mockResolvedValue({ username: 'test' });
+		transactions.findOne.mockResolvedValueOnce({ _id: 'test', username: 'test', amount: decimal('12.50'), currency: 'EUR' });
+
+		await updateTransaction(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid amount' });
+		expect(transactions.findOneAndUpdate).not.toHaveBeenCalled();
+	});
+
+	test('should keep the amount when the new currency has the same precision', async () => {
+		mockReq.body = { currency: 'usd' };
+		User.findOne.mockResolvedValue({ username: 'test' });
+		transactions.findOne
+			.mockResolvedValueOnce({ _id: 'test', username: 'test', amount: decimal('12.50'), currency: 'EUR' })
+			.mockResolvedValueOnce({ type: 'food', color: 'red' });
+		transactions.findOneAndUpdate.mockResolvedValue({
+			_id: 'test',
+			username: 'test',
+			amount: decimal('12.50'),
+			currency: 'USD',
+			type: 'food',
+		});
+
+		await updateTransaction(mockReq, mockRes);
+
+		expect(transactions.findOneAndUpdate).toHaveBeenCalledWith(
+			{ _id: 'test' },
+			{ $set: { currency: 'USD', amount: decimal('12.50') } },
+			{ new: true }
+		);
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: expect.objectContaining({ amount: '12.50', currency: 'USD' }),
+			refreshedTokenMessage: mockRes.locals.refreshedTokenMessage,
+		});
+	});
+
+	test('should return 400 if the new tags are not valid', async () => {
+		mockReq.body = { tags: [1] };
+
+		await updateTransaction(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid tags' });
+		expect(transactions.findOneAndUpdate).not.toHaveBeenCalled();
+	});
+
+	test('should let an admin update any transaction from the admin route', async () => {
+		mockReq.url = '/transactions/test';
+		mockReq.params = { id: 'test' };
+		mockReq.body = { amount: 5 };
+		transactions.findOne
+			.mockResolvedValueOnce({ _id: 'test', username: 'other' })
+			.mockResolvedValueOnce({ type: 'food', color: 'red' });
+		transactions.findOneAndUpdate.mockResolvedValue({
+			_id: 'test',
+			username: 'other',
+			amount: 5,
+			type: 'food',
+		});
+
+		await updateTransaction(mockReq, mockRes);
+
+		expect(User.findOne).not.toHaveBeenCalled();
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+	});
+
+	test('should return 400 if an error occurs', async () => {
+		mockReq.body = { amount: 10 };
+		User.findOne.mockImplementation(() => {
+			throw new Error('Database error');
+		});
+
+		await updateTransaction(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Transaction not found' });
+	});
+});
+
+describe('searchTransactionsByUser', () => {
+	const result = [
+		{
+			username: 'test',
+			amount: 30,
+			type: 'food',
+			date: new Date('2023-05-10'),
+			description: 'Pizza with the team',
+			notes: '',
+			tags: ['work'],
+			score: 1.5,
+			joinedData: { color: 'red' },
+		},
+	];
+
+	beforeEach(() => {
+		mockReq.url = '/users/test/transactions/search?q=pizza';
+		mockReq.params = { username: 'test' };
+		mockReq.query = { q: 'pizza' };
+		User.findOne.mockResolvedValue({ username: 'test' });
+		verifyAuth.mockImplementation(() => ({ authorized: true, cause: 'Authorized' }));
+		transactions.aggregate.mockResolvedValue(result);
+	});
+
+	test('should return the matching transactions of the user, most relevant first', async () => {
+		await searchTransactionsByUser(mockReq, mockRes);
+
+		expect(verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, {
+			authType: 'User',
+			scope: 'transactions:read',
+		});
+		const pipeline = transactions.aggregate.mock.calls[0][0];
+		expect(pipeline[0]).toEqual({ $match: { $text: { $search: 'pizza' }, username: 'test' } });
+		expect(pipeline).toContainEqual({ $sort: { score: -1, _id: -1 } });
+		expect(pipeline).toContainEqual({ $limit: 51 });
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: [
+				{
+					username: 'test',
+					amount: '30.00',
+					currency: 'EUR',
+					direction: 'expense',
+					type: 'food',
+					date: new Date('2023-05-10'),
+					description: 'Pizza with the team',
+					notes: '',
+					tags: ['work'],
+					color: 'red',
+					score: 1.5,
+				},
+			],
+			nextCursor: null,
+			refreshedTokenMessage: mockRes.locals.refreshedTokenMessage,
+		});
+	});
+
+	test('should return a page of results and the cursor of the next one', async () => {
+		mockReq.query = { q: 'pizza', limit: '1' };
+		transactions.aggregate.mockResolvedValue([
+			{ ...result[0], _id: '64a000000000000000000002' },
+			{ ...result[0], _id: '64a000000000000000000001', score: 0.75 },
+		]);
+
+		await searchTransactionsByUser(mockReq, mockRes);
+
+		const pipeline = transactions.aggregate.mock.calls[0][0];
+		expect(pipeline).toContainEqual({ $limit: 2 });
+		//The page is selected before the categories are joined
+		expect(pipeline.findIndex((stage) => stage.$limit)).toBeLessThan(pipeline.findIndex((stage) => stage.$lookup));
+		const { data, nextCursor } = mockRes.json.mock.calls[0][0];
+		expect(data.map((t) => t.score)).toEqual([1.5]);
+		expect(JSON.parse(Buffer.from(nextCursor, 'base64url').toString())).toEqual({
+			sort: null,
+			id: '64a000000000000000000002',
+			value: 1.5,
+		});
+	});
+
+	test('should return the results following the cursor', async () => {
+		const cursor = Buffer.from(JSON.stringify({ sort: null, id: '64a000000000000000000002', value: 1.5 })).toString(
+			'base64url'
+		);
+		mockReq.query = { q: 'pizza', cursor };
+
+		await searchTransactionsByUser(mockReq, mockRes);
+
+		expect(transactions.aggregate.mock.calls[0][0]).toContainEqual({
+			$match: {
+				$or: [
+					{ score: { $lt: 1.5 } },
+					{ score: 1.5, _id: { $lt: new mongoose.Types.ObjectId('64a000000000000000000002') } },
+				],
+			},
+		});
+	});
+
+	test.each([
+		{ limit: '0' },
+		{ sort: '-date' },
+		{ cursor: 'not a cursor' },
+		{ cursor: Buffer.from(JSON.stringify({ sort: null, id: '64a000000000000000000002', value: { $gt: 0 } })).toString('base64url') },
+	])('should return 400 if the pagination parameters are not valid (%o)', async (query) => {
+		mockReq.query = { q: 'pizza', ...query };
+
+		await searchTransactionsByUser(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: expect.stringMatching(/^Invalid `\w+` parameter$/) });
+		expect(transactions.aggregate).not.toHaveBeenCalled();
+	});
+
+	test('should require an admin on the admin route', async () => {
+		mockReq.url = '/transactions/users/test/search?q=pizza';
+
+		await searchTransactionsByUser(mockReq, mockRes);
+
+		expect(verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, {
+			authType: 'Admin',
+			scope: 'transactions:read',
+		});
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+	});
+
+	test('should combine the search with the other filters', async () => {
+		handleDateFilterParams.mockReturnValueOnce({ date: { $gte: new Date('2023-05-01') } });
+
+		await searchTransactionsByUser(mockReq, mockRes);
+
+		expect(transactions.aggregate.mock.calls[0][0][0].$match).toEqual({
+			$text: { $search: 'pizza' },
+			username: 'test',
+			date: { $gte: new Date('2023-05-01') },
+		});
+	});
+
+	test('should return 400 if a filter is not valid', async () => {
+		handleDateFilterParams.mockImplementationOnce(() => {
+			throw new Error('Invalid date');
+		});
+
+		await searchTransactionsByUser(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid date' });
+		expect(transactions.aggregate).not.toHaveBeenCalled();
+	});
+
+	test.each([undefined, '  '])('should return 400 if the query is %p', async (q) => {
+		mockReq.query = { q };
+
+		await searchTransactionsByUser(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Missing search query' });
+	});
+
+	test('should return 400 if the user does not exist', async () => {
+		User.findOne.mockResolvedValue(null);
+
+		await searchTransactionsByUser(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'User does not exist' });
+	});
+
+	test('should return 401 if not authorized', async () => {
+		verifyAuth.mockImplementation(() => ({ authorized: false, cause: 'Unauthorized' }));
+
+		await searchTransactionsByUser(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+		expect(transactions.aggregate).not.toHaveBeenCalled();
+	});
+});
+
+describe('searchTransactionsByGroup', () => {
+	beforeEach(() => {
+		mockReq.url = '/groups/family/transactions/search?q=pizza';
+		mockReq.params = { name: 'family' };
+		mockReq.query = { q: 'pizza' };
+		Group.findOne.mockResolvedValue({ name: 'family', members: [{ email: 'a@test.com' }, { email: 'b@test.com' }] });
+		User.find.mockResolvedValue([{ username: 'a' }, { username: 'b' }]);
+		verifyAuth.mockImplementation(() => ({ authorized: true, cause: 'Authorized' }));
+		transactions.aggregate.mockResolvedValue([]);
+	});
+
+	test('should search the transactions of the members of the group', async () => {
+		await searchTransactionsByGroup(mockReq, mockRes);
+
+		expect(verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, {
+			authType: 'Group',
+			scope: 'transactions:read',
+			emails: ['a@test.com', 'b@test.com'],
+		});
+		expect(transactions.aggregate.mock.calls[0][0][0]).toEqual({
+			$match: { $text: { $search: 'pizza' }, username: { $in: ['a', 'b'] } },
+		});
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: [],
+			nextCursor: null,
+			refreshedTokenMessage: mockRes.locals.refreshedTokenMessage,
+		});
+	});
+
+	test('should require an admin on the admin route', async () => {
+		mockReq.url = '/transactions/groups/family/search?q=pizza';
+
+		await searchTransactionsByGroup(mockReq, mockRes);
+
+		expect(verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, {
+			authType: 'Admin',
+			scope: 'transactions:read',
+		});
+	});
+
+	test('should return 400 if the group does not exist', async () => {
+		Group.findOne.mockResolvedValue(null);
+
+		await searchTransactionsByGroup(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Group not found.' });
+	});
+
+	test('should return 401 if the caller is not a member', async () => {
+		verifyAuth.mockImplementation(() => ({ authorized: false, cause: 'Not in group' }));
+
+		await searchTransactionsByGroup(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Not in group' });
+	});
+});
+
+describe('getGroupTotal', () => {
+	const group = { name: 'team', currency: 'USD', members: [{ email: 'a@example.com' }, { email: 'b@example.com' }] };
+
+	beforeEach(() => {
+		mockReq.params = { name: 'team' };
+		mockReq.url = '/groups/team/transactions/total';
+		mockReq.query = {};
+		verifyAuth.mockResolvedValue({ authorized: true, cause: 'Authorized' });
+		Group.findOne.mockResolvedValue(group);
+		User.find.mockResolvedValue([{ username: 'alice' }, { username: 'bob' }]);
+	});
+
+	test('should return the income, expenses and net of the members converted to the currency of the group', async () => {
+		exchangeRates.find.mockResolvedValueOnce([
+			{ currency: 'USD', rate: 1.2, date: new Date('2023-05-01') },
+			{ currency: 'USD', rate: 1.1, date: new Date('2023-06-01') },
+		]);
+		transactions.aggregate.mockResolvedValueOnce([
+			{ _id: { username: 'bob', direction: 'expense', currency: 'EUR', day: '2023-05-10' }, amount: decimal('10.00') },
+			{ _id: { username: 'alice', direction: 'expense', currency: 'USD', day: '2023-05-10' }, amount: decimal('3.50') },
+			{ _id: { username: 'alice', direction: 'income', currency: 'EUR', day: '2023-06-10' }, amount: decimal('10.00') },
+		]);
+
+		await getGroupTotal(mockReq, mockRes);
+
+		expect(verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, {
+			authType: 'Group',
+			scope: 'transactions:read',
+			emails: ['a@example.com', 'b@example.com'],
+		});
+		expect(transactions.aggregate).toHaveBeenCalledWith([
+			{ $match: { username: { $in: ['alice', 'bob'] }, direction: { $ne: 'transfer' } } },
+			expect.objectContaining({ $group: expect.anything() }),
+		]);
+		//Amounts are summed by member, direction, currency and day, since a day has a single exchange rate
+		expect(Object.keys(transactions.aggregate.mock.calls[0][0][1].$group._id)).toEqual([
+			'username',
+			'direction',
+			'currency',
+			'day',
+		]);
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: {
+				currency: 'USD',
+				income: '11.00',
+				expenses: '15.50',
+				net: '-4.50',
+				members: [
+					{ username: 'alice', income: '11.00', expenses: '3.50', net: '7.50' },
+					{ username: 'bob', income: '0.00', expenses: '12.00', net: '-12.00' },
+				],
+			},
+			refreshedTokenMessage: 'refreshed token',
+		});
+	});
+
+	test('should be reserved to admins on the admin route', async () => {
+		mockReq.url = '/transactions/groups/team/total';
+		verifyAuth.mockResolvedValue({ authorized: false, cause: 'Not admin' });
+
+		await getGroupTotal(mockReq, mockRes);
+
+		expect(verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, expect.objectContaining({ authType: 'Admin' }));
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+	});
+
+	test('should return 400 if an exchange rate is missing', async () => {
+		exchangeRates.find.mockResolvedValueOnce([]);
+		transactions.aggregate.mockResolvedValueOnce([
+			{ _id: { username: 'bob', currency: 'EUR', day: '2023-05-10' }, amount: 10 },
+		]);
+
+		await getGroupTotal(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Missing exchange rate for USD' });
+	});
+
+	test('should return 400 if the group does not exist', async () => {
+		Group.findOne.mockResolvedValue(null);
+
+		await getGroupTotal(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Group not found.' });
+	});
+});
+
+describe('migrateAmounts', () => {
+	test('should convert the floating-point amounts to decimals with the precision of their currency', async () => {
+		transactions.find.mockResolvedValueOnce([
+			{ _id: 't1', amount: 0.1 + 0.2 },
+			{ _id: 't2', amount: 1500, currency: 'JPY' },
+			{ _id: 't3', amount: 12.5, currency: 'KWD' },
+		]);
+
+		const migrated = await migrateAmounts();
+
+		expect(transactions.find).toHaveBeenCalledWith({ amount: { $type: ['double', 'int', 'long'] } });
+		expect(transactions.bulkWrite).toHaveBeenCalledWith([
+			{ updateOne: { filter: { _id: 't1' }, update: { $set: { amount: decimal('0.30') } } } },
+			{ updateOne: { filter: { _id: 't2' }, update: { $set: { amount: decimal('1500') } } } },
+			{ updateOne: { filter: { _id: 't3' }, update: { $set: { amount: decimal('12.500') } } } },
+		]);
+		expect(migrated).toBe(3);
+	});
+
+	test('should not write anything when every amount is a decimal', async () => {
+		transactions.find.mockResolvedValueOnce([]);
+
+		expect(await migrateAmounts()).toBe(0);
+		expect(transactions.bulkWrite).not.toHaveBeenCalled();
+	});
+});
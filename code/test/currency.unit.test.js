@@ -0,0 +1,387 @@
+import mongoose from 'mongoose';
+import { exchangeRates } from '../models/model';
+import { User } from '../models/User';
+import { verifyAuth } from '../controllers/utils';
+import {
+	convertAmounts,
+	currencyConverter,
+	currencyDigits,
+	formatAmount,
+	getExchangeRates,
+	handleConvertToParams,
+	loadExchangeRates,
+	parseAmount,
+	parseCurrency,
+	parseRatesCsv,
+	parseRatesXml,
+} from '../controllers/currency';
+
+jest.mock('../models/model');
+jest.mock('../models/User');
+jest.mock('../controllers/utils');
+
+const usdRates = [
+	{ currency: 'USD', rate: 1.1, date: new Date('2023-05-01') },
+	{ currency: 'USD', rate: 1.2, date: new Date('2023-06-01') },
+	{ currency: 'GBP', rate: 0.8, date: new Date('2023-05-01') },
+];
+
+let mockRes;
+
+beforeEach(() => {
+	jest.clearAllMocks();
+	mockRes = {
+		status: jest.fn(() => mockRes),
+		json: jest.fn(),
+		locals: {
+			refreshedTokenMessage: 'refreshed token',
+		},
+	};
+	verifyAuth.mockResolvedValue({ authorized: true, cause: 'Authorized' });
+});
+
+describe('parseCurrency', () => {
+	test.each([
+		['usd', 'USD'],
+		[' GBP ', 'GBP'],
+	])('should normalize %p', (value, code) => {
+		expect(parseCurrency(value)).toBe(code);
+	});
+
+	test.each(['US', 'EURO', 'U$D', '', 12, undefined])('should reject %p', (value) => {
+		expect(parseCurrency(value)).toBeNull();
+	});
+});
+
+describe('currencyDigits', () => {
+	test.each([
+		['EUR', 2],
+		['USD', 2],
+		['JPY', 0],
+		['KWD', 3],
+	])('should return the decimals of %s', (currency, digits) => {
+		expect(currencyDigits(currency)).toBe(digits);
+	});
+});
+
+describe('parseAmount', () => {
+	test.each([
+		['12.5', 'EUR', '12.50'],
+		[' 0.1 ', 'EUR', '0.10'],
+		[12.34, 'USD', '12.34'],
+		['+7', 'EUR', '7.00'],
+		['.5', 'EUR', '0.50'],
+		['007.10', 'EUR', '7.10'],
+		['1500', 'JPY', '1500'],
+		['1500.00', 'JPY', '1500'],
+		['1.234', 'KWD', '1.234'],
+	])('should read %p in %s as %s', (value, currency, amount) => {
+		expect(parseAmount(value, currency)).toEqual(mongoose.Types.Decimal128.fromString(amount));
+	});
+
+	test('should use the precision of the euro by default', () => {
+		expect(parseAmount('3')).toEqual(mongoose.Types.Decimal128.fromString('3.00'));
+	});
+
+	test.each([
+		['12.345', 'EUR'],
+		['1500.5', 'JPY'],
+		[0.1 + 0.2, 'EUR'],
+		['0', 'EUR'],
+		['0.00', 'EUR'],
+		['-7', 'EUR'],
+		[-0.5, 'EUR'],
+		['', 'EUR'],
+		['.', 'EUR'],
+		['1e3', 'EUR'],
+		['12,50', 'EUR'],
+		['abc', 'EUR'],
+		[null, 'EUR'],
+		[[12], 'EUR'],
+	])('should reject %p in %s', (value, currency) => {
+		expect(parseAmount(value, currency)).toBeNull();
+	});
+});
+
+describe('formatAmount', () => {
+	test.each([
+		[mongoose.Types.Decimal128.fromString('12.5'), 'EUR', '12.50'],
+		[mongoose.Types.Decimal128.fromString('-3.10'), 'EUR', '-3.10'],
+		[mongoose.Types.Decimal128.fromString('1500'), 'JPY', '1500'],
+		[100, 'EUR', '100.00'],
+		[0.1 + 0.2, 'EUR', '0.30'],
+		[1495.7, 'JPY', '1496'],
+		['2.5', 'KWD', '2.500'],
+	])('should format %p in %s as %s', (amount, currency, text) => {
+		expect(formatAmount(amount, currency)).toBe(text);
+	});
+});
+
+describe('parseRatesCsv', () => {
+	test('should read the rates with their dates', () => {
+		const csv = 'date,currency,rate\n2023-05-19,usd,1.0804\r\n2023-05-19,GBP,0.8687\n\n';
+
+		expect(parseRatesCsv(csv)).toEqual([
+			{ currency: 'USD', rate: 1.0804, date: new Date('2023-05-19') },
+			{ currency: 'GBP', rate: 0.8687, date: new Date('2023-05-19') },
+		]);
+	});
+
+	test('should date the rates without a date column today', () => {
+		const [rate] = parseRatesCsv('"currency","rate"\n"JPY","149.5"');
+
+		expect(rate.currency).toBe('JPY');
+		expect(rate.date).toEqual(new Date(new Date().toISOString().slice(0, 10)));
+	});
+
+	test('should throw if a column is missing', () => {
+		expect(() => parseRatesCsv('currency,value\nUSD,1.1')).toThrow('Missing `currency` or `rate` column');
+	});
+
+	test.each(['USD,-1', 'USD,abc', 'DOLLAR,1.1', 'EUR,1'])('should throw for the line %s', (line) => {
+		expect(() => parseRatesCsv(`currency,rate\nGBP,0.87\n${line}`)).toThrow('Invalid rate on line 3');
+	});
+});
+
+describe('parseRatesXml', () => {
+	test('should read the rates of every day of an ECB file', () => {
+		const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<gesmes:Envelope xmlns:gesmes="http://www.gesmes.org/xml/2002-08-01" xmlns="http://www.ecb.int/vocabulary/2002-08-01/eurofxref">
+	<gesmes:subject>Reference rates</gesmes:subject>
+	<Cube>
+		<Cube time='2023-05-19'>
+			<Cube currency='USD' rate='1.0804'/>
+			<Cube rate="0.8687" currency="GBP" />
+		</Cube>
+		<Cube time="2023-05-18">
+			<Cube currency="USD" rate="1.0776"/>
+		</Cube>
+	</Cube>
+</gesmes:Envelope>`;
+
+		expect(parseRatesXml(xml)).toEqual([
+			{ currency: 'USD', rate: 1.0804, date: new Date('2023-05-19') },
+			{ currency: 'GBP', rate: 0.8687, date: new Date('2023-05-19') },
+			{ currency: 'USD', rate: 1.0776, date: new Date('2023-05-18') },
+		]);
+	});
+
+	test('should return no rates for other documents', () => {
+		expect(parseRatesXml('<rates><rate currency="USD">1.1</rate></rates>')).toEqual([]);
+	});
+
+	test('should throw if a rate is not valid', () => {
+		expect(() => parseRatesXml('<Cube time="2023-05-19"><Cube currency="USD" rate="x"/></Cube>')).toThrow(
+			'Invalid rate for USD on 2023-05-19'
+		);
+	});
+});
+
+describe('currencyConverter', () => {
+	test('should convert with the most recent rate of the date', async () => {
+		exchangeRates.find.mockResolvedValueOnce(usdRates);
+
+		const convert = await currencyConverter(['USD', 'GBP', 'EUR', 'USD']);
+
+		expect(exchangeRates.find).toHaveBeenCalledWith({ currency: { $in: ['USD', 'GBP'] } }, null, {
+			sort: { date: 1 },
+		});
+		expect(convert(110, 'USD', 'EUR', new Date('2023-05-15'))).toBeCloseTo(100);
+		expect(convert(120, 'USD', 'EUR', new Date('2023-07-01'))).toBeCloseTo(100);
+		expect(convert(100, 'EUR', 'GBP', new Date('2023-05-15'))).toBeCloseTo(80);
+		expect(convert(110, 'USD', 'GBP', new Date('2023-05-15'))).toBeCloseTo(80);
+	});
+
+	test('should use the oldest rate for dates before the first one', async () => {
+		exchangeRates.find.mockResolvedValueOnce(usdRates);
+
+		const convert = await currencyConverter(['USD']);
+
+		expect(convert(110, 'USD', 'EUR', new Date('2020-01-01'))).toBeCloseTo(100);
+	});
+
+	test('should not read the rates to convert between euros', async () => {
+		const convert = await currencyConverter(['EUR']);
+
+		expect(convert(10, 'EUR', 'EUR')).toBe(10);
+		expect(exchangeRates.find).not.toHaveBeenCalled();
+	});
+
+	test('should throw if a rate is missing', async () => {
+		exchangeRates.find.mockResolvedValueOnce([]);
+
+		const convert = await currencyConverter(['CHF']);
+
+		expect(() => convert(10, 'CHF', 'EUR')).toThrow('Missing exchange rate for CHF');
+	});
+});
+
+describe('handleConvertToParams', () => {
+	test('should return null without the parameter', async () => {
+		expect(await handleConvertToParams({ query: {} })).toBeNull();
+	});
+
+	test('should normalize a currency code', async () => {
+		expect(await handleConvertToParams({ query: { convertTo: 'gbp' } })).toBe('GBP');
+	});
+
+	test('should return the base currency of the requester', async () => {
+		User.findOne.mockResolvedValueOnce({ username: 'mario', baseCurrency: 'USD' });
+
+		expect(await handleConvertToParams({ query: { convertTo: 'base' } }, { username: 'mario' })).toBe('USD');
+		expect(User.findOne).toHaveBeenCalledWith({ username: 'mario' });
+	});
+
+	test('should fall back to the euro for requesters without a base currency', async () => {
+		expect(await handleConvertToParams({ query: { convertTo: 'base' } })).toBe('EUR');
+	});
+
+	test('should throw for other values', async () => {
+		await expect(handleConvertToParams({ query: { convertTo: 'dollars' } })).rejects.toThrow(
+			'Invalid `convertTo` parameter'
+		);
+	});
+});
+
+describe('convertAmounts', () => {
+	const data = [
+		{ amount: '11.00', currency: 'USD', date: new Date('2023-05-15') },
+		{ amount: '5.00', currency: 'EUR', date: new Date('2023-05-15') },
+	];
+
+	test('should leave the transactions as they are without a currency', async () => {
+		expect(await convertAmounts(data, null)).toEqual({ data });
+	});
+
+	test('should add the converted amounts, rounded to cents', async () => {
+		exchangeRates.find.mockResolvedValueOnce(usdRates);
+
+		const result = await convertAmounts(data, 'GBP');
+
+		expect(result.data).toEqual([
+			{ ...data[0], convertedAmount: '8.00', convertedCurrency: 'GBP' },
+			{ ...data[1], convertedAmount: '4.00', convertedCurrency: 'GBP' },
+		]);
+	});
+
+	test('should round the converted amounts to the precision of the currency', async () => {
+		exchangeRates.find.mockResolvedValueOnce([
+			...usdRates,
+			{ currency: 'JPY', rate: 149.57, date: new Date('2023-05-01') },
+		]);
+
+		const result = await convertAmounts(data, 'JPY');
+
+		expect(result.data.map((t) => t.convertedAmount)).toEqual(['1496', '748']);
+	});
+
+	test('should return an error if a rate is missing', async () => {
+		exchangeRates.find.mockResolvedValueOnce([]);
+
+		expect(await convertAmounts(data, 'JPY')).toEqual({ error: 'Missing exchange rate for USD' });
+	});
+});
+
+describe('loadExchangeRates', () => {
+	const request = (type, body) => ({ body, is: jest.fn((types) => [].concat(types).includes(type)) });
+
+	test('should store the rates of a CSV file', async () => {
+		await loadExchangeRates(request('text/csv', 'date,currency,rate\n2023-05-19,USD,1.08\n2023-05-19,GBP,0.87'), mockRes);
+
+		expect(verifyAuth).toHaveBeenCalledWith(expect.anything(), mockRes, { authType: 'Admin' });
+		expect(exchangeRates.bulkWrite).toHaveBeenCalledWith([
+			{
+				updateOne: {
+					filter: { currency: 'USD', date: new Date('2023-05-19') },
+					update: { $set: { rate: 1.08 } },
+					upsert: true,
+				},
+			},
+			{
+				updateOne: {
+					filter: { currency: 'GBP', date: new Date('2023-05-19') },
+					update: { $set: { rate: 0.87 } },
+					upsert: true,
+				},
+			},
+		]);
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: { loaded: 2, currencies: ['GBP', 'USD'] },
+			refreshedTokenMessage: 'refreshed token',
+		});
+	});
+
+	test('should store the rates of an XML file', async () => {
+		await loadExchangeRates(
+			request('application/xml', '<Cube><Cube time="2023-05-19"><Cube currency="USD" rate="1.08"/></Cube></Cube>'),
+			mockRes
+		);
+
+		expect(exchangeRates.bulkWrite).toHaveBeenCalledWith([expect.objectContaining({ updateOne: expect.anything() })]);
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+	});
+
+	test('should return 400 for other content types', async () => {
+		await loadExchangeRates(request('application/json', { USD: 1.08 }), mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Send the rates as text/csv or application/xml' });
+	});
+
+	test('should return 400 if a rate is not valid', async () => {
+		await loadExchangeRates(request('text/csv', 'currency,rate\nUSD,0'), mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid rate on line 2' });
+		expect(exchangeRates.bulkWrite).not.toHaveBeenCalled();
+	});
+
+	test('should return 400 if the file has no rates', async () => {
+		await loadExchangeRates(request('text/csv', 'currency,rate\n'), mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'No rates in the file' });
+	});
+
+	test('should return 401 if not called by an admin', async () => {
+		verifyAuth.mockResolvedValue({ authorized: false, cause: 'Not admin' });
+
+		await loadExchangeRates(request('text/csv', 'currency,rate\nUSD,1.1'), mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+		expect(exchangeRates.bulkWrite).not.toHaveBeenCalled();
+	});
+});
+
+describe('getExchangeRates', () => {
+	test('should return the most recent rate of every currency', async () => {
+		exchangeRates.aggregate.mockResolvedValueOnce([
+			{ _id: 'GBP', rate: 0.87, date: new Date('2023-05-19') },
+			{ _id: 'USD', rate: 1.08, date: new Date('2023-05-19') },
+		]);
+
+		await getExchangeRates({}, mockRes);
+
+		expect(verifyAuth).toHaveBeenCalledWith({}, mockRes, { authType: 'Simple' });
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: {
+				base: 'EUR',
+				rates: [
+					{ currency: 'GBP', rate: 0.87, date: new Date('2023-05-19') },
+					{ currency: 'USD', rate: 1.08, date: new Date('2023-05-19') },
+				],
+			},
+			refreshedTokenMessage: 'refreshed token',
+		});
+	});
+
+	test('should return 401 if not authenticated', async () => {
+		verifyAuth.mockResolvedValue({ authorized: false, cause: 'Unauthorized' });
+
+		await getExchangeRates({}, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+	});
+});
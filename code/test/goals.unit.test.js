@@ -0,0 +1,462 @@
+import mongoose from 'mongoose';
+import { categories, exchangeRates, goals, transactions } from '../models/model.js';
+import { Group, User } from '../models/User.js';
+import {
+	addContribution,
+	createGoal,
+	deleteContribution,
+	deleteGoal,
+	getGoals,
+	goalProgress,
+	updateGoal,
+} from '../controllers/goals.js';
+import { verifyMultipleAuth } from '../controllers/utils';
+
+jest.mock('../models/model.js');
+jest.mock('../models/User.js');
+jest.mock('../controllers/utils');
+
+const decimal = (value) => mongoose.Types.Decimal128.fromString(value);
+const goalId = '64a7f0c2e4b0a1b2c3d4e5f7';
+const contributionId = '64a7f0c2e4b0a1b2c3d4e5f8';
+
+const contribution = (amount, date, username = 'mario') => ({
+	_id: contributionId,
+	username,
+	amount: decimal(amount),
+	date: new Date(date),
+	note: '',
+});
+
+const holiday = {
+	_id: goalId,
+	username: 'mario',
+	group: null,
+	name: 'Holiday',
+	amount: decimal('1200.00'),
+	currency: 'EUR',
+	deadline: new Date('2023-12-31'),
+	type: null,
+	contributions: [],
+	createdAt: new Date('2023-01-01'),
+};
+
+let mockRes;
+
+beforeEach(() => {
+	jest.resetAllMocks();
+	mockRes = {
+		status: jest.fn(() => mockRes),
+		json: jest.fn(),
+		locals: {
+			refreshedTokenMessage: 'refreshed token',
+		},
+	};
+	verifyMultipleAuth.mockResolvedValue({ authorized: true, cause: 'Authorized', user: { username: 'mario', role: 'Regular' } });
+	User.findOne.mockResolvedValue({ username: 'mario', baseCurrency: 'EUR' });
+});
+
+describe('goalProgress', () => {
+	test('should project the completion from the saving rate', async () => {
+		const goal = {
+			...holiday,
+			contributions: [contribution('300.00', '2023-01-01'), contribution('300.00', '2023-03-01')],
+		};
+
+		const progress = await goalProgress(goal, ['mario'], new Date('2023-04-01'));
+
+		expect(transactions.aggregate).not.toHaveBeenCalled();
+		expect(progress).toEqual({
+			saved: '600.00',
+			remaining: '600.00',
+			percent: 50,
+			requiredMonthly: '66.67',
+			projectedCompletion: new Date('2023-06-30'),
+			status: 'on-track',
+		});
+	});
+
+	test('should count the transactions of the linked category, converted to the currency of the goal', async () => {
+		transactions.aggregate.mockResolvedValueOnce([{ _id: { currency: 'USD', day: '2023-02-01' }, amount: decimal('110.00') }]);
+		exchangeRates.find.mockResolvedValueOnce([{ currency: 'USD', rate: 1.1, date: new Date('2023-01-01') }]);
+
+		const progress = await goalProgress({ ...holiday, type: 'savings' }, ['mario', 'luigi'], new Date('2023-03-01'));
+
+		expect(transactions.aggregate.mock.calls[0][0][0].$match).toEqual({
+			type: 'savings',
+			username: { $in: ['mario', 'luigi'] },
+			direction: { $ne: 'income' },
+			date: { $gte: new Date('2023-01-01') },
+		});
+		expect(progress).toEqual(expect.objectContaining({ saved: '100.00', remaining: '1100.00', percent: 8 }));
+	});
+
+	test('should return the day the target was reached', async () => {
+		const goal = {
+			...holiday,
+			contributions: [contribution('700.00', '2023-02-01'), contribution('600.00', '2023-03-01')],
+		};
+
+		const progress = await goalProgress(goal, ['mario'], new Date('2023-04-01'));
+
+		expect(progress).toEqual({
+			saved: '1300.00',
+			remaining: '0.00',
+			percent: 108,
+			requiredMonthly: '0.00',
+			projectedCompletion: new Date('2023-03-01'),
+			status: 'completed',
+		});
+	});
+
+	test('should ask for the whole remaining amount once the deadline has passed', async () => {
+		const goal = { ...holiday, deadline: new Date('2023-03-31'), contributions: [contribution('200.00', '2023-02-01')] };
+
+		const progress = await goalProgress(goal, ['mario'], new Date('2023-04-01'));
+
+		expect(progress).toEqual(expect.objectContaining({ requiredMonthly: '1000.00', status: 'overdue' }));
+	});
+
+	test('should be behind without a projection while nothing has been saved', async () => {
+		const progress = await goalProgress(holiday, ['mario'], new Date('2023-06-15'));
+
+		expect(progress).toEqual(
+			expect.objectContaining({ saved: '0.00', requiredMonthly: '171.43', projectedCompletion: null, status: 'behind' })
+		);
+	});
+});
+
+describe('createGoal', () => {
+	const request = (body) => ({ params: { username: 'mario' }, body });
+
+	test('should create a goal of the user in their base currency', async () => {
+		goals.create.mockImplementation(async (goal) => ({ ...goal, _id: goalId, contributions: [] }));
+
+		await createGoal(request({ name: ' Holiday ', amount: '1200', deadline: '2099-06-30' }), mockRes);
+
+		expect(verifyMultipleAuth).toHaveBeenCalledWith(expect.anything(), mockRes, {
+			authType: ['User', 'Admin'],
+			scope: 'transactions:write',
+		});
+		expect(goals.create).toHaveBeenCalledWith({
+			username: 'mario',
+			name: 'Holiday',
+			deadline: new Date('2099-06-30'),
+			amount: expect.anything(),
+			currency: 'EUR',
+		});
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: expect.objectContaining({ _id: goalId, name: 'Holiday', amount: '1200.00', type: null, contributions: [] }),
+			refreshedTokenMessage: 'refreshed token',
+		});
+	});
+
+	test('should create a goal shared by a group, linked to a category', async () => {
+		Group.findOne.mockResolvedValue({ name: 'family', currency: 'GBP', members: [{ email: 'mario@example.com' }] });
+		User.find.mockResolvedValue([{ username: 'mario' }]);
+		categories.findOne.mockResolvedValue({ type: 'savings' });
+		goals.create.mockImplementation(async (goal) => goal);
+
+		await createGoal(
+			{ params: { name: 'family' }, body: { name: 'Car', amount: '8000', deadline: '2099-01-01', type: 'savings' } },
+			mockRes
+		);
+
+		expect(verifyMultipleAuth).toHaveBeenCalledWith(expect.anything(), mockRes, {
+			authType: ['Group', 'Admin'],
+			scope: 'transactions:write',
+			emails: ['mario@example.com'],
+		});
+		expect(goals.create).toHaveBeenCalledWith(expect.objectContaining({ group: 'family', currency: 'GBP', type: 'savings' }));
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+	});
+
+	test.each([
+		[{ amount: '1200', deadline: '2099-06-30' }, 'Missing parameters'],
+		[{ name: 'Holiday', deadline: '2099-06-30' }, 'Missing parameters'],
+		[{ name: '  ', amount: '1200', deadline: '2099-06-30' }, 'Invalid name'],
+		[{ name: 'Holiday', amount: '0', deadline: '2099-06-30' }, 'Invalid amount'],
+		[{ name: 'Holiday', amount: '1200', deadline: 'someday' }, 'Invalid deadline'],
+		[{ name: 'Holiday', amount: '1200', deadline: '2020-01-01' }, 'Deadline is in the past'],
+		[{ name: 'Holiday', amount: '1200', deadline: '2099-06-30', currency: 'euro' }, 'Invalid currency'],
+	])('should return 400 for the body %o', async (body, error) => {
+		await createGoal(request(body), mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: error });
+		expect(goals.create).not.toHaveBeenCalled();
+	});
+
+	test('should return 400 if the linked category does not exist', async () => {
+		categories.findOne.mockResolvedValue(null);
+
+		await createGoal(request({ name: 'Holiday', amount: '1200', deadline: '2099-06-30', type: 'savings' }), mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Category does not exist' });
+	});
+
+	test('should return 401 if the caller is not a member of the group', async () => {
+		Group.findOne.mockResolvedValue({ name: 'family', members: [{ email: 'luigi@example.com' }] });
+		verifyMultipleAuth.mockResolvedValue({ authorized: false, cause: 'User not in group or Not admin' });
+
+		await createGoal({ params: { name: 'family' }, body: {} }, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'User not in group or Not admin' });
+	});
+});
+
+describe('getGoals', () => {
+	test('should return the goals with their progress', async () => {
+		goals.find.mockResolvedValue([{ ...holiday, deadline: new Date('2099-12-31'), contributions: [contribution('300.00', '2023-01-01')] }]);
+
+		await getGoals({ params: { username: 'mario' } }, mockRes);
+
+		expect(verifyMultipleAuth).toHaveBeenCalledWith(expect.anything(), mockRes, {
+			authType: ['User', 'Admin'],
+			scope: 'transactions:read',
+		});
+		expect(goals.find).toHaveBeenCalledWith({ username: 'mario' });
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: [
+				expect.objectContaining({
+					_id: goalId,
+					name: 'Holiday',
+					amount: '1200.00',
+					contributions: [{ _id: contributionId, username: 'mario', amount: '300.00', date: new Date('2023-01-01'), note: '' }],
+					saved: '300.00',
+					remaining: '900.00',
+					percent: 25,
+				}),
+			],
+			refreshedTokenMessage: 'refreshed token',
+		});
+	});
+
+	test('should count the transactions of every member of a group', async () => {
+		Group.findOne.mockResolvedValue({ name: 'family', members: [{ email: 'a@example.com' }, { email: 'b@example.com' }] });
+		User.find.mockResolvedValue([{ username: 'mario' }, { username: 'luigi' }]);
+		goals.find.mockResolvedValue([{ ...holiday, username: null, group: 'family', type: 'savings' }]);
+		transactions.aggregate.mockResolvedValue([]);
+
+		await getGoals({ params: { name: 'family' } }, mockRes);
+
+		expect(goals.find).toHaveBeenCalledWith({ group: 'family' });
+		expect(transactions.aggregate.mock.calls[0][0][0].$match.username).toEqual({ $in: ['mario', 'luigi'] });
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+	});
+
+	test('should return 400 if an exchange rate is missing', async () => {
+		//The models share their automocked methods, so the queries are mocked in the order they are made
+		goals.find.mockResolvedValueOnce([{ ...holiday, type: 'savings' }]);
+		transactions.aggregate.mockResolvedValue([{ _id: { currency: 'USD', day: '2023-02-01' }, amount: decimal('110.00') }]);
+		exchangeRates.find.mockResolvedValueOnce([]);
+
+		await getGoals({ params: { username: 'mario' } }, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Missing exchange rate for USD' });
+	});
+});
+
+describe('updateGoal', () => {
+	const request = (body) => ({ params: { username: 'mario', id: goalId }, body });
+
+	test('should move the deadline and link a category', async () => {
+		//The models share their automocked methods, so the lookups are mocked in the order they are made
+		goals.findOne.mockResolvedValueOnce(holiday).mockResolvedValueOnce({ type: 'savings' });
+		goals.findOneAndUpdate.mockResolvedValue({ ...holiday, deadline: new Date('2099-03-31'), type: 'savings' });
+
+		await updateGoal(request({ deadline: '2099-03-31', type: 'savings' }), mockRes);
+
+		expect(goals.findOne).toHaveBeenNthCalledWith(1, { _id: goalId, username: 'mario' });
+		expect(categories.findOne).toHaveBeenNthCalledWith(2, { type: 'savings' });
+		expect(goals.findOneAndUpdate).toHaveBeenCalledWith(
+			{ _id: goalId },
+			{ $set: { deadline: new Date('2099-03-31'), type: 'savings' } },
+			{ new: true }
+		);
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: expect.objectContaining({ deadline: new Date('2099-03-31'), type: 'savings' }),
+			refreshedTokenMessage: 'refreshed token',
+		});
+	});
+
+	test('should unlink the category', async () => {
+		goals.findOne.mockResolvedValueOnce({ ...holiday, type: 'savings' });
+		goals.findOneAndUpdate.mockResolvedValue(holiday);
+
+		await updateGoal(request({ type: null }), mockRes);
+
+		expect(goals.findOneAndUpdate).toHaveBeenCalledWith({ _id: goalId }, { $set: { type: null } }, { new: true });
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+	});
+
+	test('should return 400 if the currency of a goal with contributions changes', async () => {
+		goals.findOne.mockResolvedValueOnce({ ...holiday, contributions: [contribution('100.00', '2023-02-01')] });
+
+		await updateGoal(request({ currency: 'USD' }), mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Cannot change the currency of a goal with contributions' });
+		expect(goals.findOneAndUpdate).not.toHaveBeenCalled();
+	});
+
+	test('should return 400 if the goal belongs to another owner', async () => {
+		goals.findOne.mockResolvedValueOnce(null);
+
+		await updateGoal(request({ name: 'Trip' }), mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Goal not found' });
+	});
+
+	test('should return 400 without attributes to change', async () => {
+		await updateGoal(request({}), mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Missing parameters' });
+	});
+});
+
+describe('deleteGoal', () => {
+	test('should delete a goal of the group', async () => {
+		Group.findOne.mockResolvedValue({ name: 'family', members: [{ email: 'mario@example.com' }] });
+		User.find.mockResolvedValue([{ username: 'mario' }]);
+		goals.findOneAndDelete.mockResolvedValue(holiday);
+
+		await deleteGoal({ params: { name: 'family', id: goalId } }, mockRes);
+
+		expect(goals.findOneAndDelete).toHaveBeenCalledWith({ _id: goalId, group: 'family' });
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: { message: 'Goal deleted' },
+			refreshedTokenMessage: 'refreshed token',
+		});
+	});
+
+	test('should return 400 if the id is not valid', async () => {
+		await deleteGoal({ params: { username: 'mario', id: 'abc' } }, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Goal not found' });
+		expect(goals.findOneAndDelete).not.toHaveBeenCalled();
+	});
+});
+
+describe('addContribution', () => {
+	const groupRequest = (body) => ({ params: { name: 'family', id: goalId }, body });
+
+	beforeEach(() => {
+		Group.findOne.mockResolvedValue({ name: 'family', members: [{ email: 'luigi@example.com' }] });
+		User.find.mockResolvedValue([{ username: 'luigi' }]);
+		verifyMultipleAuth.mockResolvedValue({ authorized: true, cause: 'Authorized', user: { username: 'luigi', role: 'Regular' } });
+	});
+
+	test('should log the contribution of the authenticated member', async () => {
+		const shared = { ...holiday, username: null, group: 'family' };
+		goals.findOne.mockResolvedValueOnce(shared);
+		goals.findOneAndUpdate.mockResolvedValue({ ...shared, contributions: [contribution('50.00', '2023-05-01', 'luigi')] });
+
+		await addContribution(groupRequest({ amount: '50', date: '2023-05-01', note: 'May' }), mockRes);
+
+		expect(goals.findOne).toHaveBeenLastCalledWith({ _id: goalId, group: 'family' });
+		expect(goals.findOneAndUpdate).toHaveBeenCalledWith(
+			{ _id: goalId },
+			{
+				$push: {
+					contributions: { username: 'luigi', amount: expect.anything(), date: new Date('2023-05-01'), note: 'May' },
+				},
+			},
+			{ new: true }
+		);
+		expect(String(goals.findOneAndUpdate.mock.calls[0][1].$push.contributions.amount)).toBe('50.00');
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: expect.objectContaining({
+				contributions: [expect.objectContaining({ username: 'luigi', amount: '50.00' })],
+			}),
+			refreshedTokenMessage: 'refreshed token',
+		});
+	});
+
+	test.each([
+		[{}, 'Missing parameters'],
+		[{ amount: '50', date: 'yesterday' }, 'Invalid date'],
+		[{ amount: '50', date: '2099-01-01' }, 'Date is in the future'],
+		[{ amount: '50', note: 5 }, 'Invalid note'],
+	])('should return 400 for the body %o', async (body, error) => {
+		await addContribution(groupRequest(body), mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: error });
+		expect(goals.findOneAndUpdate).not.toHaveBeenCalled();
+	});
+
+	test('should return 400 if the amount is not valid in the currency of the goal', async () => {
+		goals.findOne.mockResolvedValueOnce({ ...holiday, currency: 'JPY' });
+
+		await addContribution(groupRequest({ amount: '50.5' }), mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid amount' });
+	});
+});
+
+describe('deleteContribution', () => {
+	const request = { params: { name: 'family', id: goalId, contributionId } };
+	const shared = { ...holiday, username: null, group: 'family', contributions: [contribution('50.00', '2023-05-01', 'luigi')] };
+
+	beforeEach(() => {
+		Group.findOne.mockResolvedValue({ name: 'family', members: [{ email: 'mario@example.com' }] });
+		User.find.mockResolvedValue([{ username: 'mario' }]);
+	});
+
+	test('should remove the contribution of the authenticated member', async () => {
+		verifyMultipleAuth.mockResolvedValue({ authorized: true, cause: 'Authorized', user: { username: 'luigi', role: 'Regular' } });
+		goals.findOne.mockResolvedValueOnce(shared);
+		goals.findOneAndUpdate.mockResolvedValue({ ...shared, contributions: [] });
+
+		await deleteContribution(request, mockRes);
+
+		expect(goals.findOneAndUpdate).toHaveBeenCalledWith(
+			{ _id: goalId },
+			{ $pull: { contributions: { _id: contributionId } } },
+			{ new: true }
+		);
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+	});
+
+	test('should return 401 if the contribution was made by another member', async () => {
+		goals.findOne.mockResolvedValueOnce(shared);
+
+		await deleteContribution(request, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Contribution made by another member' });
+		expect(goals.findOneAndUpdate).not.toHaveBeenCalled();
+	});
+
+	test('should let an admin remove the contribution of a member', async () => {
+		verifyMultipleAuth.mockResolvedValue({ authorized: true, cause: 'Authorized', user: { username: 'admin', role: 'Admin' } });
+		goals.findOne.mockResolvedValueOnce(shared);
+		goals.findOneAndUpdate.mockResolvedValue({ ...shared, contributions: [] });
+
+		await deleteContribution(request, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+	});
+
+	test('should return 400 if the contribution does not exist', async () => {
+		goals.findOne.mockResolvedValueOnce({ ...shared, contributions: [] });
+
+		await deleteContribution(request, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Contribution not found' });
+	});
+});
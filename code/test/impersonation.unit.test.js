@@ -0,0 +1,156 @@
+import { AuditLog, Session, User } from '../models/User.js';
+import { getAuditLog, impersonateUser, IMPERSONATION_DURATION } from '../controllers/impersonation.js';
+import { createTokens, hashToken, setAuthCookies, verifyAuth } from '../controllers/utils';
+
+jest.mock('../models/User.js');
+jest.mock('../controllers/utils');
+
+const admin = { id: 'admin1', username: 'admin', email: 'admin@example.com', role: 'Admin' };
+const target = { _id: 'user1', username: 'mario', email: 'mario@example.com', role: 'Regular' };
+
+let mockRes;
+
+beforeEach(() => {
+	jest.clearAllMocks();
+	mockRes = {
+		status: jest.fn(() => mockRes),
+		json: jest.fn(),
+		locals: {
+			refreshedTokenMessage: 'refreshed token',
+		},
+	};
+	verifyAuth.mockResolvedValue({ authorized: true, cause: 'Authorized', user: admin });
+});
+
+describe('impersonateUser', () => {
+	const mockReq = {
+		params: { username: 'mario' },
+		ip: '10.0.0.1',
+		headers: { 'user-agent': 'Firefox' },
+	};
+
+	test('should start a limited session for the user with tokens naming the admin', async () => {
+		User.findOne.mockResolvedValueOnce(target);
+		createTokens.mockReturnValue({ accessToken: 'access', refreshToken: 'refresh' });
+		hashToken.mockImplementation((token) => `hash:${token}`);
+		const before = Date.now();
+
+		await impersonateUser(mockReq, mockRes);
+
+		const session = Session.mock.instances[0];
+		const { expiresAt } = Session.mock.calls[0][0];
+		expect(verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, { authType: 'Admin' });
+		expect(User.findOne).toHaveBeenCalledWith({ username: 'mario' });
+		expect(Session).toHaveBeenCalledWith(
+			expect.objectContaining({
+				user: 'user1',
+				label: 'Impersonation by admin',
+				impersonatedBy: 'admin',
+				ip: '10.0.0.1',
+				userAgent: 'Firefox',
+			})
+		);
+		expect(expiresAt.getTime()).toBeGreaterThanOrEqual(before + IMPERSONATION_DURATION);
+		expect(expiresAt.getTime()).toBeLessThanOrEqual(Date.now() + IMPERSONATION_DURATION);
+		expect(createTokens).toHaveBeenCalledWith(target, session.id, 'admin');
+		expect(session.refreshTokenHash).toBe('hash:refresh');
+		expect(session.save).toHaveBeenCalled();
+		expect(setAuthCookies).not.toHaveBeenCalled();
+		expect(AuditLog.create).toHaveBeenCalledWith({
+			actor: 'admin',
+			user: 'mario',
+			action: 'impersonation started',
+			ip: '10.0.0.1',
+		});
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: {
+				accessToken: 'access',
+				refreshToken: 'refresh',
+				username: 'mario',
+				impersonatedBy: 'admin',
+				expiresAt: expiresAt,
+			},
+			refreshedTokenMessage: 'refreshed token',
+		});
+	});
+
+	test('should return 400 if the user is an admin', async () => {
+		User.findOne.mockResolvedValueOnce({ ...target, role: 'Admin' });
+
+		await impersonateUser(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Cannot impersonate an admin' });
+		expect(Session).not.toHaveBeenCalled();
+		expect(AuditLog.create).not.toHaveBeenCalled();
+	});
+
+	test('should return 400 if the user does not exist', async () => {
+		User.findOne.mockResolvedValueOnce(null);
+
+		await impersonateUser(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'User not found' });
+	});
+
+	test('should return 401 if not called by an admin', async () => {
+		verifyAuth.mockResolvedValue({ authorized: false, cause: 'Not admin' });
+
+		await impersonateUser(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Not admin' });
+		expect(User.findOne).not.toHaveBeenCalled();
+	});
+
+	test('should return 500 if there is a database error', async () => {
+		User.findOne.mockRejectedValueOnce(new Error('Database error'));
+
+		await impersonateUser(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(500);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Database error' });
+	});
+});
+
+describe('getAuditLog', () => {
+	const entry = {
+		actor: 'admin',
+		user: 'mario',
+		action: 'GET /api/users/mario',
+		ip: '10.0.0.1',
+		createdAt: new Date('2023-06-01'),
+	};
+
+	test('should return the entries matching the filters, most recent first', async () => {
+		const sort = jest.fn().mockResolvedValue([{ ...entry, _id: 'entry1' }]);
+		AuditLog.find.mockReturnValue({ sort });
+
+		await getAuditLog({ query: { actor: 'admin', user: 'mario' } }, mockRes);
+
+		expect(AuditLog.find).toHaveBeenCalledWith({ actor: 'admin', user: 'mario' });
+		expect(sort).toHaveBeenCalledWith({ createdAt: -1 });
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({ data: [entry], refreshedTokenMessage: 'refreshed token' });
+	});
+
+	test('should ignore empty filters', async () => {
+		AuditLog.find.mockReturnValue({ sort: jest.fn().mockResolvedValue([]) });
+
+		await getAuditLog({ query: { actor: '' } }, mockRes);
+
+		expect(AuditLog.find).toHaveBeenCalledWith({});
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+	});
+
+	test('should return 401 if not called by an admin', async () => {
+		verifyAuth.mockResolvedValue({ authorized: false, cause: 'Not admin' });
+
+		await getAuditLog({ query: {} }, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+		expect(AuditLog.find).not.toHaveBeenCalled();
+	});
+});
@@ -0,0 +1,497 @@
+import mongoose from 'mongoose';
+import { categories, transactions } from '../models/model.js';
+import { User } from '../models/User.js';
+import { importTransactions, parseCsv, parseDate, parseDecimal, parseOfx, parseQif } from '../controllers/imports.js';
+import { verifyMultipleAuth } from '../controllers/utils';
+
+jest.mock('../models/model.js');
+jest.mock('../models/User.js');
+jest.mock('../controllers/utils');
+
+let mockRes;
+let mockSession;
+
+beforeEach(() => {
+	jest.resetAllMocks();
+	mockSession = { withTransaction: jest.fn((fn) => fn()), endSession: jest.fn() };
+	jest.spyOn(mongoose, 'startSession').mockResolvedValue(mockSession);
+	mockRes = {
+		status: jest.fn(() => mockRes),
+		json: jest.fn(),
+		locals: {
+			refreshedTokenMessage: 'refreshed token',
+		},
+	};
+	verifyMultipleAuth.mockResolvedValue({ authorized: true, cause: 'Authorized', user: { username: 'mario' } });
+	User.findOne.mockResolvedValue({ username: 'mario', baseCurrency: 'EUR' });
+	categories.find.mockResolvedValue([
+		{ type: 'food', direction: 'expense' },
+		{ type: 'salary', direction: 'income' },
+	]);
+});
+
+const request = (body, query = {}, contentType = 'text/csv') => ({
+	params: { username: 'mario' },
+	query,
+	body,
+	is: (types) => [].concat(types).includes(contentType),
+});
+
+describe('parseCsv', () => {
+	test('should split the records and their fields', () => {
+		expect(parseCsv('date,amount\r\n2023-05-01,12.50\n\n2023-05-02,3\n')).toEqual([
+			{ line: 1, values: ['date', 'amount'] },
+			{ line: 2, values: ['2023-05-01', '12.50'] },
+			{ line: 4, values: ['2023-05-02', '3'] },
+		]);
+	});
+
+	test('should read quoted fields containing delimiters, quotes and line breaks', () => {
+		expect(parseCsv('a;b\n"x;y";"say ""hi""\nthere"\nz;w', ';')).toEqual([
+			{ line: 1, values: ['a', 'b'] },
+			{ line: 2, values: ['x;y', 'say "hi"\nthere'] },
+			{ line: 4, values: ['z', 'w'] },
+		]);
+	});
+
+	test('should ignore a byte order mark', () => {
+		expect(parseCsv('\uFEFFdate\n2023-05-01')[0].values).toEqual(['date']);
+	});
+
+	test('should throw if a quoted field is not closed', () => {
+		expect(() => parseCsv('a\n"open')).toThrow('Unterminated quoted field on line 2');
+	});
+});
+
+describe('parseDate', () => {
+	test.each([
+		['2023-05-31', 'YYYY-MM-DD', new Date('2023-05-31')],
+		['31/05/2023', 'DD/MM/YYYY', new Date('2023-05-31')],
+		['5/3/23', 'M/D/YY', new Date('2023-05-03')],
+		['31.05.2023', 'DD.MM.YYYY', new Date('2023-05-31')],
+		['2023-02-30', 'YYYY-MM-DD', null],
+		['2023-05-31', 'DD/MM/YYYY', null],
+		['31/05/2023', 'DD/MM', null],
+		['31/05/2023', 'DD/MMM/YYYY', null],
+	])('should read %s with the format %s', (value, format, expected) => {
+		expect(parseDate(value, format)).toEqual(expected);
+	});
+});
+
+describe('parseDecimal', () => {
+	test.each([
+		['1,234.50', '.', { amount: '1234.50', negative: false }],
+		['-1.234,50', ',', { amount: '1234.50', negative: true }],
+		["1'000", '.', { amount: '1000', negative: false }],
+		['1 234 567,8', ',', { amount: '1234567.8', negative: false }],
+		['+12', '.', { amount: '12', negative: false }],
+		['1,2,3', ',', null],
+		['12,50', '.', null],
+		['12.50', ',', null],
+		['1,2345.00', '.', null],
+		['1234,567.00', '.', null],
+		[',500', '.', null],
+		['abc', '.', null],
+		['', '.', null],
+	])('should read %s with the separator %s', (value, separator, expected) => {
+		expect(parseDecimal(value, separator)).toEqual(expected);
+	});
+});
+
+const ofx = `OFXHEADER:100
+DATA:OFXSGML
+<OFX>
+<BANKMSGSRSV1><STMTTRNRS><STMTRS>
+<CURDEF>USD
+<BANKACCTFROM><BANKID>123<ACCTID>9876<ACCTTYPE>CHECKING</BANKACCTFROM>
+<BANKTRANLIST>
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20230501120000.000[-5:EST]
+<TRNAMT>-12,50
+<FITID>T1
+<NAME>Corner Shop
+<MEMO>Card 1234
+</STMTTRN>
+<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20230527<TRNAMT>2500.00<FITID>T2<MEMO>Salary &amp; bonus</STMTTRN>
+<STMTTRN><TRNTYPE>XFER<DTPOSTED>20230528<TRNAMT>-100.00<NAME>Savings</STMTTRN>
+</BANKTRANLIST>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1>
+</OFX>
+`;
+
+const qif = `!Type:Bank
+D5/ 1'23
+T-12.50
+PCorner Shop
+MCard 1234
+LFood:Groceries
+^
+D5/27/2023
+T2,500.00
+PACME
+^
+D5/28/23
+T-100.00
+L[Savings]
+^
+!Type:Cat
+Nfood
+^
+`;
+
+describe('parseOfx', () => {
+	test('should read the transactions of the statements', () => {
+		expect(parseOfx(ofx)).toEqual([
+			{
+				line: 8,
+				date: new Date('2023-05-01'),
+				amount: '-12.50',
+				direction: 'expense',
+				category: '',
+				description: 'Corner Shop',
+				notes: 'Card 1234',
+				currency: 'USD',
+				externalId: 'ofx:9876:T1',
+			},
+			{
+				line: 16,
+				date: new Date('2023-05-27'),
+				amount: '2500.00',
+				direction: 'income',
+				category: '',
+				description: 'Salary & bonus',
+				notes: '',
+				currency: 'USD',
+				externalId: 'ofx:9876:T2',
+			},
+			expect.objectContaining({ line: 17, direction: 'transfer', externalId: expect.stringMatching(/^ofx:[0-9a-f]{32}$/) }),
+		]);
+	});
+
+	test('should read OFX 2 files', () => {
+		const xml =
+			'<?xml version="1.0"?><OFX><CREDITCARDMSGSRSV1><CCSTMTTRNRS><CCSTMTRS><CURDEF>EUR</CURDEF>' +
+			'<BANKTRANLIST><STMTTRN><TRNTYPE>DEBIT</TRNTYPE><DTPOSTED>20230501</DTPOSTED><TRNAMT>-5.00</TRNAMT>' +
+			'<FITID>X1</FITID><NAME>Bakery</NAME></STMTTRN></BANKTRANLIST></CCSTMTRS></CCSTMTTRNRS></CREDITCARDMSGSRSV1></OFX>';
+
+		expect(parseOfx(xml)).toEqual([
+			expect.objectContaining({ date: new Date('2023-05-01'), amount: '-5.00', description: 'Bakery', currency: 'EUR', externalId: 'ofx::X1' }),
+		]);
+	});
+
+	test('should throw if the file contains no statement', () => {
+		expect(() => parseOfx('<OFX></OFX>')).toThrow('No statement in the file');
+	});
+});
+
+describe('parseQif', () => {
+	test('should read the transactions of the account sections', () => {
+		const rows = parseQif(qif);
+
+		expect(rows).toEqual([
+			expect.objectContaining({
+				line: 2,
+				date: new Date('2023-05-01'),
+				amount: '-12.50',
+				direction: 'expense',
+				category: 'Food',
+				description: 'Corner Shop',
+				notes: 'Card 1234',
+			}),
+			expect.objectContaining({ line: 8, date: new Date('2023-05-27'), amount: '2,500.00', direction: 'income', category: '' }),
+			expect.objectContaining({ line: 12, date: new Date('2023-05-28'), direction: 'transfer', category: '', description: '' }),
+		]);
+		expect(new Set(rows.map((row) => row.externalId)).size).toBe(3);
+	});
+
+	test('should give the same identifiers to the same transactions, telling identical ones apart', () => {
+		const twice = '!Type:CCard\nD01/05/2023\nT-3.00\nPCoffee\n^\nD01/05/2023\nT-3.00\nPCoffee\n^\n';
+
+		const [first, second] = parseQif(twice, 'DD/MM/YYYY');
+
+		expect(first.date).toEqual(new Date('2023-05-01'));
+		expect(first.externalId).not.toBe(second.externalId);
+		expect(parseQif(twice, 'DD/MM/YYYY').map((row) => row.externalId)).toEqual([first.externalId, second.externalId]);
+	});
+});
+
+describe('importTransactions', () => {
+	const csv = 'Date,Amount,Category,Description\n2023-05-01,-12.50,food,Groceries\n2023-05-27,2500,salary,"May, salary"\n';
+
+	test('should insert every row with the direction of its category', async () => {
+		await importTransactions(request(csv), mockRes);
+
+		expect(verifyMultipleAuth).toHaveBeenCalledWith(expect.anything(), mockRes, {
+			authType: ['User', 'Admin'],
+			scope: 'transactions:write',
+		});
+		expect(categories.find).toHaveBeenCalledWith({ type: { $in: ['food', 'salary'] } });
+		const [inserted, options] = transactions.insertMany.mock.calls[0];
+		expect(mockSession.withTransaction).toHaveBeenCalled();
+		expect(options).toEqual({ ordered: true, session: mockSession });
+		expect(mockSession.endSession).toHaveBeenCalled();
+		expect(inserted).toEqual([
+			expect.objectContaining({
+				username: 'mario',
+				type: 'food',
+				direction: 'expense',
+				currency: 'EUR',
+				date: new Date('2023-05-01'),
+				description: 'Groceries',
+			}),
+			expect.objectContaining({ type: 'salary', direction: 'income', description: 'May, salary' }),
+		]);
+		expect(inserted.map((t) => String(t.amount))).toEqual(['12.50', '2500.00']);
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({ data: { imported: 2, duplicates: 0 }, refreshedTokenMessage: 'refreshed token' });
+	});
+
+	test('should follow the column mapping and the formats of the query', async () => {
+		const file = 'Buchungstag;Betrag;Kategorie\n31.05.2023;1.234,50;food\n';
+
+		await importTransactions(
+			request(file, {
+				dateColumn: 'Buchungstag',
+				amountColumn: 'Betrag',
+				categoryColumn: 'Kategorie',
+				dateFormat: 'DD.MM.YYYY',
+				decimal: ',',
+				delimiter: ';',
+				currency: 'chf',
+			}),
+			mockRes
+		);
+
+		const [inserted] = transactions.insertMany.mock.calls[0];
+		expect(inserted).toEqual([
+			expect.objectContaining({ type: 'food', currency: 'CHF', date: new Date('2023-05-31'), description: '' }),
+		]);
+		expect(String(inserted[0].amount)).toBe('1234.50');
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+	});
+
+	test('should report the errors of every row in a dry run without inserting anything', async () => {
+		const file = 'date,amount,category\n2023-05-01,12.50,food\n2023-13-01,abc,travel\n2023-05-03,4,\n';
+
+		await importTransactions(request(file, { dryRun: 'true' }), mockRes);
+
+		expect(transactions.insertMany).not.toHaveBeenCalled();
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: {
+				dryRun: true,
+				rows: 3,
+				valid: 1,
+				duplicates: 0,
+				errors: [
+					{ line: 3, error: 'Invalid date' },
+					{ line: 3, error: 'Invalid amount' },
+					{ line: 3, error: 'Unknown category "travel"' },
+					{ line: 4, error: 'Missing category' },
+				],
+				transactions: [
+					{
+						line: 2,
+						type: 'food',
+						amount: '12.50',
+						currency: 'EUR',
+						direction: 'expense',
+						date: new Date('2023-05-01'),
+						description: '',
+						externalId: null,
+					},
+				],
+			},
+			refreshedTokenMessage: 'refreshed token',
+		});
+	});
+
+	test('should not import anything if a row is not valid', async () => {
+		await importTransactions(request('date,amount,category\n2023-05-01,12.50,food\n2023-05-02,1.234,food\n'), mockRes);
+
+		expect(transactions.insertMany).not.toHaveBeenCalled();
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({
+			error: 'Invalid rows: nothing was imported',
+			errors: [{ line: 3, error: 'Invalid amount' }],
+		});
+	});
+
+	test('should abort the transaction if the insert fails', async () => {
+		transactions.insertMany.mockRejectedValueOnce(new Error('Database error'));
+
+		await importTransactions(request(csv), mockRes);
+
+		expect(transactions.insertMany.mock.calls[0][1]).toEqual({ ordered: true, session: mockSession });
+		expect(transactions.deleteMany).not.toHaveBeenCalled();
+		expect(mockSession.endSession).toHaveBeenCalled();
+		expect(mockRes.status).toHaveBeenCalledWith(500);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Database error' });
+	});
+
+	test('should insert without a transaction on a standalone server', async () => {
+		mockSession.withTransaction.mockRejectedValueOnce(
+			Object.assign(new Error('Transaction numbers are only allowed on a replica set member or mongos'), { code: 20 })
+		);
+
+		await importTransactions(request(csv), mockRes);
+
+		expect(transactions.insertMany).toHaveBeenCalledWith(expect.any(Array), { ordered: true });
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+	});
+
+	test('should remove the inserted transactions if the insert fails on a standalone server', async () => {
+		mockSession.withTransaction.mockRejectedValueOnce(Object.assign(new Error('No transactions'), { code: 20 }));
+		transactions.insertMany.mockRejectedValueOnce(new Error('Database error'));
+
+		await importTransactions(request(csv), mockRes);
+
+		const ids = transactions.insertMany.mock.calls[0][0].map((t) => t._id);
+		expect(transactions.deleteMany).toHaveBeenCalledWith({ _id: { $in: ids } });
+		expect(mockRes.status).toHaveBeenCalledWith(500);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Database error' });
+	});
+
+	test('should leave no rows behind if the insert fails partway on a standalone server', async () => {
+		const stored = [];
+		mockSession.withTransaction.mockRejectedValueOnce(Object.assign(new Error('No transactions'), { code: 20 }));
+		transactions.insertMany.mockImplementationOnce(async (docs) => {
+			stored.push(docs[0]);
+			throw new Error('Database error');
+		});
+		transactions.deleteMany.mockImplementationOnce(async ({ _id }) => {
+			stored.splice(0, stored.length, ...stored.filter((t) => !_id.$in.includes(t._id)));
+		});
+
+		await importTransactions(request(csv), mockRes);
+
+		expect(stored).toEqual([]);
+		expect(mockRes.status).toHaveBeenCalledWith(500);
+	});
+
+	test.each([
+		[{ dateFormat: 'DD/MM' }, 'Invalid date format'],
+		[{ decimal: ' ' }, 'Invalid decimal separator'],
+		[{ delimiter: ':' }, 'Invalid delimiter'],
+		[{ dryRun: 'yes' }, 'Invalid dryRun'],
+		[{ currency: 'euro' }, 'Invalid currency'],
+		[{ amountColumn: 'Value' }, 'Missing `Value` column'],
+		[{ descriptionColumn: 'Memo' }, 'Missing `Memo` column'],
+	])('should return 400 for the query %o', async (query, error) => {
+		await importTransactions(request(csv, query), mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: error });
+	});
+
+	test('should return 400 if the file is neither a CSV file nor a statement', async () => {
+		await importTransactions(request('{}', {}, 'application/json'), mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Send the transactions as text/csv, application/x-ofx or application/qif' });
+	});
+
+	test('should return 400 if the file has no rows', async () => {
+		await importTransactions(request('date,amount,category\n'), mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'No transactions in the file' });
+	});
+
+	test('should return 401 if the caller is another user', async () => {
+		verifyMultipleAuth.mockResolvedValue({ authorized: false, cause: 'Requested user different from the logged one' });
+
+		await importTransactions(request(csv), mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+		expect(transactions.insertMany).not.toHaveBeenCalled();
+	});
+
+	describe('statements', () => {
+		test('should import an OFX statement, mapping the payees to the categories of their latest transactions', async () => {
+			//The models share their automocked methods, so the queries are mocked in the order they are made
+			categories.find
+				.mockResolvedValueOnce([{ type: 'other' }])
+				.mockResolvedValueOnce([
+					{ type: 'food', direction: 'expense' },
+					{ type: 'other', direction: 'expense' },
+				])
+				.mockResolvedValueOnce([]);
+			transactions.aggregate.mockResolvedValueOnce([{ _id: 'Corner Shop', type: 'food' }]);
+
+			await importTransactions(request(ofx, { defaultCategory: 'other' }, 'application/x-ofx'), mockRes);
+
+			expect(transactions.aggregate.mock.calls[0][0][0]).toEqual({
+				$match: { username: 'mario', description: { $in: ['Corner Shop', 'Salary & bonus', 'Savings'] } },
+			});
+			expect(transactions.find).toHaveBeenLastCalledWith({
+				username: 'mario',
+				externalId: { $in: ['ofx:9876:T1', 'ofx:9876:T2', expect.any(String)] },
+			});
+			const [inserted] = transactions.insertMany.mock.calls[0];
+			expect(inserted).toEqual([
+				expect.objectContaining({ type: 'food', direction: 'expense', currency: 'USD', notes: 'Card 1234', externalId: 'ofx:9876:T1' }),
+				expect.objectContaining({ type: 'other', direction: 'income', description: 'Salary & bonus' }),
+				expect.objectContaining({ type: 'other', direction: 'transfer' }),
+			]);
+			expect(String(inserted[0].amount)).toBe('12.50');
+			expect(mockRes.json).toHaveBeenCalledWith({ data: { imported: 3, duplicates: 0 }, refreshedTokenMessage: 'refreshed token' });
+		});
+
+		test('should not import again the transactions of an overlapping statement', async () => {
+			categories.find
+				.mockResolvedValueOnce([{ type: 'other' }])
+				.mockResolvedValueOnce([{ type: 'other', direction: 'expense' }])
+				.mockResolvedValueOnce([{ externalId: 'ofx:9876:T1' }, { externalId: 'ofx:9876:T2' }]);
+			transactions.aggregate.mockResolvedValueOnce([]);
+
+			await importTransactions(request(ofx, { defaultCategory: 'other' }, 'application/vnd.intu.qfx'), mockRes);
+
+			expect(transactions.insertMany.mock.calls[0][0]).toEqual([expect.objectContaining({ direction: 'transfer' })]);
+			expect(mockRes.json).toHaveBeenCalledWith({ data: { imported: 1, duplicates: 2 }, refreshedTokenMessage: 'refreshed token' });
+		});
+
+		test('should use the QIF categories that exist and report the unmapped payees without a default category', async () => {
+			categories.find
+				.mockResolvedValueOnce([])
+				.mockResolvedValueOnce([{ type: 'salary', direction: 'income' }])
+				.mockResolvedValueOnce([]);
+			transactions.aggregate.mockResolvedValueOnce([{ _id: 'ACME', type: 'salary' }]);
+
+			await importTransactions(request(qif, { dryRun: 'true' }, 'application/qif'), mockRes);
+
+			expect(categories.find).toHaveBeenNthCalledWith(1, { type: { $in: ['Food'] } });
+			expect(mockRes.status).toHaveBeenCalledWith(200);
+			expect(mockRes.json).toHaveBeenCalledWith({
+				data: expect.objectContaining({
+					rows: 3,
+					valid: 1,
+					duplicates: 0,
+					errors: [
+						{ line: 2, error: 'Missing category' },
+						{ line: 12, error: 'Missing category' },
+					],
+					transactions: [expect.objectContaining({ line: 8, type: 'salary', amount: '2500.00', direction: 'income' })],
+				}),
+				refreshedTokenMessage: 'refreshed token',
+			});
+		});
+
+		test('should return 400 if the default category does not exist', async () => {
+			categories.find.mockResolvedValueOnce([]);
+
+			await importTransactions(request(ofx, { defaultCategory: 'misc' }, 'application/x-ofx'), mockRes);
+
+			expect(mockRes.status).toHaveBeenCalledWith(400);
+			expect(mockRes.json).toHaveBeenCalledWith({ error: 'Default category does not exist' });
+		});
+
+		test('should return 400 if the OFX file contains no statement', async () => {
+			await importTransactions(request('<OFX></OFX>', {}, 'application/x-ofx'), mockRes);
+
+			expect(mockRes.status).toHaveBeenCalledWith(400);
+			expect(mockRes.json).toHaveBeenCalledWith({ error: 'No statement in the file' });
+		});
+	});
+});
@@ -0,0 +1,153 @@
+import { LoginAttempt } from '../models/User.js';
+import {
+	lockoutDelay,
+	lockoutPolicy,
+	loginRetryAfter,
+	memoryStore,
+	mongoStore,
+	recordLoginFailure,
+	resetLoginFailures,
+	setLockoutStore,
+} from '../lockout/lockout.js';
+
+jest.mock('../models/User.js');
+
+afterEach(() => {
+	memoryStore.records.clear();
+	setLockoutStore(null);
+	delete process.env.LOCKOUT_STORE;
+});
+
+describe('lockoutDelay', () => {
+	const limits = { freeAttempts: 5, lockAfter: 10 };
+
+	test('should not delay the free attempts', () => {
+		expect(lockoutDelay(0, limits)).toBe(0);
+		expect(lockoutDelay(4, limits)).toBe(0);
+	});
+
+	test('should double the delay at each failure after the free attempts', () => {
+		expect(lockoutDelay(5, limits)).toBe(lockoutPolicy.baseDelayMs);
+		expect(lockoutDelay(6, limits)).toBe(2 * lockoutPolicy.baseDelayMs);
+		expect(lockoutDelay(9, limits)).toBe(16 * lockoutPolicy.baseDelayMs);
+	});
+
+	test('should lock for the lock duration after too many failures', () => {
+		expect(lockoutDelay(10, limits)).toBe(lockoutPolicy.lockDurationMs);
+		expect(lockoutDelay(50, limits)).toBe(lockoutPolicy.lockDurationMs);
+	});
+});
+
+describe('recordLoginFailure', () => {
+	test('should allow the free attempts', async () => {
+		for (let i = 0; i < lockoutPolicy.account.freeAttempts - 1; i++)
+			await recordLoginFailure({ email: 'enrico@gmail.com', ip: '10.0.0.1' });
+
+		expect(await loginRetryAfter({ email: 'enrico@gmail.com', ip: '10.0.0.1' })).toBe(0);
+	});
+
+	test('should delay the account after the free attempts, whatever the ip', async () => {
+		for (let i = 0; i < lockoutPolicy.account.freeAttempts; i++)
+			await recordLoginFailure({ email: 'enrico@gmail.com', ip: `10.0.0.${i}` });
+
+		const wait = await loginRetryAfter({ email: 'Enrico@gmail.com', ip: '10.0.0.99' });
+		expect(wait).toBeGreaterThan(0);
+		expect(wait).toBeLessThanOrEqual(lockoutPolicy.baseDelayMs);
+		expect(await loginRetryAfter({ email: 'mario@gmail.com' })).toBe(0);
+	});
+
+	test('should lock the account after too many failures', async () => {
+		for (let i = 0; i < lockoutPolicy.account.lockAfter; i++)
+			await recordLoginFailure({ email: 'enrico@gmail.com' });
+
+		const wait = await loginRetryAfter({ email: 'enrico@gmail.com' });
+		expect(wait).toBeGreaterThan(lockoutPolicy.lockDurationMs - 1000);
+	});
+
+	test('should delay an ip trying many accounts', async () => {
+		for (let i = 0; i < lockoutPolicy.ip.freeAttempts; i++)
+			await recordLoginFailure({ email: `user${i}@gmail.com`, ip: '10.0.0.1' });
+
+		expect(await loginRetryAfter({ email: 'new@gmail.com', ip: '10.0.0.1' })).toBeGreaterThan(0);
+		expect(await loginRetryAfter({ email: 'new@gmail.com', ip: '10.0.0.2' })).toBe(0);
+	});
+
+	test('should forget failures after the window', async () => {
+		const now = Date.now();
+		const spy = jest.spyOn(Date, 'now').mockReturnValue(now - lockoutPolicy.windowMs - 1000);
+		for (let i = 0; i < lockoutPolicy.account.freeAttempts; i++)
+			await recordLoginFailure({ email: 'enrico@gmail.com' });
+		spy.mockRestore();
+
+		expect(await loginRetryAfter({ email: 'enrico@gmail.com' })).toBe(0);
+		expect(await memoryStore.get('account:enrico@gmail.com')).toBeNull();
+	});
+});
+
+describe('resetLoginFailures', () => {
+	test('should clear the counters of the account', async () => {
+		for (let i = 0; i < lockoutPolicy.account.lockAfter; i++)
+			await recordLoginFailure({ email: 'enrico@gmail.com', ip: '10.0.0.1' });
+
+		await resetLoginFailures({ email: 'enrico@gmail.com' });
+
+		expect(await loginRetryAfter({ email: 'enrico@gmail.com' })).toBe(0);
+		expect(await memoryStore.get('ip:10.0.0.1')).toHaveProperty('failures', lockoutPolicy.account.lockAfter);
+	});
+});
+
+describe('setLockoutStore', () => {
+	test('should use a custom store', async () => {
+		const store = {
+			get: jest.fn().mockResolvedValue({ failures: 3, lockedUntil: new Date(Date.now() + 5000) }),
+			increment: jest.fn(),
+			lock: jest.fn(),
+			reset: jest.fn(),
+		};
+		setLockoutStore(store);
+
+		expect(await loginRetryAfter({ email: 'enrico@gmail.com' })).toBeGreaterThan(4000);
+		expect(store.get).toHaveBeenCalledWith('account:enrico@gmail.com');
+	});
+
+	test('should use the MongoDB store when LOCKOUT_STORE is mongo', async () => {
+		process.env.LOCKOUT_STORE = 'mongo';
+		LoginAttempt.findOne.mockResolvedValueOnce(null);
+
+		expect(await loginRetryAfter({ email: 'enrico@gmail.com' })).toBe(0);
+		expect(LoginAttempt.findOne).toHaveBeenCalledWith({
+			key: 'account:enrico@gmail.com',
+			expiresAt: { $gt: expect.any(Date) },
+		});
+	});
+});
+
+describe('mongoStore', () => {
+	test('increment should atomically count a failure, discarding expired counters', async () => {
+		const expiresAt = new Date();
+		LoginAttempt.findOneAndUpdate.mockResolvedValueOnce({ failures: 1 });
+
+		expect(await mongoStore.increment('ip:10.0.0.1', expiresAt)).toEqual({ failures: 1 });
+		expect(LoginAttempt.deleteOne).toHaveBeenCalledWith({
+			key: 'ip:10.0.0.1',
+			expiresAt: { $lte: expect.any(Date) },
+		});
+		expect(LoginAttempt.findOneAndUpdate).toHaveBeenCalledWith(
+			{ key: 'ip:10.0.0.1' },
+			{ $inc: { failures: 1 }, $set: { expiresAt: expiresAt } },
+			{ upsert: true, new: true }
+		);
+	});
+
+	test('lock and reset should update the counter', async () => {
+		const lockedUntil = new Date();
+		await mongoStore.lock('ip:10.0.0.1', lockedUntil, lockedUntil);
+		await mongoStore.reset('ip:10.0.0.1');
+
+		expect(LoginAttempt.updateOne).toHaveBeenCalledWith(
+			{ key: 'ip:10.0.0.1' },
+			{ $set: { lockedUntil: lockedUntil, expiresAt: lockedUntil } }
+		);
+		expect(LoginAttempt.deleteOne).toHaveBeenCalledWith({ key: 'ip:10.0.0.1' });
+	});
+});
@@ -0,0 +1,56 @@
+import { readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+	sendMail,
+	setMailTransport,
+	memoryTransport,
+	fileTransport,
+} from '../mail/mailer.js';
+
+afterEach(() => {
+	setMailTransport(null);
+	delete process.env.MAIL_TRANSPORT;
+	delete process.env.MAIL_FILE;
+	memoryTransport.sent.length = 0;
+});
+
+describe('sendMail', () => {
+	test('should use the transport set with setMailTransport', async () => {
+		const transport = { send: jest.fn() };
+		setMailTransport(transport);
+
+		await sendMail({ to: 'tester@test.com', subject: 'subject', text: 'text' });
+
+		expect(transport.send).toHaveBeenCalledWith(
+			expect.objectContaining({
+				to: 'tester@test.com',
+				subject: 'subject',
+				text: 'text',
+				from: expect.any(String),
+			})
+		);
+	});
+
+	test('should keep the emails in memory if MAIL_TRANSPORT is memory', async () => {
+		process.env.MAIL_TRANSPORT = 'memory';
+
+		await sendMail({ to: 'tester@test.com', subject: 'subject', text: 'text' });
+
+		expect(memoryTransport.sent).toHaveLength(1);
+		expect(memoryTransport.sent[0]).toHaveProperty('to', 'tester@test.com');
+	});
+
+	test('should append the emails to MAIL_FILE with the file transport', async () => {
+		const file = join(tmpdir(), `ezwallet-mail-${Date.now()}.log`);
+		process.env.MAIL_FILE = file;
+		setMailTransport(fileTransport);
+
+		await sendMail({ to: 'tester@test.com', subject: 'first', text: 'text' });
+		await sendMail({ to: 'tester@test.com', subject: 'second', text: 'text' });
+
+		const lines = (await readFile(file, 'utf8')).trim().split('\n');
+		expect(lines.map((line) => JSON.parse(line).subject)).toEqual(['first', 'second']);
+		await rm(file);
+	});
+});
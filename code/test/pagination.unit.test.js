@@ -0,0 +1,151 @@
+import mongoose from 'mongoose';
+import {
+	cursorFilter,
+	DEFAULT_PAGE_SIZE,
+	handlePaginationParams,
+	MAX_PAGE_SIZE,
+	pageResult,
+	paginationStages,
+	sortSpec,
+	TRANSACTION_SORT_FIELDS,
+} from '../controllers/pagination';
+
+const id = (n) => `64a00000000000000000000${n}`;
+
+const cursorOf = (params, docs) => pageResult(docs, handlePaginationParams({ query: params }, TRANSACTION_SORT_FIELDS)).nextCursor;
+
+describe('handlePaginationParams', () => {
+	test('should return the first page in creation order without parameters', () => {
+		expect(handlePaginationParams({ query: {} })).toEqual({
+			limit: DEFAULT_PAGE_SIZE,
+			sort: null,
+			field: '_id',
+			order: 1,
+			after: null,
+		});
+	});
+
+	test('should accept a request without query', () => {
+		expect(handlePaginationParams({}).limit).toBe(DEFAULT_PAGE_SIZE);
+	});
+
+	test.each([
+		['date', 'date', 1],
+		['-date', 'date', -1],
+		['amount', 'amount', 1],
+		['-amount', 'amount', -1],
+	])('should parse the sort %s', (sort, field, order) => {
+		const pagination = handlePaginationParams({ query: { sort, limit: '10' } }, TRANSACTION_SORT_FIELDS);
+
+		expect(pagination).toEqual(expect.objectContaining({ limit: 10, sort, field, order }));
+	});
+
+	test.each(['0', '-1', '1.5', 'ten', String(MAX_PAGE_SIZE + 1)])('should throw for the limit %s', (limit) => {
+		expect(() => handlePaginationParams({ query: { limit } })).toThrow('Invalid `limit` parameter');
+	});
+
+	test.each(['username', '-_id', ''])('should throw for the sort %s', (sort) => {
+		expect(() => handlePaginationParams({ query: { sort } }, TRANSACTION_SORT_FIELDS)).toThrow(
+			'Invalid `sort` parameter'
+		);
+	});
+
+	test('should throw for a sort when the documents cannot be sorted', () => {
+		expect(() => handlePaginationParams({ query: { sort: 'date' } })).toThrow('Invalid `sort` parameter');
+	});
+
+	test('should decode the cursor returned with a page', () => {
+		const cursor = cursorOf({ sort: '-date', limit: '1' }, [
+			{ _id: id(2), date: new Date('2023-05-02') },
+			{ _id: id(1), date: new Date('2023-05-01') },
+		]);
+
+		const { after } = handlePaginationParams({ query: { sort: '-date', cursor } }, TRANSACTION_SORT_FIELDS);
+
+		expect(after).toEqual({ sort: '-date', id: new mongoose.Types.ObjectId(id(2)), value: new Date('2023-05-02') });
+	});
+
+	test('should decode the decimal amount of a cursor', () => {
+		const cursor = cursorOf({ sort: 'amount', limit: '1' }, [
+			{ _id: id(1), amount: mongoose.Types.Decimal128.fromString('9.99') },
+			{ _id: id(2), amount: mongoose.Types.Decimal128.fromString('10.00') },
+		]);
+
+		const { after } = handlePaginationParams({ query: { sort: 'amount', cursor } }, TRANSACTION_SORT_FIELDS);
+
+		expect(after.value).toEqual(mongoose.Types.Decimal128.fromString('9.99'));
+	});
+
+	test('should throw for a cursor with an amount that is not a number', () => {
+		const cursor = Buffer.from(JSON.stringify({ sort: 'amount', id: id(1), value: 'abc' })).toString('base64url');
+
+		expect(() => handlePaginationParams({ query: { sort: 'amount', cursor } }, TRANSACTION_SORT_FIELDS)).toThrow(
+			'Invalid `cursor` parameter'
+		);
+	});
+
+	test('should throw for a cursor returned with a different sort', () => {
+		const cursor = cursorOf({ sort: 'amount', limit: '1' }, [
+			{ _id: id(1), amount: 10 },
+			{ _id: id(2), amount: 20 },
+		]);
+
+		expect(() => handlePaginationParams({ query: { sort: 'date', cursor } }, TRANSACTION_SORT_FIELDS)).toThrow(
+			'Invalid `cursor` parameter'
+		);
+	});
+
+	test.each(['garbage', Buffer.from('{"sort":null,"id":"nope"}').toString('base64url')])(
+		'should throw for the cursor %s',
+		(cursor) => {
+			expect(() => handlePaginationParams({ query: { cursor } })).toThrow('Invalid `cursor` parameter');
+		}
+	);
+});
+
+describe('cursorFilter and sortSpec', () => {
+	const after = { id: new mongoose.Types.ObjectId(id(5)), value: 20 };
+
+	test('should not filter the first page', () => {
+		expect(cursorFilter({ field: 'amount', order: 1, after: null })).toEqual({});
+	});
+
+	test('should select the documents following the cursor in creation order', () => {
+		expect(cursorFilter({ field: '_id', order: 1, after })).toEqual({ _id: { $gt: after.id } });
+		expect(sortSpec({ field: '_id', order: 1 })).toEqual({ _id: 1 });
+	});
+
+	test('should break ties on the sorted field with the id', () => {
+		expect(cursorFilter({ field: 'amount', order: -1, after })).toEqual({
+			$or: [{ amount: { $lt: 20 } }, { amount: 20, _id: { $lt: after.id } }],
+		});
+		expect(sortSpec({ field: 'amount', order: -1 })).toEqual({ amount: -1, _id: -1 });
+	});
+
+	test('should select one document more than the page', () => {
+		expect(paginationStages({ field: 'date', order: 1, after: null, limit: 10 })).toEqual([
+			{ $match: {} },
+			{ $sort: { date: 1, _id: 1 } },
+			{ $limit: 11 },
+		]);
+	});
+});
+
+describe('pageResult', () => {
+	const pagination = { limit: 2, sort: null, field: '_id', order: 1, after: null };
+
+	test('should return no cursor for the last page', () => {
+		const docs = [{ _id: id(1) }, { _id: id(2) }];
+
+		expect(pageResult(docs, pagination)).toEqual({ page: docs, nextCursor: null });
+	});
+
+	test('should drop the extra document and return the cursor of the next page', () => {
+		const { page, nextCursor } = pageResult([{ _id: id(1) }, { _id: id(2) }, { _id: id(3) }], pagination);
+
+		expect(page).toEqual([{ _id: id(1) }, { _id: id(2) }]);
+		expect(handlePaginationParams({ query: { cursor: nextCursor } }).after.id).toEqual(
+			new mongoose.Types.ObjectId(id(2))
+		);
+	});
+});
@@ -0,0 +1,520 @@
+import mongoose from 'mongoose';
+import { categories, recurringTransactions, transactions } from '../models/model.js';
+import { User } from '../models/User.js';
+import {
+	createRecurring,
+	deleteRecurring,
+	getRecurring,
+	indexAfter,
+	materializeRecurring,
+	nextOccurrenceOf,
+	occurrenceAt,
+	pauseRecurring,
+	restoreOccurrence,
+	resumeRecurring,
+	skipOccurrence,
+	updateRecurring,
+} from '../controllers/recurring.js';
+import { verifyMultipleAuth } from '../controllers/utils';
+
+jest.mock('../models/model.js');
+jest.mock('../models/User.js');
+jest.mock('../controllers/utils', () => ({
+	...jest.createMockFromModule('../controllers/utils'),
+	normalizeTags: jest.requireActual('../controllers/utils').normalizeTags,
+}));
+
+const decimal = (value) => mongoose.Types.Decimal128.fromString(value);
+const recurringId = '64a7f0c2e4b0a1b2c3d4e5f6';
+
+const rent = {
+	_id: recurringId,
+	username: 'mario',
+	type: 'home',
+	amount: decimal('800.00'),
+	currency: 'EUR',
+	direction: 'expense',
+	description: 'Rent',
+	notes: '',
+	tags: [],
+	frequency: 'monthly',
+	interval: 1,
+	start: new Date('2023-01-31T09:00:00Z'),
+	until: null,
+	count: null,
+	skipped: [],
+	paused: false,
+	nextIndex: 0,
+	nextOccurrence: new Date('2023-01-31T09:00:00Z'),
+};
+
+let mockRes;
+
+beforeEach(() => {
+	jest.resetAllMocks();
+	mockRes = {
+		status: jest.fn(() => mockRes),
+		json: jest.fn(),
+		locals: {
+			refreshedTokenMessage: 'refreshed token',
+		},
+	};
+	verifyMultipleAuth.mockResolvedValue({ authorized: true, cause: 'Authorized', user: { username: 'mario' } });
+	User.findOne.mockResolvedValue({ username: 'mario', baseCurrency: 'EUR' });
+});
+
+describe('occurrenceAt', () => {
+	test('should fall on the last day of the months shorter than the day of the start', () => {
+		const dates = [0, 1, 2, 3, 13].map((index) => occurrenceAt(rent, index).toISOString());
+
+		expect(dates).toEqual([
+			'2023-01-31T09:00:00.000Z',
+			'2023-02-28T09:00:00.000Z',
+			'2023-03-31T09:00:00.000Z',
+			'2023-04-30T09:00:00.000Z',
+			'2024-02-29T09:00:00.000Z',
+		]);
+	});
+
+	test.each([
+		['daily', 3, 2, '2023-01-07'],
+		['weekly', 2, 3, '2023-02-12'],
+		['yearly', 1, 2, '2025-01-01'],
+	])('should move by the interval of a %s schedule', (frequency, interval, index, expected) => {
+		const schedule = { frequency, interval, start: new Date('2023-01-01') };
+
+		expect(occurrenceAt(schedule, index)).toEqual(new Date(expected));
+	});
+});
+
+describe('indexAfter and nextOccurrenceOf', () => {
+	test('should return the first occurrence after a date', () => {
+		expect(indexAfter(rent, new Date('2022-12-01'))).toBe(0);
+		expect(indexAfter(rent, new Date('2023-01-31T09:00:00Z'))).toBe(1);
+		expect(indexAfter(rent, new Date('2023-04-15'))).toBe(3);
+		expect(indexAfter({ frequency: 'daily', interval: 2, start: new Date('2023-01-01') }, new Date('2023-12-31'))).toBe(
+			183
+		);
+	});
+
+	test('should end the schedule after count occurrences or on the day of until', () => {
+		expect(nextOccurrenceOf({ ...rent, count: 3 }, 2)).toEqual(new Date('2023-03-31T09:00:00Z'));
+		expect(nextOccurrenceOf({ ...rent, count: 3 }, 3)).toBeNull();
+		expect(nextOccurrenceOf({ ...rent, until: new Date('2023-03-31') }, 2)).toEqual(new Date('2023-03-31T09:00:00Z'));
+		expect(nextOccurrenceOf({ ...rent, until: new Date('2023-03-31') }, 3)).toBeNull();
+	});
+});
+
+describe('createRecurring', () => {
+	const request = (body) => ({ params: { username: 'mario' }, body });
+
+	test('should store the template with the first occurrence of the schedule', async () => {
+		categories.findOne.mockResolvedValue({ type: 'home', direction: 'expense' });
+		recurringTransactions.create.mockImplementation(async (recurring) => ({ ...recurring, _id: recurringId }));
+
+		await createRecurring(
+			request({ type: 'home', amount: '800', description: 'Rent', frequency: 'monthly', start: '2023-01-31T09:00:00Z', count: 12 }),
+			mockRes
+		);
+
+		expect(verifyMultipleAuth).toHaveBeenCalledWith(expect.anything(), mockRes, {
+			authType: ['User', 'Admin'],
+			scope: 'transactions:write',
+		});
+		expect(recurringTransactions.create).toHaveBeenCalledWith({
+			username: 'mario',
+			type: 'home',
+			direction: 'expense',
+			description: 'Rent',
+			amount: decimal('800.00'),
+			currency: 'EUR',
+			frequency: 'monthly',
+			interval: 1,
+			start: new Date('2023-01-31T09:00:00Z'),
+			until: null,
+			count: 12,
+			nextIndex: 0,
+			nextOccurrence: new Date('2023-01-31T09:00:00Z'),
+		});
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: expect.objectContaining({ _id: recurringId, amount: '800.00', count: 12, paused: false }),
+			refreshedTokenMessage: 'refreshed token',
+		});
+	});
+
+	test('should start now and take the direction of the category by default', async () => {
+		categories.findOne.mockResolvedValue({ type: 'salary', direction: 'income' });
+		recurringTransactions.create.mockImplementation(async (recurring) => recurring);
+		const before = Date.now();
+
+		await createRecurring(request({ type: 'salary', amount: 2500, frequency: 'monthly' }), mockRes);
+
+		const stored = recurringTransactions.create.mock.calls[0][0];
+		expect(stored.direction).toBe('income');
+		expect(stored.start.getTime()).toBeGreaterThanOrEqual(before);
+		expect(stored.nextOccurrence).toEqual(stored.start);
+	});
+
+	test.each([
+		[{ type: 'home', amount: '800' }, 'Missing parameters'],
+		[{ type: 'home', frequency: 'monthly' }, 'Missing parameters'],
+		[{ type: 'home', amount: '800', frequency: 'hourly' }, 'Invalid frequency'],
+		[{ type: 'home', amount: '800', frequency: 'monthly', interval: 0 }, 'Invalid interval'],
+		[{ type: 'home', amount: '800', frequency: 'monthly', interval: 1.5 }, 'Invalid interval'],
+		[{ type: 'home', amount: '800', frequency: 'monthly', start: 'soon' }, 'Invalid start'],
+		[{ type: 'home', amount: '800', frequency: 'monthly', count: -2 }, 'Invalid count'],
+		[{ type: 'home', amount: '800', frequency: 'monthly', start: '2023-05-01', until: '2023-04-30' }, 'Invalid until'],
+		[{ type: 'home', amount: '800', frequency: 'monthly', until: '2030-01-01', count: 3 }, 'Set either until or count'],
+		[{ type: 'home', amount: '800', frequency: 'monthly', direction: 'up' }, 'Invalid direction'],
+	])('should return 400 for the body %o', async (body, error) => {
+		await createRecurring(request(body), mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: error });
+		expect(recurringTransactions.create).not.toHaveBeenCalled();
+	});
+
+	test('should return 400 if the amount is not valid for the currency', async () => {
+		categories.findOne.mockResolvedValue({ type: 'home' });
+
+		await createRecurring(request({ type: 'home', amount: '800.5', currency: 'JPY', frequency: 'monthly' }), mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid amount' });
+	});
+
+	test('should return 400 if the category does not exist', async () => {
+		categories.findOne.mockResolvedValue(null);
+
+		await createRecurring(request({ type: 'home', amount: '800', frequency: 'monthly' }), mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Category does not exist' });
+	});
+
+	test('should return 401 if the caller is neither the user nor an admin', async () => {
+		verifyMultipleAuth.mockResolvedValue({ authorized: false, cause: 'Unauthorized' });
+
+		await createRecurring(request({ type: 'home', amount: '800', frequency: 'monthly' }), mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Unauthorized' });
+	});
+});
+
+describe('getRecurring', () => {
+	test('should return the recurring transactions of the user', async () => {
+		recurringTransactions.find.mockResolvedValue([rent]);
+
+		await getRecurring({ params: { username: 'mario' } }, mockRes);
+
+		expect(verifyMultipleAuth).toHaveBeenCalledWith(expect.anything(), mockRes, {
+			authType: ['User', 'Admin'],
+			scope: 'transactions:read',
+		});
+		expect(recurringTransactions.find).toHaveBeenCalledWith({ username: 'mario' });
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: [
+				{
+					_id: recurringId,
+					username: 'mario',
+					type: 'home',
+					amount: '800.00',
+					currency: 'EUR',
+					direction: 'expense',
+					description: 'Rent',
+					notes: '',
+					tags: [],
+					frequency: 'monthly',
+					interval: 1,
+					start: rent.start,
+					until: null,
+					count: null,
+					skipped: [],
+					paused: false,
+					nextOccurrence: rent.nextOccurrence,
+				},
+			],
+			refreshedTokenMessage: 'refreshed token',
+		});
+	});
+
+	test('should return 400 if the user does not exist', async () => {
+		User.findOne.mockResolvedValue(null);
+
+		await getRecurring({ params: { username: 'mario' } }, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'User does not exist' });
+	});
+});
+
+describe('updateRecurring', () => {
+	const request = (body) => ({ params: { username: 'mario', id: recurringId }, body });
+
+	test('should update the transaction attributes without moving the schedule', async () => {
+		recurringTransactions.findOne.mockResolvedValue({ ...rent, nextIndex: 4 });
+		recurringTransactions.findOneAndUpdate.mockResolvedValue({ ...rent, amount: decimal('850.00') });
+
+		await updateRecurring(request({ amount: '850' }), mockRes);
+
+		expect(recurringTransactions.findOne).toHaveBeenCalledWith({ _id: recurringId, username: 'mario' });
+		expect(recurringTransactions.findOneAndUpdate).toHaveBeenCalledWith(
+			{ _id: recurringId },
+			{ $set: { amount: decimal('850.00') } },
+			{ new: true }
+		);
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json.mock.calls[0][0].data.amount).toBe('850.00');
+	});
+
+	test('should continue a new schedule after the last processed occurrence', async () => {
+		recurringTransactions.findOne.mockResolvedValue({ ...rent, nextIndex: 3 });
+		recurringTransactions.findOneAndUpdate.mockResolvedValue(rent);
+
+		await updateRecurring(request({ frequency: 'weekly', interval: 2 }), mockRes);
+
+		//The last occurrence of the monthly schedule was on March 31, the weekly one falls on Tuesdays from January 31
+		const { $set } = recurringTransactions.findOneAndUpdate.mock.calls[0][1];
+		expect($set).toEqual(
+			expect.objectContaining({
+				frequency: 'weekly',
+				interval: 2,
+				nextIndex: 5,
+				nextOccurrence: new Date('2023-04-11T09:00:00Z'),
+			})
+		);
+	});
+
+	test('should take the direction of a new category', async () => {
+		//The models share their automocked methods, so the lookups are mocked in the order they are made
+		categories.findOne.mockResolvedValueOnce({ type: 'salary', direction: 'income' });
+		recurringTransactions.findOne.mockResolvedValueOnce(rent);
+		recurringTransactions.findOneAndUpdate.mockResolvedValue(rent);
+
+		await updateRecurring(request({ type: 'salary' }), mockRes);
+
+		expect(recurringTransactions.findOneAndUpdate.mock.calls[0][1]).toEqual({
+			$set: { type: 'salary', direction: 'income' },
+		});
+	});
+
+	test.each([
+		[{}, 'Missing parameters'],
+		[{ count: 0 }, 'Invalid count'],
+		[{ until: '2023-01-01' }, 'Invalid until'],
+		[{ amount: 'a lot' }, 'Invalid amount'],
+	])('should return 400 for the body %o', async (body, error) => {
+		recurringTransactions.findOne.mockResolvedValue(rent);
+
+		await updateRecurring(request(body), mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: error });
+		expect(recurringTransactions.findOneAndUpdate).not.toHaveBeenCalled();
+	});
+
+	test('should return 400 if the recurring transaction belongs to another user', async () => {
+		recurringTransactions.findOne.mockResolvedValue(null);
+
+		await updateRecurring(request({ amount: '850' }), mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Recurring transaction not found' });
+	});
+});
+
+describe('deleteRecurring', () => {
+	test('should delete the recurring transaction and keep its transactions', async () => {
+		recurringTransactions.findOne.mockResolvedValue(rent);
+
+		await deleteRecurring({ params: { username: 'mario', id: recurringId } }, mockRes);
+
+		expect(recurringTransactions.deleteOne).toHaveBeenCalledWith({ _id: recurringId });
+		expect(transactions.deleteMany).not.toHaveBeenCalled();
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: { message: 'Recurring transaction deleted' },
+			refreshedTokenMessage: 'refreshed token',
+		});
+	});
+
+	test('should return 400 if the id is not valid', async () => {
+		await deleteRecurring({ params: { username: 'mario', id: 'nope' } }, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Recurring transaction not found' });
+		expect(recurringTransactions.deleteOne).not.toHaveBeenCalled();
+	});
+});
+
+describe('skipOccurrence and restoreOccurrence', () => {
+	const request = (date) => ({ params: { username: 'mario', id: recurringId }, body: { date } });
+
+	test('should skip the occurrence on a day', async () => {
+		recurringTransactions.findOne.mockResolvedValue({ ...rent, nextIndex: 1 });
+		recurringTransactions.findOneAndUpdate.mockResolvedValue({ ...rent, skipped: ['2023-04-30'] });
+
+		await skipOccurrence(request('2023-04-30'), mockRes);
+
+		expect(recurringTransactions.findOneAndUpdate).toHaveBeenCalledWith(
+			{ _id: recurringId },
+			{ $addToSet: { skipped: '2023-04-30' } },
+			{ new: true }
+		);
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json.mock.calls[0][0].data.skipped).toEqual(['2023-04-30']);
+	});
+
+	test('should restore a skipped occurrence', async () => {
+		recurringTransactions.findOne.mockResolvedValue({ ...rent, skipped: ['2023-04-30'] });
+		recurringTransactions.findOneAndUpdate.mockResolvedValue(rent);
+
+		await restoreOccurrence(request('2023-04-30T00:00:00Z'), mockRes);
+
+		expect(recurringTransactions.findOneAndUpdate).toHaveBeenCalledWith(
+			{ _id: recurringId },
+			{ $pull: { skipped: '2023-04-30' } },
+			{ new: true }
+		);
+	});
+
+	test.each([
+		['2023-04-29', { ...rent }, 'No occurrence on this date'],
+		['2023-04-30', { ...rent, count: 3 }, 'No occurrence on this date'],
+		['2023-02-28', { ...rent, nextIndex: 2 }, 'Occurrence already processed'],
+		['someday', { ...rent }, 'Invalid date'],
+	])('should return 400 for the day %s', async (date, recurring, error) => {
+		recurringTransactions.findOne.mockResolvedValue(recurring);
+
+		await skipOccurrence(request(date), mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: error });
+		expect(recurringTransactions.findOneAndUpdate).not.toHaveBeenCalled();
+	});
+});
+
+describe('pauseRecurring and resumeRecurring', () => {
+	const request = { params: { username: 'mario', id: recurringId } };
+
+	test('should pause a recurring transaction', async () => {
+		recurringTransactions.findOne.mockResolvedValue(rent);
+		recurringTransactions.findOneAndUpdate.mockResolvedValue({ ...rent, paused: true });
+
+		await pauseRecurring(request, mockRes);
+
+		expect(recurringTransactions.findOneAndUpdate).toHaveBeenCalledWith(
+			{ _id: recurringId },
+			{ $set: { paused: true } },
+			{ new: true }
+		);
+		expect(mockRes.json.mock.calls[0][0].data).toEqual(expect.objectContaining({ paused: true, nextOccurrence: null }));
+	});
+
+	test('should return 400 if the recurring transaction is already paused', async () => {
+		recurringTransactions.findOne.mockResolvedValue({ ...rent, paused: true });
+
+		await pauseRecurring(request, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Recurring transaction already paused' });
+	});
+
+	test('should resume from the first occurrence of the current day, dropping the ones of the pause', async () => {
+		jest.useFakeTimers({ now: new Date('2023-06-30T18:00:00Z') });
+		recurringTransactions.findOne.mockResolvedValue({ ...rent, paused: true, nextIndex: 2 });
+		recurringTransactions.findOneAndUpdate.mockResolvedValue(rent);
+
+		await resumeRecurring(request, mockRes);
+		jest.useRealTimers();
+
+		expect(recurringTransactions.findOneAndUpdate).toHaveBeenCalledWith(
+			{ _id: recurringId },
+			{ $set: { paused: false, nextIndex: 5, nextOccurrence: new Date('2023-06-30T09:00:00Z') } },
+			{ new: true }
+		);
+	});
+
+	test('should return 400 if the recurring transaction is not paused', async () => {
+		recurringTransactions.findOne.mockResolvedValue(rent);
+
+		await resumeRecurring(request, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Recurring transaction not paused' });
+	});
+});
+
+describe('materializeRecurring', () => {
+	test('should create the due occurrences that are not skipped and record the next one', async () => {
+		recurringTransactions.find.mockResolvedValue([{ ...rent, skipped: ['2023-02-28'] }]);
+		transactions.bulkWrite.mockResolvedValue({ upsertedCount: 2 });
+
+		const created = await materializeRecurring(new Date('2023-04-15'));
+
+		expect(recurringTransactions.find).toHaveBeenCalledWith({
+			paused: false,
+			nextOccurrence: { $lte: new Date('2023-04-15') },
+		});
+		const writes = transactions.bulkWrite.mock.calls[0][0];
+		expect(writes.map((w) => w.updateOne.filter)).toEqual([
+			{ recurring: recurringId, occurrence: new Date('2023-01-31T09:00:00Z') },
+			{ recurring: recurringId, occurrence: new Date('2023-03-31T09:00:00Z') },
+		]);
+		expect(writes[0].updateOne).toEqual({
+			filter: expect.anything(),
+			update: {
+				$setOnInsert: {
+					username: 'mario',
+					type: 'home',
+					amount: rent.amount,
+					currency: 'EUR',
+					direction: 'expense',
+					description: 'Rent',
+					notes: '',
+					tags: [],
+					date: new Date('2023-01-31T09:00:00Z'),
+				},
+			},
+			upsert: true,
+		});
+		expect(recurringTransactions.updateOne).toHaveBeenCalledWith(
+			{ _id: recurringId, nextIndex: 0 },
+			{ $set: { nextIndex: 3, nextOccurrence: new Date('2023-04-30T09:00:00Z') } }
+		);
+		expect(created).toBe(2);
+	});
+
+	test('should not count the occurrences created by a previous run', async () => {
+		recurringTransactions.find.mockResolvedValue([{ ...rent, nextIndex: 2, nextOccurrence: new Date('2023-03-31T09:00:00Z') }]);
+		transactions.bulkWrite.mockResolvedValue({ upsertedCount: 0 });
+
+		expect(await materializeRecurring(new Date('2023-04-15'))).toBe(0);
+		expect(transactions.bulkWrite.mock.calls[0][0]).toHaveLength(1);
+	});
+
+	test('should end the schedule after its last occurrence', async () => {
+		recurringTransactions.find.mockResolvedValue([{ ...rent, count: 2 }]);
+		transactions.bulkWrite.mockResolvedValue({ upsertedCount: 2 });
+
+		await materializeRecurring(new Date('2023-12-31'));
+
+		expect(transactions.bulkWrite.mock.calls[0][0]).toHaveLength(2);
+		expect(recurringTransactions.updateOne).toHaveBeenCalledWith(
+			{ _id: recurringId, nextIndex: 0 },
+			{ $set: { nextIndex: 2, nextOccurrence: null } }
+		);
+	});
+
+	test('should only record the progress when every occurrence is skipped', async () => {
+		recurringTransactions.find.mockResolvedValue([{ ...rent, skipped: ['2023-01-31'] }]);
+
+		expect(await materializeRecurring(new Date('2023-02-01'))).toBe(0);
+		expect(transactions.bulkWrite).not.toHaveBeenCalled();
+		expect(recurringTransactions.updateOne).toHaveBeenCalledWith(
+			{ _id: recurringId, nextIndex: 0 },
+			{ $set: { nextIndex: 1, nextOccurrence: new Date('2023-02-28T09:00:00Z') } }
+		);
+	});
+});
@@ -0,0 +1,239 @@
+import { Role, Session, User } from '../models/User.js';
+import { createRole, deleteRole, getRoles, updateRole, updateUserRole } from '../controllers/roles.js';
+import { requirePermission } from '../routes/permissions.js';
+import { verifyAuth } from '../controllers/utils';
+
+jest.mock('../models/User.js');
+jest.mock('../controllers/utils', () => {
+	const actual = jest.requireActual('../controllers/utils');
+	return {
+		...jest.createMockFromModule('../controllers/utils'),
+		PERMISSIONS: actual.PERMISSIONS,
+		BUILT_IN_ROLES: actual.BUILT_IN_ROLES,
+	};
+});
+
+const auditor = {
+	name: 'Auditor',
+	description: 'Reads everything',
+	permissions: ['transactions:read', 'users:read'],
+};
+
+let mockRes;
+
+beforeEach(() => {
+	jest.clearAllMocks();
+	mockRes = {
+		status: jest.fn(() => mockRes),
+		json: jest.fn(),
+		locals: {
+			refreshedTokenMessage: 'refreshed token',
+		},
+	};
+	verifyAuth.mockResolvedValue({ authorized: true, cause: 'Authorized' });
+});
+
+describe('requirePermission', () => {
+	test('should record the permission of the route on the request', () => {
+		const req = {};
+		const next = jest.fn();
+
+		requirePermission('users:read')(req, {}, next);
+
+		expect(req.permission).toBe('users:read');
+		expect(next).toHaveBeenCalled();
+	});
+});
+
+describe('getRoles', () => {
+	test('should return the stored roles', async () => {
+		Role.find.mockResolvedValue([{ ...auditor, _id: 'role1' }]);
+
+		await getRoles({}, mockRes);
+
+		expect(verifyAuth).toHaveBeenCalledWith({}, mockRes, { authType: 'Admin' });
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({ data: [auditor], refreshedTokenMessage: 'refreshed token' });
+	});
+
+	test('should return 401 if not called by an admin', async () => {
+		verifyAuth.mockResolvedValue({ authorized: false, cause: 'Not admin' });
+
+		await getRoles({}, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Not admin' });
+	});
+});
+
+describe('createRole', () => {
+	test('should create a role', async () => {
+		Role.findOne.mockResolvedValue(null);
+		Role.create.mockImplementation(async (role) => role);
+
+		await createRole(
+			{ body: { name: ' Auditor ', description: 'Reads everything', permissions: auditor.permissions } },
+			mockRes
+		);
+
+		expect(Role.create).toHaveBeenCalledWith(auditor);
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({ data: auditor, refreshedTokenMessage: 'refreshed token' });
+	});
+
+	test('should return 400 if a parameter is missing', async () => {
+		await createRole({ body: { name: 'Auditor' } }, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Missing parameters' });
+	});
+
+	test('should return 400 if a permission is unknown', async () => {
+		await createRole({ body: { name: 'Auditor', permissions: ['everything'] } }, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid permissions' });
+	});
+
+	test.each(['Admin', 'Regular'])('should return 400 for the built-in role %s', async (name) => {
+		await createRole({ body: { name, permissions: [] } }, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Role already exists' });
+		expect(Role.create).not.toHaveBeenCalled();
+	});
+
+	test('should return 400 if the role already exists', async () => {
+		Role.findOne.mockResolvedValue(auditor);
+
+		await createRole({ body: { name: 'Auditor', permissions: [] } }, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Role already exists' });
+	});
+});
+
+describe('updateRole', () => {
+	test('should replace the permissions of the role', async () => {
+		Role.findOneAndUpdate.mockResolvedValue({ ...auditor, permissions: ['users:read'] });
+
+		await updateRole({ params: { name: 'Auditor' }, body: { permissions: ['users:read'] } }, mockRes);
+
+		expect(Role.findOneAndUpdate).toHaveBeenCalledWith(
+			{ name: 'Auditor' },
+			{ $set: { permissions: ['users:read'] } },
+			{ new: true }
+		);
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+	});
+
+	test('should return 400 if the role does not exist', async () => {
+		Role.findOneAndUpdate.mockResolvedValue(null);
+
+		await updateRole({ params: { name: 'Nobody' }, body: { description: 'x' } }, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Role not found' });
+	});
+
+	test('should return 400 if nothing is updated', async () => {
+		await updateRole({ params: { name: 'Auditor' }, body: {} }, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Missing parameters' });
+	});
+});
+
+describe('deleteRole', () => {
+	test('should delete a role that is not assigned', async () => {
+		Role.findOne.mockResolvedValue(auditor);
+		User.countDocuments.mockResolvedValue(0);
+
+		await deleteRole({ params: { name: 'Auditor' } }, mockRes);
+
+		expect(Role.deleteOne).toHaveBeenCalledWith({ name: 'Auditor' });
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: { message: 'Role deleted' },
+			refreshedTokenMessage: 'refreshed token',
+		});
+	});
+
+	test('should return 400 if the role is assigned to users', async () => {
+		Role.findOne.mockResolvedValue(auditor);
+		User.countDocuments.mockResolvedValue(2);
+
+		await deleteRole({ params: { name: 'Auditor' } }, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Role is assigned to users' });
+		expect(Role.deleteOne).not.toHaveBeenCalled();
+	});
+
+	test('should return 400 if the role does not exist', async () => {
+		Role.findOne.mockResolvedValue(null);
+
+		await deleteRole({ params: { name: 'Nobody' } }, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Role not found' });
+	});
+});
+
+describe('updateUserRole', () => {
+	const request = (role) => ({ params: { username: 'mario' }, body: { role } });
+
+	test('should assign the role and revoke the sessions of the user', async () => {
+		Role.findOne.mockResolvedValueOnce(auditor);
+		User.findOne.mockResolvedValueOnce({ _id: 'user1', username: 'mario', email: 'mario@example.com', role: 'Regular' });
+
+		await updateUserRole(request('Auditor'), mockRes);
+
+		expect(User.updateOne).toHaveBeenCalledWith({ _id: 'user1' }, { $set: { role: 'Auditor' } });
+		expect(Session.deleteMany).toHaveBeenCalledWith({ user: 'user1' });
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: { username: 'mario', email: 'mario@example.com', role: 'Auditor' },
+			refreshedTokenMessage: 'refreshed token',
+		});
+	});
+
+	test('should accept the Regular role without looking it up', async () => {
+		User.findOne.mockResolvedValueOnce({ _id: 'user1', username: 'mario', role: 'Auditor' });
+
+		await updateUserRole(request('Regular'), mockRes);
+
+		expect(User.updateOne).toHaveBeenCalledWith({ _id: 'user1' }, { $set: { role: 'Regular' } });
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+	});
+
+	test.each(['Admin', 'Nobody'])('should return 400 for the role %s', async (role) => {
+		Role.findOne.mockResolvedValueOnce(null);
+
+		await updateUserRole(request(role), mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Role not found' });
+	});
+
+	test('should return 400 if the user is an admin', async () => {
+		Role.findOne.mockResolvedValueOnce(auditor);
+		User.findOne.mockResolvedValueOnce({ _id: 'admin1', username: 'mario', role: 'Admin' });
+
+		await updateUserRole(request('Auditor'), mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Cannot change the role of an admin' });
+		expect(User.updateOne).not.toHaveBeenCalled();
+	});
+
+	test('should return 400 if the user does not exist', async () => {
+		Role.findOne.mockResolvedValueOnce(auditor);
+		User.findOne.mockResolvedValueOnce(null);
+
+		await updateUserRole(request('Auditor'), mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'User not found' });
+	});
+});
@@ -0,0 +1,267 @@
+import { Session, User } from '../models/User.js';
+import {
+	deleteOtherSessions,
+	deleteSession,
+	getSessions,
+	keepOnlySession,
+	startSession,
+} from '../controllers/sessions.js';
+import {
+	clearAuthCookies,
+	createTokens,
+	hashToken,
+	setAuthCookies,
+	verifyAuth,
+} from '../controllers/utils';
+
+jest.mock('../models/User.js');
+jest.mock('../controllers/utils');
+
+const caller = { id: 'user1', username: 'enrico', email: 'enrico@gmail.com', role: 'Regular' };
+const sessionId = '64a7f0c2e4b0a1b2c3d4e5f6';
+const otherSessionId = '64a7f0c2e4b0a1b2c3d4e5f7';
+
+let mockRes;
+
+beforeEach(() => {
+	jest.clearAllMocks();
+	mockRes = {
+		status: jest.fn(() => mockRes),
+		json: jest.fn(),
+		locals: {
+			refreshedTokenMessage: 'refreshed token',
+		},
+	};
+	verifyAuth.mockResolvedValue({
+		authorized: true,
+		cause: 'Authorized',
+		user: caller,
+		sessionId: sessionId,
+	});
+	User.findOne.mockResolvedValue({ _id: 'user1', email: 'enrico@gmail.com' });
+});
+
+describe('startSession', () => {
+	test('should store a session with the device of the request and the hash of its refresh token', async () => {
+		const mockReq = {
+			ip: '10.0.0.1',
+			headers: { 'user-agent': 'Firefox' },
+			body: { deviceLabel: 'Laptop' },
+		};
+		createTokens.mockReturnValue({ accessToken: 'access', refreshToken: 'refresh' });
+		hashToken.mockImplementation((token) => `hash:${token}`);
+
+		const tokens = await startSession(mockReq, mockRes, { _id: 'user1', email: 'enrico@gmail.com' });
+
+		const session = Session.mock.instances[0];
+		expect(Session).toHaveBeenCalledWith(
+			expect.objectContaining({
+				user: 'user1',
+				label: 'Laptop',
+				ip: '10.0.0.1',
+				userAgent: 'Firefox',
+				expiresAt: expect.any(Date),
+			})
+		);
+		expect(createTokens).toHaveBeenCalledWith({ _id: 'user1', email: 'enrico@gmail.com' }, session.id);
+		expect(session.refreshTokenHash).toBe('hash:refresh');
+		expect(session.save).toHaveBeenCalled();
+		expect(setAuthCookies).toHaveBeenCalledWith(mockRes, 'access', 'refresh');
+		expect(tokens).toEqual({ accessToken: 'access', refreshToken: 'refresh' });
+	});
+
+	test('should cancel a scheduled deletion of the account', async () => {
+		createTokens.mockReturnValue({ accessToken: 'access', refreshToken: 'refresh' });
+
+		await startSession({ body: {} }, mockRes, { _id: 'user1', deletionScheduledAt: new Date() });
+
+		expect(User.updateOne).toHaveBeenCalledWith({ _id: 'user1' }, { $set: { deletionScheduledAt: null } });
+	});
+
+	test('should leave the label empty when the request does not provide one', async () => {
+		createTokens.mockReturnValue({ accessToken: 'access', refreshToken: 'refresh' });
+
+		await startSession({ body: {} }, mockRes, { _id: 'user1' });
+
+		expect(Session).toHaveBeenCalledWith(
+			expect.objectContaining({ label: null, ip: null, userAgent: null })
+		);
+	});
+});
+
+describe('keepOnlySession', () => {
+	const user = { _id: 'user1', email: 'enrico@gmail.com' };
+
+	test('should revoke the other sessions and issue new tokens for the kept one', async () => {
+		createTokens.mockReturnValue({ accessToken: 'access', refreshToken: 'refresh' });
+		hashToken.mockImplementation((token) => `hash:${token}`);
+		Session.findOneAndUpdate.mockResolvedValue({ _id: sessionId });
+
+		const tokens = await keepOnlySession(mockRes, user, sessionId);
+
+		expect(Session.deleteMany).toHaveBeenCalledWith({ user: 'user1', _id: { $ne: sessionId } });
+		expect(createTokens).toHaveBeenCalledWith(user, sessionId, undefined);
+		expect(Session.findOneAndUpdate).toHaveBeenCalledWith(
+			{ _id: sessionId, user: 'user1' },
+			{ $set: { refreshTokenHash: 'hash:refresh', lastUsedAt: expect.any(Date) } }
+		);
+		expect(setAuthCookies).toHaveBeenCalledWith(mockRes, 'access', 'refresh');
+		expect(tokens).toEqual({ accessToken: 'access', refreshToken: 'refresh' });
+	});
+
+	test('should keep the impersonation of the kept session in the new tokens', async () => {
+		createTokens.mockReturnValue({ accessToken: 'access', refreshToken: 'refresh' });
+		Session.findOneAndUpdate.mockResolvedValue({ _id: sessionId });
+
+		await keepOnlySession(mockRes, user, sessionId, 'admin');
+
+		expect(createTokens).toHaveBeenCalledWith(user, sessionId, 'admin');
+	});
+
+	test('should revoke every session when there is no session to keep', async () => {
+		const tokens = await keepOnlySession(mockRes, user, undefined);
+
+		expect(Session.deleteMany).toHaveBeenCalledWith({ user: 'user1' });
+		expect(createTokens).not.toHaveBeenCalled();
+		expect(tokens).toBeNull();
+	});
+
+	test('should not set cookies if the kept session has been revoked meanwhile', async () => {
+		createTokens.mockReturnValue({ accessToken: 'access', refreshToken: 'refresh' });
+		Session.findOneAndUpdate.mockResolvedValue(null);
+
+		const tokens = await keepOnlySession(mockRes, user, sessionId);
+
+		expect(setAuthCookies).not.toHaveBeenCalled();
+		expect(tokens).toBeNull();
+	});
+});
+
+describe('getSessions', () => {
+	test('should return the sessions of the user, marking the current one', async () => {
+		const now = Date.now();
+		Session.find.mockResolvedValueOnce([
+			{
+				id: otherSessionId,
+				label: null,
+				ip: '10.0.0.2',
+				userAgent: 'Safari',
+				createdAt: new Date(now - 3000),
+				lastUsedAt: new Date(now - 2000),
+			},
+			{
+				id: sessionId,
+				label: 'Laptop',
+				ip: '10.0.0.1',
+				userAgent: 'Firefox',
+				createdAt: new Date(now - 3000),
+				lastUsedAt: new Date(now - 1000),
+			},
+		]);
+
+		await getSessions({ params: {}, body: {} }, mockRes);
+
+		expect(Session.find).toHaveBeenCalledWith({ user: 'user1', expiresAt: { $gt: expect.any(Date) } });
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		const { data, refreshedTokenMessage } = mockRes.json.mock.calls[0][0];
+		expect(data.map((s) => s.id)).toEqual([sessionId, otherSessionId]);
+		expect(data[0]).toEqual(expect.objectContaining({ label: 'Laptop', ip: '10.0.0.1', current: true }));
+		expect(data[1].current).toBe(false);
+		expect(refreshedTokenMessage).toBe('refreshed token');
+	});
+
+	test('should return 401 if not authorized', async () => {
+		verifyAuth.mockResolvedValueOnce({ authorized: false, cause: 'Unauthorized' });
+
+		await getSessions({ params: {}, body: {} }, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Unauthorized' });
+	});
+});
+
+describe('deleteSession', () => {
+	test('should revoke another session of the user', async () => {
+		Session.findOneAndDelete.mockResolvedValueOnce({ id: otherSessionId });
+
+		await deleteSession({ params: { id: otherSessionId }, body: {} }, mockRes);
+
+		expect(Session.findOneAndDelete).toHaveBeenCalledWith({ _id: otherSessionId, user: 'user1' });
+		expect(clearAuthCookies).not.toHaveBeenCalled();
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: { message: 'Session revoked' },
+			refreshedTokenMessage: 'refreshed token',
+		});
+	});
+
+	test('should clear the cookies when the current session is revoked', async () => {
+		Session.findOneAndDelete.mockResolvedValueOnce({ id: sessionId });
+
+		await deleteSession({ params: { id: sessionId }, body: {} }, mockRes);
+
+		expect(clearAuthCookies).toHaveBeenCalledWith(mockRes);
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+	});
+
+	test('should return 400 if the session does not belong to the user', async () => {
+		Session.findOneAndDelete.mockResolvedValueOnce(null);
+
+		await deleteSession({ params: { id: otherSessionId }, body: {} }, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Session not found' });
+	});
+
+	test('should return 400 if the id is not valid', async () => {
+		await deleteSession({ params: { id: 'notanid' }, body: {} }, mockRes);
+
+		expect(Session.findOneAndDelete).not.toHaveBeenCalled();
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Session not found' });
+	});
+
+	test('should return 403 if an admin is impersonating the user', async () => {
+		verifyAuth.mockResolvedValueOnce({ authorized: true, cause: 'Authorized', user: caller, sessionId, impersonatedBy: 'admin' });
+
+		await deleteSession({ params: { id: otherSessionId }, body: {} }, mockRes);
+
+		expect(Session.findOneAndDelete).not.toHaveBeenCalled();
+		expect(mockRes.status).toHaveBeenCalledWith(403);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Not allowed while impersonating a user' });
+	});
+});
+
+describe('deleteOtherSessions', () => {
+	test('should revoke every session of the user except the current one', async () => {
+		Session.deleteMany.mockResolvedValueOnce({ deletedCount: 2 });
+
+		await deleteOtherSessions({ params: {}, body: {} }, mockRes);
+
+		expect(Session.deleteMany).toHaveBeenCalledWith({ user: 'user1', _id: { $ne: sessionId } });
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: { revokedSessions: 2 },
+			refreshedTokenMessage: 'refreshed token',
+		});
+	});
+
+	test('should return 403 if an admin is impersonating the user', async () => {
+		verifyAuth.mockResolvedValueOnce({ authorized: true, cause: 'Authorized', user: caller, sessionId, impersonatedBy: 'admin' });
+
+		await deleteOtherSessions({ params: {}, body: {} }, mockRes);
+
+		expect(Session.deleteMany).not.toHaveBeenCalled();
+		expect(mockRes.status).toHaveBeenCalledWith(403);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Not allowed while impersonating a user' });
+	});
+
+	test('should return 500 if the database fails', async () => {
+		Session.deleteMany.mockRejectedValueOnce(new Error('error'));
+
+		await deleteOtherSessions({ params: {}, body: {} }, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(500);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'error' });
+	});
+});
@@ -0,0 +1,106 @@
+import {
+	base32Decode,
+	base32Encode,
+	generateRecoveryCodes,
+	generateTotpSecret,
+	normalizeRecoveryCode,
+	totpCode,
+	totpUri,
+	verifyTotp,
+} from '../controllers/totp';
+
+//Secret of the RFC 6238 test vectors ("12345678901234567890") encoded in base32
+const rfcSecret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('base32Encode', () => {
+	test('should encode a buffer without padding', () => {
+		expect(base32Encode(Buffer.from('12345678901234567890'))).toBe(rfcSecret);
+		expect(base32Encode(Buffer.from('f'))).toBe('MY');
+	});
+
+	test('should be reversed by base32Decode', () => {
+		const buffer = Buffer.from([0, 1, 2, 250, 251, 252, 253]);
+		expect(base32Decode(base32Encode(buffer))).toEqual(buffer);
+	});
+});
+
+describe('base32Decode', () => {
+	test('should ignore padding, spaces and letter case', () => {
+		expect(base32Decode('my======').toString()).toBe('f');
+		expect(base32Decode('GEZD GNBV').toString()).toBe('12345');
+	});
+
+	test('should throw an error for invalid characters', () => {
+		expect(() => base32Decode('GEZ1')).toThrow('Invalid base32 character');
+	});
+});
+
+describe('totpCode', () => {
+	test('should match the RFC 6238 SHA1 test vectors', () => {
+		expect(totpCode(rfcSecret, Math.floor(59 / 30))).toBe('287082');
+		expect(totpCode(rfcSecret, Math.floor(1111111109 / 30))).toBe('081804');
+		expect(totpCode(rfcSecret, Math.floor(2000000000 / 30))).toBe('279037');
+	});
+});
+
+describe('verifyTotp', () => {
+	const now = 1111111109 * 1000;
+	const step = Math.floor(1111111109 / 30);
+
+	test('should return the step matched by a valid code', () => {
+		expect(verifyTotp(rfcSecret, '081804', null, now)).toBe(step);
+	});
+
+	test('should accept codes of the previous and next step', () => {
+		expect(verifyTotp(rfcSecret, totpCode(rfcSecret, step - 1), null, now)).toBe(step - 1);
+		expect(verifyTotp(rfcSecret, totpCode(rfcSecret, step + 1), null, now)).toBe(step + 1);
+	});
+
+	test('should return null for codes outside the accepted window', () => {
+		expect(verifyTotp(rfcSecret, totpCode(rfcSecret, step - 2), null, now)).toBeNull();
+	});
+
+	test('should return null for codes of an already used step', () => {
+		expect(verifyTotp(rfcSecret, '081804', step, now)).toBeNull();
+		expect(verifyTotp(rfcSecret, totpCode(rfcSecret, step + 1), step, now)).toBe(step + 1);
+	});
+
+	test('should return null for malformed codes', () => {
+		expect(verifyTotp(rfcSecret, '81804', null, now)).toBeNull();
+		expect(verifyTotp(rfcSecret, 81804, null, now)).toBeNull();
+		expect(verifyTotp(rfcSecret, 'abcdef', null, now)).toBeNull();
+	});
+});
+
+describe('generateTotpSecret', () => {
+	test('should return a different 160 bits base32 secret every time', () => {
+		const secret = generateTotpSecret();
+		expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+		expect(base32Decode(secret)).toHaveLength(20);
+		expect(generateTotpSecret()).not.toBe(secret);
+	});
+});
+
+describe('totpUri', () => {
+	test('should return an otpauth URI with issuer and account', () => {
+		expect(totpUri(rfcSecret, 'mario.red@email.com')).toBe(
+			`otpauth://totp/EzWallet:mario.red%40email.com?secret=${rfcSecret}&issuer=EzWallet&algorithm=SHA1&digits=6&period=30`
+		);
+	});
+});
+
+describe('generateRecoveryCodes', () => {
+	test('should return 10 distinct codes formatted as xxxxx-xxxxx', () => {
+		const codes = generateRecoveryCodes();
+		expect(codes).toHaveLength(10);
+		expect(new Set(codes).size).toBe(10);
+		codes.forEach((c) => expect(c).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+	});
+});
+
+describe('normalizeRecoveryCode', () => {
+	test('should ignore dashes, spaces and letter case', () => {
+		expect(normalizeRecoveryCode('AB12C-34DEF')).toBe('ab12c34def');
+		expect(normalizeRecoveryCode(' ab12c 34def ')).toBe('ab12c34def');
+	});
+});
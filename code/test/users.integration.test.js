@@ -1,10 +1,14 @@
 import request from 'supertest';
 import { app } from '../app';
-import { User, Group } from '../models/User.js';
+import { ApiKey, AuditLog, Role, Session, User, Group } from '../models/User.js';
 import { transactions, categories } from '../models/model';
 import mongoose, { Model } from 'mongoose';
 import dotenv from 'dotenv';
 import jwt from 'jsonwebtoken';
+import bcrypt from 'bcryptjs';
+import { memoryTransport, setMailTransport } from '../mail/mailer.js';
+import { purgeScheduledDeletions } from '../controllers/users.js';
+import { loginRetryAfter, lockoutPolicy, memoryStore, recordLoginFailure } from '../lockout/lockout.js';
 
 dotenv.config();
 
@@ -48,6 +52,10 @@ beforeEach(async () => {
 	await transactions.deleteMany({});
 	await User.deleteMany({});
 	await Group.deleteMany({});
+	await ApiKey.deleteMany({});
+	await Role.deleteMany({});
+	await Session.deleteMany({});
+	await AuditLog.deleteMany({});
 });
 
 describe('getUsers', () => {
@@ -85,6 +93,24 @@ describe('getUsers', () => {
 		});
 	});
 
+	test('Users are returned one page at a time', async () => {
+		await User.create(
+			{ username: 'first', email: 'first@test.com', password: 'first' },
+			{ username: 'second', email: 'second@test.com', password: 'second' }
+		);
+		const adminCookie = `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`;
+
+		const first = await request(app).get('/api/users?limit=1').set('Cookie', adminCookie);
+		const second = await request(app)
+			.get('/api/users')
+			.query({ limit: 1, cursor: first.body.nextCursor })
+			.set('Cookie', adminCookie);
+
+		expect(first.body.data.map((u) => u.username)).toStrictEqual(['first']);
+		expect(second.body.data.map((u) => u.username)).toStrictEqual(['second']);
+		expect(second.body.nextCursor).toBeNull();
+	});
+
 	test('Should return an error if the access token are empty', (done) => {
 		request(app)
 			.get('/api/users')
@@ -487,6 +513,7 @@ describe('getGroup', () => {
 						data: {
 							name: 'testGroup',
 							members: [{ email: 'tester1@gmail.com' }, { email: 'tester2@gmail.com' }],
+							currency: 'EUR',
 						},
 					});
 
@@ -974,6 +1001,461 @@ describe('deleteUser', () => {
 	});
 });
 
+describe('deleteAccount', () => {
+	const testerCookie = `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`;
+
+	beforeEach(async () => {
+		await User.create({
+			username: 'tester',
+			email: 'tester@test.com',
+			password: await bcrypt.hash('tester', 12),
+		});
+	});
+
+	test('Nominal case: the deletion is scheduled and the data is purged after the grace period', async () => {
+		const user = await User.findOne({ username: 'tester' });
+		await Group.create({ name: 'family', members: [{ email: 'tester@test.com', user: user._id }] });
+		await transactions.create({ username: 'tester', type: 'food', amount: 20 });
+		await Session.create({ user: user._id, refreshTokenHash: 'hash', expiresAt: new Date(Date.now() + 60000) });
+
+		const response = await request(app)
+			.delete('/api/users/tester')
+			.set('Cookie', testerCookie)
+			.send({ password: 'tester' });
+
+		expect(response.status).toBe(200);
+		expect(await Session.countDocuments({ user: user._id })).toBe(0);
+		expect(await User.countDocuments({ username: 'tester' })).toBe(1);
+
+		await User.updateOne({ _id: user._id }, { $set: { deletionScheduledAt: new Date(Date.now() - 1000) } });
+		expect(await purgeScheduledDeletions()).toBe(1);
+		expect(await User.countDocuments({ username: 'tester' })).toBe(0);
+		expect(await transactions.countDocuments({ username: 'tester' })).toBe(0);
+		expect(await Group.findOne({ name: 'family' })).toBeNull();
+	});
+
+	test('Wrong password: a 400 error message must be returned', async () => {
+		const response = await request(app)
+			.delete('/api/users/tester')
+			.set('Cookie', testerCookie)
+			.send({ password: 'wrong' });
+
+		expect(response.status).toBe(400);
+		expect((await User.findOne({ username: 'tester' })).deletionScheduledAt).toBeNull();
+		memoryStore.records.clear();
+	});
+});
+
+describe('exportUserData', () => {
+	test('Nominal case: everything tied to the account is exported', async () => {
+		await User.create({ username: 'tester', email: 'tester@test.com', password: 'tester' });
+		await transactions.create({ username: 'tester', type: 'food', amount: 20 });
+
+		const response = await request(app)
+			.get('/api/users/tester/export')
+			.set('Cookie', `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`);
+
+		expect(response.status).toBe(200);
+		expect(response.headers['content-disposition']).toMatch(/attachment/);
+		expect(response.body.data.profile.username).toBe('tester');
+		expect(response.body.data.transactions).toHaveLength(1);
+		expect(response.body.data.profile).not.toHaveProperty('password');
+	});
+
+	test('Another user: a 401 error message must be returned', async () => {
+		const response = await request(app)
+			.get('/api/users/tester/export')
+			.set('Cookie', `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`);
+
+		expect(response.status).toBe(401);
+	});
+});
+
+describe('unlockUser', () => {
+	afterEach(() => {
+		memoryStore.records.clear();
+	});
+
+	test('Nominal case: the failed login attempts of the user are cleared', async () => {
+		await User.create({ username: 'tester', email: 'tester@test.com', password: 'tester' });
+		for (let i = 0; i < lockoutPolicy.account.lockAfter; i++)
+			await recordLoginFailure({ email: 'tester@test.com' });
+		expect(await loginRetryAfter({ email: 'tester@test.com' })).toBeGreaterThan(0);
+
+		const response = await request(app)
+			.delete('/api/users/tester/lockout')
+			.set('Cookie', `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`);
+
+		expect(response.status).toBe(200);
+		expect(response.body.data).toStrictEqual({ message: 'User unlocked' });
+		expect(await loginRetryAfter({ email: 'tester@test.com' })).toBe(0);
+	});
+
+	test('User not found: a 400 error message must be returned', async () => {
+		const response = await request(app)
+			.delete('/api/users/nobody/lockout')
+			.set('Cookie', `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`);
+
+		expect(response.status).toBe(400);
+		expect(response.body).toStrictEqual({ error: 'User not found' });
+	});
+
+	test('Not an admin: a 401 error message must be returned', async () => {
+		const response = await request(app)
+			.delete('/api/users/tester/lockout')
+			.set('Cookie', `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`);
+
+		expect(response.status).toBe(401);
+	});
+});
+
+describe('API keys', () => {
+	const createKey = (scopes) =>
+		request(app)
+			.post('/api/users/tester/api-keys')
+			.set('Cookie', `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+			.send({ name: 'Script', scopes });
+
+	beforeEach(async () => {
+		await User.create({ username: 'tester', email: 'tester@test.com', password: 'tester' });
+	});
+
+	test('Nominal case: a key is created, stored hashed and listed without the key', async () => {
+		const created = await createKey(['transactions:read']);
+
+		expect(created.status).toBe(200);
+		expect(created.body.data.key).toMatch(/^ezw_/);
+		const stored = await ApiKey.findOne({});
+		expect(stored.keyHash).not.toBe(created.body.data.key);
+
+		const listed = await request(app)
+			.get('/api/users/tester/api-keys')
+			.set('Cookie', `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`);
+
+		expect(listed.status).toBe(200);
+		expect(listed.body.data).toHaveLength(1);
+		expect(listed.body.data[0]).not.toHaveProperty('key');
+		expect(listed.body.data[0].scopes).toStrictEqual(['transactions:read']);
+	});
+
+	test('A key can call the routes allowed by its scopes and no other', async () => {
+		const { key } = (await createKey(['transactions:read'])).body.data;
+
+		const allowed = await request(app).get('/api/users/tester/transactions').set('X-API-Key', key);
+		const missingScope = await request(app)
+			.post('/api/users/tester/transactions')
+			.set('X-API-Key', key)
+			.send({ username: 'tester', amount: 10, type: 'food' });
+		const notAllowed = await request(app).get('/api/users/tester/api-keys').set('X-API-Key', key);
+
+		expect(allowed.status).toBe(200);
+		expect(missingScope.status).toBe(401);
+		expect(missingScope.body.error).toBe('API key is missing the transactions:write scope');
+		expect(notAllowed.status).toBe(401);
+	});
+
+	test('A revoked key is rejected', async () => {
+		const { id, key } = (await createKey(['groups:read'])).body.data;
+
+		const revoked = await request(app)
+			.delete(`/api/users/tester/api-keys/${id}`)
+			.set('Cookie', `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`);
+		const response = await request(app).get('/api/groups/family').set('X-API-Key', key);
+
+		expect(revoked.status).toBe(200);
+		expect(response.status).toBe(401);
+		expect(response.body.error).toBe('Invalid or expired API key');
+	});
+
+	test('Unknown scope: a 400 error message must be returned', async () => {
+		const response = await createKey(['everything']);
+
+		expect(response.status).toBe(400);
+		expect(response.body).toStrictEqual({ error: 'Invalid scopes' });
+	});
+
+	test('Another user: a 401 error message must be returned', async () => {
+		const response = await request(app)
+			.post('/api/users/tester/api-keys')
+			.set('Cookie', `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`)
+			.send({ name: 'Script', scopes: ['groups:read'] });
+
+		expect(response.status).toBe(401);
+	});
+});
+
+describe('roles', () => {
+	const auditorAccessToken = jwt.sign(
+		{ email: 'auditor@test.com', username: 'auditor', role: 'Auditor' },
+		process.env.ACCESS_KEY,
+		{ expiresIn: '1y' }
+	);
+	const adminCookie = `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`;
+	const auditorCookie = `accessToken=${auditorAccessToken}; refreshToken=${auditorAccessToken}`;
+
+	test('Nominal case: an admin creates, lists, updates and deletes a role', async () => {
+		const created = await request(app)
+			.post('/api/roles')
+			.set('Cookie', adminCookie)
+			.send({ name: 'Auditor', permissions: ['users:read'] });
+		const updated = await request(app)
+			.patch('/api/roles/Auditor')
+			.set('Cookie', adminCookie)
+			.send({ permissions: ['users:read', 'transactions:read'] });
+		const listed = await request(app).get('/api/roles').set('Cookie', adminCookie);
+		const deleted = await request(app).delete('/api/roles/Auditor').set('Cookie', adminCookie);
+
+		expect(created.status).toBe(200);
+		expect(updated.body.data.permissions).toStrictEqual(['users:read', 'transactions:read']);
+		expect(listed.body.data).toHaveLength(1);
+		expect(deleted.status).toBe(200);
+		expect(await Role.countDocuments()).toBe(0);
+	});
+
+	test('A role grants access to the admin routes that declare one of its permissions', async () => {
+		await Role.create({ name: 'Auditor', permissions: ['users:read'] });
+		await User.create({ username: 'auditor', email: 'auditor@test.com', password: 'auditor', role: 'Auditor' });
+
+		const users = await request(app).get('/api/users').set('Cookie', auditorCookie);
+		const groups = await request(app).get('/api/groups').set('Cookie', auditorCookie);
+		const roles = await request(app).get('/api/roles').set('Cookie', auditorCookie);
+
+		expect(users.status).toBe(200);
+		expect(groups.status).toBe(401);
+		expect(roles.status).toBe(401);
+	});
+
+	test('An admin assigns a role to a user', async () => {
+		await Role.create({ name: 'Auditor', permissions: ['users:read'] });
+		await User.create({ username: 'tester', email: 'tester@test.com', password: 'tester' });
+
+		const response = await request(app)
+			.patch('/api/users/tester/role')
+			.set('Cookie', adminCookie)
+			.send({ role: 'Auditor' });
+
+		expect(response.status).toBe(200);
+		expect((await User.findOne({ username: 'tester' })).role).toBe('Auditor');
+	});
+
+	test('Assigned role: the role cannot be deleted', async () => {
+		await Role.create({ name: 'Auditor', permissions: ['users:read'] });
+		await User.create({ username: 'auditor', email: 'auditor@test.com', password: 'auditor', role: 'Auditor' });
+
+		const response = await request(app).delete('/api/roles/Auditor').set('Cookie', adminCookie);
+
+		expect(response.status).toBe(400);
+		expect(response.body).toStrictEqual({ error: 'Role is assigned to users' });
+	});
+
+	test('Not an admin: a 401 error message must be returned', async () => {
+		const response = await request(app)
+			.post('/api/roles')
+			.set('Cookie', `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+			.send({ name: 'Auditor', permissions: ['users:read'] });
+
+		expect(response.status).toBe(401);
+	});
+});
+
+describe('impersonation', () => {
+	const adminCookie = `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`;
+
+	beforeEach(async () => {
+		await User.create({ username: 'tester', email: 'tester@test.com', password: 'tester' });
+	});
+
+	test('Nominal case: an admin acts as the user and every request is audited', async () => {
+		const started = await request(app).post('/api/users/tester/impersonate').set('Cookie', adminCookie);
+		const { accessToken, refreshToken } = started.body.data;
+		const user = await request(app)
+			.get('/api/users/tester')
+			.set('Authorization', `Bearer ${accessToken}`)
+			.set('X-Refresh-Token', refreshToken);
+		const audit = await request(app).get('/api/audit?user=tester').set('Cookie', adminCookie);
+
+		expect(started.status).toBe(200);
+		expect(started.body.data.impersonatedBy).toBe('admin');
+		expect(jwt.decode(accessToken)).toEqual(expect.objectContaining({ username: 'tester', impersonatedBy: 'admin' }));
+		expect(started.headers['set-cookie']).toBeUndefined();
+		expect(user.status).toBe(200);
+		expect(audit.status).toBe(200);
+		expect(audit.body.data).toHaveLength(2);
+		expect(audit.body.data.map((entry) => entry.action)).toEqual(
+			expect.arrayContaining(['impersonation started', 'GET /api/users/tester'])
+		);
+		expect(await Session.countDocuments({ impersonatedBy: 'admin' })).toBe(1);
+	});
+
+	test('Impersonation tokens do not grant admin rights', async () => {
+		const started = await request(app).post('/api/users/tester/impersonate').set('Cookie', adminCookie);
+		const { accessToken, refreshToken } = started.body.data;
+
+		const response = await request(app)
+			.get('/api/users')
+			.set('Authorization', `Bearer ${accessToken}`)
+			.set('X-Refresh-Token', refreshToken);
+
+		expect(response.status).toBe(401);
+	});
+
+	test('Admin user: a 400 error message must be returned', async () => {
+		await User.create({ username: 'admin2', email: 'admin2@test.com', password: 'admin2', role: 'Admin' });
+
+		const response = await request(app).post('/api/users/admin2/impersonate').set('Cookie', adminCookie);
+
+		expect(response.status).toBe(400);
+		expect(response.body).toStrictEqual({ error: 'Cannot impersonate an admin' });
+		expect(await AuditLog.countDocuments()).toBe(0);
+	});
+
+	test('Not an admin: a 401 error message must be returned', async () => {
+		const response = await request(app)
+			.post('/api/users/tester/impersonate')
+			.set('Cookie', `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`);
+		const audit = await request(app)
+			.get('/api/audit')
+			.set('Cookie', `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`);
+
+		expect(response.status).toBe(401);
+		expect(audit.status).toBe(401);
+	});
+});
+
+describe('updateUser', () => {
+	const testerCookie = `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`;
+
+	beforeEach(async () => {
+		setMailTransport(memoryTransport);
+		memoryTransport.sent = [];
+		await User.create({ username: 'tester', email: 'tester@test.com', password: 'tester', emailVerified: true });
+	});
+
+	test('Nominal case: the username changes, also in the transactions of the user', async () => {
+		await transactions.create({ username: 'tester', type: 'food', amount: 20 });
+
+		const response = await request(app)
+			.patch('/api/users/tester')
+			.set('Cookie', testerCookie)
+			.send({ username: 'tester2' });
+
+		expect(response.status).toBe(200);
+		expect(response.body.data.username).toBe('tester2');
+		expect(await User.findOne({ username: 'tester2' })).not.toBeNull();
+		expect(await transactions.countDocuments({ username: 'tester2' })).toBe(1);
+		expect(await transactions.countDocuments({ username: 'tester' })).toBe(0);
+	});
+
+	test('Email change: the email only changes, also in the groups, once the new address is verified', async () => {
+		const user = await User.findOne({ username: 'tester' });
+		await Group.create({ name: 'family', members: [{ email: 'tester@test.com', user: user._id }] });
+
+		const response = await request(app)
+			.patch('/api/users/tester')
+			.set('Cookie', testerCookie)
+			.send({ email: 'tester@new.com' });
+
+		expect(response.status).toBe(200);
+		expect(response.body.data).toStrictEqual({
+			username: 'tester',
+			email: 'tester@test.com',
+			pendingEmail: 'tester@new.com',
+			baseCurrency: 'EUR',
+		});
+		expect(memoryTransport.sent[0].to).toBe('tester@new.com');
+
+		const token = memoryTransport.sent[0].text.match(/verify-email\/([0-9a-f]+)/)[1];
+		const verified = await request(app).get(`/api/verify-email/${token}`);
+
+		expect(verified.body.data).toStrictEqual({ message: 'Email changed' });
+		expect((await User.findOne({ username: 'tester' })).email).toBe('tester@new.com');
+		expect((await Group.findOne({ name: 'family' })).members[0].email).toBe('tester@new.com');
+	});
+
+	test('Base currency change: the currency is stored normalized', async () => {
+		const response = await request(app)
+			.patch('/api/users/tester')
+			.set('Cookie', testerCookie)
+			.send({ baseCurrency: 'usd' });
+
+		expect(response.status).toBe(200);
+		expect(response.body.data.baseCurrency).toBe('USD');
+		expect((await User.findOne({ username: 'tester' })).baseCurrency).toBe('USD');
+	});
+
+	test('Group currency change: members can change the currency of their group', async () => {
+		await Group.create({ name: 'family', members: [{ email: 'tester@test.com' }] });
+
+		const response = await request(app)
+			.patch('/api/groups/family/currency')
+			.set('Cookie', testerCookie)
+			.send({ currency: 'GBP' });
+
+		expect(response.status).toBe(200);
+		expect(response.body.data.currency).toBe('GBP');
+		expect((await Group.findOne({ name: 'family' })).currency).toBe('GBP');
+	});
+
+	test('Username already taken: a 400 error message must be returned', async () => {
+		await User.create({ username: 'other', email: 'other@test.com', password: 'other' });
+
+		const response = await request(app)
+			.patch('/api/users/tester')
+			.set('Cookie', testerCookie)
+			.send({ username: 'other' });
+
+		expect(response.status).toBe(400);
+		expect(response.body).toStrictEqual({ error: 'Username already taken' });
+	});
+
+	test('Another user: a 401 error message must be returned', async () => {
+		const response = await request(app)
+			.patch('/api/users/tester')
+			.set('Cookie', `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`)
+			.send({ username: 'tester2' });
+
+		expect(response.status).toBe(401);
+	});
+});
+
+describe('changePassword', () => {
+	const testerCookie = `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`;
+
+	beforeEach(async () => {
+		await User.create({
+			username: 'tester',
+			email: 'tester@test.com',
+			password: await bcrypt.hash('oldpassword', 12),
+		});
+	});
+
+	afterEach(() => {
+		memoryStore.records.clear();
+	});
+
+	test('Nominal case: the password is changed', async () => {
+		const response = await request(app)
+			.put('/api/users/tester/password')
+			.set('Cookie', testerCookie)
+			.send({ currentPassword: 'oldpassword', newPassword: 'newpassword' });
+
+		expect(response.status).toBe(200);
+		expect(response.body.data.message).toBe('Password updated');
+		const user = await User.findOne({ username: 'tester' });
+		expect(await bcrypt.compare('newpassword', user.password)).toBe(true);
+	});
+
+	test('Wrong current password: a 400 error message must be returned', async () => {
+		const response = await request(app)
+			.put('/api/users/tester/password')
+			.set('Cookie', testerCookie)
+			.send({ currentPassword: 'wrong', newPassword: 'newpassword' });
+
+		expect(response.status).toBe(400);
+		expect(response.body).toStrictEqual({ error: 'Wrong password' });
+	});
+});
+
 describe('deleteGroup', () => {
 	test('Nominal:Should delete group and return "group deleted"', (done) => {
 		Group.create({
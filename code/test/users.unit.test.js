@@ -1,6 +1,5 @@
-import jwt from 'jsonwebtoken';
-import { Group, User } from '../models/User.js';
-import { transactions } from '../models/model.js';
+import { ApiKey, Group, Session, User } from '../models/User.js';
+import { budgets, goals, recurringTransactions, transactions } from '../models/model.js';
 import {
 	getUsers,
 	getUser,
@@ -11,8 +10,27 @@ import {
 	deleteUser,
 	addToGroup,
 	removeFromGroup,
+	unlockUser,
+	updateUser,
+	changePassword,
+	deleteAccount,
+	exportUserData,
+	purgeScheduledDeletions,
+	updateGroupCurrency,
 } from '../controllers/users.js';
-import { isEmail, verifyAuth, verifyMultipleAuth, checkGroupEmails } from '../controllers/utils';
+import { loginRetryAfter, recordLoginFailure, resetLoginFailures } from '../lockout/lockout.js';
+import { newEmailVerification, sendVerificationEmail } from '../controllers/auth.js';
+import { keepOnlySession } from '../controllers/sessions.js';
+import bcrypt from 'bcryptjs';
+import mongoose from 'mongoose';
+import {
+	isEmail,
+	verifyAuth,
+	verifyMultipleAuth,
+	checkGroupEmails,
+	getTokens,
+	clearAuthCookies,
+} from '../controllers/utils';
 
 /**
  * In order to correctly mock the calls to external modules it is necessary to mock them using the following line.
@@ -23,13 +41,19 @@ import { isEmail, verifyAuth, verifyMultipleAuth, checkGroupEmails } from '../co
 jest.mock('../models/User.js');
 jest.mock('../models/model.js');
 jest.mock('../controllers/utils');
-jest.mock('jsonwebtoken');
+jest.mock('../lockout/lockout.js');
+jest.mock('../controllers/auth.js');
+jest.mock('../controllers/sessions.js');
+jest.mock('bcryptjs');
 
 /**
  * Defines code to be executed before each test case is launched
  * In this case the mock implementation of `User.find()` is cleared, allowing the definition of a new mock implementation.
  * Not doing this `mockClear()` means that test cases may use a mock implementation intended for other test cases.
  */
+beforeEach(() => {
+	getTokens.mockImplementation((req) => req.cookies);
+});
 
 describe('getUsers', () => {
 	let mockReq;
@@ -117,6 +141,38 @@ describe('getUsers', () => {
 			})
 		);
 	});
+
+	test('should return a page of users and the cursor of the next one', async () => {
+		mockReq.query = { limit: '1' };
+		User.find.mockImplementation(() => [
+			{ _id: '64a000000000000000000001', username: 'test1', email: 'test1@example.com', role: 'Regular' },
+			{ _id: '64a000000000000000000002', username: 'test2', email: 'test2@example.com', role: 'Regular' },
+		]);
+
+		await getUsers(mockReq, mockRes);
+
+		expect(User.find).toHaveBeenCalledWith({}, null, { sort: { _id: 1 }, limit: 2 });
+		const { data, nextCursor } = mockRes.json.mock.calls[0][0];
+		expect(data).toEqual([{ username: 'test1', email: 'test1@example.com', role: 'Regular' }]);
+
+		mockReq.query = { limit: '1', cursor: nextCursor };
+		await getUsers(mockReq, mockRes);
+
+		expect(User.find).toHaveBeenLastCalledWith(
+			{ _id: { $gt: new mongoose.Types.ObjectId('64a000000000000000000001') } },
+			null,
+			{ sort: { _id: 1 }, limit: 2 }
+		);
+	});
+
+	test('should return 400 if the pagination parameters are not valid', async () => {
+		mockReq.query = { sort: 'date' };
+
+		await getUsers(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid `sort` parameter' });
+	});
 });
 
 describe('getUser', () => {
@@ -245,8 +301,11 @@ describe('createGroup', () => {
 			membersNotFound,
 		};
 
-		verifyAuth.mockImplementation(() => ({ authorized: true, cause: 'Authorized' }));
-		jwt.verify.mockImplementation(() => ({ email: validEmails[0] }));
+		verifyAuth.mockImplementation(() => ({
+			authorized: true,
+			cause: 'Authorized',
+			user: { email: validEmails[0] },
+		}));
 		isEmail.mockImplementation(() => true);
 
 		Group.prototype.save.mockImplementation(
@@ -280,6 +339,29 @@ describe('createGroup', () => {
 		);
 	});
 
+	test('should create the group with the requested currency', async () => {
+		mockReq.body.currency = 'usd';
+		Group.prototype.save.mockResolvedValueOnce({ name: 'testGroup', members: [], currency: 'USD' });
+
+		await createGroup(mockReq, mockRes);
+
+		expect(Group).toHaveBeenCalledWith(expect.objectContaining({ name: 'testGroup', currency: 'USD' }));
+		expect(mockRes.json).toHaveBeenCalledWith(
+			expect.objectContaining({
+				data: expect.objectContaining({ group: { name: 'testGroup', members: [], currency: 'USD' } }),
+			})
+		);
+	});
+
+	test('should return 400 if the currency is not valid', async () => {
+		mockReq.body.currency = 'euro';
+
+		await createGroup(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid currency' });
+	});
+
 	test('should return 400 if group name is not provided', async () => {
 		mockReq.body.name = undefined;
 
@@ -495,6 +577,20 @@ describe('getGroups', () => {
 			})
 		);
 	});
+
+	test('should return the last page of groups without a next cursor', async () => {
+		mockReq.query = { limit: '5' };
+		Group.find.mockImplementation(() => [{ name: 'testGroup', members: [] }]);
+
+		await getGroups(mockReq, mockRes);
+
+		expect(Group.find).toHaveBeenCalledWith({}, null, { sort: { _id: 1 }, limit: 6 });
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: [{ name: 'testGroup', members: [] }],
+			nextCursor: null,
+			refreshedTokenMessage: 'refreshed token',
+		});
+	});
 });
 
 describe('getGroup', () => {
@@ -580,6 +676,77 @@ describe('getGroup', () => {
 	});
 });
 
+describe('updateGroupCurrency', () => {
+	let mockRes;
+	const group = { _id: 'group1', name: 'family', members: [{ email: 'mario@example.com' }], currency: 'EUR' };
+
+	beforeEach(() => {
+		mockRes = {
+			status: jest.fn().mockReturnThis(),
+			json: jest.fn(),
+			locals: {
+				refreshedTokenMessage: 'refreshed token',
+			},
+		};
+		verifyMultipleAuth.mockImplementation(() => ({ authorized: true, cause: 'Authorized' }));
+		Group.findOne.mockReset();
+		Group.findOneAndUpdate.mockReset();
+	});
+
+	test('should change the currency of the group', async () => {
+		const mockReq = { params: { name: 'family' }, body: { currency: 'gbp' } };
+		Group.findOne.mockResolvedValueOnce(group);
+		Group.findOneAndUpdate.mockResolvedValueOnce({ ...group, currency: 'GBP' });
+
+		await updateGroupCurrency(mockReq, mockRes);
+
+		expect(verifyMultipleAuth).toHaveBeenCalledWith(mockReq, mockRes, {
+			authType: ['Group', 'Admin'],
+			emails: ['mario@example.com'],
+			scope: 'groups:write',
+		});
+		expect(Group.findOneAndUpdate).toHaveBeenCalledWith(
+			{ _id: 'group1' },
+			{ $set: { currency: 'GBP' } },
+			{ new: true }
+		);
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: { name: 'family', members: [{ email: 'mario@example.com' }], currency: 'GBP' },
+			refreshedTokenMessage: 'refreshed token',
+		});
+	});
+
+	test('should return 400 if the currency is not valid', async () => {
+		Group.findOne.mockResolvedValueOnce(group);
+
+		await updateGroupCurrency({ params: { name: 'family' }, body: {} }, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid currency' });
+		expect(Group.findOneAndUpdate).not.toHaveBeenCalled();
+	});
+
+	test('should return 400 if the group does not exist', async () => {
+		Group.findOne.mockResolvedValueOnce(null);
+
+		await updateGroupCurrency({ params: { name: 'nobody' }, body: { currency: 'GBP' } }, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Group not found' });
+	});
+
+	test('should return 401 if the caller is not a member nor an admin', async () => {
+		Group.findOne.mockResolvedValueOnce(group);
+		verifyMultipleAuth.mockImplementation(() => ({ authorized: false, cause: 'Not in group' }));
+
+		await updateGroupCurrency({ params: { name: 'family' }, body: { currency: 'GBP' } }, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+		expect(Group.findOneAndUpdate).not.toHaveBeenCalled();
+	});
+});
+
 describe('addToGroup', () => {
 	let mockReq;
 	let mockRes;
@@ -1201,6 +1368,34 @@ describe('deleteUser', () => {
 		);
 	});
 
+	test('should delete the transactions of the user by username, with the rest of the account', async () => {
+		User.findOne.mockResolvedValueOnce({ _id: 'user1', username: 'test1', email: 'test1@example.com' });
+		transactions.deleteMany.mockClear();
+		Session.deleteMany.mockClear();
+		ApiKey.deleteMany.mockClear();
+
+		await deleteUser(mockReq, mockRes);
+
+		expect(transactions.deleteMany).toHaveBeenCalledWith({ username: 'test1' });
+		expect(Session.deleteMany).toHaveBeenCalledWith({ user: 'user1' });
+		expect(ApiKey.deleteMany).toHaveBeenCalledWith({ user: 'user1' });
+		expect(User.deleteOne).toHaveBeenCalledWith({ _id: 'user1' });
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+	});
+
+	test('should remove the contributions of the user from the group goals of the other members', async () => {
+		User.findOne.mockResolvedValueOnce({ _id: 'user1', username: 'test1', email: 'test1@example.com' });
+		goals.updateMany.mockClear();
+
+		await deleteUser(mockReq, mockRes);
+
+		expect(goals.updateMany).toHaveBeenCalledWith(
+			{ 'contributions.username': 'test1' },
+			{ $pull: { contributions: { username: 'test1' } } }
+		);
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+	});
+
 	test("should return 200 if user is deleted and there isn't the last in group", async () => {
 		Group.findOne.mockImplementation(
 			() =>
@@ -1227,6 +1422,71 @@ describe('deleteUser', () => {
 	});
 });
 
+describe('unlockUser', () => {
+	let mockReq;
+	let mockRes;
+
+	beforeEach(() => {
+		mockReq = {
+			params: { username: 'enrico' },
+			body: {},
+		};
+
+		mockRes = {
+			status: jest.fn(() => mockRes),
+			json: jest.fn(),
+			locals: {
+				refreshedTokenMessage: 'refreshed token',
+			},
+		};
+
+		verifyAuth.mockImplementation(() => ({ authorized: true, cause: 'Authorized' }));
+		resetLoginFailures.mockClear();
+	});
+
+	test('should clear the failed attempts of the user', async () => {
+		User.findOne.mockResolvedValueOnce({ username: 'enrico', email: 'enrico@gmail.com' });
+
+		await unlockUser(mockReq, mockRes);
+
+		expect(resetLoginFailures).toHaveBeenCalledWith({ email: 'enrico@gmail.com', ip: undefined });
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: { message: 'User unlocked' },
+			refreshedTokenMessage: 'refreshed token',
+		});
+	});
+
+	test('should clear the failed attempts of the ip as well', async () => {
+		mockReq.body.ip = '10.0.0.1';
+		User.findOne.mockResolvedValueOnce({ username: 'enrico', email: 'enrico@gmail.com' });
+
+		await unlockUser(mockReq, mockRes);
+
+		expect(resetLoginFailures).toHaveBeenCalledWith({ email: 'enrico@gmail.com', ip: '10.0.0.1' });
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+	});
+
+	test('should return 400 if the user does not exist', async () => {
+		User.findOne.mockResolvedValueOnce(null);
+
+		await unlockUser(mockReq, mockRes);
+
+		expect(resetLoginFailures).not.toHaveBeenCalled();
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'User not found' });
+	});
+
+	test('should return 401 if not authorized', async () => {
+		verifyAuth.mockImplementation(() => ({ authorized: false, cause: 'Not admin' }));
+
+		await unlockUser(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Not admin' });
+	});
+});
+
 describe('deleteGroup', () => {
 	let mockReq;
 	let mockRes;
@@ -1326,6 +1586,8 @@ describe('deleteGroup', () => {
 	test('should return a message if group is deleted', async () => {
 		await deleteGroup(mockReq, mockRes);
 
+		expect(budgets.deleteMany).toHaveBeenCalledWith({ group: mockReq.body.name });
+		expect(goals.deleteMany).toHaveBeenLastCalledWith({ group: mockReq.body.name });
 		expect(mockRes.status).toHaveBeenCalledWith(200);
 		expect(mockRes.json).toHaveBeenCalledWith(
 			expect.objectContaining({
@@ -1337,3 +1599,573 @@ describe('deleteGroup', () => {
 		);
 	});
 });
+
+describe('updateUser', () => {
+	let mockReq;
+	let mockRes;
+	const user = { _id: 'user1', username: 'enrico', email: 'enrico@gmail.com', pendingEmail: null };
+
+	beforeEach(() => {
+		mockReq = {
+			params: { username: 'enrico' },
+			body: {},
+		};
+		mockRes = {
+			status: jest.fn(() => mockRes),
+			json: jest.fn(),
+			locals: {
+				refreshedTokenMessage: 'refreshed token',
+			},
+		};
+
+		verifyAuth.mockImplementation(() => ({ authorized: true, cause: 'Authorized', sessionId: 'session1' }));
+		isEmail.mockImplementation(() => true);
+		User.findOne.mockReset();
+		User.findOneAndUpdate.mockReset();
+		transactions.updateMany.mockClear();
+		keepOnlySession.mockReset();
+		sendVerificationEmail.mockClear();
+	});
+
+	test('should change the username, cascade it to the transactions and renew the session', async () => {
+		mockReq.body.username = 'enrico2';
+		User.findOne.mockResolvedValueOnce(user).mockResolvedValueOnce(null);
+		User.findOneAndUpdate.mockResolvedValueOnce({ ...user, username: 'enrico2' });
+		keepOnlySession.mockResolvedValueOnce({ accessToken: 'access', refreshToken: 'refresh' });
+
+		await updateUser(mockReq, mockRes);
+
+		expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+			{ _id: 'user1' },
+			{ $set: { username: 'enrico2' } },
+			{ new: true }
+		);
+		expect(transactions.updateMany).toHaveBeenCalledWith(
+			{ username: 'enrico' },
+			{ $set: { username: 'enrico2' } }
+		);
+		//The models share their automocked methods: the next calls rename the recurring transactions, the budgets and the goals
+		expect(recurringTransactions.updateMany).toHaveBeenCalledTimes(5);
+		expect(recurringTransactions.updateMany).toHaveBeenNthCalledWith(
+			2,
+			{ username: 'enrico' },
+			{ $set: { username: 'enrico2' } }
+		);
+		expect(budgets.updateMany).toHaveBeenNthCalledWith(3, { username: 'enrico' }, { $set: { username: 'enrico2' } });
+		expect(goals.updateMany).toHaveBeenNthCalledWith(4, { username: 'enrico' }, { $set: { username: 'enrico2' } });
+		expect(goals.updateMany).toHaveBeenNthCalledWith(
+			5,
+			{ 'contributions.username': 'enrico' },
+			{ $set: { 'contributions.$[contribution].username': 'enrico2' } },
+			{ arrayFilters: [{ 'contribution.username': 'enrico' }] }
+		);
+		expect(keepOnlySession).toHaveBeenCalledWith(mockRes, { ...user, username: 'enrico2' }, 'session1', undefined);
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: {
+				username: 'enrico2',
+				email: 'enrico@gmail.com',
+				pendingEmail: null,
+				accessToken: 'access',
+				refreshToken: 'refresh',
+			},
+			refreshedTokenMessage: 'refreshed token',
+		});
+	});
+
+	test('should store a new email as pending and send a verification link to it', async () => {
+		mockReq.body.email = 'enrico@work.com';
+		User.findOne.mockResolvedValueOnce(user).mockResolvedValueOnce(null);
+		newEmailVerification.mockReturnValueOnce({ token: 'token', tokenHash: 'hash', expires: 'tomorrow' });
+		User.findOneAndUpdate.mockResolvedValueOnce({ ...user, pendingEmail: 'enrico@work.com' });
+
+		await updateUser(mockReq, mockRes);
+
+		expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+			{ _id: 'user1' },
+			{
+				$set: {
+					pendingEmail: 'enrico@work.com',
+					emailVerificationTokenHash: 'hash',
+					emailVerificationExpires: 'tomorrow',
+				},
+			},
+			{ new: true }
+		);
+		expect(sendVerificationEmail).toHaveBeenCalledWith('enrico@work.com', 'token');
+		expect(keepOnlySession).not.toHaveBeenCalled();
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: { username: 'enrico', email: 'enrico@gmail.com', pendingEmail: 'enrico@work.com' },
+			refreshedTokenMessage: 'refreshed token',
+		});
+	});
+
+	test.each([['username', 'enrico2'], ['email', 'enrico@work.com']])(
+		'should return 403 if an admin impersonating the user changes the %s',
+		async (attribute, value) => {
+			verifyAuth.mockImplementation(() => ({
+				authorized: true,
+				cause: 'Authorized',
+				sessionId: 'session1',
+				impersonatedBy: 'admin',
+			}));
+			mockReq.body[attribute] = value;
+
+			await updateUser(mockReq, mockRes);
+
+			expect(mockRes.status).toHaveBeenCalledWith(403);
+			expect(mockRes.json).toHaveBeenCalledWith({ error: 'Not allowed while impersonating a user' });
+			expect(User.findOne).not.toHaveBeenCalled();
+			expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+			expect(keepOnlySession).not.toHaveBeenCalled();
+			expect(sendVerificationEmail).not.toHaveBeenCalled();
+		}
+	);
+
+	test('should return 400 if the username is already taken', async () => {
+		mockReq.body.username = 'mario';
+		User.findOne.mockResolvedValueOnce(user).mockResolvedValueOnce({ username: 'mario' });
+
+		await updateUser(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Username already taken' });
+		expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+	});
+
+	test('should return 400 if the email is already registered', async () => {
+		mockReq.body.email = 'mario@gmail.com';
+		User.findOne.mockResolvedValueOnce(user).mockResolvedValueOnce({ email: 'mario@gmail.com' });
+
+		await updateUser(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Email already registered' });
+	});
+
+	test('should change the base currency', async () => {
+		mockReq.body.baseCurrency = 'usd';
+		User.findOne.mockResolvedValueOnce(user);
+		User.findOneAndUpdate.mockResolvedValueOnce({ ...user, baseCurrency: 'USD' });
+
+		await updateUser(mockReq, mockRes);
+
+		expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+			{ _id: 'user1' },
+			{ $set: { baseCurrency: 'USD' } },
+			{ new: true }
+		);
+		expect(keepOnlySession).not.toHaveBeenCalled();
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: { username: 'enrico', email: 'enrico@gmail.com', pendingEmail: null, baseCurrency: 'USD' },
+			refreshedTokenMessage: 'refreshed token',
+		});
+	});
+
+	test('should return 400 if the base currency is not valid', async () => {
+		mockReq.body.baseCurrency = 'dollar';
+
+		await updateUser(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid currency' });
+		expect(User.findOne).not.toHaveBeenCalled();
+	});
+
+	test('should return 400 if no attribute is given', async () => {
+		await updateUser(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Missing parameters' });
+	});
+
+	test('should return 400 if the username is empty', async () => {
+		mockReq.body.username = ' ';
+
+		await updateUser(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Empty string in parameters' });
+	});
+
+	test('should return 400 if the email is not correctly formatted', async () => {
+		mockReq.body.email = 'enrico';
+		isEmail.mockImplementation(() => false);
+
+		await updateUser(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Email not correct formatted' });
+	});
+
+	test('should return 401 if the caller is another user', async () => {
+		mockReq.body.username = 'enrico2';
+		verifyAuth.mockImplementation(() => ({
+			authorized: false,
+			cause: 'Requested user different from the logged one',
+		}));
+
+		await updateUser(mockReq, mockRes);
+
+		expect(verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, { authType: 'User' });
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+	});
+});
+
+describe('changePassword', () => {
+	let mockReq;
+	let mockRes;
+	const user = { _id: 'user1', username: 'enrico', email: 'enrico@gmail.com', password: 'hashed' };
+
+	beforeEach(() => {
+		mockReq = {
+			params: { username: 'enrico' },
+			body: { currentPassword: 'old', newPassword: 'new' },
+		};
+		mockRes = {
+			status: jest.fn(() => mockRes),
+			json: jest.fn(),
+			set: jest.fn(),
+			locals: {
+				refreshedTokenMessage: 'refreshed token',
+			},
+		};
+
+		verifyAuth.mockImplementation(() => ({ authorized: true, cause: 'Authorized', sessionId: 'session1' }));
+		User.findOne.mockReset();
+		User.findOne.mockResolvedValue(user);
+		User.updateOne.mockClear();
+		loginRetryAfter.mockResolvedValue(0);
+		recordLoginFailure.mockClear();
+		resetLoginFailures.mockClear();
+		keepOnlySession.mockReset();
+		bcrypt.hash.mockResolvedValue('new hash');
+	});
+
+	test('should change the password and revoke the other sessions', async () => {
+		bcrypt.compare.mockResolvedValueOnce(true);
+		keepOnlySession.mockResolvedValueOnce({ accessToken: 'access', refreshToken: 'refresh' });
+
+		await changePassword(mockReq, mockRes);
+
+		expect(bcrypt.compare).toHaveBeenCalledWith('old', 'hashed');
+		expect(User.updateOne).toHaveBeenCalledWith(
+			{ _id: 'user1' },
+			{ $set: { password: 'new hash', passwordResetTokenHash: null, passwordResetExpires: null } }
+		);
+		expect(resetLoginFailures).toHaveBeenCalledWith({ email: 'enrico@gmail.com' });
+		expect(keepOnlySession).toHaveBeenCalledWith(mockRes, user, 'session1', undefined);
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: { message: 'Password updated', accessToken: 'access', refreshToken: 'refresh' },
+			refreshedTokenMessage: 'refreshed token',
+		});
+	});
+
+	test('should return 400 and count a failed attempt if the current password is wrong', async () => {
+		bcrypt.compare.mockResolvedValueOnce(false);
+
+		await changePassword(mockReq, mockRes);
+
+		expect(recordLoginFailure).toHaveBeenCalledWith({ email: 'enrico@gmail.com' });
+		expect(User.updateOne).not.toHaveBeenCalled();
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Wrong password' });
+	});
+
+	test('should return 429 while the account is locked', async () => {
+		loginRetryAfter.mockResolvedValue(30000);
+
+		await changePassword(mockReq, mockRes);
+
+		expect(mockRes.set).toHaveBeenCalledWith('Retry-After', '30');
+		expect(mockRes.status).toHaveBeenCalledWith(429);
+		expect(User.updateOne).not.toHaveBeenCalled();
+	});
+
+	test('should return 400 if a parameter is missing', async () => {
+		mockReq.body = { newPassword: 'new' };
+
+		await changePassword(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Missing parameters' });
+	});
+
+	test('should return 400 if a parameter is empty', async () => {
+		mockReq.body.newPassword = '';
+
+		await changePassword(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Empty string in parameters' });
+	});
+
+	test('should return 403 if an admin is impersonating the user', async () => {
+		verifyAuth.mockImplementation(() => ({
+			authorized: true,
+			cause: 'Authorized',
+			sessionId: 'session1',
+			impersonatedBy: 'admin',
+		}));
+
+		await changePassword(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(403);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Not allowed while impersonating a user' });
+		expect(User.updateOne).not.toHaveBeenCalled();
+		expect(keepOnlySession).not.toHaveBeenCalled();
+	});
+});
+
+describe('deleteAccount', () => {
+	let mockReq;
+	let mockRes;
+	const env = process.env;
+	const user = { _id: 'user1', username: 'enrico', email: 'enrico@gmail.com', password: 'hashed', role: 'Regular' };
+
+	beforeEach(() => {
+		process.env = { ...env };
+		mockReq = {
+			params: { username: 'enrico' },
+			body: { password: 'password' },
+		};
+		mockRes = {
+			status: jest.fn(() => mockRes),
+			json: jest.fn(),
+			set: jest.fn(),
+			locals: {
+				refreshedTokenMessage: 'refreshed token',
+			},
+		};
+
+		verifyAuth.mockImplementation(() => ({ authorized: true, cause: 'Authorized' }));
+		User.findOne.mockReset();
+		User.findOne.mockResolvedValue(user);
+		User.updateOne.mockClear();
+		Session.deleteMany.mockClear();
+		ApiKey.deleteMany.mockClear();
+		loginRetryAfter.mockResolvedValue(0);
+		bcrypt.compare.mockResolvedValue(true);
+	});
+
+	afterAll(() => {
+		process.env = env;
+	});
+
+	test('should schedule the deletion and revoke every session and API key', async () => {
+		const before = Date.now();
+
+		await deleteAccount(mockReq, mockRes);
+
+		const { deletionScheduledAt } = User.updateOne.mock.calls[0][1].$set;
+		expect(deletionScheduledAt.getTime()).toBeGreaterThanOrEqual(before + 14 * 24 * 60 * 60 * 1000);
+		expect(Session.deleteMany).toHaveBeenCalledWith({ user: 'user1' });
+		expect(ApiKey.deleteMany).toHaveBeenCalledWith({ user: 'user1' });
+		expect(clearAuthCookies).toHaveBeenCalledWith(mockRes);
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.json).toHaveBeenCalledWith({
+			data: { message: 'Account scheduled for deletion', deletionScheduledAt: deletionScheduledAt },
+		});
+	});
+
+	test('should read the grace period from the environment', async () => {
+		process.env.ACCOUNT_DELETION_GRACE_DAYS = '0';
+		const before = Date.now();
+
+		await deleteAccount(mockReq, mockRes);
+
+		const { deletionScheduledAt } = User.updateOne.mock.calls[0][1].$set;
+		expect(deletionScheduledAt.getTime()).toBeLessThan(before + 60 * 1000);
+	});
+
+	test('should return 400 if the password is wrong', async () => {
+		bcrypt.compare.mockResolvedValue(false);
+
+		await deleteAccount(mockReq, mockRes);
+
+		expect(User.updateOne).not.toHaveBeenCalled();
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Wrong password' });
+	});
+
+	test('should return 400 if the password is missing', async () => {
+		mockReq.body = {};
+
+		await deleteAccount(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Missing parameters' });
+	});
+
+	test('should return 400 if the user is an admin', async () => {
+		User.findOne.mockResolvedValue({ ...user, role: 'Admin' });
+
+		await deleteAccount(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Cannot delete an admin' });
+	});
+});
+
+describe('purgeScheduledDeletions', () => {
+	test('should delete the accounts whose grace period has ended', async () => {
+		User.find.mockResolvedValueOnce([{ _id: 'user1', username: 'enrico', email: 'enrico@gmail.com' }]);
+		transactions.deleteMany.mockResolvedValue({ deletedCount: 3 });
+		User.findOne.mockReset();
+		User.findOne.mockResolvedValueOnce(null);
+		User.deleteOne.mockClear();
+
+		const purged = await purgeScheduledDeletions();
+
+		expect(User.find).toHaveBeenCalledWith({ deletionScheduledAt: { $lte: expect.any(Date) } });
+		expect(transactions.deleteMany).toHaveBeenCalledWith({ username: 'enrico' });
+		expect(recurringTransactions.deleteMany).toHaveBeenCalledWith({ username: 'enrico' });
+		expect(budgets.deleteMany).toHaveBeenCalledWith({ username: 'enrico' });
+		expect(goals.deleteMany).toHaveBeenLastCalledWith({ username: 'enrico' });
+		expect(User.deleteOne).toHaveBeenCalledWith({ _id: 'user1' });
+		expect(purged).toBe(1);
+	});
+});
+
+describe('exportUserData', () => {
+	let mockReq;
+	let mockRes;
+
+	beforeEach(() => {
+		mockReq = { params: { username: 'enrico' } };
+		mockRes = {
+			status: jest.fn(() => mockRes),
+			json: jest.fn(),
+			set: jest.fn(),
+			locals: {
+				refreshedTokenMessage: 'refreshed token',
+			},
+		};
+		verifyAuth.mockImplementation(() => ({ authorized: true, cause: 'Authorized' }));
+		User.findOne.mockReset();
+	});
+
+	test('should return everything tied to the account without secrets', async () => {
+		User.findOne
+			.mockResolvedValueOnce({
+				_id: 'user1',
+				username: 'enrico',
+				email: 'enrico@gmail.com',
+				password: 'hashed',
+				role: 'Regular',
+				twoFactorSecret: 'secret',
+			})
+			.mockResolvedValueOnce({ name: 'family', members: [{ email: 'enrico@gmail.com', user: 'user1' }] });
+		transactions.find.mockResolvedValueOnce([{ username: 'enrico', type: 'food', amount: 10, date: 'today' }]);
+		recurringTransactions.find.mockResolvedValueOnce([
+			{ type: 'home', amount: 800, frequency: 'monthly', interval: 1, start: 'january', paused: false },
+		]);
+		budgets.find.mockResolvedValueOnce([
+			{ username: 'enrico', type: 'food', amount: 300, currency: 'EUR', period: 'monthly', start: 'january', rollover: true },
+		]);
+		goals.find.mockResolvedValueOnce([
+			{
+				username: 'enrico',
+				group: null,
+				name: 'Bike',
+				amount: 500,
+				deadline: 'december',
+				contributions: [{ username: 'enrico', amount: 50, date: 'may', note: '' }],
+			},
+			{
+				username: null,
+				group: 'family',
+				name: 'Holiday',
+				amount: 2000,
+				currency: 'EUR',
+				deadline: 'july',
+				contributions: [
+					{ username: 'mario', amount: 300, date: 'april', note: 'Bonus' },
+					{ username: 'enrico', amount: 100, date: 'may', note: '' },
+				],
+			},
+		]);
+		Session.find.mockResolvedValueOnce([{ label: 'Laptop', refreshTokenHash: 'hash' }]);
+		ApiKey.find.mockResolvedValueOnce([{ name: 'Script', prefix: 'ezw_1234', keyHash: 'hash' }]);
+
+		await exportUserData(mockReq, mockRes);
+
+		const { data } = mockRes.json.mock.calls[0][0];
+		expect(mockRes.status).toHaveBeenCalledWith(200);
+		expect(mockRes.set).toHaveBeenCalledWith('Content-Disposition', 'attachment; filename="ezwallet-export.json"');
+		expect(data.profile).toEqual(expect.objectContaining({ username: 'enrico', email: 'enrico@gmail.com' }));
+		expect(data.transactions).toEqual([
+			{ username: 'enrico', type: 'food', amount: '10.00', currency: 'EUR', direction: 'expense', date: 'today' },
+		]);
+		expect(data.recurring).toEqual([
+			{
+				type: 'home',
+				amount: '800.00',
+				currency: 'EUR',
+				direction: 'expense',
+				frequency: 'monthly',
+				interval: 1,
+				start: 'january',
+				paused: false,
+			},
+		]);
+		expect(data.budgets).toEqual([
+			{ type: 'food', amount: '300.00', currency: 'EUR', period: 'monthly', start: 'january', rollover: true },
+		]);
+		expect(budgets.find).toHaveBeenCalledWith({ username: 'enrico' });
+		expect(goals.find).toHaveBeenCalledWith({
+			$or: [{ username: 'enrico' }, { 'contributions.username': 'enrico' }],
+		});
+		expect(data.goals).toEqual([
+			{
+				name: 'Bike',
+				group: null,
+				amount: '500.00',
+				currency: 'EUR',
+				deadline: 'december',
+				contributions: [{ amount: '50.00', date: 'may', note: '' }],
+			},
+			{
+				name: 'Holiday',
+				group: 'family',
+				amount: '2000.00',
+				currency: 'EUR',
+				deadline: 'july',
+				contributions: [{ amount: '100.00', date: 'may', note: '' }],
+			},
+		]);
+		expect(data.group).toEqual({ name: 'family', members: [{ email: 'enrico@gmail.com' }] });
+		expect(data.sessions[0]).toEqual(expect.objectContaining({ label: 'Laptop' }));
+		expect(data.apiKeys[0]).toEqual(expect.objectContaining({ name: 'Script', prefix: 'ezw_1234' }));
+		expect(JSON.stringify(data)).not.toMatch(/hashed|secret|"hash"/);
+	});
+
+	test('should return 400 if the user does not exist', async () => {
+		User.findOne.mockResolvedValueOnce(null);
+
+		await exportUserData(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(400);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'User not found' });
+	});
+
+	test('should return 401 if the caller is another user', async () => {
+		verifyAuth.mockImplementation(() => ({ authorized: false, cause: 'Requested user different from the logged one' }));
+
+		await exportUserData(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(401);
+	});
+
+	test('should return 403 if an admin is impersonating the user', async () => {
+		verifyAuth.mockImplementation(() => ({ authorized: true, cause: 'Authorized', impersonatedBy: 'admin' }));
+
+		await exportUserData(mockReq, mockRes);
+
+		expect(mockRes.status).toHaveBeenCalledWith(403);
+		expect(mockRes.json).toHaveBeenCalledWith({ error: 'Not allowed while impersonating a user' });
+		expect(User.findOne).not.toHaveBeenCalled();
+		expect(mockRes.set).not.toHaveBeenCalled();
+	});
+});
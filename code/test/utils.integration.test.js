@@ -3,9 +3,9 @@ import { app } from '../app';
 import { categories, transactions } from '../models/model';
 import mongoose from 'mongoose';
 import dotenv from 'dotenv';
-import { User, Group } from '../models/User';
+import { User, Group, Session } from '../models/User';
 import jwt from 'jsonwebtoken';
-import { verifyAuth, handleDateFilterParams } from '../controllers/utils';
+import { verifyAuth, handleDateFilterParams, hashToken } from '../controllers/utils';
 
 dotenv.config();
 
@@ -30,6 +30,7 @@ beforeEach(async () => {
 	await transactions.deleteMany({});
 	await User.deleteMany({});
 	await Group.deleteMany({});
+	await Session.deleteMany({});
 });
 
 /**
@@ -76,7 +77,7 @@ describe('utils.js', () => {
 		 * An object with a "cookies" field that in turn contains "accessToken" and "refreshToken" is sufficient for the request
 		 * The response object is untouched in most cases, so it can be a simple empty object
 		 */
-		test('Tokens are both valid and belong to the requested user', () => {
+		test('Tokens are both valid and belong to the requested user', async () => {
 			//The only difference between access and refresh token is (in practice) their duration, but the payload is the same
 			//Meaning that the same object can be used for both
 			const req = {
@@ -90,7 +91,7 @@ describe('utils.js', () => {
 			};
 			const res = {};
 			//The function is called in the same way as in the various methods, passing the necessary authType and other information
-			const response = verifyAuth(req, res, {
+			const response = await verifyAuth(req, res, {
 				authType: 'User',
 				username: 'tester',
 			});
@@ -99,10 +100,10 @@ describe('utils.js', () => {
 			expect(Object.values(response).includes(true)).toBe(true);
 		});
 
-		test('Undefined tokens', () => {
+		test('Undefined tokens', async () => {
 			const req = { cookies: {} };
 			const res = {};
-			const response = verifyAuth(req, res, { authType: 'Simple' });
+			const response = await verifyAuth(req, res, { authType: 'Simple' });
 			//The test is passed if the function returns an object with a false value, no matter its name
 			expect(Object.values(response).includes(false)).toBe(true);
 		});
@@ -110,7 +111,18 @@ describe('utils.js', () => {
 		/**
 		 * The only situation where the response object is actually interacted with is the case where the access token must be refreshed
 		 */
-		test('Access token expired and refresh token belonging to the requested user', () => {
+		test('Access token expired and refresh token belonging to the requested user', async () => {
+			//Only the refresh token currently stored for a session can be used to refresh the access token
+			const user = await User.create({
+				username: 'tester',
+				email: 'tester@test.com',
+				password: 'tester',
+			});
+			await Session.create({
+				user: user._id,
+				refreshTokenHash: hashToken(testerAccessTokenValid),
+				expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+			});
 			const req = {
 				params: {
 					username: 'tester',
@@ -129,7 +141,7 @@ describe('utils.js', () => {
 				cookie: cookieMock,
 				locals: {},
 			};
-			const response = verifyAuth(req, res, {
+			const response = await verifyAuth(req, res, {
 				authType: 'User',
 				username: 'tester',
 			});
@@ -151,7 +163,7 @@ describe('utils.js', () => {
 			const message = res.locals.refreshedTokenMessage ? true : res.locals.message ? true : false;
 			expect(message).toBe(true);
 		});
-		test('Tokens are both valid and belong to the requested user and to be false accessToken missing email ', () => {
+		test('Tokens are both valid and belong to the requested user and to be false accessToken missing email ', async () => {
 			//The only difference between access and refresh token is (in practice) their duration, but the payload is the same
 			//Meaning that the same object can be used for both
 			const testerAccessTokenValid3 = jwt.sign(
@@ -173,7 +185,7 @@ describe('utils.js', () => {
 			};
 			const res = {};
 			//The function is called in the same way as in the various methods, passing the necessary authType and other information
-			const response = verifyAuth(req, res, {
+			const response = await verifyAuth(req, res, {
 				authType: 'User',
 				username: 'tester',
 			});
@@ -182,7 +194,7 @@ describe('utils.js', () => {
 			expect(Object.values(response).includes(false)).toBe(true);
 			expect(response.cause).toBe('Token is missing information');
 		});
-		test('Tokens are both valid and belong to the requested user and to be false accessToken username ', () => {
+		test('Tokens are both valid and belong to the requested user and to be false accessToken username ', async () => {
 			//The only difference between access and refresh token is (in practice) their duration, but the payload is the same
 			//Meaning that the same object can be used for both
 			const testerAccessTokenValid3 = jwt.sign(
@@ -204,7 +216,7 @@ describe('utils.js', () => {
 			};
 			const res = {};
 			//The function is called in the same way as in the various methods, passing the necessary authType and other information
-			const response = verifyAuth(req, res, {
+			const response = await verifyAuth(req, res, {
 				authType: 'User',
 				username: 'tester',
 			});
@@ -213,7 +225,7 @@ describe('utils.js', () => {
 			expect(Object.values(response).includes(false)).toBe(true);
 			expect(response.cause).toBe('Token is missing information');
 		});
-		test('Tokens are both valid and belong to the requested user and to be false accessToken role ', () => {
+		test('Tokens are both valid and belong to the requested user and to be false accessToken role ', async () => {
 			//The only difference between access and refresh token is (in practice) their duration, but the payload is the same
 			//Meaning that the same object can be used for both
 			const testerAccessTokenValid3 = jwt.sign(
@@ -235,7 +247,7 @@ describe('utils.js', () => {
 			};
 			const res = {};
 			//The function is called in the same way as in the various methods, passing the necessary authType and other information
-			const response = verifyAuth(req, res, {
+			const response = await verifyAuth(req, res, {
 				authType: 'User',
 				username: 'tester',
 			});
@@ -244,7 +256,7 @@ describe('utils.js', () => {
 			expect(Object.values(response).includes(false)).toBe(true);
 			expect(response.cause).toBe('Token is missing information');
 		});
-		test('Tokens are both valid and belong to the requested user and to be false RefreshToken missing email ', () => {
+		test('Tokens are both valid and belong to the requested user and to be false RefreshToken missing email ', async () => {
 			//The only difference between access and refresh token is (in practice) their duration, but the payload is the same
 			//Meaning that the same object can be used for both
 			const testerAccessTokenValid3 = jwt.sign(
@@ -266,7 +278,7 @@ describe('utils.js', () => {
 			};
 			const res = {};
 			//The function is called in the same way as in the various methods, passing the necessary authType and other information
-			const response = verifyAuth(req, res, {
+			const response = await verifyAuth(req, res, {
 				authType: 'User',
 				username: 'tester',
 			});
@@ -275,7 +287,7 @@ describe('utils.js', () => {
 			expect(Object.values(response).includes(false)).toBe(true);
 			expect(response.cause).toBe('Token is missing information');
 		});
-		test('Tokens are both valid and belong to the requested user and to be false RefreshToken username ', () => {
+		test('Tokens are both valid and belong to the requested user and to be false RefreshToken username ', async () => {
 			//The only difference between access and refresh token is (in practice) their duration, but the payload is the same
 			//Meaning that the same object can be used for both
 			const testerAccessTokenValid3 = jwt.sign(
@@ -297,7 +309,7 @@ describe('utils.js', () => {
 			};
 			const res = {};
 			//The function is called in the same way as in the various methods, passing the necessary authType and other information
-			const response = verifyAuth(req, res, {
+			const response = await verifyAuth(req, res, {
 				authType: 'User',
 				username: 'tester',
 			});
@@ -306,7 +318,7 @@ describe('utils.js', () => {
 			expect(Object.values(response).includes(false)).toBe(true);
 			expect(response.cause).toBe('Token is missing information');
 		});
-		test('Tokens are both valid and belong to the requested user and to be false RefreshToken role ', () => {
+		test('Tokens are both valid and belong to the requested user and to be false RefreshToken role ', async () => {
 			//The only difference between access and refresh token is (in practice) their duration, but the payload is the same
 			//Meaning that the same object can be used for both
 			const testerAccessTokenValid3 = jwt.sign(
@@ -328,7 +340,7 @@ describe('utils.js', () => {
 			};
 			const res = {};
 			//The function is called in the same way as in the various methods, passing the necessary authType and other information
-			const response = verifyAuth(req, res, {
+			const response = await verifyAuth(req, res, {
 				authType: 'User',
 				username: 'tester',
 			});
@@ -337,7 +349,7 @@ describe('utils.js', () => {
 			expect(Object.values(response).includes(false)).toBe(true);
 			expect(response.cause).toBe('Token is missing information');
 		});
-		test('Tokens are both valid but both token have different users ', () => {
+		test('Tokens are both valid but both token have different users ', async () => {
 			//The only difference between access and refresh token is (in practice) their duration, but the payload is the same
 			//Meaning that the same object can be used for both
 			const testerAccessTokenValid3 = jwt.sign(
@@ -360,7 +372,7 @@ describe('utils.js', () => {
 			};
 			const res = {};
 			//The function is called in the same way as in the various methods, passing the necessary authType and other information
-			const response = verifyAuth(req, res, {
+			const response = await verifyAuth(req, res, {
 				authType: 'User',
 				username: 'tester',
 			});
@@ -369,7 +381,7 @@ describe('utils.js', () => {
 			expect(Object.values(response).includes(false)).toBe(true);
 			expect(response.cause).toBe('Mismatched users');
 		});
-		test('Tokens are both valid but user is not the same as the one in the params ', () => {
+		test('Tokens are both valid but user is not the same as the one in the params ', async () => {
 			//The only difference between access and refresh token is (in practice) their duration, but the payload is the same
 			//Meaning that the same object can be used for both
 			const testerAccessTokenValid3 = jwt.sign(
@@ -392,7 +404,7 @@ describe('utils.js', () => {
 			};
 			const res = {};
 			//The function is called in the same way as in the various methods, passing the necessary authType and other information
-			const response = verifyAuth(req, res, {
+			const response = await verifyAuth(req, res, {
 				authType: 'User',
 				username: 'tester',
 			});
@@ -401,7 +413,7 @@ describe('utils.js', () => {
 			expect(Object.values(response).includes(false)).toBe(true);
 			expect(response.cause).toBe('Requested user different from the logged one');
 		});
-		test('Tokens is from a user trying to pass as an admin it should give an error ', () => {
+		test('Tokens is from a user trying to pass as an admin it should give an error ', async () => {
 			//The only difference between access and refresh token is (in practice) their duration, but the payload is the same
 			//Meaning that the same object can be used for both
 			const testerAccessTokenValid3 = jwt.sign(
@@ -424,7 +436,7 @@ describe('utils.js', () => {
 			};
 			const res = {};
 			//The function is called in the same way as in the various methods, passing the necessary authType and other information
-			const response = verifyAuth(req, res, {
+			const response = await verifyAuth(req, res, {
 				authType: 'Admin',
 				username: 'tester',
 			});
@@ -433,7 +445,7 @@ describe('utils.js', () => {
 			expect(Object.values(response).includes(false)).toBe(true);
 			expect(response.cause).toBe('Not admin');
 		});
-		test('Tokens is from a user trying to pass as a member of a group he is not in it should give an error ', () => {
+		test('Tokens is from a user trying to pass as a member of a group he is not in it should give an error ', async () => {
 			//The only difference between access and refresh token is (in practice) their duration, but the payload is the same
 			//Meaning that the same object can be used for both
 			const testerAccessTokenValid3 = jwt.sign(
@@ -456,7 +468,7 @@ describe('utils.js', () => {
 			};
 			const res = {};
 			//The function is called in the same way as in the various methods, passing the necessary authType and other information
-			const response = verifyAuth(req, res, {
+			const response = await verifyAuth(req, res, {
 				authType: 'Group',
 				groupEmails: ['tester', 'tester2'],
 			});
@@ -465,7 +477,7 @@ describe('utils.js', () => {
 			expect(Object.values(response).includes(false)).toBe(true);
 			expect(response.cause).toBe('User not in group');
 		});
-		test('expired refresh token->user should loggin again message ', () => {
+		test('expired refresh token->user should loggin again message ', async () => {
 			//The only difference between access and refresh token is (in practice) their duration, but the payload is the same
 			//Meaning that the same object can be used for both
 			const testerAccessTokenValid3 = jwt.sign(
@@ -488,7 +500,7 @@ describe('utils.js', () => {
 			};
 			const res = {};
 			//The function is called in the same way as in the various methods, passing the necessary authType and other information
-			const response = verifyAuth(req, res, {
+			const response = await verifyAuth(req, res, {
 				authType: 'User',
 				username: 'tester',
 			});
@@ -497,5 +509,35 @@ describe('utils.js', () => {
 			expect(Object.values(response).includes(false)).toBe(true);
 			expect(response.cause).toBe('Perform login again');
 		});
+	
+		test('Access token expired and refresh token already rotated', async () => {
+			const user = await User.create({
+				username: 'tester',
+				email: 'tester@test.com',
+				password: 'tester',
+			});
+			await Session.create({
+				user: user._id,
+				refreshTokenHash: hashToken('a-newer-refresh-token'),
+				expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+			});
+			const req = {
+				params: {
+					username: 'tester',
+				},
+				cookies: {
+					accessToken: testerAccessTokenExpired,
+					refreshToken: testerAccessTokenValid,
+				},
+			};
+			const res = { cookie: jest.fn(), locals: {} };
+			const response = await verifyAuth(req, res, {
+				authType: 'User',
+				username: 'tester',
+			});
+			expect(Object.values(response).includes(false)).toBe(true);
+			expect(response.cause).toBe('Refresh token has been revoked');
+			expect(res.cookie).not.toHaveBeenCalled();
+		});
 	});
 });
@@ -1,7 +1,19 @@
-import { handleDateFilterParams, verifyAuth, handleAmountFilterParams } from '../controllers/utils';
+import {
+	handleDateFilterParams,
+	verifyAuth,
+	handleAmountFilterParams,
+	handleTagFilterParams,
+	normalizeTags,
+	getTokens,
+	cookieOptions,
+	API_KEY_SCOPES,
+} from '../controllers/utils';
 import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import { ApiKey, AuditLog, Role, Session, User } from '../models/User';
 
 jest.mock('jsonwebtoken');
+jest.mock('../models/User');
 
 describe('handleDateFilterParams', () => {
 	test('should return the correct date filter object', () => {
@@ -88,27 +100,27 @@ describe('verifyAuth', () => {
 	const info = {
 		authType: '',
 	};
-	test('should return 401 if there is no accessToken', () => {
+	test('should return 401 if there is no accessToken', async () => {
 		mockReq.cookies.accessToken = '';
 		mockReq.cookies.refreshToken = 'refresh-token';
 
-		const response = verifyAuth(mockReq, mockRes);
+		const response = await verifyAuth(mockReq, mockRes);
 
 		expect(response).toHaveProperty('authorized', false);
 		expect(response).toHaveProperty('cause');
 	});
 
-	test('should return 401 if there is no refreshToken', () => {
+	test('should return 401 if there is no refreshToken', async () => {
 		mockReq.cookies.accessToken = 'access-token';
 		mockReq.cookies.refreshToken = '';
 
-		const response = verifyAuth(mockReq, mockRes);
+		const response = await verifyAuth(mockReq, mockRes);
 
 		expect(response).toHaveProperty('authorized', false);
 		expect(response).toHaveProperty('cause');
 	});
 
-	test('should return authorized false if accessToken is missing information', () => {
+	test('should return authorized false if accessToken is missing information', async () => {
 		mockReq.cookies.accessToken = 'access-token';
 		mockReq.cookies.refreshToken = 'refresh-token';
 
@@ -119,13 +131,13 @@ describe('verifyAuth', () => {
 			};
 		});
 
-		const response = verifyAuth(mockReq, mockRes);
+		const response = await verifyAuth(mockReq, mockRes);
 
 		expect(response).toHaveProperty('authorized', false);
 		expect(response).toHaveProperty('cause', 'Token is missing information');
 	});
 
-	test('should return authorized false if refreshToken is missing information', () => {
+	test('should return authorized false if refreshToken is missing information', async () => {
 		mockReq.cookies.accessToken = 'access-token';
 		mockReq.cookies.refreshToken = 'refresh-token';
 
@@ -144,13 +156,13 @@ describe('verifyAuth', () => {
 				};
 			});
 
-		const response = verifyAuth(mockReq, mockRes);
+		const response = await verifyAuth(mockReq, mockRes);
 
 		expect(response).toHaveProperty('authorized', false);
 		expect(response).toHaveProperty('cause', 'Token is missing information');
 	});
 
-	test('should return authorized false if mismatched user information', () => {
+	test('should return authorized false if mismatched user information', async () => {
 		mockReq.cookies.accessToken = 'access-token';
 		mockReq.cookies.refreshToken = 'refresh-token';
 
@@ -170,13 +182,13 @@ describe('verifyAuth', () => {
 				};
 			});
 
-		const response = verifyAuth(mockReq, mockRes);
+		const response = await verifyAuth(mockReq, mockRes);
 
 		expect(response).toHaveProperty('authorized', false);
 		expect(response).toHaveProperty('cause', 'Mismatched users');
 	});
 
-	test('should return authorized false if username is undefined', () => {
+	test('should return authorized false if username is undefined', async () => {
 		mockReq.cookies.accessToken = 'access-token';
 		mockReq.cookies.refreshToken = 'refresh-token';
 
@@ -200,13 +212,13 @@ describe('verifyAuth', () => {
 				};
 			});
 
-		const response = verifyAuth(mockReq, mockRes, info);
+		const response = await verifyAuth(mockReq, mockRes, info);
 
 		expect(response).toHaveProperty('authorized', false);
 		expect(response).toHaveProperty('cause', 'Requested user different from the logged one');
 	});
 
-	test('should return authorized false if not admin', () => {
+	test('should return authorized false if not admin', async () => {
 		mockReq.cookies.accessToken = 'access-token';
 		mockReq.cookies.refreshToken = 'refresh-token';
 
@@ -228,13 +240,13 @@ describe('verifyAuth', () => {
 				};
 			});
 
-		const response = verifyAuth(mockReq, mockRes, info);
+		const response = await verifyAuth(mockReq, mockRes, info);
 
 		expect(response).toHaveProperty('authorized', false);
 		expect(response).toHaveProperty('cause', 'Not admin');
 	});
 
-	test('should return authorized false if not in group', () => {
+	test('should return authorized false if not in group', async () => {
 		mockReq.cookies.accessToken = 'access-token';
 		mockReq.cookies.refreshToken = 'refresh-token';
 
@@ -256,13 +268,13 @@ describe('verifyAuth', () => {
 				};
 			});
 
-		const response = verifyAuth(mockReq, mockRes, info);
+		const response = await verifyAuth(mockReq, mockRes, info);
 
 		expect(response).toHaveProperty('authorized', false);
 		expect(response).toHaveProperty('cause', 'User not in group');
 	});
 
-	test('should return authorized false if email is not in group', () => {
+	test('should return authorized false if email is not in group', async () => {
 		mockReq.cookies.accessToken = 'access-token';
 		mockReq.cookies.refreshToken = 'refresh-token';
 
@@ -285,13 +297,13 @@ describe('verifyAuth', () => {
 				};
 			});
 
-		const response = verifyAuth(mockReq, mockRes, info);
+		const response = await verifyAuth(mockReq, mockRes, info);
 
 		expect(response).toHaveProperty('authorized', false);
 		expect(response).toHaveProperty('cause', 'User not in group');
 	});
 
-	test('should return authorized true if user is a User', () => {
+	test('should return authorized true if user is a User', async () => {
 		mockReq.cookies.accessToken = 'access-token';
 		mockReq.cookies.refreshToken = 'refresh-token';
 		mockReq.params.username = 'username';
@@ -314,13 +326,13 @@ describe('verifyAuth', () => {
 				};
 			});
 
-		const response = verifyAuth(mockReq, mockRes, info);
+		const response = await verifyAuth(mockReq, mockRes, info);
 
 		expect(response).toHaveProperty('authorized', true);
 		expect(response).toHaveProperty('cause', 'Authorized');
 	});
 
-	test('should return authorized true if user is a User', () => {
+	test('should return authorized true if user is a User', async () => {
 		mockReq.cookies.accessToken = 'access-token';
 		mockReq.cookies.refreshToken = 'refresh-token';
 		mockReq.params.username = 'username';
@@ -343,13 +355,13 @@ describe('verifyAuth', () => {
 				};
 			});
 
-		const response = verifyAuth(mockReq, mockRes, info);
+		const response = await verifyAuth(mockReq, mockRes, info);
 
 		expect(response).toHaveProperty('authorized', true);
 		expect(response).toHaveProperty('cause', 'Authorized');
 	});
 
-	test('should return authorized true if user is in group', () => {
+	test('should return authorized true if user is in group', async () => {
 		mockReq.cookies.accessToken = 'access-token';
 		mockReq.cookies.refreshToken = 'refresh-token';
 
@@ -372,13 +384,13 @@ describe('verifyAuth', () => {
 				};
 			});
 
-		const response = verifyAuth(mockReq, mockRes, info);
+		const response = await verifyAuth(mockReq, mockRes, info);
 
 		expect(response).toHaveProperty('authorized', true);
 		expect(response).toHaveProperty('cause', 'Authorized');
 	});
 
-	test('should return authorized true if token expired', () => {
+	test('should return authorized true if token expired', async () => {
 		mockReq.cookies.accessToken = 'access-token';
 		mockReq.cookies.refreshToken = 'refresh-token';
 		mockReq.params.username = 'username';
@@ -405,14 +417,247 @@ describe('verifyAuth', () => {
 				role: 'Admin',
 			};
 		});
+		Session.findOne.mockResolvedValueOnce({ id: 'session1', lastUsedAt: new Date() });
 
-		const response = verifyAuth(mockReq, mockRes, info);
+		const response = await verifyAuth(mockReq, mockRes, info);
 
 		expect(response).toHaveProperty('authorized', true);
 		expect(response).toHaveProperty('cause', 'Authorized');
 	});
 
-	test('should return authorized false if token expired and jwt throws error TokenExpiredError', () => {
+	test('should accept the tokens sent as Authorization and X-Refresh-Token headers', async () => {
+		const mockHeaderReq = {
+			cookies: {},
+			headers: {
+				authorization: 'Bearer access-token',
+				'x-refresh-token': 'refresh-token',
+			},
+			params: {},
+		};
+		const user = {
+			username: 'username',
+			email: 'email@example.com',
+			role: 'Admin',
+		};
+		jwt.verify.mockImplementationOnce(() => user).mockImplementationOnce(() => user);
+
+		const response = await verifyAuth(mockHeaderReq, mockRes, { authType: 'Admin' });
+
+		expect(jwt.verify).toHaveBeenCalledWith('access-token', expect.anything());
+		expect(jwt.verify).toHaveBeenCalledWith('refresh-token', expect.anything());
+		expect(response).toHaveProperty('authorized', true);
+	});
+
+	test('should return the refreshed access token in a header to Bearer clients', async () => {
+		const mockHeaderReq = {
+			cookies: {},
+			headers: {
+				authorization: 'Bearer access-token',
+				'x-refresh-token': 'refresh-token',
+			},
+			params: {},
+		};
+		const mockHeaderRes = { cookie: jest.fn(), set: jest.fn(), locals: {} };
+
+		jwt.verify
+			.mockImplementationOnce(() => {
+				throw new Error('jwt expired');
+			})
+			.mockImplementationOnce(() => ({
+				username: 'username',
+				email: 'email@example.com',
+				role: 'Admin',
+			}));
+		jwt.sign.mockImplementationOnce(() => 'new-access-token');
+		Session.findOne.mockResolvedValueOnce({ id: 'session1', lastUsedAt: new Date() });
+
+		const response = await verifyAuth(mockHeaderReq, mockHeaderRes, { authType: 'Admin' });
+
+		expect(response).toHaveProperty('authorized', true);
+		expect(mockHeaderRes.set).toHaveBeenCalledWith('X-Access-Token', 'new-access-token');
+	});
+
+	test('should return authorized false if a read-only token is used for a non GET request', async () => {
+		const mockReadOnlyReq = {
+			cookies: { accessToken: 'access-token', refreshToken: 'refresh-token' },
+			method: 'POST',
+			params: {},
+		};
+		const user = {
+			username: 'username',
+			email: 'email@example.com',
+			role: 'Regular',
+			readOnly: true,
+		};
+		jwt.verify.mockImplementationOnce(() => user).mockImplementationOnce(() => user);
+
+		const response = await verifyAuth(mockReadOnlyReq, mockRes, { authType: 'Simple' });
+
+		expect(response).toHaveProperty('authorized', false);
+		expect(response).toHaveProperty('cause', 'Email not verified: read-only access');
+	});
+
+	test('should return authorized true if a read-only token is used for a GET request', async () => {
+		const mockReadOnlyReq = {
+			cookies: { accessToken: 'access-token', refreshToken: 'refresh-token' },
+			method: 'GET',
+			params: {},
+		};
+		const user = {
+			username: 'username',
+			email: 'email@example.com',
+			role: 'Regular',
+			readOnly: true,
+		};
+		jwt.verify.mockImplementationOnce(() => user).mockImplementationOnce(() => user);
+
+		const response = await verifyAuth(mockReadOnlyReq, mockRes, { authType: 'Simple' });
+
+		expect(response).toHaveProperty('authorized', true);
+	});
+
+	test('should return authorized false if token expired and the refresh token has been rotated', async () => {
+		mockReq.cookies.accessToken = 'access-token';
+		mockReq.cookies.refreshToken = 'refresh-token';
+		mockReq.params.username = 'username';
+
+		info.authType = 'Admin';
+
+		jwt.verify
+			.mockImplementationOnce(() => {
+				throw new Error('jwt expired');
+			})
+			.mockImplementationOnce(() => {
+				return {
+					username: 'username',
+					email: 'email@example.com',
+					role: 'Admin',
+				};
+			});
+		jwt.sign.mockClear();
+		Session.findOne.mockResolvedValueOnce(null);
+
+		const response = await verifyAuth(mockReq, mockRes, info);
+
+		expect(jwt.sign).not.toHaveBeenCalled();
+		expect(response).toHaveProperty('authorized', false);
+		expect(response).toHaveProperty('cause', 'Refresh token has been revoked');
+	});
+
+	test('should revoke every session of the user if the expired access token comes with a rotated refresh token', async () => {
+		const tokenUser = { username: 'username', email: 'email@example.com', role: 'Regular', sid: 'session1' };
+		jwt.verify
+			.mockImplementationOnce(() => {
+				throw new Error('jwt expired');
+			})
+			.mockImplementationOnce(() => tokenUser);
+		jwt.sign.mockClear();
+		Session.findOne
+			.mockResolvedValueOnce(null)
+			.mockResolvedValueOnce({ _id: 'session1', user: 'user1', refreshTokenHash: 'newer-hash' });
+		Session.deleteMany.mockClear();
+		const res = { cookie: jest.fn(), locals: {} };
+
+		const response = await verifyAuth(
+			{ cookies: { accessToken: 'access-token', refreshToken: 'refresh-token' }, params: {} },
+			res,
+			{ authType: 'Simple' }
+		);
+
+		expect(Session.findOne).toHaveBeenLastCalledWith({ _id: 'session1', expiresAt: { $gt: expect.any(Date) } });
+		expect(Session.deleteMany).toHaveBeenCalledWith({ user: 'user1' });
+		expect(res.cookie).toHaveBeenCalledWith('refreshToken', '', expect.any(Object));
+		expect(jwt.sign).not.toHaveBeenCalled();
+		expect(response).toEqual({
+			authorized: false,
+			cause: 'Refresh token reuse detected, all sessions have been revoked',
+		});
+	});
+
+	test('should return authorized false if the session of the tokens has been revoked', async () => {
+		const tokenUser = {
+			username: 'username',
+			email: 'email@example.com',
+			role: 'Regular',
+			sid: 'session1',
+		};
+		jwt.verify.mockImplementationOnce(() => tokenUser).mockImplementationOnce(() => tokenUser);
+		Session.findOne.mockResolvedValueOnce(null);
+
+		const response = await verifyAuth(
+			{ cookies: { accessToken: 'access-token', refreshToken: 'refresh-token' }, params: {} },
+			mockRes,
+			{ authType: 'Simple' }
+		);
+
+		expect(Session.findOne).toHaveBeenLastCalledWith({
+			_id: 'session1',
+			expiresAt: { $gt: expect.any(Date) },
+		});
+		expect(response).toHaveProperty('authorized', false);
+		expect(response).toHaveProperty('cause', 'Session has been revoked');
+	});
+
+	test('should return the session id and record its use if the session is active', async () => {
+		const tokenUser = {
+			username: 'username',
+			email: 'email@example.com',
+			role: 'Regular',
+			sid: 'session1',
+		};
+		jwt.verify.mockImplementationOnce(() => tokenUser).mockImplementationOnce(() => tokenUser);
+		Session.findOne.mockResolvedValueOnce({
+			_id: 'session1',
+			lastUsedAt: new Date(Date.now() - 10 * 60 * 1000),
+		});
+		Session.updateOne.mockClear();
+
+		const response = await verifyAuth(
+			{ cookies: { accessToken: 'access-token', refreshToken: 'refresh-token' }, params: {} },
+			mockRes,
+			{ authType: 'Simple' }
+		);
+
+		expect(response).toHaveProperty('authorized', true);
+		expect(response).toHaveProperty('sessionId', 'session1');
+		expect(Session.updateOne).toHaveBeenCalledWith(
+			{ _id: 'session1' },
+			{ $set: { lastUsedAt: expect.any(Date) } }
+		);
+	});
+
+	test('should decide without a promise when the tokens do not belong to a session', () => {
+		const tokenUser = { username: 'username', email: 'email@example.com', role: 'Regular' };
+		jwt.verify.mockImplementationOnce(() => tokenUser).mockImplementationOnce(() => tokenUser);
+		Session.findOne.mockClear();
+
+		const response = verifyAuth(
+			{ cookies: { accessToken: 'access-token', refreshToken: 'refresh-token' }, params: {} },
+			mockRes,
+			{ authType: 'Admin' }
+		);
+
+		expect(response).toEqual({ authorized: false, cause: 'Not admin' });
+		expect(Session.findOne).not.toHaveBeenCalled();
+	});
+
+	test('should return authorized false if the tokens belong to different sessions', async () => {
+		const tokenUser = { username: 'username', email: 'email@example.com', role: 'Regular' };
+		jwt.verify
+			.mockImplementationOnce(() => ({ ...tokenUser, sid: 'session1' }))
+			.mockImplementationOnce(() => ({ ...tokenUser, sid: 'session2' }));
+
+		const response = await verifyAuth(
+			{ cookies: { accessToken: 'access-token', refreshToken: 'refresh-token' }, params: {} },
+			mockRes,
+			{ authType: 'Simple' }
+		);
+
+		expect(response).toHaveProperty('authorized', false);
+		expect(response).toHaveProperty('cause', 'Mismatched users');
+	});
+
+	test('should return authorized false if token expired and jwt throws error TokenExpiredError', async () => {
 		mockReq.cookies.accessToken = 'access-token';
 		mockReq.cookies.refreshToken = 'refresh-token';
 		mockReq.params.username = 'username';
@@ -435,13 +680,13 @@ describe('verifyAuth', () => {
 			throw new Error('TokenExpiredError');
 		});
 
-		const response = verifyAuth(mockReq, mockRes, info);
+		const response = await verifyAuth(mockReq, mockRes, info);
 
 		expect(response).toHaveProperty('authorized', false);
 		expect(response).toHaveProperty('cause', 'Error');
 	});
 
-	test('should return authorized false if token expired and jwt throws error', () => {
+	test('should return authorized false if token expired and jwt throws error', async () => {
 		mockReq.cookies.accessToken = 'access-token';
 		mockReq.cookies.refreshToken = 'refresh-token';
 		mockReq.params.username = 'username';
@@ -464,13 +709,285 @@ describe('verifyAuth', () => {
 			throw new Error('TokenExpiredError');
 		});
 
-		const response = verifyAuth(mockReq, mockRes, info);
+		const response = await verifyAuth(mockReq, mockRes, info);
 
 		expect(response).toHaveProperty('authorized', false);
 		expect(response).toHaveProperty('cause', 'Error');
 	});
 });
 
+describe('verifyAuth with roles', () => {
+	const mockRes = { cookie: jest.fn(), locals: {} };
+	const decoded = { username: 'auditor', email: 'auditor@example.com', role: 'Auditor' };
+	let mockReq;
+
+	beforeEach(() => {
+		mockReq = {
+			cookies: { accessToken: 'access-token', refreshToken: 'refresh-token' },
+			params: {},
+			method: 'GET',
+			permission: 'transactions:read',
+		};
+		jwt.verify.mockReset();
+		jwt.verify.mockReturnValue(decoded);
+		Role.findOne.mockClear();
+	});
+
+	afterAll(() => {
+		jwt.verify.mockReset();
+	});
+
+	test('should treat users whose role grants the permission of the route as admins', async () => {
+		Role.findOne.mockResolvedValueOnce({ name: 'Auditor', permissions: ['transactions:read'] });
+
+		const response = await verifyAuth(mockReq, mockRes, { authType: 'Admin' });
+
+		expect(response).toHaveProperty('authorized', true);
+		expect(Role.findOne).toHaveBeenCalledWith({ name: 'Auditor' });
+	});
+
+	test('should reject users whose role does not grant the permission of the route', async () => {
+		Role.findOne.mockResolvedValueOnce({ name: 'Auditor', permissions: ['users:read'] });
+
+		const response = await verifyAuth(mockReq, mockRes, { authType: 'Admin' });
+
+		expect(response).toEqual({ authorized: false, cause: 'Not admin' });
+	});
+
+	test('should reject roles that no longer exist', async () => {
+		Role.findOne.mockResolvedValueOnce(null);
+
+		const response = await verifyAuth(mockReq, mockRes, { authType: 'Admin' });
+
+		expect(response).toEqual({ authorized: false, cause: 'Not admin' });
+	});
+
+	test('should not look up roles on routes that do not declare a permission', async () => {
+		delete mockReq.permission;
+
+		const response = await verifyAuth(mockReq, mockRes, { authType: 'Admin' });
+
+		expect(response).toEqual({ authorized: false, cause: 'Not admin' });
+		expect(Role.findOne).not.toHaveBeenCalled();
+	});
+
+	test('should not look up the built-in Regular role', async () => {
+		jwt.verify.mockReturnValue({ ...decoded, role: 'Regular' });
+
+		const response = await verifyAuth(mockReq, mockRes, { authType: 'Admin' });
+
+		expect(response).toEqual({ authorized: false, cause: 'Not admin' });
+		expect(Role.findOne).not.toHaveBeenCalled();
+	});
+});
+
+describe('verifyAuth during impersonation', () => {
+	const mockRes = { cookie: jest.fn(), locals: {} };
+	const decoded = {
+		username: 'mario',
+		email: 'mario@example.com',
+		role: 'Regular',
+		sid: 'session1',
+		impersonatedBy: 'admin',
+	};
+	let mockReq;
+
+	beforeEach(() => {
+		mockReq = {
+			cookies: { accessToken: 'access-token', refreshToken: 'refresh-token' },
+			params: { username: 'mario' },
+			method: 'GET',
+			originalUrl: '/api/users/mario/transactions',
+			ip: '127.0.0.1',
+		};
+		jwt.verify.mockReset();
+		jwt.sign.mockReset();
+		AuditLog.create.mockClear();
+	});
+
+	const activeSession = () =>
+		Session.findOne.mockResolvedValueOnce({ _id: 'session1', id: 'session1', lastUsedAt: new Date() });
+
+	afterAll(() => {
+		jwt.verify.mockReset();
+		jwt.sign.mockReset();
+	});
+
+	test('should authorize the impersonated user and record the request', async () => {
+		activeSession();
+		jwt.verify.mockReturnValue(decoded);
+
+		const response = await verifyAuth(mockReq, mockRes, { authType: 'User', username: 'mario' });
+
+		expect(response).toEqual({
+			authorized: true,
+			cause: 'Authorized',
+			user: { id: undefined, username: 'mario', email: 'mario@example.com', role: 'Regular' },
+			sessionId: 'session1',
+			impersonatedBy: 'admin',
+		});
+		expect(AuditLog.create).toHaveBeenCalledWith({
+			actor: 'admin',
+			user: 'mario',
+			action: 'GET /api/users/mario/transactions',
+			ip: '127.0.0.1',
+		});
+	});
+
+	test('should keep the claim when the access token is refreshed', async () => {
+		activeSession();
+		jwt.verify
+			.mockImplementationOnce(() => {
+				throw { name: 'TokenExpiredError' };
+			})
+			.mockImplementationOnce(() => decoded);
+		jwt.sign.mockReturnValue('new-access-token');
+
+		const response = await verifyAuth(mockReq, mockRes, { authType: 'User', username: 'mario' });
+
+		expect(response).toHaveProperty('impersonatedBy', 'admin');
+		expect(jwt.sign).toHaveBeenCalledWith(
+			expect.objectContaining({ impersonatedBy: 'admin' }),
+			process.env.ACCESS_KEY,
+			{ expiresIn: '1h' }
+		);
+		expect(AuditLog.create).toHaveBeenCalledTimes(1);
+	});
+
+	test('should reject tokens whose claims do not match', async () => {
+		jwt.verify.mockReturnValueOnce(decoded).mockReturnValueOnce({ ...decoded, impersonatedBy: undefined });
+
+		const response = await verifyAuth(mockReq, mockRes, { authType: 'User', username: 'mario' });
+
+		expect(response).toEqual({ authorized: false, cause: 'Mismatched users' });
+		expect(AuditLog.create).not.toHaveBeenCalled();
+	});
+
+	test('should not record requests that are not authorized', async () => {
+		jwt.verify.mockReturnValue(decoded);
+
+		const response = await verifyAuth(mockReq, mockRes, { authType: 'Admin' });
+
+		expect(response).toEqual({ authorized: false, cause: 'Not admin' });
+		expect(AuditLog.create).not.toHaveBeenCalled();
+	});
+
+	test('should not record requests of users that are not impersonated', async () => {
+		activeSession();
+		jwt.verify.mockReturnValue({ ...decoded, impersonatedBy: undefined });
+
+		const response = await verifyAuth(mockReq, mockRes, { authType: 'User', username: 'mario' });
+
+		expect(response).toHaveProperty('authorized', true);
+		expect(AuditLog.create).not.toHaveBeenCalled();
+	});
+});
+
+describe('verifyAuth with an API key', () => {
+	const mockRes = { cookie: jest.fn(), locals: {} };
+	const owner = {
+		_id: 'user1',
+		id: 'user1',
+		username: 'username',
+		email: 'email@example.com',
+		role: 'Regular',
+	};
+	let mockReq;
+
+	beforeEach(() => {
+		mockReq = {
+			cookies: {},
+			headers: { 'x-api-key': 'ezw_key' },
+			params: { username: 'username' },
+			method: 'GET',
+		};
+		jwt.verify.mockClear();
+		ApiKey.updateOne.mockClear();
+	});
+
+	test('should authorize a key that has the scope of the route', async () => {
+		ApiKey.findOne.mockResolvedValueOnce({
+			_id: 'key1',
+			id: 'key1',
+			user: 'user1',
+			scopes: ['transactions:read'],
+			expiresAt: null,
+			lastUsedAt: null,
+		});
+		User.findOne.mockResolvedValueOnce(owner);
+
+		const response = await verifyAuth(mockReq, mockRes, { authType: 'User', scope: 'transactions:read' });
+
+		expect(response).toEqual({
+			authorized: true,
+			cause: 'Authorized',
+			user: { id: 'user1', username: 'username', email: 'email@example.com', role: 'Regular' },
+			apiKeyId: 'key1',
+		});
+		expect(ApiKey.findOne).toHaveBeenCalledWith({ keyHash: expect.any(String) });
+		expect(ApiKey.updateOne).toHaveBeenCalledWith({ _id: 'key1' }, { $set: { lastUsedAt: expect.any(Date) } });
+		expect(jwt.verify).not.toHaveBeenCalled();
+	});
+
+	test('should reject an unknown key', async () => {
+		ApiKey.findOne.mockResolvedValueOnce(null);
+
+		const response = await verifyAuth(mockReq, mockRes, { authType: 'Simple', scope: 'categories:read' });
+
+		expect(response).toEqual({ authorized: false, cause: 'Invalid or expired API key' });
+	});
+
+	test('should reject an expired key', async () => {
+		ApiKey.findOne.mockResolvedValueOnce({
+			user: 'user1',
+			scopes: ['categories:read'],
+			expiresAt: new Date(Date.now() - 1000),
+		});
+
+		const response = await verifyAuth(mockReq, mockRes, { authType: 'Simple', scope: 'categories:read' });
+
+		expect(response).toEqual({ authorized: false, cause: 'Invalid or expired API key' });
+	});
+
+	test('should reject a key on a route that does not declare a scope', async () => {
+		ApiKey.findOne.mockResolvedValueOnce({ user: 'user1', scopes: API_KEY_SCOPES, expiresAt: null });
+
+		const response = await verifyAuth(mockReq, mockRes, { authType: 'Simple' });
+
+		expect(response).toEqual({ authorized: false, cause: 'API keys are not allowed on this route' });
+	});
+
+	test('should reject a key that is missing the scope of the route', async () => {
+		ApiKey.findOne.mockResolvedValueOnce({ user: 'user1', scopes: ['transactions:read'], expiresAt: null });
+
+		const response = await verifyAuth(mockReq, mockRes, { authType: 'User', scope: 'transactions:write' });
+
+		expect(response).toEqual({
+			authorized: false,
+			cause: 'API key is missing the transactions:write scope',
+		});
+	});
+
+	test('should apply the authType criteria to the owner of the key', async () => {
+		ApiKey.findOne.mockResolvedValueOnce({ user: 'user1', scopes: ['users:read'], expiresAt: null });
+		User.findOne.mockResolvedValueOnce(owner);
+
+		const response = await verifyAuth(mockReq, mockRes, { authType: 'Admin', scope: 'users:read' });
+
+		expect(response).toEqual({ authorized: false, cause: 'Not admin' });
+	});
+
+	test('should only allow reads to keys of users that have not verified their email', async () => {
+		mockReq.method = 'POST';
+		ApiKey.findOne.mockResolvedValueOnce({ user: 'user1', scopes: ['transactions:write'], expiresAt: null });
+		User.findOne.mockResolvedValueOnce({ ...owner, emailVerified: false });
+
+		const response = await verifyAuth(mockReq, mockRes, { authType: 'User', scope: 'transactions:write' });
+
+		expect(response).toEqual({ authorized: false, cause: 'Email not verified: read-only access' });
+	});
+});
+
 describe('handleAmountFilterParams', () => {
 	it('returns correct amount object when min query parameter is provided', () => {
 		const req = {
@@ -481,7 +998,7 @@ describe('handleAmountFilterParams', () => {
 
 		const result = handleAmountFilterParams(req);
 
-		expect(result).toEqual({ amount: { $gte: 10 } });
+		expect(result).toEqual({ amount: { $gte: mongoose.Types.Decimal128.fromString('10') } });
 	});
 
 	it('returns correct amount object when max query parameter is provided', () => {
@@ -493,7 +1010,7 @@ describe('handleAmountFilterParams', () => {
 
 		const result = handleAmountFilterParams(req);
 
-		expect(result).toEqual({ amount: { $lte: 50 } });
+		expect(result).toEqual({ amount: { $lte: mongoose.Types.Decimal128.fromString('50') } });
 	});
 
 	it('returns correct amount object when both min and max query parameters are provided', () => {
@@ -506,7 +1023,12 @@ describe('handleAmountFilterParams', () => {
 
 		const result = handleAmountFilterParams(req);
 
-		expect(result).toEqual({ amount: { $gte: 10, $lte: 50 } });
+		expect(result).toEqual({
+			amount: {
+				$gte: mongoose.Types.Decimal128.fromString('10'),
+				$lte: mongoose.Types.Decimal128.fromString('50'),
+			},
+		});
 	});
 
 	it('returns an empty object when neither min nor max query parameters are provided', () => {
@@ -542,4 +1064,154 @@ describe('handleAmountFilterParams', () => {
 			handleAmountFilterParams(req);
 		}).toThrowError('Invalid `max` parameter');
 	});
+
+	it('keeps the decimals of the bounds', () => {
+		const result = handleAmountFilterParams({ query: { min: '9.99', max: '+10.5' } });
+
+		expect(result).toEqual({
+			amount: {
+				$gte: mongoose.Types.Decimal128.fromString('9.99'),
+				$lte: mongoose.Types.Decimal128.fromString('10.5'),
+			},
+		});
+	});
+
+	it('keeps the bounds that are already numbers', () => {
+		const result = handleAmountFilterParams({ query: { min: 10, max: 100 } });
+
+		expect(result).toEqual({ amount: { $gte: 10, $lte: 100 } });
+	});
+
+	it.each(['1e3', '0x10', 'Infinity', '9,99'])('throws an error when min is %s', (min) => {
+		expect(() => handleAmountFilterParams({ query: { min } })).toThrowError('Invalid `min` parameter');
+	});
+});
+
+describe('normalizeTags', () => {
+	test('should trim and lowercase the tags, dropping empty and repeated ones', () => {
+		expect(normalizeTags([' Work', 'travel ', '', 'WORK', '  '])).toStrictEqual(['work', 'travel']);
+	});
+});
+
+describe('handleTagFilterParams', () => {
+	test('should return the transactions having all the listed tags', () => {
+		const result = handleTagFilterParams({ query: { tags: 'Work, travel' } });
+
+		expect(result).toStrictEqual({ tags: { $all: ['work', 'travel'] } });
+	});
+
+	test('should accept the parameter repeated', () => {
+		const result = handleTagFilterParams({ query: { tags: ['work', 'travel'] } });
+
+		expect(result).toStrictEqual({ tags: { $all: ['work', 'travel'] } });
+	});
+
+	test('should return an empty object if no tag filter is provided', () => {
+		expect(handleTagFilterParams({ query: {} })).toStrictEqual({});
+		expect(handleTagFilterParams({})).toStrictEqual({});
+	});
+
+	test('should throw an error if no tag is listed', () => {
+		expect(() => handleTagFilterParams({ query: { tags: ' , ' } })).toThrow('Invalid `tags` parameter');
+	});
+});
+
+describe('getTokens', () => {
+	test('should read the tokens from the cookies', () => {
+		const mockReq = {
+			cookies: { accessToken: 'access-token', refreshToken: 'refresh-token' },
+			headers: {},
+		};
+
+		expect(getTokens(mockReq)).toEqual({
+			accessToken: 'access-token',
+			refreshToken: 'refresh-token',
+			bearer: false,
+		});
+	});
+
+	test('should read the tokens from the Authorization and X-Refresh-Token headers', () => {
+		const mockReq = {
+			cookies: { accessToken: 'cookie-access-token' },
+			headers: {
+				authorization: 'Bearer header-access-token',
+				'x-refresh-token': 'header-refresh-token',
+			},
+		};
+
+		expect(getTokens(mockReq)).toEqual({
+			accessToken: 'header-access-token',
+			refreshToken: 'header-refresh-token',
+			bearer: true,
+		});
+	});
+
+	test('should ignore Authorization headers that are not Bearer', () => {
+		const mockReq = {
+			cookies: { accessToken: 'access-token', refreshToken: 'refresh-token' },
+			headers: { authorization: 'Basic dXNlcjpwYXNz' },
+		};
+
+		expect(getTokens(mockReq)).toHaveProperty('accessToken', 'access-token');
+	});
+
+	test('should read the API key from the X-API-Key header', () => {
+		const mockReq = {
+			cookies: {},
+			headers: { 'x-api-key': 'ezw_key' },
+		};
+
+		expect(getTokens(mockReq)).toHaveProperty('apiKey', 'ezw_key');
+	});
+
+	test('should return undefined tokens if there are neither cookies nor headers', () => {
+		expect(getTokens({})).toEqual({
+			accessToken: undefined,
+			refreshToken: undefined,
+			bearer: false,
+		});
+	});
+});
+
+describe('cookieOptions', () => {
+	const env = process.env;
+
+	beforeEach(() => {
+		process.env = { ...env };
+	});
+
+	afterAll(() => {
+		process.env = env;
+	});
+
+	test('should return the default options', () => {
+		delete process.env.COOKIE_DOMAIN;
+		delete process.env.COOKIE_PATH;
+		delete process.env.COOKIE_SAME_SITE;
+		delete process.env.COOKIE_SECURE;
+
+		expect(cookieOptions(1000)).toEqual({
+			httpOnly: true,
+			path: '/api',
+			maxAge: 1000,
+			sameSite: 'none',
+			secure: true,
+		});
+	});
+
+	test('should read the options from the environment', () => {
+		process.env.COOKIE_DOMAIN = 'ezwallet.example.com';
+		process.env.COOKIE_PATH = '/';
+		process.env.COOKIE_SAME_SITE = 'strict';
+		process.env.COOKIE_SECURE = 'false';
+
+		expect(cookieOptions(1000)).toEqual({
+			httpOnly: true,
+			domain: 'ezwallet.example.com',
+			path: '/',
+			maxAge: 1000,
+			sameSite: 'strict',
+			secure: false,
+		});
+	});
 });